@@ -0,0 +1,80 @@
+// call_masking_fake_test.js
+// Provider contract against the local fake: sessions, proxy numbers,
+// bridged calls, closing/expiry and the masked payload fields. No DB needed.
+//
+//   CALL_MASKING_ENABLED=true node scripts/call_masking_fake_test.js
+
+import { createFakeProvider } from '../src/telephony/fakeProvider.js';
+import { getMaskingProvider } from '../src/telephony/index.js';
+import { maskPhone, maskedContact, isCallMaskingEnabled } from '../src/services/callMaskingService.js';
+
+let failures = 0;
+
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (!ok) failures++;
+}
+
+async function main() {
+  const provider = createFakeProvider();
+  const parties = { customer: '9876543210', driver: '9123456780' };
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+  const a = await provider.createSession({ sessionKey: 'trip-a', parties, expiresAt });
+  const b = await provider.createSession({ sessionKey: 'trip-b', parties, expiresAt });
+  check('each session gets its own proxy number', a.proxyNumber !== b.proxyNumber);
+
+  const call = await provider.connectCall({
+    sessionId: a.sessionId, from: 'customer', fromPhone: parties.customer, toPhone: parties.driver,
+  });
+  check('open session connects', call.status === 'connected' && !!call.callId);
+  check('call is recorded', provider.calls.length === 1 && provider.calls[0].toPhone === parties.driver);
+
+  check('closeSession closes once', (await provider.closeSession(a.sessionId)) === true
+    && (await provider.closeSession(a.sessionId)) === false);
+  const closed = await provider.connectCall({ sessionId: a.sessionId, from: 'driver' });
+  check('closed session refuses calls', closed.status === 'failed' && closed.reason === 'session_closed');
+
+  const unknown = await provider.connectCall({ sessionId: 'nope', from: 'driver' });
+  check('unknown session asks for a new one', unknown.reason === 'unknown_session');
+
+  const stale = await provider.createSession({ sessionKey: 'trip-c', parties, expiresAt: new Date(Date.now() - 1000) });
+  const expired = await provider.connectCall({ sessionId: stale.sessionId, from: 'customer' });
+  check('expired session refuses calls', expired.reason === 'session_expired');
+
+  if (!isCallMaskingEnabled()) {
+    console.error('Run with CALL_MASKING_ENABLED=true');
+    process.exit(1);
+  }
+
+  const contact = maskedContact(parties.driver, { proxyNumber: b.proxyNumber, closedAt: null });
+  check('payload phone is the proxy number', contact.phone === b.proxyNumber);
+  check('payload never carries the real number', !JSON.stringify(contact).includes(parties.driver));
+  check('masked display keeps last four digits', maskPhone(parties.driver) === 'XXXXXX6780');
+  check('closed session → no dialable number', maskedContact(parties.driver, { proxyNumber: 'x', closedAt: new Date() }).phone === null);
+
+  check('default provider is the fake', getMaskingProvider().name === 'fake');
+
+  const { NODE_ENV, CALL_MASKING_PROVIDER } = process.env;
+  const { setMaskingProvider } = await import('../src/telephony/index.js');
+  process.env.NODE_ENV = 'production';
+  for (const configured of [undefined, 'fake']) {
+    setMaskingProvider(null);
+    if (configured) process.env.CALL_MASKING_PROVIDER = configured;
+    else delete process.env.CALL_MASKING_PROVIDER;
+    let refused = false;
+    try { getMaskingProvider(); } catch { refused = true; }
+    check(`production refuses ${configured || 'an unset'} provider`, refused);
+  }
+  process.env.NODE_ENV = NODE_ENV;
+  if (CALL_MASKING_PROVIDER) process.env.CALL_MASKING_PROVIDER = CALL_MASKING_PROVIDER;
+  else delete process.env.CALL_MASKING_PROVIDER;
+
+  console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
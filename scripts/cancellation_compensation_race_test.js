@@ -0,0 +1,77 @@
+// cancellation_compensation_race_test.js
+// Customer cancellation fees (tripController → cancelTrip,
+// cancellationFeeService): two cancels at once pay the driver's
+// compensation once, and a fee can't be waived once the fare it was
+// billed on has reached payment.
+//
+//   MONGO_URI=... node scripts/cancellation_compensation_race_test.js   (see scripts/moneyFixtures.js)
+
+import Trip from '../src/models/Trip.js';
+import Wallet from '../src/models/Wallet.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import { cancelTrip } from '../src/controllers/tripController.js';
+import {
+  collectOutstandingFees,
+  attachFeesToTrip,
+  waiveCancellationFee,
+} from '../src/services/cancellationFeeService.js';
+import { run, check, mockRes, makeCustomer, makeDriver, makeTrip } from './moneyFixtures.js';
+
+// Driver at the pickup long past the grace window → the policy fee applies
+const atPickupTrip = (customer, driver) =>
+  makeTrip({ customer, driver, status: 'driver_at_pickup', acceptedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+const cancel = async (trip, customer) => {
+  const res = mockRes();
+  await cancelTrip({ body: { tripId: String(trip._id), cancelledBy: String(customer._id), reason: 'changed plans' } }, res);
+  return res;
+};
+
+run(async () => {
+  const customer = await makeCustomer();
+  const driver = await makeDriver();
+
+  // ─── Two cancels at once ─────────────────────────────────
+  const trip = await atPickupTrip(customer, driver);
+  const responses = await Promise.all([cancel(trip, customer), cancel(trip, customer)]);
+  check('exactly one cancel succeeds', responses.filter((r) => r.statusCode === 200).length === 1);
+  check('the other is refused with 409', responses.filter((r) => r.statusCode === 409).length === 1);
+
+  const cancelled = await Trip.findById(trip._id).select('status cancellationFee').lean();
+  const fee = cancelled.cancellationFee;
+  check('trip cancelled with a pending fee', cancelled.status === 'cancelled' && fee?.status === 'pending' && fee.amount > 0);
+
+  const wallet = await Wallet.findOne({ driverId: driver._id }).lean();
+  const compensations = (wallet?.transactions || []).filter((t) => String(t.tripId) === String(trip._id));
+  check('driver compensated once', compensations.length === 1 && wallet.availableBalance === fee.driverCompensation);
+  check('one ledger entry for the compensation', (await LedgerEntry.countDocuments({ key: `cancel_comp:${trip._id}` })) === 1);
+
+  // ─── Waiver once the fee is billed on a later trip ───────
+  const outstanding = await collectOutstandingFees(customer._id);
+  check('fee is billable on the next booking', outstanding.total === fee.amount);
+
+  const next = await makeTrip({
+    customer, driver,
+    status: 'ride_started',
+    fare: 100 + outstanding.total,
+    outstandingFeesAdded: outstanding.total,
+  });
+  await attachFeesToTrip(outstanding.feeTripIds, next._id);
+
+  await Trip.updateOne({ _id: next._id }, { $set: { status: 'awaiting_payment' } });
+  let refused = null;
+  try {
+    await waiveCancellationFee(trip._id, { waivedBy: 'money-test', reason: 'test' });
+  } catch (err) {
+    refused = err;
+  }
+  check('waiver refused while the billed fare is at payment', refused?.statusCode === 409);
+  const stillPending = await Trip.findById(trip._id).select('cancellationFee.status').lean();
+  check('fee stays pending', stillPending.cancellationFee.status === 'pending');
+
+  await Trip.updateOne({ _id: next._id }, { $set: { status: 'ride_started' } });
+  const waived = await waiveCancellationFee(trip._id, { waivedBy: 'money-test', reason: 'test' });
+  check('waiver allowed while the billed trip is in progress', waived?.cancellationFee?.status === 'waived');
+  const billed = await Trip.findById(next._id).select('fare outstandingFeesAdded').lean();
+  check('fee taken back off the billed fare', billed.fare === 100 && billed.outstandingFeesAdded === 0);
+});
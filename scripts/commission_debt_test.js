@@ -0,0 +1,46 @@
+// commission_debt_test.js
+// Cash-commission debt ceiling (commissionDebtService): owing more than the
+// limit blocks the driver, concurrent syncs agree, and paying down to the
+// limit unblocks them again.
+//
+//   MONGO_URI=... node scripts/commission_debt_test.js   (see scripts/moneyFixtures.js)
+
+import User from '../src/models/User.js';
+import Wallet from '../src/models/Wallet.js';
+import {
+  resolveDebtLimit,
+  getCommissionDebtStatus,
+  syncCommissionDebt,
+} from '../src/services/commissionDebtService.js';
+import { run, check, makeDriver } from './moneyFixtures.js';
+
+const setOwed = (driver, pendingAmount) =>
+  Wallet.updateOne({ driverId: driver._id }, { $set: { pendingAmount } }, { upsert: true });
+
+const blockedFlag = async (driver) =>
+  (await User.findById(driver._id).select('commissionBlocked').lean()).commissionBlocked;
+
+run(async () => {
+  const driver = await makeDriver();
+  const { limit } = await resolveDebtLimit(driver);
+  check('a limit resolves for the driver', Number.isFinite(limit) && limit > 0);
+
+  // ─── Under the limit ─────────────────────────────────────
+  await setOwed(driver, limit);
+  const atLimit = await syncCommissionDebt(driver._id);
+  check('owing exactly the limit is allowed', atLimit.blocked === false && !(await blockedFlag(driver)));
+
+  // ─── Over the limit, two syncs at once ───────────────────
+  await setOwed(driver, limit + 10);
+  const [a, b] = await Promise.all([syncCommissionDebt(driver._id), syncCommissionDebt(driver._id)]);
+  check('both syncs see the driver blocked', a.blocked && b.blocked);
+  check('driver flagged blocked', (await blockedFlag(driver)) === true);
+
+  const status = await getCommissionDebtStatus(driver._id);
+  check('amount to unblock is the excess', status.amountToUnblock === 10 && status.remainingHeadroom === 0);
+
+  // ─── Paid back down to the limit ─────────────────────────
+  await setOwed(driver, limit);
+  const paid = await syncCommissionDebt(driver._id);
+  check('paying the excess unblocks', paid.blocked === false && (await blockedFlag(driver)) === false);
+});
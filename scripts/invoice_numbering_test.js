@@ -0,0 +1,54 @@
+// invoice_numbering_test.js
+// Ride tax invoices (invoiceService): issuing the same trip's invoice twice
+// at once yields one invoice and uses one number, and the next trip gets
+// the next number in the series — no duplicates, no gaps.
+//
+//   MONGO_URI=... node scripts/invoice_numbering_test.js   (see scripts/moneyFixtures.js)
+
+import Trip from '../src/models/Trip.js';
+import Invoice from '../src/models/Invoice.js';
+import InvoiceCounter from '../src/models/InvoiceCounter.js';
+import { issueRideInvoice } from '../src/services/invoiceService.js';
+import { run, check, makeCustomer, makeDriver, makeTrip } from './moneyFixtures.js';
+
+const paidTrip = (customer, driver) =>
+  makeTrip({
+    customer, driver,
+    status: 'completed',
+    finalFare: 118,
+    paidAmount: 118,
+    paymentMethod: 'cash',
+    paymentCollected: true,
+    completedAt: new Date(),
+    fareBreakdown: { gstPercent: 18 },
+  });
+
+const counterOf = (invoice) =>
+  InvoiceCounter.findById(`ride:${invoice.supplier.stateCode}:${invoice.financialYear}`).lean();
+
+run(async () => {
+  const customer = await makeCustomer();
+  const driver = await makeDriver();
+
+  // ─── Same trip twice at once ─────────────────────────────
+  const trip = await paidTrip(customer, driver);
+  const [a, b] = await Promise.all([issueRideInvoice(trip._id), issueRideInvoice(trip._id)]);
+  check('both calls return the same invoice', String(a._id) === String(b._id) && a.number === b.number);
+  check('one invoice document', (await Invoice.countDocuments({ kind: 'ride', tripId: trip._id })) === 1);
+
+  const counter = await counterOf(a);
+  check('the race used one number', counter.seq === a.seq);
+
+  const linked = await Trip.findById(trip._id).select('invoiceId').lean();
+  check('trip points at its invoice', String(linked.invoiceId) === String(a._id));
+
+  const again = await issueRideInvoice(trip._id);
+  check('re-issuing returns the existing invoice', String(again._id) === String(a._id));
+
+  // ─── Next trip continues the series ──────────────────────
+  const next = await issueRideInvoice((await paidTrip(customer, driver))._id);
+  check('next trip gets the next number', next.seq === a.seq + 1 && next.number !== a.number);
+
+  const split = (next.tax.cgst || 0) + (next.tax.sgst || 0) + (next.tax.igst || 0);
+  check('18% backed out of ₹118', next.tax.taxableValue === 100 && next.tax.totalTax === 18 && split === 18);
+});
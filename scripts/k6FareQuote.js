@@ -0,0 +1,27 @@
+// k6FareQuote.js
+// Trip creation only books against a signed quote from /api/fares/calc —
+// the k6 trip scripts fetch one right before each booking.
+
+import http from "k6/http";
+
+export function quoteShortTrip(base, { customerId, pickup, drop, vehicleType = "bike" }) {
+  const res = http.post(
+    `${base}/api/fares/calc`,
+    JSON.stringify({
+      state: "Telangana",
+      city: "Hyderabad",
+      category: "short",
+      vehicleType,
+      customerId,
+      origin: { lat: pickup.coordinates[1], lng: pickup.coordinates[0] },
+      destination: { lat: drop.coordinates[1], lng: drop.coordinates[0] },
+    }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+
+  try {
+    return JSON.parse(res.body)?.quote?.quoteId || null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,72 @@
+// ledger_reconcile_test.js
+// Driver-wallet ledger (ledgerService): entries are posted once per key,
+// a movement caught between its wallet write and its ledger entry is not
+// reported as drift, and real drift still is.
+//
+//   MONGO_URI=... node scripts/ledger_reconcile_test.js   (see scripts/moneyFixtures.js)
+//
+// The reconciliation walks every Wallet in the database, so keep it small.
+
+import Wallet from '../src/models/Wallet.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import LedgerReconciliation from '../src/models/LedgerReconciliation.js';
+import { postWalletEntry, reconcileWallets } from '../src/services/ledgerService.js';
+import { run, check, sleep, makeDriver } from './moneyFixtures.js';
+
+const mismatchFor = (result, driver) =>
+  result.mismatches.find((m) => String(m.driverId) === String(driver._id));
+
+// Wallet $inc + ledger entry, the way the money paths do it outside a transaction
+const credit = (driver, key, amount) =>
+  postWalletEntry({
+    key,
+    type:     'incentive',
+    driverId: driver._id,
+    delta:    { availableBalance: amount },
+    counter:  'incentive_expense',
+    earnings: amount,
+    memo:     'money-test',
+  });
+
+const incWallet = (driver, amount) =>
+  Wallet.updateOne({ driverId: driver._id }, { $inc: { availableBalance: amount, totalEarnings: amount } });
+
+run(async () => {
+  const driver = await makeDriver();
+  await Wallet.create({ driverId: driver._id });
+  const runIds = [];
+  const reconcile = async () => {
+    const result = await reconcileWallets({ trigger: 'admin' });
+    runIds.push(result._id);
+    return result;
+  };
+
+  try {
+    // First sighting adopts the wallet (opening balance)
+    const adopted = await reconcile();
+    check('new wallet reconciles clean', !mismatchFor(adopted, driver));
+
+    // ─── Posting is idempotent on its key ──────────────────
+    await incWallet(driver, 50);
+    const [first, second] = await Promise.all([
+      credit(driver, `money-test:${driver._id}:1`, 50),
+      credit(driver, `money-test:${driver._id}:1`, 50),
+    ]);
+    check('entry posted once', [first, second].filter(Boolean).length === 1);
+    check('one ledger entry for the key', (await LedgerEntry.countDocuments({ key: `money-test:${driver._id}:1` })) === 1);
+
+    // ─── Movement in flight while the run reads the wallet ──
+    await incWallet(driver, 30);
+    const inFlight = reconcile();
+    await sleep(200);   // inside the recheck delay
+    await credit(driver, `money-test:${driver._id}:2`, 30);
+    check('in-flight movement is not reported', !mismatchFor(await inFlight, driver));
+
+    // ─── Real drift ────────────────────────────────────────
+    await incWallet(driver, 20);
+    const drift = mismatchFor(await reconcile(), driver);
+    check('drift without a ledger entry is reported', drift?.diffs.some((d) => d.field === 'availableBalance' && d.diff === 20));
+  } finally {
+    await LedgerReconciliation.deleteMany({ _id: { $in: runIds } });
+  }
+});
@@ -0,0 +1,113 @@
+// moneyFixtures.js
+// Shared setup for the money-path scripts (*_test.js): connects to a
+// THROWAWAY database, creates tagged customers / drivers / trips and
+// removes everything it created afterwards.
+//
+// MONGO_URI must point at a replica set (settlement runs in transactions)
+// and must not be a database anyone uses:
+//   docker run -d -p 27017:27017 mongo:7 --replSet rs0
+//   docker exec <id> mongosh --eval 'rs.initiate()'
+//   MONGO_URI='mongodb://127.0.0.1:27017/money-test?directConnection=true' node scripts/<name>_test.js
+
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Trip from '../src/models/Trip.js';
+import Wallet from '../src/models/Wallet.js';
+import CustomerWallet from '../src/models/CustomerWallet.js';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import Refund from '../src/models/Refund.js';
+import Invoice from '../src/models/Invoice.js';
+
+const RUN = `money-test-${Date.now()}`;
+const created = { users: [], trips: [] };
+let failures = 0;
+
+export function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (!ok) failures++;
+}
+
+export async function connect() {
+  const uri = process.env.MONGO_URI;
+  if (!uri) {
+    console.error('Set MONGO_URI to a throwaway replica-set database (see scripts/moneyFixtures.js)');
+    process.exit(1);
+  }
+  await mongoose.connect(uri);
+  // Unique indexes are what the races are decided on — build them first
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+  console.log(`🔌 ${mongoose.connection.name} (${RUN})\n`);
+}
+
+let phoneSeq = 0;
+const testPhone = () => `99${String(Date.now()).slice(-6)}${String(phoneSeq++).padStart(2, '0')}`;
+const HYDERABAD = { type: 'Point', coordinates: [78.4867, 17.385] };
+
+export async function makeCustomer(extra = {}) {
+  const user = await User.create({ phone: testPhone(), name: `${RUN} customer`, role: 'customer', location: HYDERABAD, ...extra });
+  created.users.push(user._id);
+  return user;
+}
+
+export async function makeDriver(extra = {}) {
+  const user = await User.create({
+    phone: testPhone(), name: `${RUN} driver`, role: 'driver', isDriver: true, vehicleType: 'bike', location: HYDERABAD, ...extra,
+  });
+  created.users.push(user._id);
+  return user;
+}
+
+export async function makeTrip({ customer, driver = null, ...extra }) {
+  const trip = await Trip.create({
+    customerId:     customer._id,
+    assignedDriver: driver?._id || null,
+    type:           'short',
+    vehicleType:    'bike',
+    pickup:         { type: 'Point', coordinates: [78.4867, 17.385], address: `${RUN} pickup` },
+    drop:           { type: 'Point', coordinates: [78.4967, 17.395], address: `${RUN} drop` },
+    fare:           100,
+    ...extra,
+  });
+  created.trips.push(trip._id);
+  return trip;
+}
+
+export async function cleanup() {
+  await Promise.all([
+    Trip.deleteMany({ _id: { $in: created.trips } }),
+    User.deleteMany({ _id: { $in: created.users } }),
+    Wallet.deleteMany({ driverId: { $in: created.users } }),
+    CustomerWallet.deleteMany({ customerId: { $in: created.users } }),
+    LedgerEntry.deleteMany({ driverId: { $in: created.users } }),
+    Refund.deleteMany({ tripId: { $in: created.trips } }),
+    Invoice.deleteMany({ tripId: { $in: created.trips } }),
+  ]);
+}
+
+// Minimal Express res for calling controllers directly
+export function mockRes() {
+  return {
+    statusCode: 200,
+    body:       null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run main(), clean up, report and exit (the app modules keep timers alive)
+export function run(main) {
+  connect()
+    .then(main)
+    .catch((err) => {
+      console.error(err);
+      failures++;
+    })
+    .finally(async () => {
+      await cleanup().catch((err) => console.error('cleanup:', err.message));
+      await mongoose.disconnect().catch(() => {});
+      console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+      process.exit(failures ? 1 : 0);
+    });
+}
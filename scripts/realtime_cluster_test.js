@@ -0,0 +1,100 @@
+// realtime_cluster_test.js
+// Two "instances" of the realtime layer against one Redis-protocol server:
+// shared presence, pub/sub, lock exclusivity and the Socket.IO adapter.
+//
+//   node scripts/realtime_cluster_test.js                         # built-in stand-in
+//   REDIS_URL=redis://127.0.0.1:6379 node scripts/realtime_cluster_test.js   # real Redis
+
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as ioClient } from 'socket.io-client';
+import { createRedisBackend } from '../src/realtime/redisBackend.js';
+import { createClusterAdapter } from '../src/realtime/socketAdapter.js';
+import { startRespStandin } from './respStandin.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+let failures = 0;
+
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (!ok) failures++;
+}
+
+async function main() {
+  let standin = null;
+  let url = process.env.REDIS_URL;
+  if (!url) {
+    standin = await startRespStandin(0, { log: false });
+    url = `redis://127.0.0.1:${standin.address().port}`;
+  }
+  console.log(`🔌 Using ${url}\n`);
+
+  const prefix = `realtime-test:${Date.now()}:`;
+  const a = await createRedisBackend({ url, prefix, instanceId: 'A' });
+  const b = await createRedisBackend({ url, prefix, instanceId: 'B' });
+
+  // ─── Presence ──────────────────────────────────────────
+  await a.hset('presence:driver:sockets', 'sock-1', 'driver-1');
+  check('presence written on A is visible on B', (await b.hget('presence:driver:sockets', 'sock-1')) === 'driver-1');
+  await b.hdel('presence:driver:sockets', 'sock-1');
+  check('presence removed on B is gone on A', (await a.hget('presence:driver:sockets', 'sock-1')) === null);
+
+  // ─── Pub/sub ───────────────────────────────────────────
+  const received = [];
+  const unsubscribe = await b.subscribe('broadcast:stop', (m) => received.push(m));
+  await a.publish('broadcast:stop', 'trip-42');
+  await sleep(100);
+  check('message published on A reaches B', received[0] === 'trip-42');
+  await unsubscribe();
+
+  // ─── Locks ─────────────────────────────────────────────
+  const tokenA = await a.acquireLock('trip-accept:42', 2000);
+  const tokenB = await b.acquireLock('trip-accept:42', 2000);
+  check('first instance gets the accept lock', !!tokenA);
+  check('second instance is refused while it is held', tokenB === null);
+  check('a wrong token cannot release it', (await b.releaseLock('trip-accept:42', 'not-the-token')) === false);
+  check('holder can extend it', (await a.extendLock('trip-accept:42', tokenA, 2000)) === true);
+  check('holder can release it', (await a.releaseLock('trip-accept:42', tokenA)) === true);
+  check('lock is free again after release', !!(await b.acquireLock('trip-accept:42', 200)));
+  await sleep(300);
+  check('lock expires on its own', !!(await a.acquireLock('trip-accept:42', 200)));
+
+  // ─── Socket.IO adapter ─────────────────────────────────
+  const servers = [];
+  for (const backend of [a, b]) {
+    const http = createServer();
+    const io = new Server(http);
+    io.adapter(createClusterAdapter(backend, { heartbeatInterval: 500 }));
+    await new Promise((r) => http.listen(0, '127.0.0.1', r));
+    servers.push({ io, http, port: http.address().port });
+  }
+
+  servers[1].io.on('connection', (socket) => socket.join('customer_test'));
+  const client = ioClient(`http://127.0.0.1:${servers[1].port}`, { transports: ['websocket'] });
+  await new Promise((r) => client.on('connect', r));
+  await sleep(1200); // let the two adapters see each other's heartbeats
+
+  const got = new Promise((resolve) => {
+    client.on('trip:accepted', resolve);
+    setTimeout(() => resolve(null), 2000);
+  });
+  servers[0].io.to('customer_test').emit('trip:accepted', { tripId: '42' });
+  check('emit on instance A reaches a socket connected to B', (await got)?.tripId === '42');
+  check('instance A counts both servers', (await servers[0].io.of('/').adapter.serverCount()) === 2);
+
+  client.close();
+  for (const s of servers) {
+    s.io.close();
+  }
+  await a.close();
+  await b.close();
+  standin?.close();
+
+  console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('❌ realtime_cluster_test crashed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+// refund_webhook_test.js
+// Refunds (refundService): a replayed or concurrent wallet refund credits
+// the customer once, and refund webhooks with a malformed notes.refundId
+// are matched on the Razorpay refund id instead of failing with a 500.
+//
+//   MONGO_URI=... node scripts/refund_webhook_test.js   (see scripts/moneyFixtures.js)
+
+import Trip from '../src/models/Trip.js';
+import Refund from '../src/models/Refund.js';
+import CustomerWallet from '../src/models/CustomerWallet.js';
+import { requestRefund, applyRefundWebhook } from '../src/services/refundService.js';
+import { run, check, makeCustomer, makeTrip } from './moneyFixtures.js';
+
+run(async () => {
+  const customer = await makeCustomer();
+  await CustomerWallet.create({ customerId: customer._id, balance: 0 });
+
+  // ─── Wallet refund requested twice at once ───────────────
+  const paid = await makeTrip({
+    customer,
+    status: 'completed',
+    finalFare: 100,
+    paidAmount: 100,
+    paymentMethod: 'wallet',
+    paymentCollected: true,
+  });
+  const request = () =>
+    requestRefund({ tripId: paid._id, reason: 'dispute', initiatedBy: 'money-test', idempotencyKey: `money-test-${paid._id}` });
+
+  // The loser of the race either gets the same refund back or is refused
+  // because nothing is left to refund — never a second refund
+  const results = await Promise.allSettled([request(), request()]);
+  const created = results.filter((r) => r.status === 'fulfilled' && r.value.created);
+  check('one refund created', created.length === 1);
+  check('the other call created nothing', results.every((r) =>
+    r.status === 'rejected'
+      ? r.reason.statusCode === 400
+      : r.value.created || String(r.value.refund._id) === String(created[0]?.value.refund._id)));
+  check('one refund document', (await Refund.countDocuments({ tripId: paid._id })) === 1);
+
+  const replay = await request();
+  check('a replay returns the same refund', !replay.created && String(replay.refund._id) === String(created[0]?.value.refund._id));
+
+  const wallet = await CustomerWallet.findOne({ customerId: customer._id }).lean();
+  check('customer credited once', wallet.balance === 100);
+  const refunded = await Trip.findById(paid._id).select('refundedAmount').lean();
+  check('trip refundable amount used up once', refunded.refundedAmount === 100);
+
+  let overRefund = null;
+  try {
+    await requestRefund({ tripId: paid._id, reason: 'other', initiatedBy: 'money-test', idempotencyKey: `money-test-again-${paid._id}` });
+  } catch (err) {
+    overRefund = err;
+  }
+  check('a second refund over the paid amount is refused', overRefund?.statusCode === 400);
+
+  // ─── Webhook with a malformed notes.refundId ─────────────
+  const online = await makeTrip({ customer, status: 'completed', finalFare: 80, refundedAmount: 80 });
+  const pending = await Refund.create({
+    idempotencyKey:   `money-test-online-${online._id}`,
+    tripId:           online._id,
+    customerId:       customer._id,
+    razorpayRefundId: `rfnd_mt${Date.now()}`,
+    amount:           80,
+    type:             'full',
+    destination:      'source',
+    reason:           'dispute',
+    trigger:          'admin',
+  });
+  const entity = { id: pending.razorpayRefundId, notes: { refundId: 'not-an-object-id' } };
+
+  let processed = null;
+  let thrown = null;
+  try {
+    processed = await applyRefundWebhook('refund.processed', entity);
+  } catch (err) {
+    thrown = err;
+  }
+  check('malformed notes.refundId does not throw', !thrown);
+  check('refund matched on the Razorpay refund id', String(processed?._id) === String(pending._id) && processed.status === 'processed');
+
+  const late = await applyRefundWebhook('refund.failed', entity);
+  check('a late refund.failed does not undo a processed refund', late?.status === 'processed');
+  const kept = await Trip.findById(online._id).select('refundedAmount').lean();
+  check('refundable amount not released again', kept.refundedAmount === 80);
+
+  const unknown = await applyRefundWebhook('refund.processed', { id: 'rfnd_unknown', notes: { refundId: '{"$ne":null}' } });
+  check('unknown refund with a malformed id is ignored', unknown === null);
+});
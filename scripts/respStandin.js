@@ -0,0 +1,165 @@
+// respStandin.js
+// Local stand-in for Redis: speaks enough RESP2 for src/realtime (hashes,
+// SET NX PX, pub/sub, the two lock scripts). Lets you run several backend
+// instances on one machine without installing Redis.
+//
+//   node scripts/respStandin.js 6390
+//   REDIS_URL=redis://127.0.0.1:6390 PORT=5002 npm start
+//   REDIS_URL=redis://127.0.0.1:6390 PORT=5003 npm start
+//
+// Not a Redis replacement: single process, no persistence, no EVAL beyond
+// the scripts src/realtime/redisBackend.js sends.
+
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { parseReply } from '../src/realtime/respClient.js';
+import { RELEASE_LOCK_SCRIPT, EXTEND_LOCK_SCRIPT } from '../src/realtime/redisBackend.js';
+
+const simple = (s) => `+${s}\r\n`;
+const error = (s) => `-ERR ${s}\r\n`;
+const int = (n) => `:${n}\r\n`;
+const bulk = (s) => (s === null || s === undefined ? '$-1\r\n' : `$${Buffer.byteLength(String(s))}\r\n${s}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.map(bulk).join('')}`;
+
+export function startRespStandin(port = 6390, { log = true } = {}) {
+  const strings = new Map();    // key → { value, expiresAt }
+  const hashes = new Map();     // key → Map
+  const subscribers = new Map(); // channel → Set<socket>
+
+  const getString = (key) => {
+    const entry = strings.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const scripts = {
+    [RELEASE_LOCK_SCRIPT]: ([key], [token]) => {
+      if (getString(key)?.value !== token) return 0;
+      strings.delete(key);
+      return 1;
+    },
+    [EXTEND_LOCK_SCRIPT]: ([key], [token, ttl]) => {
+      const entry = getString(key);
+      if (entry?.value !== token) return 0;
+      entry.expiresAt = Date.now() + Number(ttl);
+      return 1;
+    },
+  };
+
+  const run = (socket, [name, ...args]) => {
+    switch (String(name).toUpperCase()) {
+      case 'PING':   return simple('PONG');
+      case 'AUTH':
+      case 'SELECT': return simple('OK');
+      case 'QUIT':   socket.end(simple('OK')); return null;
+
+      case 'GET':    return bulk(getString(args[0])?.value ?? null);
+      case 'SET': {
+        const [key, value, ...opts] = args;
+        const upper = opts.map((o) => String(o).toUpperCase());
+        if (upper.includes('NX') && getString(key)) return bulk(null);
+        const px = upper.indexOf('PX');
+        const ex = upper.indexOf('EX');
+        const ttl = px !== -1 ? Number(opts[px + 1]) : ex !== -1 ? Number(opts[ex + 1]) * 1000 : 0;
+        strings.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+        return simple('OK');
+      }
+      case 'DEL':
+        return int(args.reduce((n, key) => n + (strings.delete(key) || hashes.delete(key) ? 1 : 0), 0));
+
+      case 'HSET': {
+        const [key, ...pairs] = args;
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+          if (!hashes.get(key).has(pairs[i])) added++;
+          hashes.get(key).set(pairs[i], pairs[i + 1]);
+        }
+        return int(added);
+      }
+      case 'HGET':   return bulk(hashes.get(args[0])?.get(args[1]) ?? null);
+      case 'HDEL': {
+        const map = hashes.get(args[0]);
+        const removed = args.slice(1).filter((f) => map?.delete(f)).length;
+        if (map && !map.size) hashes.delete(args[0]);
+        return int(removed);
+      }
+      case 'HGETALL':
+        return array([...(hashes.get(args[0]) || [])].flat());
+
+      case 'PUBLISH': {
+        const [channel, message] = args;
+        const targets = subscribers.get(channel) || new Set();
+        for (const target of targets) target.write(array(['message', channel, message]));
+        return int(targets.size);
+      }
+      case 'SUBSCRIBE':
+      case 'UNSUBSCRIBE': {
+        const subscribing = String(name).toUpperCase() === 'SUBSCRIBE';
+        let out = '';
+        for (const channel of args) {
+          if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+          if (subscribing) {
+            socket.channels.add(channel);
+            subscribers.get(channel).add(socket);
+          } else {
+            socket.channels.delete(channel);
+            subscribers.get(channel).delete(socket);
+          }
+          out += `*3\r\n${bulk(subscribing ? 'subscribe' : 'unsubscribe')}${bulk(channel)}${int(socket.channels.size)}`;
+        }
+        return out;
+      }
+
+      case 'EVAL': {
+        const [script, numKeys, ...rest] = args;
+        const fn = scripts[script];
+        if (!fn) return error('stand-in only runs the realtime lock scripts');
+        const n = Number(numKeys);
+        return int(fn(rest.slice(0, n), rest.slice(n)));
+      }
+
+      default:
+        return error(`unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    socket.channels = new Set();
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      for (;;) {
+        const parsed = parseReply(buffer, offset);
+        if (!parsed) break;
+        offset = parsed.offset;
+        const reply = run(socket, parsed.value);
+        if (reply) socket.write(reply);
+      }
+      buffer = buffer.subarray(offset);
+    });
+
+    const drop = () => {
+      for (const channel of socket.channels) subscribers.get(channel)?.delete(socket);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      if (log) console.log(`🧪 RESP stand-in listening on redis://127.0.0.1:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startRespStandin(Number(process.argv[2]) || 6390);
+}
@@ -1,5 +1,6 @@
 import http from "k6/http";
 import { check, sleep } from "k6";
+import { quoteShortTrip } from "./k6FareQuote.js";
 
 export const options = {
   vus: 7,
@@ -14,15 +15,16 @@ export default function () {
   // STEP 1 — CREATE TRIP
   // -----------------------
 
+  const trip = {
+    customerId: "68e24aea3b861586df2d728e",
+    pickup: { coordinates: [78.4937, 17.391], address: "Test Pickup" },
+    drop: { coordinates: [78.4938, 17.3912], address: "Test Drop" },
+    vehicleType: "bike",
+  };
+
   const createRes = http.post(
     `${BASE}/api/trip/short`,
-    JSON.stringify({
-      customerId: "68e24aea3b861586df2d728e",
-      pickup: { coordinates: [78.4937, 17.391], address: "Test Pickup" },
-      drop: { coordinates: [78.4938, 17.3912], address: "Test Drop" },
-      vehicleType: "bike",
-      fare: 50
-    }),
+    JSON.stringify({ ...trip, quoteId: quoteShortTrip(BASE, trip) }),
     { headers: { "Content-Type": "application/json" } }
   );
 
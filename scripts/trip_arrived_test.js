@@ -1,5 +1,6 @@
 import http from "k6/http";
 import { check, sleep } from "k6";
+import { quoteShortTrip } from "./k6FareQuote.js";
 
 export const options = {
   vus: 10,
@@ -21,7 +22,7 @@ export default function () {
 
   // STEP 1 — Create a short trip (same as before)
   if (!tripId) {
-    const payload = JSON.stringify({
+    const trip = {
       customerId: "68e24aea3b861586df2d728e",
       pickup: {
         coordinates: [78.4937, 17.391],
@@ -32,8 +33,8 @@ export default function () {
         address: "Test Drop",
       },
       vehicleType: "bike",
-      fare: 50,
-    });
+    };
+    const payload = JSON.stringify({ ...trip, quoteId: quoteShortTrip(BASE_URL, trip) });
 
     const res = http.post(`${BASE_URL}/api/trip/short`, payload, {
       headers: { "Content-Type": "application/json" },
@@ -1,18 +1,20 @@
 import http from "k6/http";
 import { check, sleep } from "k6";
+import { quoteShortTrip } from "./k6FareQuote.js";
 
 export const options = {
   vus: 30,          // 30 customers creating trips
   duration: "20s",  // test for 20 seconds
 };
 
-const URL = "http://192.168.1.70:5002/api/trip/short";
+const BASE = "http://192.168.1.70:5002";
+const URL = `${BASE}/api/trip/short`;
 
 export default function () {
   const lat = 17.385 + Math.random() * 0.005;
   const lng = 78.4867 + Math.random() * 0.005;
 
-  const payload = JSON.stringify({
+  const trip = {
     customerId: "68e24aea3b861586df2d728e", // your test customer
     pickup: { 
       coordinates: [lng, lat], 
@@ -23,8 +25,8 @@ export default function () {
       address: "Load Test Drop"
     },
     vehicleType: "bike",
-    fare: 60
-  });
+  };
+  const payload = JSON.stringify({ ...trip, quoteId: quoteShortTrip(BASE, trip) });
 
   const params = {
     headers: { "Content-Type": "application/json" }
@@ -1,16 +1,18 @@
 import http from "k6/http";
 import { check, sleep } from "k6";
+import { quoteShortTrip } from "./k6FareQuote.js";
 
 export const options = {
     vus: 10,
     duration: "30s",
 };
 
-const URL = "https://ghumobackend.onrender.com/api/trip/short";
+const BASE = "https://ghumobackend.onrender.com";
+const URL = `${BASE}/api/trip/short`;
 
 export default function () {
 
-    const payload = JSON.stringify({
+    const trip = {
         type: "short",
         customerId: "68e24aea3b861586df2d728e",
 
@@ -24,8 +26,12 @@ export default function () {
             address: "Kukatpally"
         },
 
-        fare: 50,  // required
         vehicleType: "bike"   // ✅ NEW required field
+    };
+
+    const payload = JSON.stringify({
+        ...trip,
+        quoteId: quoteShortTrip(BASE, trip),  // required — signed fare from /api/fares/calc
     });
 
     const params = {
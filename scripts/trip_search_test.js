@@ -1,24 +1,26 @@
 import http from "k6/http";
 import { check, sleep } from "k6";
+import { quoteShortTrip } from "./k6FareQuote.js";
 
 export const options = {
   vus: 50,           // 50 customers requesting trips
   duration: "30s",   // for 30 seconds
 };
 
-const URL = "http://192.168.1.70:5002/api/trip/short";   // ✅ correct path
+const BASE = "http://192.168.1.70:5002";
+const URL = `${BASE}/api/trip/short`;   // ✅ correct path
 
 export default function () {
   const lat = 17.385 + Math.random() * 0.01;
   const lng = 78.4867 + Math.random() * 0.01;
 
-  const payload = JSON.stringify({
+  const trip = {
     customerId: "68e24aea3b861586df2d728e",
     pickup: { coordinates: [lng, lat], address: "Test Pickup" },
     drop: { coordinates: [lng + 0.005, lat + 0.005], address: "Test Drop" },
     vehicleType: "bike",
-    fare: 50
-  });
+  };
+  const payload = JSON.stringify({ ...trip, quoteId: quoteShortTrip(BASE, trip) });
 
   const params = {
     headers: { "Content-Type": "application/json" }
@@ -0,0 +1,78 @@
+// wallet_settle_retry_test.js
+// Customer-wallet settlement (tripController → settleWithCustomerWallet):
+// a retry after an earlier attempt already took the debit must give it
+// back when settlement fails, and two concurrent runs must debit once.
+//
+//   MONGO_URI=... node scripts/wallet_settle_retry_test.js   (see scripts/moneyFixtures.js)
+
+import Trip from '../src/models/Trip.js';
+import Wallet from '../src/models/Wallet.js';
+import CustomerWallet from '../src/models/CustomerWallet.js';
+import { settleWithCustomerWallet } from '../src/controllers/tripController.js';
+import { debitForTrip, creditRefund } from '../src/services/customerWalletService.js';
+import { run, check, makeCustomer, makeDriver, makeTrip } from './moneyFixtures.js';
+
+// Settlement failure on demand: the driver-wallet write inside the transaction throws
+let failSettlement = false;
+const realFindOneAndUpdate = Wallet.findOneAndUpdate;
+Wallet.findOneAndUpdate = function (...args) {
+  if (failSettlement) throw new Error('simulated settlement failure');
+  return realFindOneAndUpdate.apply(this, args);
+};
+
+const walletTrip = (customer, driver) =>
+  makeTrip({ customer, driver, status: 'awaiting_payment', finalFare: 100, payment: { method: 'Wallet' } });
+
+const customerWallet = (customer) => CustomerWallet.findOne({ customerId: customer._id }).lean();
+
+run(async () => {
+  const customer = await makeCustomer();
+  const driver = await makeDriver();
+  await CustomerWallet.create({ customerId: customer._id, balance: 500 });
+
+  // ─── Retry after the debit was already taken ─────────────
+  const trip = await walletTrip(customer, driver);
+  const refKey = `wallet_settle_${trip._id}`;
+
+  const first = await debitForTrip({ customerId: customer._id, tripId: trip._id, amount: 100 });
+  check('earlier attempt took the debit', first.paid === true && !first.alreadyPaid);
+
+  failSettlement = true;
+  const retry = await settleWithCustomerWallet(trip._id, null);
+  failSettlement = false;
+  check('failed retry falls back to cash', retry.settled === false && retry.fallback === true);
+
+  let wallet = await customerWallet(customer);
+  check('debit from the earlier attempt is given back', wallet.balance === 500);
+  check('exactly one reversal', wallet.transactions.filter((t) => t.refKey === refKey).length === 1);
+
+  const handedBack = await Trip.findById(trip._id).select('payment paymentCollected').lean();
+  check('trip handed back to cash', handedBack.payment.method === 'Cash' && !handedBack.paymentCollected);
+
+  const again = await creditRefund({ customerId: customer._id, tripId: trip._id, amount: 100, refKey });
+  wallet = await customerWallet(customer);
+  check('reversal is idempotent on its refKey', again.alreadyProcessed === true && wallet.balance === 500);
+
+  const cashRetry = await settleWithCustomerWallet(trip._id, null);
+  check('trip on cash is not settled from the wallet again', cashRetry.settled === false);
+
+  // ─── Two runs at once ────────────────────────────────────
+  const trip2 = await walletTrip(customer, driver);
+  const results = await Promise.all([
+    settleWithCustomerWallet(trip2._id, null),
+    settleWithCustomerWallet(trip2._id, null),
+  ]);
+  check('exactly one run settles', results.filter((r) => r.settled).length === 1);
+
+  wallet = await customerWallet(customer);
+  const forTrip2 = wallet.transactions.filter((t) => String(t.tripId) === String(trip2._id));
+  check('customer debited once', wallet.balance === 400 && forTrip2.filter((t) => t.type === 'ride_payment').length === 1);
+  check('the winning debit is not reversed', forTrip2.every((t) => t.type !== 'refund'));
+
+  const paid = await Trip.findById(trip2._id).select('paymentCollected paymentMethod').lean();
+  check('trip paid from the wallet', paid.paymentCollected === true && paid.paymentMethod === 'wallet');
+
+  const driverWallet = await Wallet.findOne({ driverId: driver._id }).lean();
+  const credits = driverWallet.transactions.filter((t) => String(t.tripId) === String(trip2._id) && t.type === 'credit');
+  check('driver credited once', credits.length === 1);
+});
@@ -1,7 +1,201 @@
 // src/config/tripConfig.js
-export const TRIP_LIMITS = {
-  SHORT: 5000,
-  PARCEL: 5000,
-  LONG_SAME_DAY: 20000,
-  LONG_ADVANCE: 50000,
-};
\ No newline at end of file
+// 💰 Floor for a discounted fare (coin discount at booking and on re-pricing)
+export const MINIMUM_FARE = 5;
+
+// 🛵 Average city speed per vehicle (km/h) for local ETA estimates
+export const VEHICLE_SPEED_KMPH = { bike: 22, auto: 18, car: 20, premium: 20, xl: 20 };
+
+// 🔒 Max time one accept may hold the per-trip accept lock (REST + socket)
+export const TRIP_ACCEPT_LOCK_TTL_MS = 15000;
+
+// 📡 Progressive broadcast — hard default when no BroadcastSetting exists
+// for the trip's city + vehicle type (admins override per city/vehicle).
+export const BROADCAST_DEFAULTS = {
+  PHASES: [
+    { radiusM: 2000, waitSec: 15 },
+    { radiusM: 3000, waitSec: 15 },
+    { radiusM: 5000, waitSec: 15 },
+  ],
+  ATTEMPTS_PER_PHASE: 2,        // 1 = no retry round within a phase
+  SEARCH_TIMEOUT_SEC: 90,       // Trip → 'timeout' when nobody accepted by then
+};
+
+// ⏰ Scheduled ("ride later") bookings — minutes unless stated otherwise.
+// Lead time is env-overridable so ops can tune dispatch without a code change.
+export const SCHEDULED_TRIP_CONFIG = {
+  DISPATCH_LEAD_MIN: Number(process.env.SCHEDULED_DISPATCH_LEAD_MIN) || 15,
+  REMINDER_LEAD_MIN: Number(process.env.SCHEDULED_REMINDER_LEAD_MIN) || 60,
+  MIN_ADVANCE_MIN:   30,
+  MAX_ADVANCE_DAYS:  7,
+  // Trips still not dispatched this long after pickup time are cancelled
+  MISSED_GRACE_MIN:  30,
+};
+
+// 🛑 Multi-stop short trips — intermediate stops between pickup and drop
+export const MULTI_STOP_CONFIG = {
+  MAX_STOPS: 3,
+};
+
+// ⏱️ Waiting at pickup — used when the Rate card has no waiting fields.
+// Meter runs from driver_at_pickup until the ride starts.
+export const WAITING_CHARGE_CONFIG = {
+  TICK_SEC: 30,                 // Live meter push interval to the customer app
+  FALLBACK: {
+    bike:    { freeWaitingMin: 3, waitingChargePerMin: 1 },
+    auto:    { freeWaitingMin: 3, waitingChargePerMin: 1.5 },
+    car:     { freeWaitingMin: 5, waitingChargePerMin: 2 },
+    premium: { freeWaitingMin: 5, waitingChargePerMin: 2.5 },
+    xl:      { freeWaitingMin: 5, waitingChargePerMin: 3 },
+  },
+};
+
+// 🛰️ In-trip GPS trail — jitter filter + when the fare follows the driven distance
+export const TRIP_TRAIL_CONFIG = {
+  MIN_MOVE_M:          15,    // Smaller hops are GPS noise; wait for a real move
+  MAX_ACCURACY_M:      50,    // Points the device reports as less accurate are dropped
+  MAX_SPEED_KMPH:      150,   // Faster than this between two points = a GPS jump
+  MAX_POINTS:          5000,  // Stop storing points past this (distance keeps counting)
+  MIN_POINTS_FOR_FARE: 5,     // Too sparse a trail never changes the fare
+  // Re-price when |actual − estimated| exceeds the larger of these two
+  FARE_TOLERANCE_PCT:  Number(process.env.TRAIL_FARE_TOLERANCE_PCT) || 15,
+  FARE_TOLERANCE_KM:   Number(process.env.TRAIL_FARE_TOLERANCE_KM)  || 1,
+  RECALC_TRIP_TYPES:   ['short', 'parcel'],
+};
+
+// 🛡️ Safety monitor on rides in progress — "Are you safe?" then SOS
+export const SAFETY_MONITOR_CONFIG = {
+  TICK_SEC:              30,
+  // Route corridor around pickup → stops → drop (straight legs, so generous)
+  CORRIDOR_M:            1500,
+  CORRIDOR_PCT:          25,    // …or this % of the direct trip length, whichever is larger
+  DEVIATION_POINTS:      3,     // Consecutive trail points outside the corridor
+  STOP_MIN:              10,    // Stationary this long away from the drop
+  STOP_RADIUS_M:         150,
+  DROP_RADIUS_M:         500,
+  HEARTBEAT_TIMEOUT_MIN: 5,     // No driver:heartbeat for this long
+  RESPONSE_SEC:          120,   // Unanswered check → SOS
+  SNOOZE_MIN:            15,    // "I'm safe" silences the monitor for this trip
+  SOS_TRAIL_POINTS:      100,   // Matches SosAlert.locationHistory cap
+};
+
+// 🔗 Live trip sharing with trusted contacts (signed read-only links)
+export const TRIP_SHARE_CONFIG = {
+  TOKEN_TTL_HOURS:     Number(process.env.TRIP_SHARE_TTL_HOURS) || 12,  // Ending the trip expires it sooner
+  MAX_SHARES_PER_TRIP: 10,
+  NIGHT_START_HOUR:    22,    // Auto-share window (Asia/Kolkata)
+  NIGHT_END_HOUR:      6,
+  ROAD_FACTOR:         1.3,   // Straight-line → road distance for the ETA (VEHICLE_SPEED_KMPH)
+};
+
+// 📞 Number masking — per-trip proxy session, callable only while the trip is live
+export const CALL_MASKING_CONFIG = {
+  // Off → payloads carry the real numbers and no sessions are opened
+  ENABLED:           process.env.CALL_MASKING_ENABLED === 'true',
+  SESSION_TTL_HOURS: 6,         // Hard stop even if the trip is never closed
+  CALLABLE_STATUSES: ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup', 'ride_started'],
+  MAX_CALL_LOGS:     50,
+  SWEEP_MIN:         5,         // Close provider sessions of finished trips
+};
+
+// 📍 Customer saved places + recent pickups / drops from completed trips
+export const SAVED_PLACES_CONFIG = {
+  MAX_SAVED_PLACES:     20,
+  CELL_DECIMALS:        3,      // ~110 m grid — trips ending in one cell are one place
+  RECENT_LOOKBACK_DAYS: 30,     // Completed trips the sweep still picks up
+  RECENT_LIMIT:         10,
+  SUGGESTION_LIMIT:     5,
+  EXCLUDE_NEARBY_M:     300,    // Don't suggest where the customer already is
+  SAVED_MATCH_M:        150,    // A recent drop this close to a saved place is that place
+  RECENCY_DAYS:         30,     // Recency weight decays over this many days
+  SWEEP_MIN:            5,
+};
+
+// 🧾 Signed fare quotes — createFare issues them, trip creation must present one
+export const FARE_QUOTE_CONFIG = {
+  TTL_MIN:        Number(process.env.FARE_QUOTE_TTL_MIN) || 10,
+  MATCH_RADIUS_M: 100,          // Booked pickup / drop / stops may sit this far from the quoted ones
+};
+
+// 📈 Dynamic surge — per zone + vehicle type, from open demand vs idle drivers
+export const SURGE_CONFIG = {
+  TICK_SEC:                 60,
+  VEHICLE_TYPES:            ['bike', 'auto', 'car', 'premium', 'xl'],
+  OPEN_REQUEST_MAX_AGE_MIN: 15,     // Older `requested` trips are stuck, not demand
+  TIMEOUT_LOOKBACK_MIN:     15,     // Timeouts this recent count as unmet demand
+  TIMEOUT_WEIGHT:           0.5,    // ...at this weight each
+  DRIVER_FRESH_SEC:         180,    // Idle drivers need a location fix this recent
+  RATIO_THRESHOLD:          1,      // demand / idle drivers at or below this → no surge
+  SENSITIVITY:              0.25,   // Multiplier added per unit of ratio above the threshold
+  MAX_MULTIPLIER:           Number(process.env.SURGE_MAX_MULTIPLIER) || 2,
+  SMOOTHING:                0.3,    // Weight of the new reading (EMA) — damps minute-to-minute swings
+  STEP:                     0.05,   // Multipliers are rounded to this
+  STALE_AFTER_SEC:          300,    // Readings the engine stopped refreshing count as no surge
+  OVERRIDE_MAX:             5,      // Same ceiling as Rate.manualSurge
+  HISTORY_RETENTION_DAYS:   90,
+};
+
+// 👛 Customer prepaid wallet (separate from driver earnings wallets)
+export const CUSTOMER_WALLET_CONFIG = {
+  MIN_TOPUP:         50,
+  MAX_TOPUP:         10000,
+  MAX_BALANCE:       20000,     // Top-ups that would go past this are refused
+  LOW_BALANCE_ALERT: 100,       // `lowBalance` flag on the wallet summary
+  HISTORY_LIMIT:     50,
+};
+
+// ↩️ Refunds of online / wallet trip payments (services/refundService.js)
+export const REFUND_CONFIG = {
+  SPEED:           'normal',    // Razorpay refund speed — 'optimum' tries instant, costs extra
+  REASONS:         ['trip_cancelled', 'fare_adjusted', 'dispute', 'other'],
+  MIN_AMOUNT:      1,           // Razorpay rejects refunds under ₹1
+  LIST_LIMIT:      50,
+};
+
+// 📒 Driver wallet ledger + nightly reconciliation (services/ledgerService.js)
+export const LEDGER_CONFIG = {
+  RECONCILE_CRON:  '30 2 * * *',   // 02:30 IST, after the day's payouts settle
+  TOLERANCE:       0.01,           // ₹ — rounding noise below this is not a mismatch
+  MAX_REPORTED:    1000,           // Mismatches stored per run (count is always exact)
+  RECHECK_DELAY_MS: 1000,          // Pause before re-reading a wallet that looked off
+  ENTRIES_LIMIT:   50,
+};
+
+// 🧾 Gateway reconciliation — Razorpay payments / payouts vs our records
+export const GATEWAY_RECON_CONFIG = {
+  CRON:            '0 4 * * *',    // 04:00 IST, checks the previous IST day
+  SETTLE_LAG_MIN:  30,             // Gateway items younger than this are left for the next run
+  PAGE_SIZE:       100,            // Razorpay list API maximum
+  MAX_PAGES:       100,            // Per entity per run — 10k items
+  TOLERANCE:       0.01,           // ₹
+  MAX_FILE_BYTES:  5 * 1024 * 1024,
+  LIST_LIMIT:      50,
+};
+
+// 🧾 GST tax invoices — customer ride invoices + monthly driver commission invoices
+// INVOICE_GSTINS is JSON, state → GSTIN: {"telangana":"36ABCDE1234F1Z5"}. A
+// state without its own registration is billed from HOME_STATE (IGST).
+export const INVOICE_CONFIG = {
+  LEGAL_NAME:             process.env.INVOICE_LEGAL_NAME || 'Go India',
+  ADDRESS:                process.env.INVOICE_ADDRESS || '',
+  HOME_STATE:             process.env.INVOICE_HOME_STATE || 'telangana',
+  GSTINS:                 process.env.INVOICE_GSTINS || '{}',
+  RIDE_SAC:               '996412',   // Passenger transport by taxi / ride-hailing
+  PARCEL_SAC:             '996812',   // Local delivery services
+  COMMISSION_SAC:         '998599',   // Other support services
+  COMMISSION_GST_PERCENT: 18,         // Commission deducted is treated as GST-inclusive
+  ISSUE_SWEEP_MIN:        5,          // Completed trips get their invoice within this
+  ISSUE_LOOKBACK_DAYS:    7,          // Older uninvoiced trips are only invoiced on request
+  ISSUE_BATCH:            200,
+  MAX_EMAILS:             5,          // Per invoice
+  COMMISSION_CRON:        '0 5 1 * *',   // 05:00 IST on the 1st, for the month just closed
+  LIST_LIMIT:             50,
+};
+
+// 🚫 Cash-commission debt ceiling (services/commissionDebtService.js)
+// The hard limit comes from the driver's active plan, else CommissionSetting
+// for their vehicle type, else DEFAULT_LIMIT. Above it the driver can't go
+// online and isn't offered trips until the commission is paid down.
+export const COMMISSION_DEBT_CONFIG = {
+  DEFAULT_LIMIT:   50,          // ₹ owed
+  WARN_AT_PERCENT: [50, 80],    // Soft thresholds — the driver is warned as debt crosses each
+};
@@ -9,6 +9,7 @@ import { fileURLToPath } from 'url';
 import { execFileSync } from "child_process";
 
 import Trip from "../models/Trip.js";
+import { canTransition, recordTripEvent, getTripTimeline } from "../services/tripEventService.js";
 import User from "../models/User.js"; 
 import Rate from "../models/Rate.js";
 import DriverDoc from "../models/DriverDoc.js";
@@ -602,6 +603,45 @@ export const getAllTrips = async (req, res) => {
   }
 };
 
+// GET /api/admin/trips/scheduled?from=&to=&vehicleType=
+// Upcoming ride-later bookings that have not been dispatched yet.
+export const getScheduledTrips = async (req, res) => {
+  try {
+    const { from, to, vehicleType } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = { status: "scheduled" };
+    if (vehicleType) filter.vehicleType = String(vehicleType).toLowerCase();
+    if (from || to) {
+      filter.scheduledAt = {};
+      if (from) filter.scheduledAt.$gte = new Date(from);
+      if (to) filter.scheduledAt.$lte = new Date(to);
+    }
+
+    const [trips, total] = await Promise.all([
+      Trip.find(filter)
+        .populate("customerId", "name phone")
+        .sort({ scheduledAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Trip.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Scheduled trips fetched successfully",
+      total,
+      page,
+      limit,
+      trips,
+    });
+  } catch (err) {
+    console.error("❌ Error fetching scheduled trips:", err);
+    res.status(500).json({ message: "Server error while fetching scheduled trips." });
+  }
+};
+
 export const getTripDetails = async (req, res) => {
   try {
     const { tripId } = req.params;
@@ -684,10 +724,27 @@ export const manualAssignDriver = async (req, res) => {
       return res.status(404).json({ message: "Driver not found or invalid" });
     }
 
+    if (trip.status === "driver_assigned" && trip.assignedDriver?.toString() === driverId) {
+      return res.status(400).json({ message: "Driver already assigned to this trip" });
+    }
+
+    const previousStatus = trip.status;
     trip.assignedDriver = driverId;
-    trip.status = "assigned";
+    trip.status = "driver_assigned";
+    trip.acceptedAt = new Date();
+    trip.version += 1;
     await trip.save();
 
+    await recordTripEvent({
+      tripId: trip._id,
+      from: previousStatus,
+      to: "driver_assigned",
+      forced: !canTransition(previousStatus, "driver_assigned"),
+      actor: { role: "admin", label: req.admin?.email || "admin" },
+      source: "admin",
+      metadata: { driverId, action: "manual_assign" },
+    });
+
     if (driver.fcmToken) {
       await sendFCMNotification({
         userId: driver._id,
@@ -706,15 +763,38 @@ export const manualAssignDriver = async (req, res) => {
   }
 };
 
+// Admin overrides may step outside the trip state machine; the timeline
+// records them with forced: true so disputes can tell them apart.
+const adminSetTripStatus = async (req, tripId, next, extra = {}) => {
+  const trip = await Trip.findById(tripId);
+  if (!trip) return { error: 404, message: "Trip not found" };
+  if (trip.status === next) return { error: 400, message: `Trip is already ${next}` };
+
+  const previousStatus = trip.status;
+  trip.set({ status: next, ...extra });
+  trip.version += 1;
+  await trip.save();
+
+  await recordTripEvent({
+    tripId: trip._id,
+    from: previousStatus,
+    to: next,
+    forced: !canTransition(previousStatus, next),
+    actor: { role: "admin", label: req.admin?.email || "admin" },
+    source: "admin",
+    metadata: { reason: req.body?.reason || null },
+  });
+
+  return { trip };
+};
+
 export const markTripCompleted = async (req, res) => {
   try {
     const { tripId } = req.params;
-    const trip = await Trip.findByIdAndUpdate(
-      tripId,
-      { status: "completed" },
-      { new: true }
-    );
-    if (!trip) return res.status(404).json({ message: "Trip not found" });
+    const { trip, error, message } = await adminSetTripStatus(req, tripId, "completed", {
+      completedAt: new Date(),
+    });
+    if (error) return res.status(error).json({ message });
     res.status(200).json({ message: "Trip marked as completed", trip });
   } catch (err) {
     console.error("❌ Error marking trip completed:", err);
@@ -725,12 +805,11 @@ export const markTripCompleted = async (req, res) => {
 export const cancelTrip = async (req, res) => {
   try {
     const { tripId } = req.params;
-    const trip = await Trip.findByIdAndUpdate(
-      tripId,
-      { status: "cancelled" },
-      { new: true }
-    );
-    if (!trip) return res.status(404).json({ message: "Trip not found" });
+    const { trip, error, message } = await adminSetTripStatus(req, tripId, "cancelled", {
+      cancelledAt: new Date(),
+      cancellationReason: req.body?.reason || "admin_cancelled",
+    });
+    if (error) return res.status(error).json({ message });
     res.status(200).json({ message: "Trip cancelled successfully", trip });
   } catch (err) {
     console.error("❌ Error cancelling trip:", err);
@@ -2715,3 +2794,348 @@ export const adminUpdateDriverVehicleType = async (req, res) => {
     });
   }
 };
+
+// ======================================================================
+// 💸 CANCELLATION FEE POLICY + WAIVERS
+// ======================================================================
+import CancellationPolicy from "../models/CancellationPolicy.js";
+import { waiveCancellationFee as waiveFee } from "../services/cancellationFeeService.js";
+
+const CANCELLATION_POLICY_FIELDS = [
+  "isEnabled",
+  "graceWindowSec",
+  "feeGoingToPickup",
+  "feeAtPickup",
+  "driverSharePercent",
+  "repeatCancelThreshold",
+  "repeatCancelWindowHours",
+];
+
+// GET /api/admin/cancellation-policies
+export const getCancellationPolicies = async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.find({})
+      .sort({ vehicleType: 1, city: 1 })
+      .lean();
+    res.status(200).json({ success: true, data: policies, count: policies.length });
+  } catch (err) {
+    console.error("❌ getCancellationPolicies error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching cancellation policies" });
+  }
+};
+
+// PUT /api/admin/cancellation-policies
+// Body: { vehicleType ('all' allowed), city? ('all' default), ...policy fields }
+export const upsertCancellationPolicy = async (req, res) => {
+  try {
+    const { vehicleType, city = "all", changeNote } = req.body;
+    if (!vehicleType) {
+      return res.status(400).json({ success: false, message: "vehicleType is required" });
+    }
+
+    const updates = {};
+    for (const field of CANCELLATION_POLICY_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { vehicleType, city: city.toLowerCase() },
+      {
+        ...updates,
+        city: city.toLowerCase(),
+        updatedByAdmin: req.admin?.email || "admin",
+        changeNote: changeNote || `Updated ${new Date().toISOString()}`,
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    console.log(`✅ Cancellation policy saved: ${vehicleType}/${city}`);
+    res.status(200).json({ success: true, message: "Cancellation policy saved", data: policy });
+  } catch (err) {
+    console.error("❌ upsertCancellationPolicy error:", err);
+    res.status(500).json({ success: false, message: "Server error while saving cancellation policy", error: err.message });
+  }
+};
+
+// GET /api/admin/cancellation-fees?status=pending|charged|waived&customerId=
+export const getCancellationFees = async (req, res) => {
+  try {
+    const { status, customerId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = { "cancellationFee.status": status || { $ne: "none" } };
+    if (customerId) filter.customerId = customerId;
+
+    const [trips, total] = await Promise.all([
+      Trip.find(filter)
+        .select("customerId assignedDriver vehicleType status cancelledAt cancellationReason cancellationFee")
+        .populate("customerId", "name phone")
+        .populate("assignedDriver", "name phone")
+        .sort({ cancelledAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Trip.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ success: true, trips, total, page, limit });
+  } catch (err) {
+    console.error("❌ getCancellationFees error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching cancellation fees" });
+  }
+};
+
+// POST /api/admin/trip/:tripId/cancellation-fee/waive
+// Body: { reason? } — driver compensation already paid is NOT clawed back
+export const waiveCancellationFee = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+
+    const trip = await waiveFee(tripId, {
+      waivedBy: req.admin?.email || "admin",
+      reason: req.body.reason,
+    });
+
+    if (!trip) {
+      return res.status(400).json({
+        success: false,
+        message: "No waivable fee on this trip (none, already charged or already waived)",
+      });
+    }
+
+    console.log(`✅ Cancellation fee waived on trip ${tripId}`);
+    res.status(200).json({
+      success: true,
+      message: `Cancellation fee of ₹${trip.cancellationFee.amount} waived`,
+      cancellationFee: trip.cancellationFee,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error("❌ waiveCancellationFee error:", err);
+    res.status(500).json({ success: false, message: "Server error while waiving fee" });
+  }
+};
+
+// ======================================================================
+// 🎯 DISPATCH SCORING (per-city weights + decision logs)
+// ======================================================================
+import DispatchSetting from "../models/DispatchSetting.js";
+import DispatchLog from "../models/DispatchLog.js";
+
+const DISPATCH_WEIGHT_KEYS = ["eta", "acceptance", "cancellation", "rating", "idle", "destination"];
+
+// GET /api/admin/dispatch/settings
+export const getDispatchSettings = async (req, res) => {
+  try {
+    const settings = await DispatchSetting.find({}).sort({ city: 1 }).lean();
+    const global = await DispatchSetting.getForCity("all");
+    res.status(200).json({ success: true, data: settings, effectiveGlobal: global });
+  } catch (err) {
+    console.error("❌ getDispatchSettings error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching dispatch settings" });
+  }
+};
+
+// PUT /api/admin/dispatch/settings
+// Body: { city ('all' default), weights: { eta, acceptance, ... }, maxEtaMin?, idleCapMin?, destinationRadiusM?, batchSize?, batchWindowSec?, isActive?, changeNote? }
+export const upsertDispatchSetting = async (req, res) => {
+  try {
+    const { city = "all", weights = {}, changeNote } = req.body;
+
+    const updates = {};
+    for (const key of DISPATCH_WEIGHT_KEYS) {
+      if (weights[key] === undefined) continue;
+      const value = Number(weights[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ success: false, message: `weights.${key} must be a number ≥ 0` });
+      }
+      updates[`weights.${key}`] = value;
+    }
+    for (const field of ["maxEtaMin", "idleCapMin", "destinationRadiusM", "batchSize", "batchWindowSec", "isActive"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const setting = await DispatchSetting.findOneAndUpdate(
+      { city: city.toLowerCase() },
+      {
+        $set: {
+          ...updates,
+          updatedByAdmin: req.admin?.email || "admin",
+          changeNote: changeNote || `Updated ${new Date().toISOString()}`,
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const totalWeight = DISPATCH_WEIGHT_KEYS.reduce((sum, k) => sum + (setting.weights?.[k] || 0), 0);
+    if (totalWeight === 0) {
+      console.warn(`⚠️ Dispatch weights for ${city} sum to 0 — every driver will score 0`);
+    }
+
+    console.log(`✅ Dispatch setting saved for city: ${city}`);
+    res.status(200).json({ success: true, message: "Dispatch setting saved", data: setting });
+  } catch (err) {
+    console.error("❌ upsertDispatchSetting error:", err);
+    res.status(500).json({ success: false, message: "Server error while saving dispatch setting", error: err.message });
+  }
+};
+
+// GET /api/admin/dispatch/logs/:tripId?driverId=
+// Every ranking decision for a trip, optionally narrowed to one driver
+export const getTripDispatchLogs = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { driverId } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+
+    const logs = await DispatchLog.find({ tripId })
+      .sort({ createdAt: 1 })
+      .populate("candidates.driverId", "name phone")
+      .lean();
+
+    const data = driverId
+      ? logs.map((log) => ({
+          ...log,
+          candidates: log.candidates.filter(
+            (c) => (c.driverId?._id || c.driverId)?.toString() === driverId
+          ),
+        }))
+      : logs;
+
+    res.status(200).json({ success: true, data, count: data.length });
+  } catch (err) {
+    console.error("❌ getTripDispatchLogs error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching dispatch logs" });
+  }
+};
+
+// ======================================================================
+// 📡 BROADCAST PHASES (per vehicle type + city)
+// ======================================================================
+import BroadcastSetting from "../models/BroadcastSetting.js";
+
+// GET /api/admin/broadcast/settings
+export const getBroadcastSettings = async (req, res) => {
+  try {
+    const settings = await BroadcastSetting.find({}).sort({ vehicleType: 1, city: 1 }).lean();
+    const global = await BroadcastSetting.getForVehicle("all", "all");
+    res.status(200).json({ success: true, data: settings, effectiveGlobal: global });
+  } catch (err) {
+    console.error("❌ getBroadcastSettings error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching broadcast settings" });
+  }
+};
+
+// PUT /api/admin/broadcast/settings
+// Body: { vehicleType, city ('all' default), phases?: [{ radiusM, waitSec }], attemptsPerPhase?, searchTimeoutSec?, isActive?, changeNote? }
+export const upsertBroadcastSetting = async (req, res) => {
+  try {
+    const { vehicleType, city = "all", phases, changeNote } = req.body;
+    if (!vehicleType) {
+      return res.status(400).json({ success: false, message: "vehicleType is required" });
+    }
+
+    const updates = {};
+    if (phases !== undefined) {
+      if (!Array.isArray(phases) || phases.length === 0) {
+        return res.status(400).json({ success: false, message: "phases must be a non-empty array" });
+      }
+      const cleaned = phases.map((p) => ({ radiusM: Number(p?.radiusM), waitSec: Number(p?.waitSec) }));
+      const invalid = cleaned.findIndex(
+        (p, i) =>
+          !Number.isFinite(p.radiusM) || !Number.isFinite(p.waitSec) ||
+          (i > 0 && p.radiusM <= cleaned[i - 1].radiusM)
+      );
+      if (invalid !== -1) {
+        return res.status(400).json({
+          success: false,
+          message: `phases[${invalid}] needs numeric radiusM and waitSec, with radii increasing phase over phase`,
+        });
+      }
+      updates.phases = cleaned;
+    }
+    for (const field of ["attemptsPerPhase", "searchTimeoutSec", "isActive"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const setting = await BroadcastSetting.findOneAndUpdate(
+      { vehicleType, city: city.toLowerCase() },
+      {
+        $set: {
+          ...updates,
+          updatedByAdmin: req.admin?.email || "admin",
+          changeNote: changeNote || `Updated ${new Date().toISOString()}`,
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // Rounds that can never run because the search times out first
+    const scheduleSec = setting.phases.reduce((sum, p) => sum + p.waitSec * setting.attemptsPerPhase, 0);
+    if (scheduleSec > setting.searchTimeoutSec) {
+      console.warn(`⚠️ Broadcast schedule for ${vehicleType}/${city} (${scheduleSec}s) exceeds searchTimeoutSec (${setting.searchTimeoutSec}s) — later phases will be cut short`);
+    }
+
+    console.log(`✅ Broadcast setting saved: ${vehicleType}/${city}`);
+    res.status(200).json({ success: true, message: "Broadcast setting saved", data: setting });
+  } catch (err) {
+    console.error("❌ upsertBroadcastSetting error:", err);
+    res.status(500).json({ success: false, message: "Server error while saving broadcast setting", error: err.message });
+  }
+};
+
+// ======================================================================
+// 🧾 TRIP TIMELINE (dispute handling)
+// ======================================================================
+// GET /api/admin/trip/:tripId/timeline
+export const getTripTimelineForAdmin = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+
+    const trip = await Trip.findById(tripId)
+      .select("status type vehicleType customerId assignedDriver fare finalFare createdAt")
+      .populate("customerId", "name phone")
+      .populate("assignedDriver", "name phone")
+      .lean();
+    if (!trip) return res.status(404).json({ success: false, message: "Trip not found" });
+
+    const events = await getTripTimeline(tripId);
+
+    res.status(200).json({
+      success: true,
+      trip,
+      timeline: events.map((e) => ({
+        at: e.createdAt,
+        type: e.type,
+        name: e.name,
+        from: e.from,
+        to: e.to,
+        forced: e.forced,
+        source: e.source,
+        actor: {
+          role: e.actor?.role,
+          id: e.actor?.id?._id || e.actor?.id || null,
+          name: e.actor?.id?.name || e.actor?.label || null,
+          phone: e.actor?.id?.phone || null,
+        },
+        location: e.location?.lat != null ? e.location : null,
+        metadata: e.metadata,
+      })),
+      count: events.length,
+    });
+  } catch (err) {
+    console.error("❌ getTripTimelineForAdmin error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching trip timeline" });
+  }
+};
@@ -0,0 +1,67 @@
+// src/controllers/callMaskingController.js
+import crypto from "crypto";
+import { placeCall, resolveProxyCall } from "../services/callMaskingService.js";
+
+const secretMatches = (provided, expected) => {
+  const a = Buffer.from(String(provided || ""));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/* =====================================================
+   CONNECT CALL
+   POST /api/calls/connect
+
+   • Caller must be the trip's customer or assigned driver
+   • Only while the trip is assigned / heading to pickup / at pickup /
+     in progress — the provider rings the caller, then bridges to the
+     other party; neither side sees the other's number
+
+   Body: { tripId }
+   Auth: protect
+===================================================== */
+export const connectCall = async (req, res) => {
+  try {
+    const { tripId } = req.body;
+    if (!tripId) {
+      return res.status(400).json({ success: false, message: "tripId is required" });
+    }
+
+    const { statusCode, ...result } = await placeCall(tripId, req.user._id);
+    return res.status(statusCode).json(result);
+  } catch (err) {
+    console.error("❌ connectCall error:", err);
+    return res.status(500).json({ success: false, message: "Server error while connecting call" });
+  }
+};
+
+/* =====================================================
+   RESOLVE PROXY CALL  (telephony provider webhook)
+   POST /api/calls/resolve
+
+   • Someone dialled a trip's proxy number; answer with the number to
+     forward to, or refuse if the caller isn't on a live trip
+   • Authenticated by the x-call-masking-secret header
+     (CALL_MASKING_WEBHOOK_SECRET)
+
+   Body: { proxyNumber, from, callId? }
+===================================================== */
+export const resolveCall = async (req, res) => {
+  try {
+    const expected = process.env.CALL_MASKING_WEBHOOK_SECRET;
+    if (!expected) {
+      console.error("⚠️ CALL_MASKING_WEBHOOK_SECRET not set");
+      return res.status(500).json({ success: false });
+    }
+    if (!secretMatches(req.headers["x-call-masking-secret"], expected)) {
+      return res.status(401).json({ success: false, message: "Invalid secret" });
+    }
+
+    const { proxyNumber, from, callId } = req.body;
+    const result = await resolveProxyCall({ proxyNumber, fromPhone: from, callId });
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ resolveCall error:", err);
+    return res.status(500).json({ success: false, message: "Server error while resolving call" });
+  }
+};
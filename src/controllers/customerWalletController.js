@@ -0,0 +1,81 @@
+// src/controllers/customerWalletController.js
+import {
+  getCustomerWallet,
+  createTopupOrder,
+  verifyTopup,
+} from "../services/customerWalletService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+/* =====================================================
+   GET WALLET
+   GET /api/customer/wallet?type=&before=&limit=
+
+   Balance, lifetime totals and transaction history
+   (top-ups, ride payments, refunds), newest first.
+   lowBalance is true under LOW_BALANCE_ALERT.
+
+   Auth: protect
+===================================================== */
+export const getWallet = async (req, res) => {
+  try {
+    const wallet = await getCustomerWallet(req.user._id, {
+      type:   req.query.type,
+      before: req.query.before,
+      limit:  req.query.limit,
+    });
+    return res.status(200).json({ success: true, wallet });
+  } catch (err) {
+    return sendError(res, err, "getWallet");
+  }
+};
+
+/* =====================================================
+   CREATE TOP-UP ORDER
+   POST /api/customer/wallet/topup
+
+   Creates a Razorpay order; the app opens checkout with
+   it and then calls /topup/verify. The payment.captured
+   webhook credits the wallet too if the app never does.
+
+   Body: { amount }
+   Auth: protect
+===================================================== */
+export const createTopup = async (req, res) => {
+  try {
+    const order = await createTopupOrder(req.user._id, req.body?.amount);
+    return res.status(200).json({ success: true, ...order });
+  } catch (err) {
+    return sendError(res, err, "createTopup");
+  }
+};
+
+/* =====================================================
+   VERIFY TOP-UP
+   POST /api/customer/wallet/topup/verify
+
+   Body: { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+   Auth: protect
+===================================================== */
+export const verifyTopupPayment = async (req, res) => {
+  try {
+    const result = await verifyTopup(req.user._id, req.body);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Top-up order not found" });
+    }
+    return res.status(200).json({
+      success: true,
+      message: result.alreadyProcessed ? "Top-up already credited" : "Wallet topped up",
+      balance: result.balance,
+      alreadyProcessed: !!result.alreadyProcessed,
+    });
+  } catch (err) {
+    return sendError(res, err, "verifyTopupPayment");
+  }
+};
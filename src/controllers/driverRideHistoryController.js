@@ -1,6 +1,7 @@
 // controllers/driverRideHistoryController.js
 import Trip from '../models/Trip.js';
 import Driver from '../models/User.js';
+import { maskedContact } from '../services/callMaskingService.js';
 
 /**
  * Get ride history for a driver with fare breakdown
@@ -54,7 +55,7 @@ export const getDriverRideHistory = async (req, res) => {
         customer: trip.customerId ? {
           id: trip.customerId._id,
           name: trip.customerId.name,
-          phone: trip.customerId.phone,
+          ...maskedContact(trip.customerId.phone, null),   // Past trip — no live session
           photoUrl: trip.customerId.photoUrl,
         } : null,
         vehicleType: trip.vehicleType,
@@ -148,7 +149,7 @@ export const getDriverRideHistoryByDateRange = async (req, res) => {
         customer: trip.customerId ? {
           id: trip.customerId._id,
           name: trip.customerId.name,
-          phone: trip.customerId.phone,
+          ...maskedContact(trip.customerId.phone, null),   // Past trip — no live session
           photoUrl: trip.customerId.photoUrl,
         } : null,
         vehicleType: trip.vehicleType,
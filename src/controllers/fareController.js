@@ -1,15 +1,25 @@
 import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
 import Rate from "../models/Rate.js";
 import { calcFare } from "../utils/fareCalc.js";
-import { getGoogleRouteDuration } from "../utils/getGoogleRouteDuration.js";
+import { getGoogleRouteDuration, estimateStraightRoute } from "../utils/getGoogleRouteDuration.js";
+import { toRouteWaypoints } from "../utils/tripStops.js";
+import { MULTI_STOP_CONFIG } from "../config/tripConfig.js";
 import User from "../models/User.js";
 import AppSettings from "../models/AppSettings.js";
 // 🪙 Coins: preview how many coins the customer will earn for this ride
 import { calculateCoinsForRide, getCoinsConfig } from "../services/coinService.js";
+import { issueFareQuote } from "../services/fareQuoteService.js";
+import { getPickupSurge } from "../services/surgeService.js";
+
+const isPoint = (p) =>
+  p?.lat != null && p?.lng != null && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
 
 /**
  * POST /api/fares/calc
  * Calculates smart, time-based, competitive fares using shared Google Maps data.
+ * With origin + destination + customerId it also returns a signed `quote`;
+ * the trip endpoints only book against one (see services/fareQuoteService.js).
  */
 export const createFare = asyncHandler(async (req, res) => {
   const {
@@ -23,9 +33,11 @@ export const createFare = asyncHandler(async (req, res) => {
     durationMin,
     tripDays,
     returnTrip,
-    surge,
+    isSameDay,
     weight,
-    customerId,   // 🎁 needed for welcome coupon eligibility check
+    stops,        // 🛑 optional intermediate stops [{ lat, lng }] (short trips)
+    customerId,   // 🎁 welcome coupon eligibility + the customer the quote is issued to
+    scheduledAt,  // ⏰ optional "ride later" pickup time — priced and signed into the quote
   } = req.body;
 
   const vType = vehicleType?.toLowerCase?.();
@@ -36,6 +48,25 @@ export const createFare = asyncHandler(async (req, res) => {
     });
   }
 
+  const pickupAt = scheduledAt ? new Date(scheduledAt) : null;
+  if (pickupAt && Number.isNaN(pickupAt.getTime())) {
+    return res.status(400).json({ ok: false, message: "Invalid scheduledAt" });
+  }
+
+  const waypoints = toRouteWaypoints(stops);
+  if (waypoints.length > MULTI_STOP_CONFIG.MAX_STOPS) {
+    return res.status(400).json({
+      ok: false,
+      message: `At most ${MULTI_STOP_CONFIG.MAX_STOPS} stops allowed`,
+    });
+  }
+  if (waypoints.length && category !== "short") {
+    return res.status(400).json({
+      ok: false,
+      message: "Stops are only supported for short trips",
+    });
+  }
+
   /* ---------------------------------------------------------
    * 1️⃣ Fetch shared route data (only once for all vehicles)
    * --------------------------------------------------------- */
@@ -44,7 +75,7 @@ export const createFare = asyncHandler(async (req, res) => {
   const gStart = process.hrtime.bigint(); // ⏱ START Google timer
   try {
     console.log("📡 Fetching Google route (shared for all vehicles)...");
-    sharedRoute = await getGoogleRouteDuration(origin, destination, "car");
+    sharedRoute = await getGoogleRouteDuration(origin, destination, "car", waypoints);
 
     if (sharedRoute) {
       console.log(
@@ -64,11 +95,17 @@ export const createFare = asyncHandler(async (req, res) => {
 }
 
 
-  // Use shared route for all vehicles
-  let liveDistanceKm = sharedRoute?.distanceKm || distanceKm;
+  // Use shared route for all vehicles. Without Google, points we were given
+  // are measured here — the client's distanceKm only prices point-less estimates.
+  const hasRoutePoints = isPoint(origin) && isPoint(destination);
+  const fallbackRoute = !sharedRoute && hasRoutePoints
+    ? estimateStraightRoute([origin, ...waypoints, destination].map((p) => ({ lat: Number(p.lat), lng: Number(p.lng) })))
+    : null;
+
+  let liveDistanceKm = sharedRoute?.distanceKm || fallbackRoute?.distanceKm || distanceKm;
   let liveDurationMin = sharedRoute
     ? sharedRoute.durationSec / 60
-    : durationMin || 15;
+    : fallbackRoute?.durationMin || durationMin || 15;
 
   /* ---------------------------------------------------------
    * 2️⃣ Fetch DB Rate
@@ -113,8 +150,10 @@ if (req.__profile) {
 
   liveDurationMin *= vehicleTimeFactor;
 
-  const startTime = new Date().toISOString();
-  const dropTime = new Date(Date.now() + liveDurationMin * 60 * 1000).toISOString();
+  // Peak / night multipliers follow the pickup time, not the time of asking
+  const startMs = pickupAt ? pickupAt.getTime() : Date.now();
+  const startTime = new Date(startMs).toISOString();
+  const dropTime = new Date(startMs + liveDurationMin * 60 * 1000).toISOString();
 
   console.log("🟢 [FINAL FARE INPUT]", {
     vehicleType: vType,
@@ -161,6 +200,16 @@ if (req.__profile) {
     }
   }
 
+  /* ---------------------------------------------------------
+   * 3️⃣c 📈 Demand surge of the pickup zone (short trips only,
+   * like peak / night) — the signed quote locks it in. Today's
+   * demand says nothing about a later pickup, so scheduled
+   * rides skip it.
+   * --------------------------------------------------------- */
+  const zoneSurge = category === "short" && isPoint(origin) && !pickupAt
+    ? await getPickupSurge(origin, vType)
+    : null;
+
   /* ---------------------------------------------------------
    * 4️⃣ Calculate fare
    * --------------------------------------------------------- */
@@ -172,10 +221,12 @@ if (req.__profile) {
       durationMin: liveDurationMin,
       tripDays,
       returnTrip,
-      surge,
+      isSameDay,
       weight,
       startTime,
       dropTime,
+      stopCount: waypoints.length,
+      zoneSurge: zoneSurge?.multiplier || 1,
       // 🎁 Welcome coupon
       applyWelcomeCoupon,
       welcomeFareAdjustment,
@@ -186,6 +237,27 @@ if (req.__profile) {
     return res.status(400).json({ ok: false, message: err.message });
   }
 
+  /* ---------------------------------------------------------
+   * 4️⃣b 🧾 Signed quote — trip creation charges exactly this
+   * --------------------------------------------------------- */
+  const quote = hasRoutePoints && mongoose.isValidObjectId(customerId)
+    ? issueFareQuote({
+        customerId,
+        category,
+        vehicleType: vType,
+        pickup: [Number(origin.lng), Number(origin.lat)],
+        drop: [Number(destination.lng), Number(destination.lat)],
+        stops: waypoints.map((w) => [w.lng, w.lat]),
+        params: { weight, tripDays, returnTrip, isSameDay },
+        scheduledAt: pickupAt,
+        fare: result,
+        distanceKm: liveDistanceKm,
+        durationMin: liveDurationMin,
+        rateId: dbRate?._id,
+        rateSource: dbRate ? "db" : "internal",
+      })
+    : null;
+
   /* ---------------------------------------------------------
    * 5️⃣ 🪙 Calculate coins preview (non-blocking)
    * All bonus values come from AppSettings (admin-controlled).
@@ -217,6 +289,12 @@ if (req.__profile) {
     rateSource: dbRate ? "db" : "internal",
     usedGoogleData: !!(origin && destination),
     ...result,
+    // 🧾 Pass quote.quoteId to /api/trip/short|parcel|long (null without origin/destination/customerId)
+    quote,
+    // 📈 Pickup zone surge (null when not applicable)
+    zoneSurge: zoneSurge?.zoneId
+      ? { multiplier: zoneSurge.multiplier, source: zoneSurge.source, zoneName: zoneSurge.zoneName }
+      : null,
     // 🪙 Coins the user will earn for completing this ride (shown under fare in Flutter)
     coinsEarn,
     coinsBreakdown,   // base/distanceBonus/vehicleBonus breakdown for Flutter display
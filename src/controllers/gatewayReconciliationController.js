@@ -0,0 +1,148 @@
+// src/controllers/gatewayReconciliationController.js
+import mongoose from "mongoose";
+import {
+  runGatewayReconciliation,
+  importSettlementFile,
+  listRuns,
+  getRun,
+  listItems,
+  resolveItem,
+} from "../services/gatewayReconciliationService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+const finished = (res, run) =>
+  res.status(run.status === "failed" ? 500 : 201).json({ success: run.status !== "failed", data: run });
+
+/* =====================================================
+   LIST RUNS
+   GET /api/admin/gateway-reconciliation/runs?before=&limit=
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getRuns = async (req, res) => {
+  try {
+    const runs = await listRuns({ before: req.query.before, limit: req.query.limit });
+    return res.json({ success: true, data: runs });
+  } catch (err) {
+    return sendError(res, err, "getRuns");
+  }
+};
+
+/* =====================================================
+   RUN SUMMARY
+   GET /api/admin/gateway-reconciliation/runs/latest
+   GET /api/admin/gateway-reconciliation/runs/:runId
+
+   Bucket counts plus how many exceptions are still open.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getRunSummary = async (req, res) => {
+  try {
+    const runId = req.params.runId === "latest" ? null : req.params.runId;
+    const run = await getRun(runId);
+    if (!run) {
+      return res.status(404).json({ success: false, message: "No reconciliation run found" });
+    }
+    return res.json({ success: true, data: run });
+  } catch (err) {
+    return sendError(res, err, "getRunSummary");
+  }
+};
+
+/* =====================================================
+   RUN ITEMS
+   GET /api/admin/gateway-reconciliation/runs/:runId/items
+       ?bucket=&kind=&purpose=&status=&before=&limit=
+
+   bucket: matched | missing | amount_mismatch
+   status: open | resolved | ignored (exceptions only)
+   before: item _id from the previous page
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getRunItems = async (req, res) => {
+  try {
+    const { bucket, kind, purpose, status, before, limit } = req.query;
+    const items = await listItems(req.params.runId, { bucket, kind, purpose, status, before, limit });
+    return res.json({ success: true, data: items });
+  } catch (err) {
+    return sendError(res, err, "getRunItems");
+  }
+};
+
+/* =====================================================
+   RUN AGAINST THE RAZORPAY API
+   POST /api/admin/gateway-reconciliation/runs
+
+   Same check as the nightly cron, for any window up to
+   7 days. Without from / to it checks the previous IST day.
+
+   Body: { from?, to? }
+   Auth: verifyAdminToken
+===================================================== */
+export const startRun = async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    const run = await runGatewayReconciliation({
+      from,
+      to,
+      trigger:   "admin",
+      startedBy: req.admin?.email || "admin",
+    });
+    return finished(res, run);
+  } catch (err) {
+    return sendError(res, err, "startRun");
+  }
+};
+
+/* =====================================================
+   IMPORT SETTLEMENT FILE
+   POST /api/admin/gateway-reconciliation/settlements
+
+   Razorpay settlement / RazorpayX statement CSV, as a
+   multipart `file` or as text in `csv`.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const importSettlement = async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    const run = await importSettlementFile({
+      csv,
+      fileName:  req.file?.originalname || req.body?.fileName || null,
+      startedBy: req.admin?.email || "admin",
+    });
+    return finished(res, run);
+  } catch (err) {
+    return sendError(res, err, "importSettlement");
+  }
+};
+
+/* =====================================================
+   RESOLVE EXCEPTION
+   PATCH /api/admin/gateway-reconciliation/items/:itemId
+
+   Body: { status: 'resolved'|'ignored'|'open', note }
+   Auth: verifyAdminToken
+===================================================== */
+export const resolveException = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({ success: false, message: "Invalid itemId" });
+    }
+
+    const item = await resolveItem(itemId, req.body || {}, req.admin?.email || "admin");
+    return res.json({ success: true, data: item });
+  } catch (err) {
+    return sendError(res, err, "resolveException");
+  }
+};
@@ -0,0 +1,197 @@
+// src/controllers/invoiceController.js
+import mongoose from "mongoose";
+import {
+  listInvoicesForUser,
+  getInvoiceForUser,
+  getRideInvoiceForCustomer,
+  getCommissionInvoiceForDriver,
+  renderInvoice,
+  emailInvoice,
+  listInvoices,
+  getInvoice,
+  issueMonthlyCommissionInvoices,
+} from "../services/invoiceService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+const sendFile = (res, invoice, format) => {
+  const file = renderInvoice(invoice, format || "pdf");
+  res.set("Content-Type", file.contentType);
+  res.set("Content-Disposition", `${format === "html" ? "inline" : "attachment"}; filename="${file.filename}"`);
+  return res.send(file.body);
+};
+
+/* =====================================================
+   MY INVOICES
+   GET /api/invoices/my?before=&limit=
+
+   Customers: ride invoices. Drivers: monthly
+   commission invoices. Newest first.
+
+   Auth: protect
+===================================================== */
+export const getMyInvoices = async (req, res) => {
+  try {
+    const invoices = await listInvoicesForUser(req.user._id, {
+      before: req.query.before,
+      limit:  req.query.limit,
+    });
+    return res.json({ success: true, data: invoices });
+  } catch (err) {
+    return sendError(res, err, "getMyInvoices");
+  }
+};
+
+/* =====================================================
+   RIDE INVOICE FOR A TRIP
+   GET /api/invoices/trip/:tripId?format=json|pdf|html
+
+   Issued on first request if the sweep hasn't got to
+   it yet. 409 until the trip is completed and paid.
+
+   Auth: protect (trip's customer)
+===================================================== */
+export const getTripInvoice = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+
+    const invoice = await getRideInvoiceForCustomer(tripId, req.user._id);
+    const { format = "json" } = req.query;
+    if (format === "json") return res.json({ success: true, data: invoice });
+    return sendFile(res, invoice, format);
+  } catch (err) {
+    return sendError(res, err, "getTripInvoice");
+  }
+};
+
+/* =====================================================
+   DRIVER COMMISSION INVOICE
+   GET /api/invoices/commission/:period?format=json|pdf|html
+
+   period = YYYY-MM, a month that has ended. Commission
+   and platform fees deducted from that month's rides.
+
+   Auth: protect (driver)
+===================================================== */
+export const getCommissionInvoice = async (req, res) => {
+  try {
+    if (!req.user.isDriver) {
+      return res.status(403).json({ success: false, message: "Only drivers have commission invoices" });
+    }
+
+    const invoice = await getCommissionInvoiceForDriver(req.user._id, req.params.period);
+    const { format = "json" } = req.query;
+    if (format === "json") return res.json({ success: true, data: invoice });
+    return sendFile(res, invoice, format);
+  } catch (err) {
+    return sendError(res, err, "getCommissionInvoice");
+  }
+};
+
+/* =====================================================
+   DOWNLOAD INVOICE
+   GET /api/invoices/:invoiceId/download?format=pdf|html
+
+   Auth: protect (invoice's customer or driver)
+===================================================== */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+      return res.status(400).json({ success: false, message: "Invalid invoiceId" });
+    }
+
+    const invoice = await getInvoiceForUser(invoiceId, req.user._id);
+    return sendFile(res, invoice, req.query.format);
+  } catch (err) {
+    return sendError(res, err, "downloadInvoice");
+  }
+};
+
+/* =====================================================
+   EMAIL INVOICE
+   POST /api/invoices/:invoiceId/email
+   Body: { email? }   (defaults to the profile email)
+
+   Sends the invoice as HTML with the PDF attached.
+
+   Auth: protect (invoice's customer or driver)
+===================================================== */
+export const emailMyInvoice = async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+      return res.status(400).json({ success: false, message: "Invalid invoiceId" });
+    }
+
+    const result = await emailInvoice(invoiceId, req.user._id, req.body?.email || null);
+    return res.json({ success: true, message: `Invoice sent to ${result.sentTo}`, data: result });
+  } catch (err) {
+    return sendError(res, err, "emailMyInvoice");
+  }
+};
+
+/* =====================================================
+   LIST INVOICES (ADMIN)
+   GET /api/invoices?kind=&state=&customerId=&driverId=&period=&from=&to=&before=&limit=
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getInvoices = async (req, res) => {
+  try {
+    const invoices = await listInvoices(req.query);
+    return res.json({ success: true, data: invoices });
+  } catch (err) {
+    return sendError(res, err, "getInvoices");
+  }
+};
+
+/* =====================================================
+   GET INVOICE (ADMIN)
+   GET /api/invoices/admin/:invoiceId?format=json|pdf|html
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getInvoiceById = async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+      return res.status(400).json({ success: false, message: "Invalid invoiceId" });
+    }
+
+    const invoice = await getInvoice(invoiceId);
+    const { format = "json" } = req.query;
+    if (format === "json") return res.json({ success: true, data: invoice });
+    return sendFile(res, invoice, format);
+  } catch (err) {
+    return sendError(res, err, "getInvoiceById");
+  }
+};
+
+/* =====================================================
+   RUN COMMISSION INVOICES (ADMIN)
+   POST /api/invoices/commission-runs
+   Body: { period? }   (YYYY-MM, defaults to last month)
+
+   Same as the monthly cron; drivers already invoiced
+   for the period are skipped.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const runCommissionInvoices = async (req, res) => {
+  try {
+    const result = await issueMonthlyCommissionInvoices(req.body?.period || undefined);
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return sendError(res, err, "runCommissionInvoices");
+  }
+};
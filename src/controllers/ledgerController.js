@@ -0,0 +1,84 @@
+// src/controllers/ledgerController.js
+import mongoose from "mongoose";
+import {
+  reconcileWallets,
+  getReconciliationReport,
+  getDriverLedger,
+} from "../services/ledgerService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+/* =====================================================
+   RECONCILIATION REPORT
+   GET /api/admin/ledger/reconciliation?runId=
+
+   Latest finished run, or the one named by runId, with
+   every wallet whose cached totals disagree with the
+   ledger.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getReconciliation = async (req, res) => {
+  try {
+    const report = await getReconciliationReport(req.query.runId || null);
+    if (!report) {
+      return res.status(404).json({ success: false, message: "No reconciliation run found" });
+    }
+    return res.json({ success: true, data: report });
+  } catch (err) {
+    return sendError(res, err, "getReconciliation");
+  }
+};
+
+/* =====================================================
+   RUN RECONCILIATION NOW
+   POST /api/admin/ledger/reconciliation/run
+
+   Same check as the nightly cron; responds with the
+   finished run.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const runReconciliation = async (req, res) => {
+  try {
+    const run = await reconcileWallets({ trigger: "admin" });
+    return res.status(run.status === "failed" ? 500 : 200).json({
+      success: run.status !== "failed",
+      data:    run,
+    });
+  } catch (err) {
+    return sendError(res, err, "runReconciliation");
+  }
+};
+
+/* =====================================================
+   DRIVER LEDGER
+   GET /api/admin/ledger/drivers/:driverId?before=&limit=
+
+   Entries newest first, plus cached vs ledger-derived
+   wallet totals and their differences.
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getDriverLedgerEntries = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: "Invalid driverId" });
+    }
+
+    const ledger = await getDriverLedger(driverId, {
+      before: req.query.before,
+      limit:  req.query.limit,
+    });
+    return res.json({ success: true, data: ledger });
+  } catch (err) {
+    return sendError(res, err, "getDriverLedgerEntries");
+  }
+};
@@ -1,8 +1,18 @@
 // src/controllers/parcelController.js
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import Rate from '../models/Rate.js';
 import Parcel from '../models/parcel.js';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
 import { calcFare } from '../utils/fareCalc.js';
+import { uploadToCloudinary } from '../middlewares/multer.js';
+import { io } from '../socket/socketHandler.js';
+import {
+  MAX_DELIVERY_OTP_ATTEMPTS,
+  resolveParcelStatus,
+} from '../services/parcelService.js';
+import { maskedContact } from '../services/callMaskingService.js';
 
 /**
  * POST /api/parcels/estimate
@@ -39,11 +49,17 @@ export const estimateParcel = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = calcFare({ rate, distanceKm, weight });
+  let result;
+  try {
+    result = calcFare({ rate, distanceKm, weight });
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
 
   res.json({
     ok: true,
     cost: result.total,           // ✅ use total from breakdown
+    breakdown: result.breakdown,
     rateId: rate._id,
   });
 });
@@ -68,6 +84,7 @@ export const createParcel = asyncHandler(async (req, res) => {
     receiverPhone,
     notes,
     payment,
+    customerId,
   } = req.body;
 
   // Validate required
@@ -105,10 +122,16 @@ export const createParcel = asyncHandler(async (req, res) => {
   }
 
   // ✅ Calculate parcel fare using full breakdown
-  const result = calcFare({ rate, distanceKm, weight });
+  let result;
+  try {
+    result = calcFare({ rate, distanceKm, weight });
+  } catch (err) {
+    return res.status(400).json({ ok: false, message: err.message });
+  }
 
-  // Save to DB
+  // Save to DB — booked later via POST /api/trip/parcel with this parcelId
   const parcel = await Parcel.create({
+    customerId: mongoose.Types.ObjectId.isValid(customerId) ? customerId : undefined,
     photoUrl: `/uploads/${req.file.filename}`,
     pickup: {
       lat: pickupLat,
@@ -131,6 +154,7 @@ export const createParcel = asyncHandler(async (req, res) => {
     notes,
     payment,
     fare: result.total,           // ✅ save total fare
+    fareBreakdown: result.breakdown,
     rateId: rate._id,
     status: 'pending',
   });
@@ -139,6 +163,215 @@ export const createParcel = asyncHandler(async (req, res) => {
     ok: true,
     parcelId: parcel._id,
     cost: result.total,           // ✅ send total cost back
+    breakdown: result.breakdown,
     message: 'Parcel created. Waiting for driver.',
   });
 });
+
+/**
+ * POST /api/parcels/:parcelId/deliver
+ * Driver hands over the parcel: receiver OTP + proof-of-delivery photo.
+ * FormData → otp, proofPhoto (image)
+ * Auth: protect (driver must be the trip's assigned driver)
+ */
+export const deliverParcel = asyncHandler(async (req, res) => {
+  const { parcelId } = req.params;
+  const otp = String(req.body.otp || '').trim();
+
+  if (!mongoose.Types.ObjectId.isValid(parcelId)) {
+    return res.status(400).json({ ok: false, message: 'Invalid parcelId' });
+  }
+  if (!otp) {
+    return res.status(400).json({ ok: false, message: 'Delivery OTP required' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ ok: false, message: 'Proof of delivery photo required' });
+  }
+
+  const parcel = await Parcel.findById(parcelId).select('+deliveryOtp');
+  if (!parcel || !parcel.tripId) {
+    return res.status(404).json({ ok: false, message: 'Parcel not found' });
+  }
+  if (parcel.status === 'delivered') {
+    return res.status(409).json({ ok: false, message: 'Parcel already delivered' });
+  }
+
+  const trip = await Trip.findById(parcel.tripId)
+    .select('assignedDriver customerId status')
+    .lean();
+  if (!trip || trip.assignedDriver?.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ ok: false, message: 'Not your delivery' });
+  }
+  if (trip.status !== 'ride_started') {
+    return res.status(400).json({ ok: false, message: 'Parcel has not been picked up yet' });
+  }
+
+  // 🔐 OTP check with attempt cap
+  if (parcel.deliveryOtpAttempts >= MAX_DELIVERY_OTP_ATTEMPTS) {
+    return res.status(429).json({
+      ok: false,
+      message: 'Too many wrong OTP attempts. Please contact support.',
+    });
+  }
+  if (parcel.deliveryOtp !== otp) {
+    await Parcel.updateOne({ _id: parcel._id }, { $inc: { deliveryOtpAttempts: 1 } });
+    return res.status(400).json({
+      ok: false,
+      message: 'Incorrect delivery OTP',
+      attemptsLeft: MAX_DELIVERY_OTP_ATTEMPTS - parcel.deliveryOtpAttempts - 1,
+    });
+  }
+
+  // 📸 Proof photo → Cloudinary
+  let upload;
+  try {
+    upload = await uploadToCloudinary(req.file.buffer, 'parcels/proof');
+  } catch (err) {
+    console.error('❌ Parcel proof upload failed:', err.message);
+    return res.status(502).json({ ok: false, message: 'Photo upload failed, please retry' });
+  }
+
+  const now = new Date();
+  const delivered = await Parcel.findOneAndUpdate(
+    { _id: parcel._id, status: 'booked' },
+    {
+      $set: {
+        status: 'delivered',
+        deliveredAt: now,
+        deliveryProof: {
+          photoUrl: upload.secure_url,
+          publicId: upload.public_id,
+          uploadedAt: now,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!delivered) {
+    return res.status(409).json({ ok: false, message: 'Parcel already delivered' });
+  }
+
+  console.log(`📦 Parcel ${parcelId} delivered on trip ${parcel.tripId}`);
+
+  if (io) {
+    io.to(`customer_${trip.customerId.toString()}`).emit('parcel:delivered', {
+      parcelId: parcelId.toString(),
+      tripId: parcel.tripId.toString(),
+      deliveredAt: now.toISOString(),
+      proofPhotoUrl: upload.secure_url,
+    });
+  }
+
+  res.json({
+    ok: true,
+    message: 'Delivery confirmed. You can now complete the trip.',
+    parcelId: delivered._id,
+    deliveredAt: now,
+    proofPhotoUrl: upload.secure_url,
+  });
+});
+
+/**
+ * GET /api/parcels/:parcelId/track
+ * Sender's view of a parcel: live status, timeline, driver, delivery OTP.
+ * Auth: protect (sender only)
+ */
+export const trackParcel = asyncHandler(async (req, res) => {
+  const { parcelId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(parcelId)) {
+    return res.status(400).json({ ok: false, message: 'Invalid parcelId' });
+  }
+
+  const parcel = await Parcel.findById(parcelId).select('+deliveryOtp').lean();
+  if (!parcel) {
+    return res.status(404).json({ ok: false, message: 'Parcel not found' });
+  }
+  if (parcel.customerId?.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ ok: false, message: 'Not your parcel' });
+  }
+
+  const trip = parcel.tripId
+    ? await Trip.findById(parcel.tripId)
+        .select('status assignedDriver acceptedAt rideStartTime cancelledAt scheduledAt createdAt callMasking')
+        .lean()
+    : null;
+
+  // Trip was cancelled / timed out → persist so lists stay accurate
+  if (parcel.status === 'booked' && ['cancelled', 'timeout'].includes(trip?.status)) {
+    await Parcel.updateOne({ _id: parcel._id, status: 'booked' }, { $set: { status: 'cancelled' } });
+    parcel.status = 'cancelled';
+  }
+
+  let driver = null;
+  if (trip?.assignedDriver) {
+    const d = await User.findById(trip.assignedDriver)
+      .select('name phone photoUrl rating vehicleNumber vehicleBrand location')
+      .lean();
+    if (d) {
+      driver = {
+        id: d._id.toString(),
+        name: d.name || 'Driver',
+        ...maskedContact(d.phone, trip.callMasking),
+        photoUrl: d.photoUrl || null,
+        rating: d.rating ?? 4.8,
+        vehicleNumber: d.vehicleNumber || null,
+        vehicleBrand: d.vehicleBrand || null,
+        location: d.location?.coordinates
+          ? { lat: d.location.coordinates[1], lng: d.location.coordinates[0] }
+          : null,
+      };
+    }
+  }
+
+  const status = resolveParcelStatus(parcel, trip);
+  const timeline = [
+    { status: 'created', at: parcel.createdAt },
+    trip && { status: 'booked', at: trip.createdAt },
+    trip?.acceptedAt && { status: 'driver_assigned', at: trip.acceptedAt },
+    trip?.rideStartTime && { status: 'picked_up', at: trip.rideStartTime },
+    parcel.deliveredAt && { status: 'delivered', at: parcel.deliveredAt },
+    status === 'cancelled' && { status: 'cancelled', at: trip?.cancelledAt || parcel.updatedAt },
+  ].filter(Boolean);
+
+  res.json({
+    ok: true,
+    parcel: {
+      parcelId: parcel._id,
+      tripId: parcel.tripId,
+      status,
+      fare: parcel.fare,
+      weight: parcel.weight,
+      pickup: parcel.pickup,
+      drop: parcel.drop,
+      receiver: parcel.receiver,
+      notes: parcel.notes,
+      photoUrl: parcel.photoUrl,
+      scheduledAt: trip?.scheduledAt || null,
+      // Shown to the sender until handover, so they can pass it on
+      deliveryOtp: status === 'delivered' || status === 'cancelled' ? null : parcel.deliveryOtp,
+      deliveredAt: parcel.deliveredAt,
+      proofPhotoUrl: parcel.deliveryProof?.photoUrl || null,
+    },
+    driver,
+    timeline,
+  });
+});
+
+/**
+ * GET /api/parcels/mine
+ * Sender's parcels, newest first.
+ * Auth: protect
+ */
+export const getMyParcels = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const parcels = await Parcel.find({ customerId: req.user._id })
+    .select('tripId status fare weight pickup drop receiver deliveredAt createdAt')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+
+  res.json({ ok: true, page, limit, parcels });
+});
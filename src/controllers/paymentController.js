@@ -7,6 +7,8 @@ import Razorpay from 'razorpay';
 import PaymentTransaction from '../models/PaymentTransaction.js';
 import Wallet from '../models/Wallet.js';
 import Trip from '../models/Trip.js';
+import { postWalletEntry } from '../services/ledgerService.js';
+import { syncCommissionDebt } from '../services/commissionDebtService.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // RAZORPAY INITIALIZATION
@@ -412,8 +414,20 @@ export const verifyDirectPayment = async (req, res) => {
 
     wallet.availableBalance += paymentTxn.driverAmount;
     wallet.totalEarnings += paymentTxn.driverAmount;
+    wallet.totalCommission += paymentTxn.commission;
 
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `ride_online:${razorpayPaymentId}`,
+      type: 'ride_online',
+      driverId,
+      tripId,
+      delta: { availableBalance: paymentTxn.driverAmount, totalCommission: paymentTxn.commission },
+      counter: 'gateway_clearing',
+      earnings: paymentTxn.driverAmount,
+      memo: `Trip payment ₹${paymentTxn.amount} (${razorpayOrderId})`,
+      session
+    });
 
     // ─────────────────────────────────────────────────────────────────
     // STEP 6: Update Payment Transaction
@@ -759,6 +773,8 @@ export const confirmCashReceipt = async (req, res) => {
     // If wallet balance is zero/negative: commission adds to debt
     
     const netAmount = paymentTxn.amount - paymentTxn.commission;
+    const availableBefore = wallet.availableBalance;
+    const pendingBefore = wallet.pendingAmount || 0;
     
     // Update wallet balances
     wallet.availableBalance += netAmount;
@@ -780,6 +796,21 @@ export const confirmCashReceipt = async (req, res) => {
     }
 
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `ride:${tripId}`,
+      type: 'ride_cash',
+      driverId,
+      tripId,
+      delta: {
+        availableBalance: wallet.availableBalance - availableBefore,
+        pendingAmount: wallet.pendingAmount - pendingBefore,
+        totalCommission: paymentTxn.commission
+      },
+      counter: 'cash_in_hand',
+      earnings: paymentTxn.amount,
+      memo: `Cash ride ₹${paymentTxn.amount}`,
+      session
+    });
 
     // ─────────────────────────────────────────────────────────────────
     // Update payment transaction
@@ -805,6 +836,8 @@ export const confirmCashReceipt = async (req, res) => {
 
     await session.commitTransaction();
 
+    await syncCommissionDebt(driverId, { io: req.io });
+
     // ─────────────────────────────────────────────────────────────────
     // Notifications
     // ─────────────────────────────────────────────────────────────────
@@ -994,7 +1027,19 @@ async function processWebhookPaymentCaptured(payment, io) {
 
       wallet.availableBalance += paymentTxn.driverAmount;
       wallet.totalEarnings += paymentTxn.driverAmount;
+      wallet.totalCommission += paymentTxn.commission;
       await wallet.save({ session });
+      await postWalletEntry({
+        key: `ride_online:${paymentId}`,
+        type: 'ride_online',
+        driverId: paymentTxn.driverId,
+        tripId: paymentTxn.tripId,
+        delta: { availableBalance: paymentTxn.driverAmount, totalCommission: paymentTxn.commission },
+        counter: 'gateway_clearing',
+        earnings: paymentTxn.driverAmount,
+        memo: `Trip payment ₹${paymentTxn.amount} (via webhook)`,
+        session
+      });
 
       // Update payment status
       await PaymentTransaction.findByIdAndUpdate(
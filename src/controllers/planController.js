@@ -13,7 +13,7 @@ import Admin from '../models/Admin.js';
 /**
  * CREATE PLAN TEMPLATE
  * POST /api/admin/plans
- * Body: { planName, planType, commissionRate, noCommission, perRideIncentive, platformFeeFlat, platformFeePercent, monthlyFee, description, benefits }
+ * Body: { planName, planType, commissionRate, noCommission, perRideIncentive, platformFeeFlat, platformFeePercent, commissionDebtLimit, monthlyFee, description, benefits }
  */
 export const createPlan = async (req, res) => {
   try {
@@ -26,6 +26,7 @@ const {
   perRideIncentive,
   platformFeeFlat,
   platformFeePercent,
+  commissionDebtLimit,
   monthlyFee,
   planPrice,
   durationDays,
@@ -53,6 +54,13 @@ const {
       });
     }
 
+    if (commissionDebtLimit != null && !(Number(commissionDebtLimit) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'commissionDebtLimit must be a non-negative number or null'
+      });
+    }
+
     // ── Validate offer window dates ──
     if (planActivationDate && isNaN(new Date(planActivationDate).getTime())) {
       return res.status(400).json({
@@ -84,6 +92,7 @@ const {
   perRideIncentive: perRideIncentive ?? 0,
   platformFeeFlat:  platformFeeFlat  ?? 0,
   platformFeePercent: platformFeePercent ?? 0,
+  commissionDebtLimit: commissionDebtLimit ?? null,
   monthlyFee: monthlyFee || 0,
   planPrice: planPrice ?? monthlyFee ?? 0,
   durationDays: durationDays || 30,
@@ -208,6 +217,13 @@ export const updatePlan = async (req, res) => {
       }
     }
 
+    if (updates.commissionDebtLimit != null && !(Number(updates.commissionDebtLimit) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'commissionDebtLimit must be a non-negative number or null'
+      });
+    }
+
     // ── Validate offer window dates ──
     if (updates.planActivationDate !== undefined) {
       if (updates.planActivationDate && isNaN(new Date(updates.planActivationDate).getTime())) {
@@ -366,6 +382,7 @@ export const assignPlanToDriver = async (req, res) => {
       perRideIncentive:   plan.perRideIncentive   ?? 0,
       platformFeeFlat:    plan.platformFeeFlat    ?? 0,
       platformFeePercent: plan.platformFeePercent ?? 0,
+      commissionDebtLimit: plan.commissionDebtLimit ?? null,
       monthlyFee: plan.monthlyFee,
       description: plan.description,
       benefits: plan.benefits,
@@ -332,6 +332,7 @@ export const verifyPlanPayment = async (req, res) => {
       noCommission: plan.noCommission,
       monthlyFee: plan.monthlyFee,
       benefits: plan.benefits,
+      commissionDebtLimit: plan.commissionDebtLimit ?? null,
       planPrice: plan.planPrice,
       durationDays: plan.durationDays,
       isTimeBasedPlan: plan.isTimeBasedPlan,
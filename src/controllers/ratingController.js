@@ -0,0 +1,267 @@
+// src/controllers/ratingController.js
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import User from "../models/User.js";
+import TripRating from "../models/TripRating.js";
+import {
+  RATING_TAGS,
+  sanitizeTags,
+  recomputeUserRating,
+} from "../services/ratingService.js";
+
+/* =====================================================
+   SUBMIT RATING
+   POST /api/ratings/trip/:tripId
+
+   • Rater identity comes from req.user (protect) — never from body
+   • Only the trip's customer or assigned driver may rate
+   • Trip must be completed
+   • One rating per side per trip (unique index → 409 on repeat)
+
+   Body: { rating (1–5), tags?: [String], comment? }
+===================================================== */
+export const submitTripRating = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { tags, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: "rating must be a whole number between 1 and 5",
+      });
+    }
+
+    const trip = await Trip.findById(tripId)
+      .select("customerId assignedDriver status ratedByCustomer ratedByDriver")
+      .lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: "Trip not found" });
+    }
+    if (trip.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Trip can only be rated after it is completed",
+      });
+    }
+
+    // ── Work out which side is rating ───────────────────────────────────
+    const raterId = req.user._id.toString();
+    let raterRole;
+    let rateeId;
+    if (trip.customerId?.toString() === raterId) {
+      raterRole = "customer";
+      rateeId = trip.assignedDriver;
+    } else if (trip.assignedDriver?.toString() === raterId) {
+      raterRole = "driver";
+      rateeId = trip.customerId;
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: "You were not part of this trip",
+      });
+    }
+
+    if (!rateeId) {
+      return res.status(400).json({
+        success: false,
+        message: "Trip has no counterpart to rate",
+      });
+    }
+
+    const alreadyRated =
+      raterRole === "customer" ? trip.ratedByCustomer : trip.ratedByDriver;
+    if (alreadyRated) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already rated this trip",
+      });
+    }
+
+    const rateeRole = raterRole === "customer" ? "driver" : "customer";
+
+    let record;
+    try {
+      record = await TripRating.create({
+        tripId,
+        raterId,
+        raterRole,
+        rateeId,
+        rating,
+        tags: sanitizeTags(tags, rateeRole),
+        comment: typeof comment === "string" ? comment.slice(0, 500) : "",
+      });
+    } catch (err) {
+      // Unique index on { tripId, raterRole } — concurrent double-submit
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "You have already rated this trip",
+        });
+      }
+      throw err;
+    }
+
+    await Trip.updateOne(
+      { _id: tripId },
+      { $set: raterRole === "customer" ? { ratedByCustomer: true } : { ratedByDriver: true } }
+    );
+
+    const { rating: newAverage, ratingCount } = await recomputeUserRating(rateeId);
+
+    console.log(
+      `⭐ Trip ${tripId}: ${raterRole} rated ${rateeRole} ${rating}★ → avg ${newAverage} (${ratingCount})`
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Thanks for your feedback",
+      rating: {
+        _id: record._id,
+        tripId: record.tripId,
+        raterRole: record.raterRole,
+        rating: record.rating,
+        tags: record.tags,
+        comment: record.comment,
+      },
+    });
+  } catch (err) {
+    console.error("❌ submitTripRating error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* =====================================================
+   TRIP RATING STATUS
+   GET /api/ratings/trip/:tripId
+
+   Tells the app whether the current user still needs to rate,
+   and returns their own rating if already submitted.
+===================================================== */
+export const getTripRatingStatus = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: "Invalid tripId" });
+    }
+
+    const trip = await Trip.findById(tripId)
+      .select("customerId assignedDriver status")
+      .lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: "Trip not found" });
+    }
+
+    const userId = req.user._id.toString();
+    let raterRole;
+    if (trip.customerId?.toString() === userId) raterRole = "customer";
+    else if (trip.assignedDriver?.toString() === userId) raterRole = "driver";
+    else {
+      return res.status(403).json({
+        success: false,
+        message: "You were not part of this trip",
+      });
+    }
+
+    const mine = await TripRating.findOne({ tripId, raterRole })
+      .select("rating tags comment createdAt")
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      raterRole,
+      canRate: trip.status === "completed" && !mine,
+      rating: mine || null,
+    });
+  } catch (err) {
+    console.error("❌ getTripRatingStatus error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* =====================================================
+   FEEDBACK TAGS
+   GET /api/ratings/tags?for=driver|customer
+===================================================== */
+export const getRatingTags = async (req, res) => {
+  const target = req.query.for;
+  if (target && !RATING_TAGS[target]) {
+    return res.status(400).json({
+      success: false,
+      message: "for must be 'driver' or 'customer'",
+    });
+  }
+  return res.status(200).json({
+    success: true,
+    tags: target ? RATING_TAGS[target] : RATING_TAGS,
+  });
+};
+
+/* =====================================================
+   ADMIN: LOW-RATED DRIVERS
+   GET /api/ratings/admin/low-rated-drivers?threshold=4&minRatings=5
+
+   Drivers whose rolling rating is below `threshold`.
+   `minRatings` skips new drivers still sitting on the prior.
+===================================================== */
+export const getLowRatedDrivers = async (req, res) => {
+  try {
+    const threshold = Math.min(Math.max(parseFloat(req.query.threshold) || 4.0, 1), 5);
+    const minRatings = Math.max(parseInt(req.query.minRatings) || 5, 0);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {
+      isDriver: true,
+      rating: { $lt: threshold },
+      ratingCount: { $gte: minRatings },
+    };
+
+    const [drivers, total] = await Promise.all([
+      User.find(filter)
+        .select("name phone vehicleType vehicleNumber rating ratingCount isOnline isSuspended")
+        .sort({ rating: 1, ratingCount: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    // Most frequent negative tags per driver, from their recent ratings
+    const driverIds = drivers.map((d) => d._id);
+    const tagStats = driverIds.length
+      ? await TripRating.aggregate([
+          { $match: { rateeId: { $in: driverIds }, raterRole: "customer", rating: { $lte: 3 } } },
+          { $unwind: "$tags" },
+          { $group: { _id: { rateeId: "$rateeId", tag: "$tags" }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ])
+      : [];
+
+    const tagsByDriver = {};
+    for (const { _id, count } of tagStats) {
+      const key = _id.rateeId.toString();
+      (tagsByDriver[key] ||= []).push({ tag: _id.tag, count });
+    }
+
+    return res.status(200).json({
+      success: true,
+      threshold,
+      minRatings,
+      total,
+      page,
+      limit,
+      drivers: drivers.map((d) => ({
+        ...d,
+        topComplaints: (tagsByDriver[d._id.toString()] || []).slice(0, 5),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ getLowRatedDrivers error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
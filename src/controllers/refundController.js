@@ -0,0 +1,123 @@
+// src/controllers/refundController.js
+import mongoose from "mongoose";
+import {
+  requestRefund,
+  listRefunds,
+  getRefund,
+} from "../services/refundService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/* =====================================================
+   CREATE REFUND
+   POST /api/refunds
+
+   Full or partial refund of an online / wallet trip
+   payment. Send amount, or newFare to refund what was
+   charged above it, or neither for a full refund.
+   Replaying idempotencyKey returns the same refund.
+
+   Body: { tripId, reason, amount?, newFare?, note?, idempotencyKey? }
+   Auth: verifyAdminToken
+===================================================== */
+export const createRefund = async (req, res) => {
+  try {
+    const { tripId, reason, amount, newFare, note, idempotencyKey } = req.body || {};
+    if (!isId(tripId)) {
+      return res.status(400).json({ success: false, message: "Valid tripId is required" });
+    }
+
+    const { refund, created } = await requestRefund({
+      tripId,
+      reason,
+      amount,
+      newFare,
+      note,
+      idempotencyKey,
+      trigger:     "admin",
+      initiatedBy: req.admin?.email || "admin",
+      io:          req.io,
+    });
+
+    return res.status(created ? 201 : 200).json({
+      success: refund.status !== "failed",
+      message: refund.status === "failed"
+        ? `Refund failed: ${refund.failureReason}`
+        : created ? "Refund initiated" : "Refund already requested",
+      refund,
+    });
+  } catch (err) {
+    return sendError(res, err, "createRefund");
+  }
+};
+
+/* =====================================================
+   LIST REFUNDS
+   GET /api/refunds?tripId=&customerId=&status=&before=&limit=
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getRefunds = async (req, res) => {
+  try {
+    const { tripId, customerId, status, before, limit } = req.query;
+    if ((tripId && !isId(tripId)) || (customerId && !isId(customerId))) {
+      return res.status(400).json({ success: false, message: "Invalid tripId or customerId" });
+    }
+    const refunds = await listRefunds({ tripId, customerId, status, before, limit });
+    return res.status(200).json({ success: true, refunds });
+  } catch (err) {
+    return sendError(res, err, "getRefunds");
+  }
+};
+
+/* =====================================================
+   GET REFUND
+   GET /api/refunds/:refundId
+
+   Auth: verifyAdminToken
+===================================================== */
+export const getRefundById = async (req, res) => {
+  try {
+    const refund = isId(req.params.refundId) ? await getRefund(req.params.refundId) : null;
+    if (!refund) {
+      return res.status(404).json({ success: false, message: "Refund not found" });
+    }
+    return res.status(200).json({ success: true, refund });
+  } catch (err) {
+    return sendError(res, err, "getRefundById");
+  }
+};
+
+/* =====================================================
+   MY REFUNDS
+   GET /api/refunds/my?before=&limit=
+
+   The customer's refunds and where each one stands.
+
+   Auth: protect
+===================================================== */
+export const getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await listRefunds({
+      customerId: req.user._id,
+      before:     req.query.before,
+      limit:      req.query.limit,
+    });
+    return res.status(200).json({
+      success: true,
+      refunds: refunds.map(({ _id, tripId, amount, type, destination, reason, status, processedAt, createdAt }) => ({
+        _id, tripId, amount, type, destination, reason, status, processedAt, createdAt,
+      })),
+    });
+  } catch (err) {
+    return sendError(res, err, "getMyRefunds");
+  }
+};
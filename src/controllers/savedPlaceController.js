@@ -0,0 +1,129 @@
+// src/controllers/savedPlaceController.js
+import {
+  addSavedPlace,
+  updateSavedPlace,
+  removeSavedPlace,
+  hideRecentPlace,
+  listPlaces,
+  suggestDestinations,
+} from "../services/savedPlaceService.js";
+
+const sendError = (res, err, label) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${label} error:`, err);
+  return res.status(500).json({ success: false, message: "Server error" });
+};
+
+/* =====================================================
+   LIST PLACES
+   GET /api/user/places
+
+   Saved places plus the most recent pickups and drops
+   collected from completed trips.
+
+   Auth: protect
+===================================================== */
+export const getPlaces = async (req, res) => {
+  try {
+    const places = await listPlaces(req.user._id);
+    return res.status(200).json({ success: true, ...places });
+  } catch (err) {
+    return sendError(res, err, "getPlaces");
+  }
+};
+
+/* =====================================================
+   SAVE PLACE
+   POST /api/user/places
+
+   • kind home / work — one each, saving again replaces it
+   • kind custom — label required ("Gym", "Mom's place")
+
+   Body: { kind?, label?, lat, lng, address? }
+   Auth: protect
+===================================================== */
+export const createPlace = async (req, res) => {
+  try {
+    const place = await addSavedPlace(req.user._id, req.body);
+    return res.status(201).json({ success: true, message: "Place saved", place });
+  } catch (err) {
+    return sendError(res, err, "createPlace");
+  }
+};
+
+/* =====================================================
+   UPDATE PLACE
+   PATCH /api/user/places/:placeId
+
+   Body: any of { kind, label, lat + lng, address }
+   Auth: protect
+===================================================== */
+export const updatePlace = async (req, res) => {
+  try {
+    const place = await updateSavedPlace(req.user._id, req.params.placeId, req.body);
+    return res.status(200).json({ success: true, message: "Place updated", place });
+  } catch (err) {
+    return sendError(res, err, "updatePlace");
+  }
+};
+
+/* =====================================================
+   DELETE PLACE
+   DELETE /api/user/places/:placeId
+
+   Auth: protect
+===================================================== */
+export const deletePlace = async (req, res) => {
+  try {
+    const removed = await removeSavedPlace(req.user._id, req.params.placeId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Saved place not found" });
+    }
+    return res.status(200).json({ success: true, message: "Place deleted" });
+  } catch (err) {
+    return sendError(res, err, "deletePlace");
+  }
+};
+
+/* =====================================================
+   REMOVE RECENT PLACE
+   DELETE /api/user/places/recent/:recentId
+
+   Hides it from recents and suggestions until the
+   customer travels there again.
+
+   Auth: protect
+===================================================== */
+export const deleteRecentPlace = async (req, res) => {
+  try {
+    const hidden = await hideRecentPlace(req.user._id, req.params.recentId);
+    if (!hidden) {
+      return res.status(404).json({ success: false, message: "Recent place not found" });
+    }
+    return res.status(200).json({ success: true, message: "Recent place removed" });
+  } catch (err) {
+    return sendError(res, err, "deleteRecentPlace");
+  }
+};
+
+/* =====================================================
+   SUGGESTED DESTINATIONS
+   GET /api/user/places/suggestions?lat=&lng=&limit=
+
+   Ranked by how often the customer goes there, how often
+   at this time of day, and how recently. lat / lng (current
+   position) drop places the customer is already at.
+
+   Auth: protect
+===================================================== */
+export const getSuggestions = async (req, res) => {
+  try {
+    const { lat, lng, limit } = req.query;
+    const suggestions = await suggestDestinations(req.user._id, { lat, lng, limit });
+    return res.status(200).json({ success: true, suggestions });
+  } catch (err) {
+    return sendError(res, err, "getSuggestions");
+  }
+};
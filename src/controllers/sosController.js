@@ -2,6 +2,7 @@
 import SosAlert from "../models/SosAlert.js";
 import Trip from "../models/Trip.js";
 import User from "../models/User.js";
+import { recordSafetyResponse } from "../services/safetyMonitorService.js";
 
 /* =====================================================
    TRIGGER SOS ALERT
@@ -332,6 +333,47 @@ export const updateDriverLocation = async (req, res) => {
   }
 };
 
+/* =====================================================
+   ANSWER "ARE YOU SAFE?"  (safety monitor check)
+   POST /api/sos/safety-check/respond
+
+   REST twin of the customer:safety_response socket event, for
+   answering from the FCM notification while the socket is down.
+   • safe: true  → monitor snoozed for this trip
+   • safe: false → SOS opened in admin-room with the driven trail
+
+   Body: { tripId, safe }
+   Auth: protect / verifyUser middleware REQUIRED on this route
+===================================================== */
+export const respondSafetyCheck = async (req, res) => {
+  try {
+    const customerId = req.user._id.toString();
+    const { tripId, safe } = req.body;
+
+    if (!tripId || typeof safe !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "tripId and safe (boolean) are required",
+      });
+    }
+
+    const result = await recordSafetyResponse(req.app.get("io"), {
+      tripId,
+      customerId,
+      safe,
+      source: "rest",
+    });
+
+    return res.status(result.success ? 200 : 409).json(result);
+  } catch (err) {
+    console.error("❌ respondSafetyCheck error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while recording safety response",
+    });
+  }
+};
+
 /* =====================================================
    RESOLVE SOS ALERT  (admin action)
    POST /api/sos/resolve
@@ -5,13 +5,15 @@
 import Trip            from '../models/Trip.js';
 import Wallet          from '../models/Wallet.js';
 import User            from '../models/User.js';
+import BroadcastSetting from '../models/BroadcastSetting.js';
 import DriverPlan      from '../models/DriverPlan.js';
 import CoinTransaction from '../models/CoinTransaction.js';
 import mongoose        from 'mongoose';
 import CommissionSetting from '../models/CommissionSetting.js'; // ✅ ADDED
 import { startProgressiveBroadcast, stopProgressiveBroadcast } from '../utils/progressiveTripBroadcaster.js';
 import { io }          from '../socket/socketHandler.js';
-import { TRIP_LIMITS } from '../config/tripConfig.js';
+import { SCHEDULED_TRIP_CONFIG, MULTI_STOP_CONFIG, TRIP_ACCEPT_LOCK_TTL_MS, MINIMUM_FARE } from '../config/tripConfig.js';
+import { formatTripStops } from '../utils/tripStops.js';
 import { generateOTP } from '../utils/otpGeneration.js';
 import RideHistory     from '../models/RideHistory.js';
 import RewardSettings  from '../models/RewardSettings.js';
@@ -22,30 +24,46 @@ import {
   handleFirstRideReferral,
 } from '../services/rewardService.js';
 import { awardRideCoins } from '../services/coinService.js';
+import { getParcelCompletionBlocker } from '../services/parcelService.js';
+import Parcel          from '../models/parcel.js';
+import {
+  assessCancellationFee,
+  creditDriverCompensation,
+  collectOutstandingFees,
+  attachFeesToTrip,
+} from '../services/cancellationFeeService.js';
+import {
+  startWaitingMeter,
+  closeWaitingMeter,
+  buildWaitingMeterPayload,
+} from '../services/waitingChargeService.js';
+import { recordDriverCancellation } from '../services/dispatchScoringService.js';
+import { assertTransition, sourcesFor, recordTripEvent } from '../services/tripEventService.js';
+import { resolveCompletionFare } from '../services/tripTrailService.js';
+import { autoShareNightRide } from '../services/tripShareService.js';
+import { openMaskingSession, maskedContact, maskTripParties } from '../services/callMaskingService.js';
+import { resolvePlaceRef } from '../services/savedPlaceService.js';
+import { verifyFareQuote, fareQuoteRecord } from '../services/fareQuoteService.js';
+import { acquireLock, releaseLock } from '../realtime/index.js';
+import { getWalletBalance, debitForTrip, creditRefund } from '../services/customerWalletService.js';
+import { refundCancelledTrip } from '../services/refundService.js';
+import { postWalletEntry } from '../services/ledgerService.js';
+import { syncCommissionDebt } from '../services/commissionDebtService.js';
 
 // ════════════════════════════════════════════════════════════════════════════
 // CONSTANTS & HELPERS
 // ════════════════════════════════════════════════════════════════════════════
 
-const MINIMUM_FARE = 5;
-
-const ALLOWED_TRANSITIONS = {
-  requested:      ['driver_assigned', 'cancelled', 'timeout'],
-  driver_assigned:['driver_at_pickup', 'cancelled'],
-  driver_at_pickup:['ride_started', 'cancelled'],
-  ride_started:   ['completed', 'awaiting_payment'],
-  awaiting_payment:['completed'],
-  completed:      [],
-  cancelled:      [],
-  timeout:        [],
-};
-
-function assertTransition(current, next) {
-  if (!ALLOWED_TRANSITIONS[current]?.includes(next)) {
-    throw new Error(`Illegal transition ${current} → ${next}`);
-  }
+// 📡 Outermost ring of the trip's progressive search (BroadcastSetting, or
+// BROADCAST_DEFAULTS when none) — the nearby-driver count covers the same area
+async function searchRadiusFor(vehicleType, city) {
+  const { phases } = await BroadcastSetting.getForVehicle(vehicleType, city || 'all');
+  return phases[phases.length - 1].radiusM;
 }
 
+// customer:request_trip reuses the create* handlers with a synthetic req
+const eventSource = (req) => (req.viaSocket ? 'socket' : 'rest');
+
 const getCustomerModel = async () => {
   try {
     return mongoose.models.Customer || mongoose.model('Customer');
@@ -90,6 +108,109 @@ function calculateDistanceFromCoords(lat1, lon1, lat2, lon2) {
 
 function toRad(v) { return (v * Math.PI) / 180; }
 
+// ⏰ Validates an optional "ride later" pickup time from the request body.
+// Returns { scheduledAt: null } for immediate trips, or { error } when the
+// time is outside the bookable window.
+function resolveScheduledAt(value) {
+  if (value === undefined || value === null || value === '') return { scheduledAt: null };
+
+  const scheduledAt = new Date(value);
+  if (Number.isNaN(scheduledAt.getTime())) {
+    return { error: 'Invalid scheduledAt' };
+  }
+
+  const { MIN_ADVANCE_MIN, MAX_ADVANCE_DAYS } = SCHEDULED_TRIP_CONFIG;
+  const now = Date.now();
+  if (scheduledAt.getTime() < now + MIN_ADVANCE_MIN * 60 * 1000) {
+    return { error: `Scheduled rides must be at least ${MIN_ADVANCE_MIN} minutes ahead` };
+  }
+  if (scheduledAt.getTime() > now + MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Scheduled rides can be booked at most ${MAX_ADVANCE_DAYS} days ahead` };
+  }
+  return { scheduledAt };
+}
+
+function buildScheduleFields(scheduledAt) {
+  if (!scheduledAt) return { status: 'requested' };
+  return { status: 'scheduled', isScheduled: true, scheduledAt };
+}
+
+function scheduledResponse(trip) {
+  const dispatchAt = new Date(
+    trip.scheduledAt.getTime() - SCHEDULED_TRIP_CONFIG.DISPATCH_LEAD_MIN * 60 * 1000
+  );
+  return {
+    success:     true,
+    tripId:      trip._id,
+    status:      'scheduled',
+    scheduledAt: trip.scheduledAt,
+    dispatchAt,
+    fare:        trip.fare,
+    message:     'Ride scheduled. We will start finding a driver before your pickup time.',
+  };
+}
+
+// 🛑 Validates optional intermediate stops for a short trip.
+// Input mirrors pickup/drop: [{ coordinates, address }] in travel order.
+function resolveStops(stops) {
+  if (stops === undefined || stops === null) return { stops: [] };
+  if (!Array.isArray(stops)) return { error: 'stops must be an array' };
+  if (stops.length > MULTI_STOP_CONFIG.MAX_STOPS) {
+    return { error: `At most ${MULTI_STOP_CONFIG.MAX_STOPS} stops allowed` };
+  }
+
+  try {
+    return {
+      stops: stops.map((stop) => ({
+        type:        'Point',
+        coordinates: normalizeCoordinates(stop?.coordinates),
+        address:     stop?.address,
+      })),
+    };
+  } catch (e) {
+    return { error: `Invalid stop: ${e.message}` };
+  }
+}
+
+// 📍 pickupPlaceId / dropPlaceId → the customer's saved or recent place.
+// Fills body.pickup / body.drop in place, so it must run before they are
+// read. Returns {} or { error }.
+async function resolvePlaceIds(body) {
+  if (!body.pickupPlaceId && !body.dropPlaceId) return {};
+
+  const customer = await findUserByIdOrPhone(body.customerId);
+  if (!customer) return { error: 'Customer not found' };
+
+  for (const side of ['pickup', 'drop']) {
+    const placeId = body[`${side}PlaceId`];
+    if (!placeId) continue;
+
+    const place = await resolvePlaceRef(customer._id, placeId);
+    if (!place) return { error: `${side}PlaceId is not one of your saved or recent places` };
+
+    body[side] = {
+      ...(body[side] || {}),
+      coordinates: place.coordinates,
+      address:     place.address || body[side]?.address,
+    };
+  }
+  return {};
+}
+
+// 👛 paymentMethod 'wallet' only sticks if the balance covers the fare right
+// now; anything else books as cash. Settlement checks the balance again.
+async function resolvePaymentMethod(customerId, requested, fare) {
+  if (String(requested || '').toLowerCase() !== 'wallet') {
+    return { method: 'Cash', fallbackReason: null };
+  }
+  const balance = await getWalletBalance(customerId);
+  if (balance < fare) {
+    console.log(`👛 Wallet ₹${balance} < fare ₹${fare} — customer ${customerId} booked as cash`);
+    return { method: 'Cash', fallbackReason: 'insufficient_wallet_balance', balance };
+  }
+  return { method: 'Wallet', fallbackReason: null, balance };
+}
+
 // ════════════════════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
 // ════════════════════════════════════════════════════════════════════════════
@@ -116,6 +237,11 @@ async function saveToRideHistory(trip, status = 'Completed', session = null) {
       originalFare:    populatedTrip.originalFare      || populatedTrip.fare || 0,
       discountApplied: populatedTrip.discountApplied   || 0,
       coinsUsed:       populatedTrip.coinsUsed         || 0,
+      waitingMinutes:  populatedTrip.waiting?.billableMinutes || 0,
+      waitingCharge:   populatedTrip.waiting?.charge          || 0,
+      estimatedDistanceKm: populatedTrip.travelled?.estimatedDistanceKm ?? populatedTrip.distance ?? null,
+      actualDistanceKm:    populatedTrip.travelled?.distanceKm ?? null,
+      fareAdjusted:        populatedTrip.travelled?.fareAdjusted || false,
       status,
       driver: {
         name:          populatedTrip.assignedDriver?.name          || 'N/A',
@@ -224,6 +350,20 @@ async function resolveDriverEarnings(driverId, fareAmount) {
   };
 }
 
+// Trip.platformCharges — the commission split by fee component. When the
+// cap in resolveDriverEarnings cut the fee down, each part shrinks with it.
+function platformChargesOf({ commission, commissionPart, platformFeeFlatApplied, platformFeePercentAmount }) {
+  const raw   = commissionPart + platformFeeFlatApplied + platformFeePercentAmount;
+  const scale = raw > 0 ? commission / raw : 0;
+  const flat  = Math.round(platformFeeFlatApplied * scale * 100) / 100;
+  const pct   = Math.round(platformFeePercentAmount * scale * 100) / 100;
+  return {
+    commission:         Math.round((commission - flat - pct) * 100) / 100,
+    platformFeeFlat:    flat,
+    platformFeePercent: pct,
+  };
+}
+
 async function processWalletTransaction(driverId, tripId, fareAmount, session) {
   try {
     console.log(`💳 Wallet: Driver ${driverId}, Fare ₹${fareAmount}`);
@@ -284,6 +424,16 @@ async function processWalletTransaction(driverId, tripId, fareAmount, session) {
       },
       { upsert: true, session }
     );
+    await postWalletEntry({
+      key:      `ride:${tripId}`,
+      type:     'ride_cash',
+      driverId, tripId,
+      delta:    { availableBalance: driverEarning, totalCommission: commission },
+      counter:  'cash_in_hand',
+      earnings: driverEarning,
+      memo:     description,
+      session,
+    });
 
     return {
       success: true,
@@ -411,12 +561,21 @@ const createShortTrip = async (req, res) => {
   let discountAmount = 0;
 
   try {
-    const { customerId, pickup, drop, vehicleType, fare, useCoins } = req.body;
+    const { error: placeError } = await resolvePlaceIds(req.body);
+    if (placeError) {
+      return res.status(400).json({ success: false, message: placeError });
+    }
+    const { customerId, pickup, drop, vehicleType, useCoins, city } = req.body;
 
-    console.log(`📌 CREATE SHORT TRIP:`, { customerId, vehicleType, fare, useCoins });
+    console.log(`📌 CREATE SHORT TRIP:`, { customerId, vehicleType, useCoins, scheduledAt: req.body.scheduledAt, stops: req.body.stops?.length || 0 });
 
-    if (!fare || fare <= 0) {
-      return res.status(400).json({ success: false, message: 'Valid fare required' });
+    const { scheduledAt, error: scheduleError } = resolveScheduledAt(req.body.scheduledAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
+    }
+    const { stops, error: stopsError } = resolveStops(req.body.stops);
+    if (stopsError) {
+      return res.status(400).json({ success: false, message: stopsError });
     }
     if (!vehicleType || typeof vehicleType !== 'string' || vehicleType.trim() === '') {
       return res.status(400).json({ success: false, message: 'Vehicle type required' });
@@ -431,6 +590,24 @@ const createShortTrip = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Customer not found' });
     }
 
+    // 🧾 Price comes from the signed quote — any client-sent fare is ignored
+    const { quote, error: quoteError, statusCode: quoteStatus } = verifyFareQuote(req.body.quoteId, {
+      customerId:  customer._id,
+      category:    'short',
+      vehicleType: sanitizedVehicleType,
+      pickup:      pickup.coordinates,
+      drop:        drop.coordinates,
+      stops:       stops.map((s) => s.coordinates),
+      scheduledAt,
+    });
+    if (quoteError) {
+      return res.status(quoteStatus).json({ success: false, message: quoteError });
+    }
+    if (req.body.fare && Number(req.body.fare) !== quote.total) {
+      console.warn(`⚠️ createShortTrip: client fare ₹${req.body.fare} ignored — quoted fare ₹${quote.total}`);
+    }
+    const fare = quote.total;
+
     let finalFare     = fare;
     let discountApplied = 0;
 
@@ -464,6 +641,7 @@ const createShortTrip = async (req, res) => {
       console.error(`❌ Coin discount error: ${e.message}`);
     }
 
+    const searchRadius = await searchRadiusFor(sanitizedVehicleType, city);
     const nearbyDrivers = await User.find({
       isDriver:  true,
       vehicleType: sanitizedVehicleType,
@@ -479,7 +657,7 @@ const createShortTrip = async (req, res) => {
       location: {
         $near: {
           $geometry: { type: 'Point', coordinates: pickup.coordinates },
-          $maxDistance: TRIP_LIMITS.SHORT || 2000,
+          $maxDistance: searchRadius,
         },
       },
     }).select('_id name phone socketId fcmToken vehicleType location rating').lean();
@@ -513,19 +691,52 @@ const createShortTrip = async (req, res) => {
     const destinationDriverIds = new Set(destinationDrivers.map(d => d._id?.toString()));
     const normalOnlyDrivers    = nearbyDrivers.filter(d => !destinationDriverIds.has(d._id?.toString()));
 
+    // 💸 Unpaid cancellation fees from earlier rides ride along on this fare
+    const outstanding = await collectOutstandingFees(customer._id);
+    const payment     = await resolvePaymentMethod(customer._id, req.body.paymentMethod, finalFare + outstanding.total);
+
     const trip = await Trip.create({
       customerId:      customer._id,
       pickup,
       drop,
+      stops,
       vehicleType:     sanitizedVehicleType,
+      city:            city || null,
+      distance:        quote.distanceKm,   // Estimate the fare was quoted on
+      duration:        quote.durationMin,
       type:            'short',
-      status:          'requested',
-      fare:            finalFare,
+      ...buildScheduleFields(scheduledAt),
+      fare:            finalFare + outstanding.total,
       originalFare:    fare,
+      fareBreakdown:   quote.breakdown,
+      fareQuote:       fareQuoteRecord(quote),
       discountApplied: discountApplied || 0,
       coinsUsed:       coinsDeducted   || 0,
+      outstandingFeesAdded: outstanding.total,
+      payment:         { method: payment.method, fallbackReason: payment.fallbackReason },
+    });
+    await attachFeesToTrip(outstanding.feeTripIds, trip._id);
+    await recordTripEvent({
+      tripId: trip._id, to: trip.status,
+      actor: { id: customer._id, role: 'customer' }, source: eventSource(req),
+      metadata: { type: 'short', fare: trip.fare, stops: trip.stops?.length || 0 },
     });
 
+    if (scheduledAt) {
+      return res.status(200).json({
+        ...scheduledResponse(trip),
+        fareDetails: {
+          originalFare: fare,
+          discountApplied,
+          finalFare: finalFare + outstanding.total,
+          coinsUsed: coinsDeducted,
+          outstandingCancellationFee: outstanding.total,
+          paymentMethod: payment.method,
+          walletFallback: payment.fallbackReason,
+        },
+      });
+    }
+
     await startProgressiveBroadcast(trip);
 
     return res.status(200).json({
@@ -537,8 +748,11 @@ const createShortTrip = async (req, res) => {
       fareDetails: {
         originalFare: fare,
         discountApplied,
-        finalFare,
+        finalFare: finalFare + outstanding.total,
         coinsUsed: coinsDeducted,
+        outstandingCancellationFee: outstanding.total,
+        paymentMethod: payment.method,
+        walletFallback: payment.fallbackReason,
       },
     });
   } catch (err) {
@@ -549,9 +763,15 @@ const createShortTrip = async (req, res) => {
 
 const createParcelTrip = async (req, res) => {
   try {
-    const { customerId, pickup, drop, vehicleType, parcelDetails, fare } = req.body;
-    if (!fare || fare <= 0) {
-      return res.status(400).json({ success: false, message: 'Valid fare required' });
+    const { error: placeError } = await resolvePlaceIds(req.body);
+    if (placeError) {
+      return res.status(400).json({ success: false, message: placeError });
+    }
+    const { customerId, pickup, drop, vehicleType, parcelId, state, city } = req.body;
+    const parcelDetails = req.body.parcelDetails || {};
+    const { scheduledAt, error: scheduleError } = resolveScheduledAt(req.body.scheduledAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
     }
 
     const sanitizedVehicleType = (vehicleType || 'bike').toString().trim().toLowerCase();
@@ -561,6 +781,45 @@ const createParcelTrip = async (req, res) => {
     const customer = await findUserByIdOrPhone(customerId);
     if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
 
+    // 📦 Either book an existing parcel (POST /api/parcels/create) or create one now
+    let parcel = null;
+    if (parcelId) {
+      parcel = await Parcel.findById(parcelId).lean();
+      if (!parcel) return res.status(404).json({ success: false, message: 'Parcel not found' });
+      if (parcel.tripId || parcel.status !== 'pending') {
+        return res.status(409).json({ success: false, message: 'Parcel is already booked' });
+      }
+      if (parcel.customerId && parcel.customerId.toString() !== customer._id.toString()) {
+        return res.status(403).json({ success: false, message: 'Parcel belongs to another customer' });
+      }
+    } else if (!parcelDetails.receiverName || !parcelDetails.receiverPhone) {
+      return res.status(400).json({ success: false, message: 'Receiver name and phone required' });
+    }
+
+    const weight = Number(parcel?.weight ?? parcelDetails.weight) || 0;
+
+    // 🧾 Price comes from the signed quote — any client-sent fare is ignored
+    const { quote, error: quoteError, statusCode: quoteStatus } = verifyFareQuote(req.body.quoteId, {
+      customerId:  customer._id,
+      category:    'parcel',
+      vehicleType: sanitizedVehicleType,
+      pickup:      pickup.coordinates,
+      drop:        drop.coordinates,
+      params:      { weight },
+      scheduledAt,
+    });
+    if (quoteError) {
+      return res.status(quoteStatus).json({ success: false, message: quoteError });
+    }
+    if (req.body.fare && Number(req.body.fare) !== quote.total) {
+      console.warn(`⚠️ createParcelTrip: client fare ₹${req.body.fare} ignored — quoted fare ₹${quote.total}`);
+    }
+
+    // 💸 Unpaid cancellation fees from earlier rides ride along on this fare
+    const outstanding = await collectOutstandingFees(customer._id);
+    const fare = quote.total + outstanding.total;
+
+    const searchRadius = await searchRadiusFor(sanitizedVehicleType, city || parcel?.city);
     const nearbyDrivers = await User.find({
       isDriver:  true,
       vehicleType: sanitizedVehicleType,
@@ -571,7 +830,7 @@ const createParcelTrip = async (req, res) => {
       location: {
         $near: {
           $geometry: { type: 'Point', coordinates: pickup.coordinates },
-          $maxDistance: TRIP_LIMITS.PARCEL || 10000,
+          $maxDistance: searchRadius,
         },
       },
     }).select('_id name phone socketId vehicleType location rating').lean();
@@ -599,18 +858,98 @@ const createParcelTrip = async (req, res) => {
 
     const nearbyIds = new Set(nearbyDrivers.map(d => d._id?.toString()));
     const uniqueDest = destinationDrivers.filter(d => !nearbyIds.has(d._id?.toString()));
+    const payment    = await resolvePaymentMethod(customer._id, req.body.paymentMethod, fare);
 
     const trip = await Trip.create({
       customerId:  customer._id,
       pickup,
       drop,
       vehicleType: sanitizedVehicleType,
+      city:        city || parcel?.city || null,
       type:        'parcel',
-      parcelDetails,
-      status:      'requested',
+      parcelDetails: {
+        weight,
+        receiverName:  parcel?.receiver?.name  ?? parcelDetails.receiverName,
+        receiverPhone: parcel?.receiver?.phone ?? parcelDetails.receiverPhone,
+        notes:         parcel?.notes ?? parcelDetails.notes,
+        photoUrl:      parcel?.photoUrl ?? parcelDetails.photoUrl,
+      },
+      ...buildScheduleFields(scheduledAt),
+      distance:      quote.distanceKm,
+      duration:      quote.durationMin,
       fare,
-      originalFare: fare,
+      originalFare:  quote.total,
+      fareBreakdown: quote.breakdown,
+      fareQuote:     fareQuoteRecord(quote),
+      outstandingFeesAdded: outstanding.total,
+      payment:       { method: payment.method, fallbackReason: payment.fallbackReason },
     });
+    await attachFeesToTrip(outstanding.feeTripIds, trip._id);
+    await recordTripEvent({
+      tripId: trip._id, to: trip.status,
+      actor: { id: customer._id, role: 'customer' }, source: eventSource(req),
+      metadata: { type: 'parcel', fare: trip.fare },
+    });
+
+    // 🔗 Link parcel ↔ trip and issue the receiver's delivery OTP
+    const deliveryOtp = generateOTP();
+    const parcelFields = {
+      customerId:    customer._id,
+      tripId:        trip._id,
+      status:        'booked',
+      fare:          quote.total,
+      fareBreakdown: quote.breakdown,
+      distanceKm:    quote.distanceKm,
+      deliveryOtp,
+    };
+    if (parcel) {
+      parcel = await Parcel.findOneAndUpdate(
+        { _id: parcel._id, tripId: null, status: 'pending' },
+        { $set: parcelFields },
+        { new: true }
+      );
+      if (!parcel) {
+        await Trip.updateOne({ _id: trip._id }, { $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: 'parcel_already_booked' } });
+        await recordTripEvent({
+          tripId: trip._id, from: trip.status, to: 'cancelled',
+          source: eventSource(req), metadata: { reason: 'parcel_already_booked', parcelId },
+        });
+        return res.status(409).json({ success: false, message: 'Parcel is already booked' });
+      }
+    } else {
+      parcel = await Parcel.create({
+        ...parcelFields,
+        vehicleType: sanitizedVehicleType,
+        category:    'parcel',
+        state, city,
+        weight,
+        pickup:   { lat: pickup.coordinates[1], lng: pickup.coordinates[0], address: pickup.address },
+        drop:     { lat: drop.coordinates[1],   lng: drop.coordinates[0],   address: drop.address },
+        receiver: { name: parcelDetails.receiverName, phone: parcelDetails.receiverPhone },
+        notes:    parcelDetails.notes,
+        photoUrl: parcelDetails.photoUrl,
+        rateId:   quote.rateId,
+      });
+    }
+    await Trip.updateOne({ _id: trip._id }, { $set: { parcelId: parcel._id } });
+    trip.parcelId = parcel._id;
+
+    const parcelInfo = {
+      parcelId:    parcel._id,
+      deliveryOtp,                // Sender shares this with the receiver
+      fareDetails: {
+        finalFare: fare,
+        outstandingCancellationFee: outstanding.total,
+        remarks:   quote.remarks,
+        breakdown: quote.breakdown,
+        paymentMethod:  payment.method,
+        walletFallback: payment.fallbackReason,
+      },
+    };
+
+    if (scheduledAt) {
+      return res.status(200).json({ ...scheduledResponse(trip), ...parcelInfo });
+    }
 
     await startProgressiveBroadcast(trip);
 
@@ -618,6 +957,7 @@ const createParcelTrip = async (req, res) => {
       success: true, tripId: trip._id,
       drivers: nearbyDrivers.length + uniqueDest.length,
       normalDrivers: nearbyDrivers.length, destinationDrivers: uniqueDest.length,
+      ...parcelInfo,
     });
   } catch (err) {
     console.error('🔥 createParcelTrip:', err);
@@ -627,9 +967,14 @@ const createParcelTrip = async (req, res) => {
 
 const createLongTrip = async (req, res) => {
   try {
-    const { customerId, pickup, drop, vehicleType, isSameDay, tripDays, returnTrip, fare } = req.body;
-    if (!fare || fare <= 0) {
-      return res.status(400).json({ success: false, message: 'Valid fare required' });
+    const { error: placeError } = await resolvePlaceIds(req.body);
+    if (placeError) {
+      return res.status(400).json({ success: false, message: placeError });
+    }
+    const { customerId, pickup, drop, vehicleType, city, isSameDay, tripDays, returnTrip } = req.body;
+    const { scheduledAt, error: scheduleError } = resolveScheduledAt(req.body.scheduledAt);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: scheduleError });
     }
 
     pickup.coordinates = normalizeCoordinates(pickup.coordinates);
@@ -639,7 +984,28 @@ const createLongTrip = async (req, res) => {
     const customer = await findUserByIdOrPhone(customerId);
     if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
 
-    const radius      = isSameDay ? TRIP_LIMITS.LONG_SAME_DAY : TRIP_LIMITS.LONG_ADVANCE;
+    // 🧾 Price comes from the signed quote — any client-sent fare is ignored
+    const { quote, error: quoteError, statusCode: quoteStatus } = verifyFareQuote(req.body.quoteId, {
+      customerId:  customer._id,
+      category:    'long',
+      vehicleType: sanitizedVehicleType,
+      pickup:      pickup.coordinates,
+      drop:        drop.coordinates,
+      params:      { tripDays, returnTrip, isSameDay },
+      scheduledAt,
+    });
+    if (quoteError) {
+      return res.status(quoteStatus).json({ success: false, message: quoteError });
+    }
+    if (req.body.fare && Number(req.body.fare) !== quote.total) {
+      console.warn(`⚠️ createLongTrip: client fare ₹${req.body.fare} ignored — quoted fare ₹${quote.total}`);
+    }
+
+    // 💸 Unpaid cancellation fees from earlier rides ride along on this fare
+    const outstanding = await collectOutstandingFees(customer._id);
+    const fare = quote.total + outstanding.total;
+
+    const radius      = await searchRadiusFor(sanitizedVehicleType, city);
     const driverQuery = {
       isDriver:  true,
       vehicleType: sanitizedVehicleType,
@@ -683,24 +1049,55 @@ const createLongTrip = async (req, res) => {
 
     const nearbyIds  = new Set(nearbyDrivers.map(d => d._id?.toString()));
     const uniqueDest = destinationDrivers.filter(d => !nearbyIds.has(d._id?.toString()));
+    const payment    = await resolvePaymentMethod(customer._id, req.body.paymentMethod, fare);
 
     const trip = await Trip.create({
       customerId: customer._id,
       pickup, drop,
       vehicleType: sanitizedVehicleType,
+      city:        city || null,
       type:        'long',
-      status:      'requested',
-      isSameDay, returnTrip, tripDays,
+      ...buildScheduleFields(scheduledAt),
+      isSameDay:   !!isSameDay,
+      returnTrip:  !!returnTrip,
+      tripDays:    quote.breakdown.days,
+      distance:    quote.distanceKm,
+      duration:    quote.durationMin,
       fare,
-      originalFare: fare,
+      originalFare:  quote.total,
+      fareBreakdown: quote.breakdown,
+      fareQuote:     fareQuoteRecord(quote),
+      outstandingFeesAdded: outstanding.total,
+      payment:       { method: payment.method, fallbackReason: payment.fallbackReason },
+    });
+    await attachFeesToTrip(outstanding.feeTripIds, trip._id);
+    await recordTripEvent({
+      tripId: trip._id, to: trip.status,
+      actor: { id: customer._id, role: 'customer' }, source: eventSource(req),
+      metadata: { type: 'long', fare: trip.fare, tripDays: trip.tripDays, returnTrip: trip.returnTrip },
     });
 
+    const fareDetails = {
+      finalFare:  fare,
+      outstandingCancellationFee: outstanding.total,
+      remarks:    quote.remarks,
+      rateSource: quote.rateSource,
+      breakdown:  quote.breakdown,
+      paymentMethod:  payment.method,
+      walletFallback: payment.fallbackReason,
+    };
+
+    if (scheduledAt) {
+      return res.status(200).json({ ...scheduledResponse(trip), fareDetails });
+    }
+
     await startProgressiveBroadcast(trip);
 
     return res.status(200).json({
       success: true, tripId: trip._id,
       drivers: nearbyDrivers.length + uniqueDest.length,
       normalDrivers: nearbyDrivers.length, destinationDrivers: uniqueDest.length,
+      fareDetails,
     });
   } catch (err) {
     console.error('🔥 createLongTrip:', err);
@@ -755,6 +1152,12 @@ const cancelTripByCustomer = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot cancel at this stage', status: existing.status });
     }
 
+    await recordTripEvent({
+      tripId, from: 'requested', to: 'cancelled',
+      actor: { id: customerId, role: 'customer' }, source: 'rest',
+      metadata: { reason: trip.cancellationReason },
+    });
+
     stopProgressiveBroadcast(tripId);
 
     if (io) {
@@ -794,9 +1197,41 @@ const cancelTrip = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
+    // 💸 Customer cancelling after a driver accepted → policy fee (assessed before status changes)
+    const feeAssessment = isCustomer ? await assessCancellationFee(trip) : null;
+
+    const previousStatus = trip.status;
+    assertTransition(previousStatus, 'cancelled');
+
+    // Claim the cancellation — of two concurrent cancels only one refunds
+    // coins and pays the driver's compensation
+    const cancellation = {
+      status:             'cancelled',
+      cancelledBy,
+      cancelledAt:        new Date(),
+      cancellationReason: reason,
+      ...(feeAssessment && {
+        cancellationFee: {
+          amount:             feeAssessment.amount,
+          driverCompensation: feeAssessment.driverCompensation,
+          status:             'pending',
+          reason:             feeAssessment.reason,
+        },
+      }),
+    };
+    const claimed = await Trip.findOneAndUpdate(
+      { _id: trip._id, status: { $in: sourcesFor('cancelled') } },
+      { $set: cancellation, $inc: { version: 1 } },
+      { new: true }
+    ).select('_id version').lean();
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: 'Trip was already cancelled or has moved on' });
+    }
+    Object.assign(trip, cancellation, { version: claimed.version });
+
     let coinsRefunded = 0;
 
-    if (trip.coinsUsed && trip.coinsUsed > 0 && trip.status !== 'requested') {
+    if (trip.coinsUsed && trip.coinsUsed > 0 && previousStatus !== 'requested') {
       try {
         const CustomerModel  = await getCustomerModel();
         const updatedCustomer = await CustomerModel.findByIdAndUpdate(
@@ -822,13 +1257,23 @@ const cancelTrip = async (req, res) => {
       }
     }
 
-    assertTransition(trip.status, 'cancelled');
-    trip.status             = 'cancelled';
-    trip.version            += 1;
-    trip.cancelledBy        = cancelledBy;
-    trip.cancelledAt        = new Date();
-    trip.cancellationReason = reason;
-    await trip.save();
+    await recordTripEvent({
+      tripId: trip._id, from: previousStatus, to: 'cancelled',
+      actor: { id: cancelledBy, role: isCustomer ? 'customer' : 'driver' }, source: 'rest',
+      metadata: { reason, cancellationFee: feeAssessment?.amount || 0 },
+    });
+
+    if (feeAssessment) {
+      try {
+        await creditDriverCompensation(feeAssessment.driverId, trip._id, feeAssessment.driverCompensation);
+      } catch (e) {
+        console.error('Cancellation compensation failed:', e.message);
+      }
+    }
+    const cancellationFee = feeAssessment?.amount || 0;
+
+    // ↩️ Already paid online / by wallet → full refund (policy)
+    const refund = await refundCancelledTrip(trip._id, io);
 
     await saveToRideHistory(trip, 'Cancelled');
 
@@ -838,39 +1283,158 @@ const cancelTrip = async (req, res) => {
         { $set: { currentTripId: null, isBusy: false } }
       );
     }
+    if (isDriver) {
+      await recordDriverCancellation(trip.assignedDriver._id).catch((e) =>
+        console.error('recordDriverCancellation failed:', e.message)
+      );
+    }
 
     if (trip.assignedDriver?.socketId && io) {
       io.to(trip.assignedDriver.socketId).emit('trip:cancelled', {
         tripId, cancelledBy: isCustomer ? 'customer' : 'driver',
+        compensation: feeAssessment?.driverCompensation || 0,
       });
     }
     if (trip.customerId?.socketId && io) {
-      io.to(trip.customerId.socketId).emit('trip:cancelled', { tripId, coinsRefunded });
+      io.to(trip.customerId.socketId).emit('trip:cancelled', {
+        tripId, coinsRefunded, cancellationFee, refundAmount: refund?.amount || 0,
+      });
     }
 
-    return res.status(200).json({ success: true, message: 'Trip cancelled', coinsRefunded });
+    return res.status(200).json({
+      success: true,
+      message: cancellationFee > 0
+        ? `Trip cancelled. A cancellation fee of ₹${cancellationFee} will be added to your next ride.`
+        : 'Trip cancelled',
+      coinsRefunded,
+      cancellationFee,
+      refund: refund
+        ? { refundId: refund._id, amount: refund.amount, status: refund.status, destination: refund.destination }
+        : null,
+    });
   } catch (err) {
     console.error('🔥 cancelTrip:', err);
     return res.status(500).json({ success: false, message: err.message });
   }
 };
 
+// ════════════════════════════════════════════════════════════════════════════
+// SCHEDULED TRIPS (RIDE LATER)
+// Dispatch itself happens in cron/scheduledTripCron.js
+// ════════════════════════════════════════════════════════════════════════════
+
+const cancelScheduledTrip = async (req, res) => {
+  try {
+    const { tripId, customerId, reason } = req.body;
+    if (!tripId || !customerId) {
+      return res.status(400).json({ success: false, message: 'tripId and customerId required' });
+    }
+
+    const trip = await Trip.findOneAndUpdate(
+      { _id: tripId, customerId, status: 'scheduled' },
+      {
+        $set: {
+          status:             'cancelled',
+          cancelledAt:        new Date(),
+          cancelledBy:        customerId,
+          cancellationReason: reason || 'customer_cancelled_scheduled',
+        },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    ).lean();
+
+    if (!trip) {
+      const existing = await Trip.findById(tripId).select('status customerId').lean();
+      if (!existing || existing.customerId?.toString() !== customerId) {
+        return res.status(404).json({ success: false, message: 'Scheduled trip not found' });
+      }
+      if (existing.status === 'cancelled') {
+        return res.status(200).json({ success: true, message: 'Already cancelled', alreadyCancelled: true });
+      }
+      if (existing.status === 'requested') {
+        return res.status(400).json({
+          success: false,
+          message: 'Driver search already started. Use cancel search API.',
+          status:  existing.status,
+        });
+      }
+      return res.status(400).json({ success: false, message: 'Cannot cancel at this stage', status: existing.status });
+    }
+
+    await recordTripEvent({
+      tripId, from: 'scheduled', to: 'cancelled',
+      actor: { id: customerId, role: 'customer' }, source: 'rest',
+      metadata: { reason: trip.cancellationReason },
+    });
+
+    console.log(`🗓️ Scheduled trip ${tripId} cancelled by customer before dispatch`);
+    return res.status(200).json({ success: true, message: 'Scheduled ride cancelled', tripId });
+  } catch (err) {
+    console.error('🔥 cancelScheduledTrip:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+const getCustomerScheduledTrips = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const trips = await Trip.find({ customerId, status: 'scheduled' })
+      .select('type vehicleType pickup drop fare scheduledAt createdAt')
+      .sort({ scheduledAt: 1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      count:   trips.length,
+      trips:   trips.map((t) => ({
+        tripId:      t._id.toString(),
+        type:        t.type,
+        vehicleType: t.vehicleType,
+        fare:        t.fare,
+        scheduledAt: t.scheduledAt,
+        pickup: {
+          lat:     t.pickup.coordinates[1],
+          lng:     t.pickup.coordinates[0],
+          address: t.pickup.address || 'Pickup Location',
+        },
+        drop: {
+          lat:     t.drop.coordinates[1],
+          lng:     t.drop.coordinates[0],
+          address: t.drop.address || 'Drop Location',
+        },
+      })),
+    });
+  } catch (err) {
+    console.error('🔥 getCustomerScheduledTrips:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 // ════════════════════════════════════════════════════════════════════════════
 // TRIP ACCEPTANCE
 // ════════════════════════════════════════════════════════════════════════════
 
 const acceptTrip = async (req, res) => {
   const session = await mongoose.startSession();
+  const { driverId, tripId } = req.body;
+  let acceptLock = null;
   try {
-    const { driverId, tripId } = req.body;
     if (!driverId || !tripId) {
       return res.status(400).json({ success: false, message: 'driverId and tripId required' });
     }
 
+    // Same lock as the socket driver:accept_trip path, so two instances never accept one trip
+    acceptLock = await acquireLock(`trip-accept:${tripId}`, TRIP_ACCEPT_LOCK_TTL_MS);
+    if (!acceptLock) {
+      return res.status(409).json({ success: false, message: 'Trip is being accepted by another driver' });
+    }
+
     const rideCode    = generateOTP();
     let   tripData    = null;
     let   driverData  = null;
     let   customerData = null;
+    let   driverPhone  = null;
 
     await session.withTransaction(async () => {
       const trip = await Trip.findOne({
@@ -894,6 +1458,7 @@ const acceptTrip = async (req, res) => {
       driver.isBusy          = true;
       driver.currentTripId   = tripId;
       driver.lastTripAcceptedAt = new Date();
+      driver.set('dispatchStats.accepted', (driver.dispatchStats?.accepted || 0) + 1);
 
       if (driver.goToDestination?.enabled) {
         driver.goToDestination.enabled   = false;
@@ -959,11 +1524,11 @@ const acceptTrip = async (req, res) => {
       await trip.save({ session });
 
       tripData = trip.toObject();
+      driverPhone = driver.phone;
       driverData = {
         _id:          driver._id.toString(),
         id:           driver._id.toString(),
         name:         driver.name,
-        phone:        driver.phone,
         photoUrl:     driver.photoUrl || null,
         rating:       driver.rating   || 4.8,
         vehicleBrand: driver.vehicleBrand  || 'Vehicle',
@@ -975,14 +1540,26 @@ const acceptTrip = async (req, res) => {
       };
     });
 
+    await recordTripEvent({
+      tripId: tripData._id, from: 'requested', to: 'driver_assigned',
+      actor: { id: driverId, role: 'driver' }, source: 'rest',
+    });
+
     const customer = await User.findById(tripData.customerId)
       .select('socketId name phone photoUrl rating').lean();
 
+    // 📞 Proxy session before any payload goes out — real numbers never do
+    const callMasking = await openMaskingSession(tripData, {
+      customerPhone: customer?.phone,
+      driverPhone,
+    });
+    driverData = { ...driverData, ...maskedContact(driverPhone, callMasking) };
+
     if (customer) {
       customerData = {
         id:       customer._id.toString(),
         name:     customer.name     || 'Customer',
-        phone:    customer.phone    || null,
+        ...maskedContact(customer.phone, callMasking),
         photoUrl: customer.photoUrl || null,
         rating:   customer.rating   || 5.0,
       };
@@ -1009,11 +1586,15 @@ const acceptTrip = async (req, res) => {
             lng:     tripData.drop.coordinates[0],
             address: tripData.drop.address || 'Drop Location',
           },
+          stops: formatTripStops(tripData),
         },
         driver: driverData,
       });
     }
 
+    // 🔗 Night ride → share with trusted contacts (never throws, don't hold up the driver)
+    autoShareNightRide(io, tripData);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -1037,6 +1618,7 @@ const acceptTrip = async (req, res) => {
             lng:     tripData.drop.coordinates[0],
             address: tripData.drop.address || 'Drop Location',
           },
+          stops: formatTripStops(tripData),
         },
         customer: customerData,
         status:   tripData.status,
@@ -1048,6 +1630,7 @@ const acceptTrip = async (req, res) => {
     return res.status(400).json({ success: false, message: err.message });
   } finally {
     session.endSession();
+    await releaseLock(`trip-accept:${tripId}`, acceptLock);
   }
 };
 
@@ -1072,10 +1655,15 @@ const driverGoingToPickup = async (req, res) => {
     if (trip.assignedDriver?.toString() !== driverId) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
-    assertTransition(trip.status, 'driver_going_to_pickup');
+    const previousStatus = trip.status;
+    assertTransition(previousStatus, 'driver_going_to_pickup');
     trip.status   = 'driver_going_to_pickup';
     trip.version  += 1;
     await trip.save();
+    await recordTripEvent({
+      tripId: trip._id, from: previousStatus, to: trip.status,
+      actor: { id: driverId, role: 'driver' }, source: 'rest',
+    });
 
     const customer = await User.findById(trip.customerId).select('socketId').lean();
     if (customer?.socketId && io) {
@@ -1096,16 +1684,28 @@ const driverArrivedAtPickup = async (req, res) => {
     if (trip.assignedDriver?.toString() !== driverId) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
-    assertTransition(trip.status, 'driver_at_pickup');
+    const previousStatus = trip.status;
+    assertTransition(previousStatus, 'driver_at_pickup');
     trip.status  = 'driver_at_pickup';
     trip.version += 1;
     await trip.save();
+    await recordTripEvent({
+      tripId: trip._id, from: previousStatus, to: trip.status,
+      actor: { id: driverId, role: 'driver' }, source: 'rest',
+    });
+
+    // ⏱️ Waiting meter runs from here until startRide
+    const waiting      = await startWaitingMeter(trip);
+    const waitingMeter = buildWaitingMeterPayload({ _id: trip._id, waiting });
 
     const customer = await User.findById(trip.customerId).select('socketId').lean();
     if (customer?.socketId && io) {
-      io.to(customer.socketId).emit('trip:driver_arrived', { tripId: trip._id.toString() });
+      io.to(customer.socketId).emit('trip:driver_arrived', {
+        tripId: trip._id.toString(),
+        waiting: waitingMeter,
+      });
     }
-    return res.status(200).json({ success: true, message: 'Driver arrived' });
+    return res.status(200).json({ success: true, message: 'Driver arrived', waiting: waitingMeter });
   } catch (err) {
     console.error('🔥 driverArrivedAtPickup:', err);
     return res.status(500).json({ success: false, message: err.message });
@@ -1132,19 +1732,33 @@ const startRide = async (req, res) => {
       return res.status(400).json({ success: false, message: `Too far: ${(dist * 1000).toFixed(0)}m` });
     }
 
-    assertTransition(trip.status, 'ride_started');
+    const previousStatus = trip.status;
+    assertTransition(previousStatus, 'ride_started');
+    const now = new Date();
     trip.status        = 'ride_started';
     trip.version       += 1;
-    trip.rideStartTime = new Date();
+    trip.rideStartTime = now;
+    trip.set(closeWaitingMeter(trip.waiting, now));
     await trip.save();
 
+    const waitingCharge = trip.waiting?.charge || 0;
+
+    await recordTripEvent({
+      tripId: trip._id, from: previousStatus, to: trip.status,
+      actor: { id: driverId, role: 'driver' }, source: 'rest',
+      location: { lat: driverLat, lng: driverLng },
+      metadata: { waitingCharge, distanceFromPickupM: Math.round(dist * 1000) },
+    });
+
     const customer = await User.findById(trip.customerId).select('socketId').lean();
     if (customer?.socketId && io) {
       io.to(customer.socketId).emit('trip:ride_started', {
-        tripId: trip._id.toString(), startTime: trip.rideStartTime,
+        tripId: trip._id.toString(), startTime: trip.rideStartTime, waitingCharge,
       });
     }
-    return res.status(200).json({ success: true, message: 'Ride started', startTime: trip.rideStartTime });
+    return res.status(200).json({
+      success: true, message: 'Ride started', startTime: trip.rideStartTime, waitingCharge,
+    });
   } catch (err) {
     console.error('🔥 startRide:', err);
     return res.status(500).json({ success: false, message: err.message });
@@ -1184,6 +1798,9 @@ const completeRideWithVerification = async (req, res) => {
         throw new Error('Not authorized');
       }
 
+      const parcelBlocker = await getParcelCompletionBlocker(trip, session);
+      if (parcelBlocker) throw new Error(parcelBlocker);
+
       const distToDropKm = calculateDistanceFromCoords(
         driverLat, driverLng,
         trip.drop.coordinates[1], trip.drop.coordinates[0]
@@ -1207,11 +1824,21 @@ const completeRideWithVerification = async (req, res) => {
         throw new Error('Cannot complete ride — fare resolved to ₹0');
       }
 
+      // 🛰️ Re-priced on the driven distance when it strays from the estimate
+      const rideEndTime = new Date();
+      const priced = await resolveCompletionFare(trip, { baseFare: fareAmount, endedAt: rideEndTime });
+      fareAmount = priced.fare;
+
+      // ⏱️ Waiting at pickup was frozen in startRide
+      const waitingCharge = trip.waiting?.charge || 0;
+      const finalFare     = Math.round((fareAmount + waitingCharge) * 100) / 100;
+
       assertTransition(trip.status, 'awaiting_payment');
       trip.status      = 'awaiting_payment';
-      trip.finalFare   = fareAmount;
+      trip.finalFare   = finalFare;
       trip.fare        = fareAmount;
-      trip.rideEndTime = new Date();
+      trip.travelled   = priced.travelled;
+      trip.rideEndTime = rideEndTime;
       trip.version     += 1;
 
       await trip.save({ session });
@@ -1219,8 +1846,13 @@ const completeRideWithVerification = async (req, res) => {
       walletResult = {
         success: true,
         fareBreakdown: {
-          tripFare: fareAmount, commission: 0,
-          commissionPercentage: 0, driverEarning: fareAmount,
+          tripFare: finalFare, baseFare: fareAmount,
+          waitingCharge, waitingMinutes: trip.waiting?.billableMinutes || 0,
+          estimatedDistanceKm: priced.travelled.estimatedDistanceKm,
+          actualDistanceKm:    priced.travelled.distanceKm,
+          fareAdjusted:        priced.travelled.fareAdjusted,
+          commission: 0,
+          commissionPercentage: 0, driverEarning: finalFare,
           planBonus: 0, planApplied: false, planName: null,
         },
       };
@@ -1240,12 +1872,37 @@ const completeRideWithVerification = async (req, res) => {
 
     session.endSession();
 
+    await recordTripEvent({
+      tripId, from: 'ride_started', to: 'awaiting_payment',
+      actor: { id: driverId, role: 'driver' }, source: 'rest',
+      location: { lat: driverLat, lng: driverLng },
+      metadata: {
+        finalFare: tripData.finalFare, waitingCharge: tripData.waiting?.charge || 0,
+        travelled: tripData.travelled,
+      },
+    });
+
+    // 👛 Wallet trips settle here — the driver never sees the cash screen
+    const walletSettlement = tripData.payment?.method === 'Wallet'
+      ? await settleWithCustomerWallet(tripId, req.io || io)
+      : null;
+    if (walletSettlement?.settled) {
+      return res.status(200).json({
+        ...walletSettlement.body,
+        message:                'Ride completed. Paid from customer wallet.',
+        fare:                   tripData.finalFare,
+        paymentCollected:       true,
+        awaitingCashCollection: false,
+      });
+    }
+
     return res.status(200).json({
       success:                true,
       message:                'Ride completed. Please collect cash.',
       fare:                   tripData.finalFare,
       paymentCollected:       false,
       awaitingCashCollection: true,
+      walletFallback:         walletSettlement?.reason || null,
       fareBreakdown:          walletResult.fareBreakdown,
     });
   } catch (err) {
@@ -1256,21 +1913,14 @@ const completeRideWithVerification = async (req, res) => {
 };
 
 // ════════════════════════════════════════════════════════════════════════════
-// CONFIRM CASH COLLECTION — with incentive written to Wallet
+// SETTLE PAYMENT — driver Wallet credit + trip completed, with incentive
+// method 'cash'   → driver holds the fare, commission goes to pendingAmount
+// method 'wallet' → customer wallet already debited, commission kept here
+// Returns { statusCode, body } for the caller to send.
 // ════════════════════════════════════════════════════════════════════════════
 
-const confirmCashCollection = async (req, res) => {
-  const { tripId, driverId, fare } = req.body;
-
-  console.log('💰 CONFIRM CASH COLLECTION', { tripId, driverId, fare });
-
-  if (!tripId || !driverId) {
-    return res.status(400).json({
-      success: false,
-      message: 'tripId and driverId are required',
-    });
-  }
-
+async function settleTripPayment({ tripId, driverId, fare, method = 'cash', io: socketIo = null, source = 'rest' }) {
+  const isWallet     = method === 'wallet';
   const MAX_RETRIES  = 3;
   const RETRY_DELAY  = 200;
 
@@ -1302,32 +1952,32 @@ const confirmCashCollection = async (req, res) => {
         }
 
         if (trip.paymentCollected === true) {
-          result = { alreadyProcessed: true, success: true, message: 'Cash already collected' };
+          result = { alreadyProcessed: true, success: true };
           return;
         }
 
-        const requestFare = Number(fare) || 0;
-        let   fareAmount  = 0;
-
-        if (requestFare > 0) {
-          fareAmount = requestFare;
-        } else if ((trip.finalFare ?? 0) > 0) {
-          fareAmount = trip.finalFare;
-        } else if ((trip.fare ?? 0) > 0) {
-          fareAmount = trip.fare;
-        } else if ((trip.originalFare ?? 0) > 0) {
-          fareAmount = Math.max(
-            MINIMUM_FARE,
-            trip.originalFare - (trip.discountApplied || 0)
-          );
-        }
+        // The server-side fare is the only source; a client fare is just checked against it
+        const fareAmount = (trip.finalFare ?? 0) > 0 ? trip.finalFare : (trip.fare ?? 0);
 
         if (fareAmount <= 0) {
           throw Object.assign(new Error('Cannot process ₹0 fare'), { statusCode: 400 });
         }
 
+        const requestFare = Number(fare) || 0;
+        if (requestFare > 0 && Math.abs(requestFare - fareAmount) >= 0.01) {
+          throw Object.assign(
+            new Error(`Fare mismatch — trip fare is ₹${fareAmount}, not ₹${requestFare}`),
+            { statusCode: 409, fare: fareAmount }
+          );
+        }
+
+        // ── Earlier cancellation fees on this fare go to the platform ──────
+        // The cancelled-on driver was compensated when the fee was assessed
+        const feesCollected = Math.min(Math.max(0, Number(trip.outstandingFeesAdded) || 0), fareAmount);
+        const rideFare      = Math.round((fareAmount - feesCollected) * 100) / 100;
+
         // ── Resolve commission + incentive from plan or CommissionSetting ──
-        const resolved = await resolveDriverEarnings(driverId, fareAmount);
+        const resolved = await resolveDriverEarnings(driverId, rideFare);
         const {
           commissionRate,
           effectivePlatformFeeRate,
@@ -1357,7 +2007,7 @@ const confirmCashCollection = async (req, res) => {
               totalEarnings:    totalCredit,
               totalCommission:  commission,
               availableBalance: totalCredit,
-              pendingAmount:    commission,
+              pendingAmount:    isWallet ? 0 : commission + feesCollected,
             },
             $push: {
               transactions: [
@@ -1366,28 +2016,42 @@ const confirmCashCollection = async (req, res) => {
                   tripId,
                   type:               'credit',
                   amount:             totalCredit,
-                  originalFare:       fareAmount,
+                  originalFare:       rideFare,
                   commissionDeducted: commission,
                   planBonus:          0,
                   finalEarning:       totalCredit,
                   description: planApplied
-                    ? `Ride ₹${fareAmount} (Plan: ${appliedPlanName})${perRideIncentive > 0 ? ` + ₹${perRideIncentive} incentive` : ''}`
-                    : `Ride ₹${fareAmount}${perRideIncentive > 0 ? ` + ₹${perRideIncentive} incentive` : ''}`,
+                    ? `Ride ₹${rideFare} (Plan: ${appliedPlanName})${perRideIncentive > 0 ? ` + ₹${perRideIncentive} incentive` : ''}`
+                    : `Ride ₹${rideFare}${perRideIncentive > 0 ? ` + ₹${perRideIncentive} incentive` : ''}`,
                   planApplied,
                   driverPlanId:       resolvedPlanId || null,
                   planName:           appliedPlanName || null,
                   planCommissionRate: finalCommissionRate,
-                  paymentMethod:      'cash',
+                  paymentMethod:      method,
                   status:             'completed',
                   createdAt:          new Date(),
                 },
-                // 2️⃣ Commission pending transaction (shows in history)
+                // 2️⃣ Commission transaction (shows in history) — nothing to
+                //    collect from the driver when the customer paid by wallet
                 commission > 0 && {
                   tripId,
                   type:        'commission',
                   amount:      commission,
-                  description: `Commission pending for ride ₹${fareAmount}`,
-                  status:      'pending',
+                  description: isWallet
+                    ? `Commission deducted for wallet ride ₹${rideFare}`
+                    : `Commission pending for ride ₹${rideFare}`,
+                  status:      isWallet ? 'completed' : 'pending',
+                  createdAt:   new Date(),
+                },
+                // 3️⃣ Customer's earlier cancellation fees — platform's, not the driver's
+                feesCollected > 0 && {
+                  tripId,
+                  type:        'commission',
+                  amount:      feesCollected,
+                  description: isWallet
+                    ? `Customer cancellation fee ₹${feesCollected} kept by platform`
+                    : `Customer cancellation fee ₹${feesCollected} collected in cash — owed to platform`,
+                  status:      isWallet ? 'completed' : 'pending',
                   createdAt:   new Date(),
                 }
               ].filter(Boolean),
@@ -1401,6 +2065,24 @@ const confirmCashCollection = async (req, res) => {
             sort: { updatedAt: -1, lastUpdated: -1, createdAt: -1 },
           }
         );
+        await postWalletEntry({
+          key:      `ride:${tripId}`,
+          type:     isWallet ? 'ride_wallet' : 'ride_cash',
+          driverId, tripId,
+          delta: {
+            availableBalance: totalCredit,
+            totalCommission:  commission,
+            pendingAmount:    isWallet ? 0 : commission + feesCollected,
+          },
+          extra: [
+            { account: 'incentive_expense', debit: perRideIncentive },
+            { account: 'cancellation_fees', credit: feesCollected },
+          ],
+          counter:  isWallet ? 'customer_wallet' : 'cash_in_hand',
+          earnings: totalCredit,
+          memo:     `Ride ₹${fareAmount} (${method})`,
+          session,
+        });
 
         const updatedTrip = await Trip.findOneAndUpdate(
           { _id: tripId, paymentCollected: { $ne: true } },
@@ -1409,19 +2091,25 @@ const confirmCashCollection = async (req, res) => {
               status:             'completed',
               paymentCollected:   true,
               paymentStatus:      'completed',
-              paymentMethod:      'cash',
+              paymentMethod:      method,
               paidAmount:         fareAmount,
               finalFare:          fareAmount,
               fare:               fareAmount,
+              platformCharges:    platformChargesOf(resolved),
               completedAt:        new Date(),
               paymentCompletedAt: new Date(),
+              ...(isWallet && {
+                'payment.collected':   true,
+                'payment.collectedAt': new Date(),
+                'payment.method':      'Wallet',
+              }),
             },
           },
           { session, new: true }
         );
 
         if (!updatedTrip) {
-          result = { alreadyProcessed: true, success: true, message: 'Cash already collected' };
+          result = { alreadyProcessed: true, success: true };
           return;
         }
 
@@ -1455,6 +2143,9 @@ const confirmCashCollection = async (req, res) => {
           planApplied,
           appliedPlanName,
           finalCommissionRate,
+          waitingCharge:     trip.waiting?.charge || 0,
+          travelled:         trip.travelled?.toObject?.() || trip.travelled || null,
+          previousStatus:    trip.status,
           customerId:        trip.customerId,
           vehicleType:       trip.vehicleType,
           pickup:            trip.pickup,
@@ -1467,7 +2158,10 @@ const confirmCashCollection = async (req, res) => {
       session.endSession();
 
       if (result?.alreadyProcessed) {
-        return res.json({ success: true, message: 'Cash already collected', alreadyProcessed: true });
+        return {
+          statusCode: 200,
+          body: { success: true, message: `${isWallet ? 'Payment' : 'Cash'} already collected`, alreadyProcessed: true },
+        };
       }
 
       const {
@@ -1485,6 +2179,9 @@ const confirmCashCollection = async (req, res) => {
         planApplied,
         appliedPlanName,
         finalCommissionRate,
+        waitingCharge,
+        travelled,
+        previousStatus,
         customerId,
         vehicleType,
         pickup,
@@ -1493,6 +2190,15 @@ const confirmCashCollection = async (req, res) => {
         availableBalance,
       } = result;
 
+      await recordTripEvent({
+        tripId, from: previousStatus, to: 'completed',
+        actor: { id: driverId, role: 'driver' }, source,
+        metadata: { paymentMethod: method, amount: fareAmount },
+      });
+
+      // ── Cash commission may have pushed the driver over their debt limit ──
+      const commissionDebt = await syncCommissionDebt(driverId, { io: socketIo });
+
       // ── Update driver User doc incentive counters (non-critical) ─────────
       try {
         const driver = await User.findById(driverId).select('totalIncentiveEarned totalRidesCompleted wallet lastRideId').lean();
@@ -1578,61 +2284,76 @@ const confirmCashCollection = async (req, res) => {
       }
 
       // ── Emit socket events ────────────────────────────────────────────────
-      if (req.io) {
+      if (socketIo) {
         const cid = customerId.toString();
 
-        req.io.to(`customer_${cid}`).emit('trip:cash_collected', {
+        socketIo.to(`customer_${cid}`).emit('trip:cash_collected', {
           tripId:           tripId.toString(),
           customerId:       cid,
           driverId:         driverId.toString(),
           amount:           fareAmount,
-          message:          'Driver confirmed cash payment',
+          estimatedDistanceKm: travelled?.estimatedDistanceKm ?? null,
+          actualDistanceKm:    travelled?.distanceKm ?? null,
+          fareAdjusted:        travelled?.fareAdjusted || false,
+          paymentMethod:    method,
+          message:          isWallet ? 'Paid from your wallet' : 'Driver confirmed cash payment',
           timestamp:        new Date().toISOString(),
           paymentCollected: true,
           success:          true,
         });
 
-        req.io.to(`driver_${driverId}`).emit('payment:confirmed', {
+        socketIo.to(`driver_${driverId}`).emit('payment:confirmed', {
           tripId:    tripId.toString(),
           amount:    fareAmount,
           customerId: cid,
+          paymentMethod: method,
           pendingAmount,
           walletBalance: availableBalance,
-          message:   'Payment collected successfully',
+          commissionDebt,
+          message:   isWallet ? 'Customer paid from wallet' : 'Payment collected successfully',
           timestamp: new Date().toISOString(),
         });
       }
 
       console.log(
-        `✅ CASH COLLECTION SUCCESS | Fare: ₹${fareAmount} | Driver: ₹${driverEarning} | Incentive: ₹${perRideIncentive} | Total credited: ₹${totalCredit} | Pending: ₹${pendingAmount} | Wallet: ₹${availableBalance}`,
+        `✅ ${isWallet ? 'WALLET' : 'CASH'} SETTLEMENT SUCCESS | Fare: ₹${fareAmount} | Driver: ₹${driverEarning} | Incentive: ₹${perRideIncentive} | Total credited: ₹${totalCredit} | Pending: ₹${pendingAmount} | Wallet: ₹${availableBalance}`,
       );
 
-      return res.status(200).json({
-        success: true,
-        message: 'Cash collected successfully',
-        amount:  fareAmount,
-        wallet: {
-          pendingAmount,
-          availableBalance,
-        },
-        fareBreakdown: {
-          tripFare:             fareAmount,
-          commission,
-          commissionPercentage: finalCommissionRate,
-          baseCommissionRate:   commissionRate,
-          commissionPart,
-          platformFeeFlat:      platformFeeFlatApplied,
-          platformFeePercent,
-          platformFeePercentAmount,
-          driverEarning,
-          incentiveAwarded:     perRideIncentive,
-          totalEarnings:        totalCredit,   // hero amount shown in Flutter earnings sheet
-          planApplied,
-          planName:             appliedPlanName || null,
-          planBonusMultiplier,
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: isWallet ? 'Paid from customer wallet' : 'Cash collected successfully',
+          amount:  fareAmount,
+          paymentMethod: method,
+          wallet: {
+            pendingAmount,
+            availableBalance,
+            commissionDebt,
+          },
+          fareBreakdown: {
+            tripFare:             fareAmount,
+            waitingCharge,
+            estimatedDistanceKm:  travelled?.estimatedDistanceKm ?? null,
+            actualDistanceKm:     travelled?.distanceKm ?? null,
+            fareAdjusted:         travelled?.fareAdjusted || false,
+            commission,
+            commissionPercentage: finalCommissionRate,
+            baseCommissionRate:   commissionRate,
+            commissionPart,
+            platformFeeFlat:      platformFeeFlatApplied,
+            platformFeePercent,
+            platformFeePercentAmount,
+            driverEarning,
+            incentiveAwarded:     perRideIncentive,
+            totalEarnings:        totalCredit,   // hero amount shown in Flutter earnings sheet
+            planApplied,
+            planName:             appliedPlanName || null,
+            planBonusMultiplier,
+          },
+          socketEmitted: !!socketIo,
         },
-        socketEmitted: !!req.io,
-      });
+      };
 
     } catch (err) {
       try { session.endSession(); } catch (_) {}
@@ -1648,10 +2369,10 @@ const confirmCashCollection = async (req, res) => {
 
       const statusCode = err.statusCode;
       if (statusCode === 400 || statusCode === 403 || statusCode === 404) {
-        if (!res.headersSent) {
-          return res.status(statusCode).json({ success: false, message: err.message });
-        }
-        return;
+        return { statusCode, body: { success: false, message: err.message } };
+      }
+      if (statusCode === 409) {
+        return { statusCode, body: { success: false, message: err.message, fare: err.fare } };
       }
 
       if (isTransient && attempt < MAX_RETRIES) {
@@ -1661,23 +2382,123 @@ const confirmCashCollection = async (req, res) => {
         continue;
       }
 
-      console.error(`🔥 confirmCashCollection failed after ${attempt} attempt(s):`, err.message);
+      console.error(`🔥 settleTripPayment(${method}) failed after ${attempt} attempt(s):`, err.message);
 
-      if (!res.headersSent) {
-        return res.status(500).json({
+      return {
+        statusCode: 500,
+        body: {
           success: false,
-          message: 'Failed to confirm cash collection',
+          message: isWallet ? 'Failed to settle wallet payment' : 'Failed to confirm cash collection',
           error:   err.message,
-        });
-      }
+        },
+      };
     }
   }
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// CONFIRM CASH COLLECTION
+// ════════════════════════════════════════════════════════════════════════════
+
+const confirmCashCollection = async (req, res) => {
+  const { tripId, driverId, fare } = req.body;
+
+  console.log('💰 CONFIRM CASH COLLECTION', { tripId, driverId, fare });
+
+  if (!tripId || !driverId) {
+    return res.status(400).json({
+      success: false,
+      message: 'tripId and driverId are required',
+    });
+  }
+
+  const { statusCode, body } = await settleTripPayment({ tripId, driverId, fare, method: 'cash', io: req.io });
+  return res.status(statusCode).json(body);
 };
 
+// ════════════════════════════════════════════════════════════════════════════
+// CUSTOMER WALLET SETTLEMENT
+// Runs right after a ride reaches awaiting_payment. Trips booked on Wallet
+// are debited and settled; a short balance hands the trip back to cash.
+// → { settled: true, body } | { settled: false, fallback?, reason? }
+// ════════════════════════════════════════════════════════════════════════════
+
+async function settleWithCustomerWallet(tripId, socketIo = io, source = 'rest') {
+  const trip = await Trip.findById(tripId)
+    .select('customerId assignedDriver status finalFare fare payment paymentCollected')
+    .lean();
+  if (!trip || trip.payment?.method !== 'Wallet') return { settled: false };
+  if (trip.status !== 'awaiting_payment' || trip.paymentCollected) return { settled: false };
+
+  const amount     = trip.finalFare || trip.fare;
+  const customerId = trip.customerId;
+  const driverId   = trip.assignedDriver?.toString();
+
+  const fallBackToCash = async (reason, balance = null) => {
+    await Trip.updateOne(
+      { _id: tripId, paymentCollected: { $ne: true } },
+      { $set: { 'payment.method': 'Cash', 'payment.fallbackReason': reason } }
+    );
+    if (socketIo) {
+      socketIo.to(`customer_${customerId}`).emit('wallet:low_balance', {
+        tripId:  tripId.toString(),
+        amount,
+        balance,
+        reason,
+        message: 'Wallet payment failed — please pay the driver in cash',
+        timestamp: new Date().toISOString(),
+      });
+      socketIo.to(`driver_${driverId}`).emit('trip:payment_fallback', {
+        tripId:        tripId.toString(),
+        amount,
+        paymentMethod: 'cash',
+        awaitingCashCollection: true,
+        message:       `Customer wallet payment failed. Please collect ₹${amount} in cash.`,
+        timestamp:     new Date().toISOString(),
+      });
+    }
+    console.log(`👛 Trip ${tripId} wallet payment fell back to cash (${reason})`);
+    return { settled: false, fallback: true, reason };
+  };
+
+  let debit;
+  try {
+    debit = await debitForTrip({ customerId, tripId: trip._id, amount });
+  } catch (err) {
+    console.error(`❌ Wallet debit failed for trip ${tripId}:`, err.message);
+    return fallBackToCash('wallet_error');
+  }
+  if (!debit.paid) return fallBackToCash('insufficient_wallet_balance', debit.balance);
+
+  const { statusCode, body } = await settleTripPayment({
+    tripId: tripId.toString(), driverId, fare: amount, method: 'wallet', io: socketIo, source,
+  });
+  if (statusCode === 200 && !body.alreadyProcessed) return { settled: true, body };
+
+  // A concurrent run settled this trip from the same debit — nothing to give back
+  const settled = await Trip.findById(tripId).select('paymentCollected paymentMethod').lean();
+  if (settled?.paymentCollected && settled.paymentMethod === 'wallet') {
+    return { settled: false, reason: 'already_paid' };
+  }
+
+  // Settlement lost (or someone collected cash first) — give the debit back.
+  // Also when the debit was taken by an earlier attempt (debit.alreadyPaid):
+  // the refKey keeps the reversal to one per trip.
+  await creditRefund({
+    customerId, tripId: trip._id, amount,
+    refKey:      `wallet_settle_${tripId}`,
+    description: 'Ride payment reversed',
+  }).catch((err) => console.error(`❌ Wallet reversal failed for trip ${tripId}:`, err.message));
+  if (body.alreadyProcessed) return { settled: false, reason: 'already_paid' };
+  return fallBackToCash('wallet_settlement_failed', debit.balance + amount);
+}
+
 const completeTrip = async (req, res) => {
   const session = await mongoose.startSession();
   try {
     const { tripId, userId } = req.body;
+    let previousStatus = null;
+    let actorRole      = null;
 
     await session.withTransaction(async () => {
       const trip = await Trip.findById(tripId).session(session);
@@ -1690,7 +2511,9 @@ const completeTrip = async (req, res) => {
         throw new Error('Not authorized');
       }
 
-      assertTransition(trip.status, 'completed');
+      previousStatus = trip.status;
+      actorRole      = trip.assignedDriver?.toString() === userId ? 'driver' : 'customer';
+      assertTransition(previousStatus, 'completed');
       trip.status      = 'completed';
       trip.completedAt = new Date();
       trip.version     += 1;
@@ -1706,6 +2529,12 @@ const completeTrip = async (req, res) => {
     });
 
     session.endSession();
+
+    await recordTripEvent({
+      tripId, from: previousStatus, to: 'completed',
+      actor: { id: userId, role: actorRole }, source: 'rest',
+    });
+
     return res.status(200).json({ success: true, message: 'Trip completed' });
   } catch (err) {
     try { session.endSession(); } catch (_) {}
@@ -1722,7 +2551,7 @@ const getTripById = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id).populate('assignedDriver customerId');
     if (!trip) return res.status(404).json({ success: false, message: 'Trip not found' });
-    return res.status(200).json({ success: true, trip });
+    return res.status(200).json({ success: true, trip: maskTripParties(trip.toObject()) });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
   }
@@ -1735,7 +2564,7 @@ const getTripByIdWithPayment = async (req, res) => {
       .populate('customerId',    'name phone')
       .lean();
     if (!trip) return res.status(404).json({ success: false, message: 'Trip not found' });
-    return res.status(200).json({ success: true, trip });
+    return res.status(200).json({ success: true, trip: maskTripParties(trip) });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
   }
@@ -1790,7 +2619,7 @@ const getDriverActiveTrip = async (req, res) => {
       ? {
           _id:      trip.customerId._id?.toString(),
           name:     trip.customerId.name     ?? 'Customer',
-          phone:    trip.customerId.phone    ?? '',
+          ...maskedContact(trip.customerId.phone, trip.callMasking),
           photoUrl: trip.customerId.photoUrl ?? '',
           rating:   trip.customerId.rating   ?? 5.0,
         }
@@ -1832,6 +2661,9 @@ const getDriverActiveTrip = async (req, res) => {
         otp:              trip.rideCode  ?? trip.otp ?? '',
         pickup,
         drop,
+        stops:            formatTripStops(trip),
+        currentStopIndex: trip.currentStopIndex ?? 0,
+        waiting:          trip.waiting?.startedAt ? buildWaitingMeterPayload(trip) : null,
         paymentCollected: cashCollected,
       },
       customer,
@@ -1859,8 +2691,13 @@ const getActiveRide = async (req, res) => {
     return res.status(200).json({
       success:      true,
       hasActiveRide: true,
-      trip:    { tripId: trip._id.toString(), status: trip.status, fare: trip.fare },
-      driver:  trip.assignedDriver,
+      trip:    {
+        tripId:  trip._id.toString(),
+        status:  trip.status,
+        fare:    trip.fare,
+        waiting: trip.waiting?.startedAt ? buildWaitingMeterPayload(trip) : null,
+      },
+      driver:  maskTripParties(trip).assignedDriver,
     });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
@@ -1960,10 +2797,13 @@ export {
   cancelTripByCustomer,
   completeRideWithVerification,
   confirmCashCollection,
+  settleWithCustomerWallet,
   getDriverActiveTrip,
   getTripByIdWithPayment,
   getActiveRide,
   awardCoinsToCustomer,
   getDriverLocationByTripId,
   requestTripSupport,
+  cancelScheduledTrip,
+  getCustomerScheduledTrips,
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// src/controllers/tripShareController.js
+import path from "path";
+import { fileURLToPath } from "url";
+import Trip from "../models/Trip.js";
+import {
+  createTripShare,
+  revokeTripShare,
+  getSharedTripView,
+} from "../services/tripShareService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const requestBaseUrl = (req) =>
+  process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+/* =====================================================
+   CREATE SHARE LINK
+   POST /api/trip-share
+
+   • Only the trip's customer (from the Firebase token) can share it
+   • Trip must still be in progress — finished trips have nothing to show
+   • contactName / contactPhone are labels for the customer's own list;
+     the link itself works for whoever opens it until it expires
+
+   Body: { tripId, contactName?, contactPhone? }
+   Auth: protect
+===================================================== */
+export const createShareLink = async (req, res) => {
+  try {
+    const customerId = req.user._id.toString();
+    const { tripId, contactName, contactPhone } = req.body;
+
+    if (!tripId) {
+      return res.status(400).json({ success: false, message: "tripId is required" });
+    }
+
+    const trip = await Trip.findById(tripId).select("customerId status").lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: "Trip not found" });
+    }
+    if (trip.customerId.toString() !== customerId) {
+      return res.status(403).json({ success: false, message: "Unauthorized: this trip does not belong to you" });
+    }
+
+    const share = await createTripShare(trip, {
+      contactName,
+      contactPhone,
+      baseUrl: requestBaseUrl(req),
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Tracking link created",
+      share: {
+        shareId:      share.shareId,
+        url:          share.url,
+        expiresAt:    share.expiresAt,
+        contactName:  share.contactName,
+        contactPhone: share.contactPhone,
+      },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error("❌ createShareLink error:", err);
+    return res.status(500).json({ success: false, message: "Server error while creating tracking link" });
+  }
+};
+
+/* =====================================================
+   REVOKE SHARE LINK
+   POST /api/trip-share/revoke
+
+   Body: { tripId, shareId }
+   Auth: protect
+===================================================== */
+export const revokeShareLink = async (req, res) => {
+  try {
+    const customerId = req.user._id.toString();
+    const { tripId, shareId } = req.body;
+
+    if (!tripId || !shareId) {
+      return res.status(400).json({ success: false, message: "tripId and shareId are required" });
+    }
+
+    const trip = await Trip.findById(tripId).select("customerId").lean();
+    if (!trip || trip.customerId.toString() !== customerId) {
+      return res.status(404).json({ success: false, message: "Trip not found" });
+    }
+
+    const revoked = await revokeTripShare(tripId, shareId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: "Share not found or already revoked" });
+    }
+
+    return res.status(200).json({ success: true, message: "Tracking link revoked" });
+  } catch (err) {
+    console.error("❌ revokeShareLink error:", err);
+    return res.status(500).json({ success: false, message: "Server error while revoking tracking link" });
+  }
+};
+
+/* =====================================================
+   SHARED TRIP — JSON  (public, token is the credential)
+   GET /api/track/:token/data
+
+   200 → live view · 410 → trip finished · 404 → bad/expired/revoked
+===================================================== */
+export const getSharedTrip = async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    const result = await getSharedTripView(req.params.token);
+
+    if (result.state === "invalid") {
+      return res.status(404).json({ success: false, message: "This tracking link is invalid or has expired" });
+    }
+    if (result.state === "ended") {
+      return res.status(410).json({
+        success:    false,
+        message:    "This trip has ended",
+        tripStatus: result.tripStatus,
+      });
+    }
+
+    return res.status(200).json({ success: true, trip: result.view });
+  } catch (err) {
+    console.error("❌ getSharedTrip error:", err);
+    return res.status(500).json({ success: false, message: "Server error while loading shared trip" });
+  }
+};
+
+/* =====================================================
+   SHARED TRIP — PAGE  (public)
+   GET /api/track/:token
+
+   Static page; it polls /api/track/:token/data itself.
+===================================================== */
+export const renderSharedTripPage = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.sendFile(path.join(__dirname, "../public/track.html"));
+};
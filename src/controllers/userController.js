@@ -131,6 +131,8 @@ export const updateUser = async (req, res) => {
       "email",
       "dateOfBirth",
       "emergencyContact",
+      "trustedContacts",
+      "autoShareNightRides",
       "role",
       "vehicleType",
       "city",
@@ -185,6 +187,8 @@ export const updateUserById = async (req, res) => {
       "email",
       "dateOfBirth",
       "emergencyContact",
+      "trustedContacts",
+      "autoShareNightRides",
       "role",
       "vehicleType",
       "city",
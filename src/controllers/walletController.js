@@ -8,6 +8,8 @@ import User from '../models/User.js';
 import Razorpay from 'razorpay';
 import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { postWalletEntry } from '../services/ledgerService.js';
+import { syncCommissionDebt, getCommissionDebtStatus } from '../services/commissionDebtService.js';
 
 // ═══════════════════════════════════════════════════════════════════
 // RAZORPAY HELPER: Promisify callback-based API
@@ -329,7 +331,18 @@ export const verifyDirectPayment = async (req, res) => {
     });
     wallet.availableBalance += paymentTxn.driverAmount;
     wallet.totalEarnings += paymentTxn.driverAmount;
+    wallet.totalCommission += paymentTxn.commission;
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `ride_online:${razorpayPaymentId}`,
+      type: 'ride_online',
+      driverId, tripId,
+      delta: { availableBalance: paymentTxn.driverAmount, totalCommission: paymentTxn.commission },
+      counter: 'gateway_clearing',
+      earnings: paymentTxn.driverAmount,
+      memo: `Trip payment ₹${paymentTxn.amount} (${razorpayOrderId})`,
+      session
+    });
 
     await Trip.findByIdAndUpdate(tripId, {
       paymentStatus: 'completed',
@@ -487,6 +500,7 @@ export const confirmCashReceipt = async (req, res) => {
       description: 'Cash received from trip',
       paymentMethod: 'cash', status: 'completed', createdAt: new Date()
     });
+    const balanceBefore = wallet.availableBalance;
     wallet.availableBalance += paymentTxn.driverAmount;
     wallet.totalEarnings += paymentTxn.driverAmount;
     await wallet.save({ session });
@@ -501,6 +515,20 @@ export const confirmCashReceipt = async (req, res) => {
     wallet.totalCommission += paymentTxn.commission;
     wallet.availableBalance = Math.max(0, wallet.availableBalance - paymentTxn.commission);
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `ride:${paymentTxn.tripId}`,
+      type: 'ride_cash',
+      driverId, tripId: paymentTxn.tripId,
+      delta: {
+        // What the clamp above actually left on the balance
+        availableBalance: wallet.availableBalance - balanceBefore,
+        totalCommission: paymentTxn.commission
+      },
+      counter: 'cash_in_hand',
+      earnings: paymentTxn.driverAmount,
+      memo: 'Cash received from trip',
+      session
+    });
 
     await PaymentTransaction.findByIdAndUpdate(paymentId, {
       paymentStatus: 'completed', completedAt: new Date(), $inc: { processedCount: 1 }
@@ -593,10 +621,21 @@ export const processCashCollection = async (req, res) => {
         description: 'App commission (20%)', paymentMethod, status: 'completed', createdAt: new Date()
       });
 
+      const balanceBefore = wallet.availableBalance;
       wallet.availableBalance = Math.max(0, wallet.availableBalance + driverNet);
       wallet.totalEarnings += numericAmount;
       wallet.totalCommission += commission;
       await wallet.save({ session });
+      await postWalletEntry({
+        key: `ride:${tripId}`,
+        type: 'ride_cash',
+        driverId, tripId,
+        delta: { availableBalance: wallet.availableBalance - balanceBefore, totalCommission: commission },
+        counter: 'cash_in_hand',
+        earnings: numericAmount,
+        memo: 'Cash collected for trip',
+        session
+      });
 
       await Trip.findByIdAndUpdate(tripId, {
         paymentStatus: 'completed', paymentMethod, paidAmount: numericAmount, completedAt: new Date()
@@ -939,6 +978,15 @@ export const processManualPayout = async (req, res) => {
     });
     wallet.availableBalance -= amount;
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `payout:${wallet.transactions[wallet.transactions.length - 1]._id}`,
+      type: 'payout',
+      driverId,
+      delta: { availableBalance: -amount },
+      counter: 'payouts',
+      memo: description || `Manual payout by admin ${adminId || ''}`.trim(),
+      session
+    });
     await session.commitTransaction();
 
     console.log(`✅ Manual payout: ₹${amount} from driver ${driverId} by admin ${adminId}`);
@@ -999,6 +1047,15 @@ export const processDriverWithdrawal = async (req, res) => {
     wallet.availableBalance = Number(wallet.availableBalance || 0) - amount;
     wallet.lastUpdated = new Date();
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `payout:${wallet.transactions[wallet.transactions.length - 1]._id}`,
+      type: 'payout',
+      driverId: authenticatedDriverId,
+      delta: { availableBalance: -amount },
+      counter: 'payouts',
+      memo: 'Driver withdrawal request',
+      session
+    });
 
     await User.findByIdAndUpdate(
       authenticatedDriverId,
@@ -1070,6 +1127,31 @@ export const getWalletStats = async (req, res) => {
   }
 };
 
+// ═══════════════════════════════════════════════════════════════════
+// COMMISSION DEBT STATUS
+// GET /api/wallet/commission-debt/:driverId
+// Pending commission vs the driver's debt limit: whether they're blocked,
+// amountToUnblock and the warning thresholds
+// ═══════════════════════════════════════════════════════════════════
+export const getCommissionDebt = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driverId' });
+    }
+
+    const commissionDebt = await getCommissionDebtStatus(driverId);
+    if (!commissionDebt) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    return res.json({ success: true, commissionDebt });
+  } catch (error) {
+    console.error('❌ getCommissionDebt error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch commission debt' });
+  }
+};
+
 // ═══════════════════════════════════════════════════════════════════
 // NAMED ALIASES (for backward compatibility)
 // ═══════════════════════════════════════════════════════════════════
@@ -1217,10 +1299,9 @@ export const verifyCommissionPayment = async (req, res) => {
       });
     }
 
-    // ✅ Deduct pendingAmount and track in totalCommission
+    // ✅ Deduct pendingAmount — totalCommission already counted it when the ride settled
     const deducted = Math.min(wallet.pendingAmount, paidAmount);
     wallet.pendingAmount = Math.max(0, wallet.pendingAmount - deducted);
-    wallet.totalCommission = (wallet.totalCommission || 0) + paidAmount;
 
     wallet.transactions.push({
       type: 'commission',                               // ← 'commission' type so UI shows it distinctly
@@ -1234,10 +1315,23 @@ export const verifyCommissionPayment = async (req, res) => {
     });
 
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `commission_payment:${paymentId}`,
+      type: 'commission_payment',
+      driverId,
+      delta: { pendingAmount: -deducted },
+      extra: [{ account: 'adjustment', credit: paidAmount - deducted }],   // Paid above what was due
+      counter: 'gateway_clearing',
+      memo: `Commission paid via Razorpay (${orderId})`,
+      session
+    });
     await session.commitTransaction();
 
     console.log(`✅ Commission verified: ₹${paidAmount} | driver: ${driverId} | pending: ₹${wallet.pendingAmount}`);
 
+    // ✅ Reinstate the driver if this brought them back under the debt limit
+    const commissionDebt = await syncCommissionDebt(driverId, { io: req.io });
+
     // ✅ Emit socket
     if (req.io) {
       req.io.to(`driver_${driverId}`).emit('commission:paid', {
@@ -1245,6 +1339,7 @@ export const verifyCommissionPayment = async (req, res) => {
         pendingAmount: wallet.pendingAmount,
         availableBalance: wallet.availableBalance,
         paymentId,
+        commissionDebt,
         timestamp: new Date().toISOString()
       });
     }
@@ -1254,7 +1349,8 @@ export const verifyCommissionPayment = async (req, res) => {
       message: 'Commission payment verified',
       paidAmount,
       pendingAmount: wallet.pendingAmount,
-      availableBalance: wallet.availableBalance
+      availableBalance: wallet.availableBalance,
+      commissionDebt
     });
 
   } catch (error) {
@@ -1576,6 +1672,16 @@ async function processWithdrawalRequest(req, res) {
         { session, new: true }
       );
     }
+    // Manual mode only holds the amount (pendingWithdrawalAmount) until an admin pays it
+    await postWalletEntry({
+      key: `withdrawal_reserve:${withdrawalReq._id}`,
+      type: 'withdrawal_reserve',
+      driverId,
+      delta: payoutCapability.manualMode ? { pendingWithdrawalAmount: amount } : { availableBalance: -amount },
+      counter: 'payouts',
+      memo: `Withdrawal request: ₹${amount} to ${finalUpiId}`,
+      session
+    });
 
     // ✅ Save UPI to driver profile if new one provided
     if (upiId) {
@@ -1822,6 +1928,14 @@ async function initiateRazorpayPayout(withdrawalId, driverId, amount, upiId, io)
           $inc: { availableBalance: withdrawal.amount }
         }
       );
+      await postWalletEntry({
+        key: `withdrawal_release:${withdrawalId}`,
+        type: 'withdrawal_release',
+        driverId,
+        delta: { availableBalance: withdrawal.amount },
+        counter: 'payouts',
+        memo: `Withdrawal refund: ${publicFailureReason}`,
+      });
 
       // Mark withdrawal as failed
       await WithdrawalRequest.findByIdAndUpdate(withdrawalId, {
@@ -2207,6 +2321,15 @@ export const markWithdrawalPaidByAdmin = async (req, res) => {
         message: 'No pending wallet transaction found for this withdrawal. Settlement blocked to prevent duplicate debit.',
       });
     }
+    await postWalletEntry({
+      key: `withdrawal_paid:${withdrawal._id}`,
+      type: 'withdrawal_paid',
+      driverId: withdrawal.driverId,
+      delta: { availableBalance: -withdrawal.amount, pendingWithdrawalAmount: -withdrawal.amount },
+      counter: 'payouts',
+      memo: `Withdrawal paid manually. Ref: ${withdrawal.paymentReferenceId}`,
+      session,
+    });
 
     await session.commitTransaction();
 
@@ -2404,6 +2527,17 @@ export const rejectWithdrawalByAdmin = async (req, res) => {
         });
       }
     }
+    await postWalletEntry({
+      key: `withdrawal_release:${withdrawal._id}`,
+      type: 'withdrawal_release',
+      driverId: withdrawal.driverId,
+      delta: withdrawal.balanceDebited
+        ? { availableBalance: withdrawal.amount }
+        : { pendingWithdrawalAmount: -withdrawal.amount },
+      counter: 'payouts',
+      memo: `Withdrawal rejected by admin: ${rejectionReason}`,
+      session,
+    });
 
     await session.commitTransaction();
 
@@ -6,6 +6,10 @@ import Wallet from '../models/Wallet.js';
 import PaymentPlan from '../models/PaymentPlan.js';
 import DriverPlan from '../models/DriverPlan.js';
 import Plan from '../models/Plan.js';
+import { TOPUP_NOTE_TYPE, creditTopup, failTopup } from '../services/customerWalletService.js';
+import { applyRefundWebhook } from '../services/refundService.js';
+import { postWalletEntry } from '../services/ledgerService.js';
+import { syncCommissionDebt } from '../services/commissionDebtService.js';
 
 // ════════════════════════════════════════════════════════════════════
 // IN-MEMORY DEDUPLICATION
@@ -74,9 +78,11 @@ const handleRazorpayWebhook = async (req, res) => {
         break;
 
       case 'payment.captured':
-        // Could be wallet commission OR plan purchase
+        // Could be wallet commission, plan purchase OR customer wallet top-up
         if (payload.payment.entity.notes?.type === 'plan_purchase') {
           await handlePlanPaymentCaptured(payload.payment.entity, req.io);
+        } else if (payload.payment.entity.notes?.type === TOPUP_NOTE_TYPE) {
+          await handleCustomerTopupCaptured(payload.payment.entity, req.io);
         } else {
           // Original wallet commission logic
           await handleWalletPaymentCaptured(payload.payment.entity, req.io);
@@ -86,6 +92,8 @@ const handleRazorpayWebhook = async (req, res) => {
       case 'payment.failed':
         if (payload.payment.entity.notes?.type === 'plan_purchase') {
           await handlePlanPaymentFailed(payload.payment.entity, req.io);
+        } else if (payload.payment.entity.notes?.type === TOPUP_NOTE_TYPE) {
+          await handleCustomerTopupFailed(payload.payment.entity, req.io);
         } else {
           await handleWalletPaymentFailed(payload.payment.entity, req.io);
         }
@@ -95,11 +103,18 @@ const handleRazorpayWebhook = async (req, res) => {
         // Check type in notes
         if (payload.payment?.entity.notes?.type === 'plan_purchase') {
           await handlePlanOrderPaid(payload.order.entity, payload.payment?.entity, req.io);
+        } else if (payload.order?.entity.notes?.type === TOPUP_NOTE_TYPE) {
+          // Credited on payment.captured
         } else {
           await handleWalletOrderPaid(payload.order.entity, payload.payment?.entity, req.io);
         }
         break;
 
+      case 'refund.processed':
+      case 'refund.failed':
+        await handleRefundEvent(event, payload.refund?.entity, req.io);
+        break;
+
       default:
         console.log('ℹ️ Unhandled webhook event:', event);
     }
@@ -186,6 +201,7 @@ const handlePlanPaymentCaptured = async (payment, io) => {
       noCommission: plan.noCommission,
       monthlyFee: plan.monthlyFee,
       benefits: plan.benefits,
+      commissionDebtLimit: plan.commissionDebtLimit ?? null,
       planPrice: plan.planPrice,
       durationDays: plan.durationDays,
       isTimeBasedPlan: plan.isTimeBasedPlan,
@@ -372,9 +388,9 @@ const handleWalletPaymentCaptured = async (payment, io) => {
       return;
     }
 
+    // totalCommission already counted this when the ride settled
     const deducted = Math.min(wallet.pendingAmount, paidAmount);
     wallet.pendingAmount = Math.max(0, wallet.pendingAmount - deducted);
-    wallet.totalCommission = (wallet.totalCommission || 0) + paidAmount;
     wallet.transactions.push({
       type: 'commission',
       amount: paidAmount,
@@ -387,16 +403,30 @@ const handleWalletPaymentCaptured = async (payment, io) => {
     });
 
     await wallet.save({ session });
+    await postWalletEntry({
+      key: `commission_payment:${paymentId}`,
+      type: 'commission_payment',
+      driverId,
+      delta: { pendingAmount: -deducted },
+      extra: [{ account: 'adjustment', credit: paidAmount - deducted }],   // Paid above what was due
+      counter: 'gateway_clearing',
+      memo: `Commission paid via Razorpay (${payment.order_id})`,
+      session,
+    });
     await session.commitTransaction();
 
     console.log(`✅ Webhook updated wallet: ₹${paidAmount} | pending: ₹${wallet.pendingAmount}`);
 
+    // Reinstate the driver if this brought them back under the debt limit
+    const commissionDebt = await syncCommissionDebt(driverId, { io });
+
     if (io) {
       io.to(`driver_${driverId}`).emit('commission:paid', {
         paidAmount,
         pendingAmount: wallet.pendingAmount,
         availableBalance: wallet.availableBalance,
         paymentId,
+        commissionDebt,
         message: `₹${paidAmount} commission paid`,
         timestamp: new Date().toISOString(),
       });
@@ -459,6 +489,75 @@ const handleWalletOrderPaid = async (order, payment, io) => {
   }
 };
 
+// ════════════════════════════════════════════════════════════════════
+// CUSTOMER WALLET TOP-UP HANDLERS
+// ════════════════════════════════════════════════════════════════════
+
+const handleCustomerTopupCaptured = async (payment, io) => {
+  try {
+    const result = await creditTopup({
+      orderId:   payment.order_id,
+      paymentId: payment.id,
+      amount:    payment.amount / 100,
+      method:    payment.method || null,
+    });
+
+    if (!result) {
+      console.log(`ℹ️ Top-up order ${payment.order_id} not found — skipping`);
+      return;
+    }
+    if (result.alreadyProcessed) {
+      console.log(`ℹ️ Top-up ${payment.order_id} already credited`);
+      return;
+    }
+
+    if (io) {
+      io.to(`customer_${result.customerId}`).emit('wallet:topup_success', {
+        orderId: payment.order_id,
+        amount: result.amount,
+        balance: result.balance,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error('❌ handleCustomerTopupCaptured error:', err);
+  }
+};
+
+const handleCustomerTopupFailed = async (payment, io) => {
+  try {
+    const customerId = payment.notes?.customerId;
+    console.log(`❌ Top-up failed: ${payment.id} | ${payment.error_description}`);
+
+    await failTopup(payment.order_id);
+
+    if (io && customerId) {
+      io.to(`customer_${customerId}`).emit('wallet:topup_failed', {
+        orderId: payment.order_id,
+        error: payment.error_description || 'Payment failed',
+        message: 'Top-up failed. Please try again.',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error('❌ handleCustomerTopupFailed error:', err);
+  }
+};
+
+// ════════════════════════════════════════════════════════════════════
+// REFUND HANDLERS
+// ════════════════════════════════════════════════════════════════════
+
+const handleRefundEvent = async (event, refund, io) => {
+  try {
+    if (!refund?.id) return;
+    console.log(`↩️ ${event}: ${refund.id} | payment ${refund.payment_id} | ₹${refund.amount / 100}`);
+    await applyRefundWebhook(event, refund, io);
+  } catch (err) {
+    console.error('❌ handleRefundEvent error:', err);
+  }
+};
+
 const testWebhook = async (req, res) => {
   console.log('🧪 Test webhook:', req.body);
   res.status(200).json({ success: true, timestamp: new Date().toISOString() });
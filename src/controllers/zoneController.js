@@ -1,26 +1,21 @@
 // zoneController.js
-// All zone operations: CRUD, exclusion management, auto-generate from OSM, /check endpoint
+// All zone operations: CRUD, exclusion management, auto-generate from OSM, /check endpoint, surge control
 
 import Zone from "../models/zone.js";
 import axios from 'axios';
+import { matchZone } from '../utils/zoneLookup.js';
+import { SURGE_CONFIG } from '../config/tripConfig.js';
+import {
+  effectiveSurge,
+  getZoneSurgeStatus,
+  setZoneSurgeMode,
+  getZoneSurgeHistory,
+} from '../services/surgeService.js';
 
 /* ─────────────────────────────────────────────────────────────
    HELPERS
 ───────────────────────────────────────────────────────────── */
 
-/** Ray-casting point-in-polygon */
-function pointInPolygon(lat, lng, polygon) {
-  let inside = false;
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i].lng, yi = polygon[i].lat;
-    const xj = polygon[j].lng, yj = polygon[j].lat;
-    const intersect = ((yi > lat) !== (yj > lat)) &&
-      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
-
 /** Overpass API — fetch sub-areas of a place by name */
 async function fetchOSMSubAreas(placeName) {
   // Step 1: geocode the place name with Nominatim
@@ -194,14 +189,16 @@ export const getZones = async (req, res) => {
 
 export const createZone = async (req, res) => {
   try {
-    const zone = await Zone.create(req.body);
+    const { surge, ...fields } = req.body;   // surge is owned by the surge engine / PUT /:id/surge
+    const zone = await Zone.create(fields);
     res.status(201).json({ success: true, data: zone });
   } catch (e) { res.status(400).json({ message: e.message }); }
 };
 
 export const updateZone = async (req, res) => {
   try {
-    const zone = await Zone.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const { surge, ...updates } = req.body;
+    const zone = await Zone.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!zone) return res.status(404).json({ message: 'Zone not found' });
     res.json({ success: true, data: zone });
   } catch (e) { res.status(400).json({ message: e.message }); }
@@ -244,6 +241,32 @@ export const removeExclusionZone = async (req, res) => {
   } catch (e) { res.status(500).json({ message: e.message }); }
 };
 
+/* ─────────────────────────────────────────────────────────────
+   SURGE — engine readings, admin override / freeze, audit history
+   Body for PUT: { mode: 'auto'|'override'|'frozen', multiplier?, until?, reason? }
+───────────────────────────────────────────────────────────── */
+export const getZoneSurge = async (req, res) => {
+  try {
+    const status = await getZoneSurgeStatus(req.params.id);
+    if (!status) return res.status(404).json({ message: 'Zone not found' });
+
+    const history = await getZoneSurgeHistory(req.params.id, {
+      vehicleType: req.query.vehicleType,
+      before:      req.query.before,
+      limit:       req.query.limit,
+    });
+    res.json({ success: true, data: { ...status, history } });
+  } catch (e) { res.status(500).json({ message: e.message }); }
+};
+
+export const setZoneSurge = async (req, res) => {
+  try {
+    const status = await setZoneSurgeMode(req.params.id, req.body, req.admin?.email || 'admin');
+    if (!status) return res.status(404).json({ message: 'Zone not found' });
+    res.json({ success: true, data: status });
+  } catch (e) { res.status(e.statusCode || 500).json({ message: e.message }); }
+};
+
 /* ─────────────────────────────────────────────────────────────
    /check — Customer app service availability
    
@@ -272,43 +295,18 @@ export const checkServiceAvailability = async (req, res) => {
   try {
     // Load ALL zones — we need disabled ones too so we can block them
     const allZones = await Zone.find();
+    const { zone: matchedZone, blocked, zone: blockedZone } = matchZone(allZones, lat, lng);
 
-    let matchedZone = null;   // best enabled zone found so far
-    let priority    = 0;      // cluster=2, city=1, area=0
-
-    for (const zone of allZones) {
-      // Skip zones whose polygon doesn't contain the point
-      if (!pointInPolygon(lat, lng, zone.polygon)) continue;
-
-      // ── 1. Exclusion zone check ──────────────────────────────────────────
-      // A cut-out inside ANY zone (enabled or not) blocks the point.
-      const inExclusion = (zone.exclusionZones ?? []).some(ex =>
-        pointInPolygon(lat, lng, ex.polygon)
-      );
-      if (inExclusion) {
-        return res.json({
-          serviceAvailable: false,
-          reason:           'exclusion_zone',
-          message:          'This area has been excluded from service.',
-          zoneName:         zone.name,
-        });
-      }
-
-      // ── 2. Disabled zone check ───────────────────────────────────────────
-      // If the point is inside a DISABLED zone, block immediately.
-      // This prevents city-zone fallback when a cluster is turned off.
-      if (!zone.serviceEnabled) {
-        return res.json({
-          serviceAvailable: false,
-          reason:           'zone_disabled',
-          message:          'Service is currently not available in this area.',
-          zoneName:         zone.name,
-        });
-      }
-
-      // ── 3. Track best enabled match by priority ──────────────────────────
-      const p = zone.type === 'cluster' ? 2 : zone.type === 'city' ? 1 : 0;
-      if (p > priority) { priority = p; matchedZone = zone; }
+    // ── 1–2. Exclusion cut-out / disabled zone → blocked immediately ─────
+    if (blocked) {
+      return res.json({
+        serviceAvailable: false,
+        reason:           blocked,
+        message:          blocked === 'exclusion_zone'
+          ? 'This area has been excluded from service.'
+          : 'Service is currently not available in this area.',
+        zoneName:         blockedZone.name,
+      });
     }
 
     // ── 4. No zone matched at all → outside coverage ─────────────────────
@@ -321,11 +319,17 @@ export const checkServiceAvailability = async (req, res) => {
     }
 
     // ── 5. Valid zone — return settings ──────────────────────────────────
+    // surge: what calcFare applies per vehicle type right now (engine / override)
+    const surge = Object.fromEntries(
+      SURGE_CONFIG.VEHICLE_TYPES.map(vt => [vt, effectiveSurge(matchedZone, vt).multiplier])
+    );
+
     return res.json({
       serviceAvailable: true,
       zoneName:         matchedZone.name,
       zoneType:         matchedZone.type,
-      surgeMultiplier:  matchedZone.surgeMultiplier,
+      surgeMultiplier:  Math.max(...Object.values(surge)),
+      surge,
       driverIncentive:  matchedZone.driverIncentive,
       vehicleTypes:     matchedZone.vehicleTypes,
     });
@@ -0,0 +1,22 @@
+// src/cron/callMaskingCron.js
+import { closeEndedMaskingSessions } from '../services/callMaskingService.js';
+
+/**
+ * Call masking cleanup job.
+ * Called every CALL_MASKING_CONFIG.SWEEP_MIN from server.js via setInterval.
+ * Closes provider sessions of trips that ended, were cancelled or outlived
+ * SESSION_TTL_HOURS so proxy numbers stop connecting.
+ */
+export const runCallMaskingCleanupJob = async () => {
+  try {
+    const closed = await closeEndedMaskingSessions();
+    if (closed > 0) {
+      console.log(`📞 [Call Masking Cron] Closed ${closed} session(s)`);
+    }
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Call Masking Cron] runCallMaskingCleanupJob error:', err.message);
+  }
+};
+
+export default runCallMaskingCleanupJob;
@@ -0,0 +1,24 @@
+// src/cron/gatewayReconcileCron.js
+import { runGatewayReconciliation } from '../services/gatewayReconciliationService.js';
+
+/**
+ * Gateway reconciliation job.
+ * Scheduled nightly at GATEWAY_RECON_CONFIG.CRON from server.js.
+ * Compares the previous IST day's Razorpay payments and payouts with
+ * PaymentTransaction / PaymentPlan / WithdrawalRequest and stores the
+ * exceptions for /api/admin/gateway-reconciliation.
+ */
+export const runGatewayReconciliationJob = async () => {
+  try {
+    const run = await runGatewayReconciliation({ trigger: 'cron' });
+    const exceptions = run.counts.missing + run.counts.amount_mismatch;
+    if (exceptions > 0) {
+      console.warn(`⚠️ [Gateway Recon Cron] ${exceptions} exception(s) in run ${run.runId}`);
+    }
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Gateway Recon Cron] runGatewayReconciliationJob error:', err.message);
+  }
+};
+
+export default runGatewayReconciliationJob;
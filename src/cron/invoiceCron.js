@@ -0,0 +1,32 @@
+// src/cron/invoiceCron.js
+import { issuePendingRideInvoices, issueMonthlyCommissionInvoices } from '../services/invoiceService.js';
+
+/**
+ * Ride invoice sweep.
+ * Runs every INVOICE_CONFIG.ISSUE_SWEEP_MIN from server.js and issues the
+ * GST invoice for every completed, paid trip that doesn't have one yet.
+ */
+export const runInvoiceIssueJob = async () => {
+  try {
+    const issued = await issuePendingRideInvoices();
+    if (issued > 0) console.log(`🧾 [Invoice Cron] Issued ${issued} ride invoice(s)`);
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Invoice Cron] runInvoiceIssueJob error:', err.message);
+  }
+};
+
+/**
+ * Driver commission invoices for the month that just ended.
+ * Scheduled at INVOICE_CONFIG.COMMISSION_CRON (1st of the month, IST).
+ */
+export const runCommissionInvoiceJob = async () => {
+  try {
+    await issueMonthlyCommissionInvoices();
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Invoice Cron] runCommissionInvoiceJob error:', err.message);
+  }
+};
+
+export default runInvoiceIssueJob;
@@ -0,0 +1,22 @@
+// src/cron/ledgerReconcileCron.js
+import { reconcileWallets } from '../services/ledgerService.js';
+
+/**
+ * Ledger reconciliation job.
+ * Scheduled nightly at LEDGER_CONFIG.RECONCILE_CRON from server.js.
+ * Re-derives every driver wallet from its ledger entries and stores the
+ * run (with any mismatches) for GET /api/admin/ledger/reconciliation.
+ */
+export const runLedgerReconciliationJob = async () => {
+  try {
+    const run = await reconcileWallets({ trigger: 'cron' });
+    if (run.mismatchCount > 0) {
+      console.warn(`⚠️ [Ledger Cron] ${run.mismatchCount} wallet(s) disagree with the ledger (run ${run.runId})`);
+    }
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Ledger Cron] runLedgerReconciliationJob error:', err.message);
+  }
+};
+
+export default runLedgerReconciliationJob;
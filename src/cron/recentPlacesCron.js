@@ -0,0 +1,23 @@
+// src/cron/recentPlacesCron.js
+import { recordCompletedTripPlaces } from '../services/savedPlaceService.js';
+
+/**
+ * Recent places job.
+ * Called every SAVED_PLACES_CONFIG.SWEEP_MIN from server.js via setInterval.
+ * Counts the pickup and drop of every newly completed trip into the
+ * customer's recent places — each trip is claimed once, whichever path
+ * completed it.
+ */
+export const runRecentPlacesJob = async () => {
+  try {
+    const recorded = await recordCompletedTripPlaces();
+    if (recorded > 0) {
+      console.log(`📍 [Recent Places Cron] Recorded places for ${recorded} trip(s)`);
+    }
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Recent Places Cron] runRecentPlacesJob error:', err.message);
+  }
+};
+
+export default runRecentPlacesJob;
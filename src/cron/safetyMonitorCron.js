@@ -0,0 +1,70 @@
+// src/cron/safetyMonitorCron.js
+import Trip from '../models/Trip.js';
+import { io } from '../socket/socketHandler.js';
+import {
+  detectSafetyConcern,
+  askCustomer,
+  escalateSafetyCheck,
+} from '../services/safetyMonitorService.js';
+import { SAFETY_MONITOR_CONFIG } from '../config/tripConfig.js';
+
+/**
+ * Unanswered "Are you safe?" checks past RESPONSE_SEC → SOS.
+ */
+const escalateUnansweredChecks = async (now) => {
+  const deadline = new Date(now.getTime() - SAFETY_MONITOR_CONFIG.RESPONSE_SEC * 1000);
+
+  const overdue = await Trip.find({
+    status:                'ride_started',
+    'safetyCheck.status':  'pending',
+    'safetyCheck.askedAt': { $lte: deadline },
+  }).lean();
+
+  for (const trip of overdue) {
+    await escalateSafetyCheck(io, trip, 'no_response');
+  }
+};
+
+/**
+ * Look for a new concern on every ride in progress that isn't already
+ * waiting on the customer, escalated, or snoozed.
+ */
+const checkRidesInProgress = async (now) => {
+  const trips = await Trip.find({
+    status:               'ride_started',
+    'safetyCheck.status': { $nin: ['pending', 'escalated'] },
+    $or: [
+      { 'safetyCheck.snoozedUntil': null },
+      { 'safetyCheck.snoozedUntil': { $lte: now } },
+    ],
+  })
+    .select('_id customerId assignedDriver pickup drop stops rideStartTime lastDriverHeartbeat safetyCheck')
+    .lean();
+
+  for (const trip of trips) {
+    try {
+      const concern = await detectSafetyConcern(trip, now);
+      if (concern) await askCustomer(io, trip, concern, now);
+    } catch (err) {
+      console.warn(`⚠️ [Safety Cron] trip ${trip._id}: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Safety monitor job.
+ * Called every SAFETY_MONITOR_CONFIG.TICK_SEC from server.js via setInterval.
+ * Safe to run concurrently — asking and escalating are conditional updates.
+ */
+export const runSafetyMonitorJob = async () => {
+  try {
+    const now = new Date();
+    await escalateUnansweredChecks(now);
+    await checkRidesInProgress(now);
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Safety Cron] runSafetyMonitorJob error:', err.message);
+  }
+};
+
+export default runSafetyMonitorJob;
@@ -0,0 +1,216 @@
+// src/cron/scheduledTripCron.js
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import { io } from '../socket/socketHandler.js';
+import { sendToCustomer } from '../utils/fcmSender.js';
+import { startProgressiveBroadcast } from '../utils/progressiveTripBroadcaster.js';
+import { SCHEDULED_TRIP_CONFIG } from '../config/tripConfig.js';
+import { recordTripEvent } from '../services/tripEventService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Notify the customer of a scheduled trip over socket (customer_<id> room)
+ * and FCM. Never throws — a failed notification must not block dispatch.
+ */
+const notifyCustomer = async (trip, event, title, body) => {
+  try {
+    const customerId = trip.customerId.toString();
+
+    if (io) {
+      io.to(`customer_${customerId}`).emit(event, {
+        tripId:      trip._id.toString(),
+        scheduledAt: trip.scheduledAt,
+        message:     body,
+        timestamp:   new Date().toISOString(),
+      });
+    }
+
+    const customer = await User.findById(customerId).select('fcmToken').lean();
+    if (customer?.fcmToken) {
+      await sendToCustomer(customer.fcmToken, title, body, {
+        type:   event,
+        tripId: trip._id.toString(),
+      });
+    }
+  } catch (err) {
+    console.warn(`⚠️ [Scheduled Cron] ${event} notify failed for trip ${trip._id}: ${err.message}`);
+  }
+};
+
+const formatPickupTime = (date) =>
+  new Date(date).toLocaleTimeString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    hour:     '2-digit',
+    minute:   '2-digit',
+  });
+
+/**
+ * Remind customers once, REMINDER_LEAD_MIN before pickup.
+ */
+const sendScheduledReminders = async (now) => {
+  const reminderCutoff = new Date(now.getTime() + SCHEDULED_TRIP_CONFIG.REMINDER_LEAD_MIN * MINUTE_MS);
+
+  const trips = await Trip.find({
+    status:                 'scheduled',
+    scheduledAt:            { $lte: reminderCutoff, $gt: now },
+    scheduleReminderSentAt: null,
+  }).select('_id customerId scheduledAt').lean();
+
+  for (const trip of trips) {
+    // Claim the reminder atomically so overlapping runs never double-send
+    const claimed = await Trip.findOneAndUpdate(
+      { _id: trip._id, scheduleReminderSentAt: null },
+      { $set: { scheduleReminderSentAt: now } }
+    );
+    if (!claimed) continue;
+
+    await notifyCustomer(
+      trip,
+      'trip:scheduled_reminder',
+      'Upcoming ride',
+      `Your ride is scheduled for ${formatPickupTime(trip.scheduledAt)}. We'll start finding a driver shortly before pickup.`
+    );
+  }
+};
+
+/**
+ * Flip due trips scheduled → requested and hand them to the normal
+ * progressive broadcaster, DISPATCH_LEAD_MIN before pickup.
+ */
+const dispatchDueScheduledTrips = async (now) => {
+  const { DISPATCH_LEAD_MIN, MISSED_GRACE_MIN } = SCHEDULED_TRIP_CONFIG;
+  const dispatchCutoff = new Date(now.getTime() + DISPATCH_LEAD_MIN * MINUTE_MS);
+  const missedCutoff   = new Date(now.getTime() - MISSED_GRACE_MIN * MINUTE_MS);
+
+  const dueTrips = await Trip.find({
+    status:      'scheduled',
+    scheduledAt: { $lte: dispatchCutoff, $gte: missedCutoff },
+  }).select('_id').lean();
+
+  for (const { _id } of dueTrips) {
+    // Atomic claim — only one run may dispatch a given trip
+    const trip = await Trip.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        $set: { status: 'requested', dispatchedAt: now, lastBroadcastAt: now },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!trip) continue;
+
+    try {
+      await recordTripEvent({
+        tripId: trip._id, from: 'scheduled', to: 'requested',
+        actor: { role: 'system', label: 'scheduled_trip_cron' }, source: 'cron',
+        metadata: { scheduledAt: trip.scheduledAt },
+      });
+
+      console.log(`🗓️ [Scheduled Cron] Dispatching trip ${trip._id} (pickup ${trip.scheduledAt.toISOString()})`);
+
+      await startProgressiveBroadcast(trip);
+    } catch (err) {
+      // One bad trip must not hold up the rest — put it back for the next run
+      console.error(`❌ [Scheduled Cron] Dispatch of trip ${trip._id} failed:`, err.message);
+      await revertToScheduled(trip, err);
+      continue;
+    }
+
+    await notifyCustomer(
+      trip,
+      'trip:scheduled_dispatched',
+      'Finding your driver',
+      'We are now finding a driver for your scheduled ride.'
+    );
+  }
+};
+
+/**
+ * Undo a dispatch claim whose broadcast never started. Only a trip still
+ * searching without a driver goes back; the next run retries it, or
+ * expireMissedScheduledTrips cancels it once the window has passed.
+ */
+const revertToScheduled = async (trip, err) => {
+  try {
+    const reverted = await Trip.findOneAndUpdate(
+      { _id: trip._id, status: 'requested', assignedDriver: null },
+      {
+        $set: { status: 'scheduled', dispatchedAt: null },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!reverted) return;
+
+    await recordTripEvent({
+      tripId: trip._id, from: 'requested', to: 'scheduled',
+      actor: { role: 'system', label: 'scheduled_trip_cron' }, source: 'cron',
+      metadata: { reason: 'dispatch_failed', error: err.message },
+    });
+  } catch (revertErr) {
+    console.error(`❌ [Scheduled Cron] Could not revert trip ${trip._id}:`, revertErr.message);
+  }
+};
+
+/**
+ * Cancel scheduled trips whose pickup time passed without a dispatch
+ * (e.g. the server was down over the dispatch window).
+ */
+const expireMissedScheduledTrips = async (now) => {
+  const missedCutoff = new Date(now.getTime() - SCHEDULED_TRIP_CONFIG.MISSED_GRACE_MIN * MINUTE_MS);
+
+  const missed = await Trip.find({
+    status:      'scheduled',
+    scheduledAt: { $lt: missedCutoff },
+  }).select('_id').lean();
+
+  for (const { _id } of missed) {
+    const trip = await Trip.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        $set: {
+          status:             'cancelled',
+          cancelledAt:        now,
+          cancellationReason: 'scheduled_dispatch_missed',
+        },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!trip) continue;
+
+    await recordTripEvent({
+      tripId: trip._id, from: 'scheduled', to: 'cancelled',
+      actor: { role: 'system', label: 'scheduled_trip_cron' }, source: 'cron',
+      metadata: { reason: 'scheduled_dispatch_missed', scheduledAt: trip.scheduledAt },
+    });
+
+    console.warn(`⚠️ [Scheduled Cron] Trip ${trip._id} missed its dispatch window — cancelled`);
+    await notifyCustomer(
+      trip,
+      'trip:scheduled_cancelled',
+      'Scheduled ride cancelled',
+      'We could not start your scheduled ride in time. Please book again.'
+    );
+  }
+};
+
+/**
+ * Scheduled ("ride later") trip job.
+ * Called every minute from server.js via setInterval.
+ * Safe to run concurrently — every state change is a conditional update.
+ */
+export const runScheduledTripJob = async () => {
+  try {
+    const now = new Date();
+    await expireMissedScheduledTrips(now);
+    await sendScheduledReminders(now);
+    await dispatchDueScheduledTrips(now);
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Scheduled Cron] runScheduledTripJob error:', err.message);
+  }
+};
+
+export default runScheduledTripJob;
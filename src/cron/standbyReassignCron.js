@@ -3,6 +3,7 @@
 import Trip from '../models/Trip.js';
 import { promoteNextStandby } from '../controllers/standbyController.js';
 import ReassignmentLog from '../models/ReassignmentLog.js';
+import { recordTripEvent } from '../services/tripEventService.js';
 
 /**
  * Cron Job: Auto-promotes standby drivers for long trips
@@ -37,6 +38,14 @@ const standbyReassignCron = async () => {
             newDriver,
             reason: 'timeout',
           });
+          await recordTripEvent({
+            tripId: trip._id,
+            type: 'note',
+            name: 'standby_reassigned',
+            actor: { role: 'system', label: 'standby_reassign_cron' },
+            source: 'cron',
+            metadata: { previousDriver, newDriver },
+          });
 
           console.log(`✅ Driver reassigned for Trip ${trip._id}`);
         } else {
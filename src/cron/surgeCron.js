@@ -0,0 +1,22 @@
+// src/cron/surgeCron.js
+import { runSurgeEngine } from '../services/surgeService.js';
+
+/**
+ * Surge engine job.
+ * Called every SURGE_CONFIG.TICK_SEC from server.js via setInterval.
+ * Recomputes the demand / supply surge reading of every enabled zone and
+ * vehicle type, and releases overrides / freezes whose time is up.
+ */
+export const runSurgeJob = async () => {
+  try {
+    const { zones, changed } = await runSurgeEngine();
+    if (changed > 0) {
+      console.log(`📈 [Surge Cron] ${changed} multiplier(s) moved across ${zones} zone(s)`);
+    }
+  } catch (err) {
+    // Non-fatal — log and continue. Never crash the server over a cron job.
+    console.error('❌ [Surge Cron] runSurgeJob error:', err.message);
+  }
+};
+
+export default runSurgeJob;
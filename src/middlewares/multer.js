@@ -125,4 +125,20 @@ export async function uploadToCloudinary(buffer, folder = "uploads") {
 // ✅ Drop-in replacements — same API as before (multer instance with .single() etc.)
 //    After multer runs, call uploadToCloudinary(req.file.buffer, "banners") in your handler.
 export const uploadBannerToCloudinary = cloudinaryMulter;
-export const uploadNotificationToCloudinary = cloudinaryMulter;
\ No newline at end of file
+export const uploadNotificationToCloudinary = cloudinaryMulter;
+export const uploadParcelProof = cloudinaryMulter;   // → uploadToCloudinary(buffer, "parcels/proof")
+
+// ─────────────────────────────────────────────
+// 🧾 5. In-memory buffer for Razorpay settlement CSVs
+//    Read with req.file.buffer.toString("utf8") — nothing is kept on disk.
+// ─────────────────────────────────────────────
+export const uploadSettlementFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = ["text/csv", "application/vnd.ms-excel", "text/plain"];
+    allowed.includes(file.mimetype) || file.originalname?.toLowerCase().endsWith(".csv")
+      ? cb(null, true)
+      : cb(new Error("Only CSV files are allowed"));
+  },
+});
@@ -0,0 +1,249 @@
+// src/middlewares/socketMiddleware.js
+// Socket.IO authentication + per-event authorization.
+//
+// socketAuth (io.use) verifies the same tokens the REST routes accept — the
+// admin JWT (adminAuth.js) or a Firebase ID token (authMiddleware.js protect) —
+// and binds the socket to exactly one identity in socket.data.auth.
+// authorizeSocketEvents (socket.use) then drops every packet whose role or
+// driverId / customerId / phone doesn't match that identity, or that names a
+// trip the user isn't on, and stamps the socket's own id as the actor.
+
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import admin from "../utils/firebase.js";
+import User from "../models/User.js";
+import Trip from "../models/Trip.js";
+
+// Payload fields that name the acting user; must equal the socket's user
+const IDENTITY_FIELDS = ["driverId", "customerId", "userId", "fromId", "senderId"];
+
+// Events outside the driver:/customer:/admin: prefixes that still belong to one role
+const DRIVER_EVENTS = ["updateDriverStatus", "trip:arrived_at_pickup"];
+const CUSTOMER_EVENTS = ["trip:rerequest"];
+
+// Trip-scoped events sent before the driver is assigned — the handler's
+// atomic claim is the check
+const PRE_ASSIGNMENT_EVENTS = ["driver:accept_trip"];
+
+const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+const authError = (message, code = "UNAUTHORIZED") => {
+  const err = new Error(message);
+  err.data = { code };
+  return err;
+};
+
+// Same sources as the REST middlewares: auth payload, Bearer header, ?token=
+const extractToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const authHeader = handshake.headers?.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) return authHeader.split(" ")[1];
+
+  return handshake.query?.token || null;
+};
+
+const verifyAdminJwt = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.role === "admin" ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// =====================================================
+// 🔐 Handshake authentication (io.use)
+// =====================================================
+// The client may ask for a role in auth.role / query.role. 'admin' needs an
+// admin JWT; 'driver' needs a driver account; 'customer' is open to every
+// user, so a driver can still book rides from the customer app.
+export const socketAuth = async (socket, next) => {
+  try {
+    const { handshake } = socket;
+    const token = extractToken(handshake);
+    const requestedRole = handshake.auth?.role || handshake.query?.role || null;
+
+    if (!token) {
+      console.log(`❌ Socket ${socket.id} rejected: no token`);
+      return next(authError("No token provided"));
+    }
+
+    const adminClaims = verifyAdminJwt(token);
+    if (adminClaims) {
+      socket.data.auth = {
+        role: "admin",
+        userId: null,
+        phone: null,
+        email: adminClaims.email,
+      };
+      return next();
+    }
+
+    if (requestedRole === "admin") {
+      return next(authError("Admin privileges required", "FORBIDDEN"));
+    }
+
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    const phoneInToken =
+      decodedToken.phone_number ||
+      (decodedToken.phone ? `+91${decodedToken.phone}` : null);
+
+    if (!phoneInToken) {
+      return next(authError("Phone number not found in token"));
+    }
+
+    const user = await User.findOne({ phone: normalizePhone(phoneInToken) })
+      .select("_id phone isDriver")
+      .lean();
+
+    if (!user) {
+      return next(authError("User not found in DB"));
+    }
+
+    let role = user.isDriver ? "driver" : "customer";
+    if (requestedRole === "customer") role = "customer";
+    if (requestedRole === "driver" && !user.isDriver) {
+      return next(authError("Driver access required", "FORBIDDEN"));
+    }
+
+    socket.data.auth = {
+      role,
+      userId: user._id.toString(),
+      phone: user.phone,
+      firebaseUid: decodedToken.uid,
+    };
+
+    next();
+  } catch (error) {
+    console.error(`❌ Socket auth error (${socket.id}):`, error.message);
+    next(authError("Token invalid or expired"));
+  }
+};
+
+// =====================================================
+// 🛡️ Per-event authorization (socket.use)
+// =====================================================
+const requiredRoleFor = (event) => {
+  if (event.startsWith("admin:")) return "admin";
+  if (event.startsWith("driver:") || DRIVER_EVENTS.includes(event)) return "driver";
+  if (event.startsWith("customer:") || CUSTOMER_EVENTS.includes(event)) return "customer";
+  return null;
+};
+
+const isTripParticipant = async (tripId, userId) => {
+  if (!tripId || !userId) return false;
+  const trip = await Trip.findById(tripId).select("customerId assignedDriver").lean();
+  return !!trip && [trip.customerId, trip.assignedDriver].some((id) => id?.toString() === userId);
+};
+
+// Driver events need the trip's assigned driver, customer events its
+// customer, anything else (chat:, trip:) either of the two
+const checkTrip = async (event, tripId, auth) => {
+  if (PRE_ASSIGNMENT_EVENTS.includes(event)) return null;
+  if (!mongoose.isValidObjectId(tripId)) return "Invalid tripId";
+
+  const trip = await Trip.findById(tripId).select("customerId assignedDriver").lean();
+  if (!trip) return "Trip not found";
+
+  const role = requiredRoleFor(event);
+  const allowed =
+    role === "driver" ? [trip.assignedDriver]
+    : role === "customer" ? [trip.customerId]
+    : [trip.customerId, trip.assignedDriver];
+
+  return allowed.some((id) => id?.toString() === auth.userId)
+    ? null
+    : "Not a participant of this trip";
+};
+
+// Rooms whose broadcasts carry another user's data
+const checkRoom = async (room, auth) => {
+  if (typeof room !== "string") return null;
+  if (room === "admin-room") return "admin-room is admin only";
+  if (room === "driver-room" && auth.role !== "driver") return "driver-room is driver only";
+
+  const personal = room.match(/^(?:driver|customer)[_:](.+)$/);
+  if (personal && personal[1] !== auth.userId) return `Cannot join ${room}`;
+
+  // user:<phone> and user:<phone>:<role> carry session events (force_logout)
+  const user = room.match(/^user:([^:]+)(?::(.+))?$/);
+  if (user && (normalizePhone(user[1]) !== normalizePhone(auth.phone) || (user[2] && user[2] !== auth.role))) {
+    return `Cannot join ${room}`;
+  }
+
+  const chat = room.match(/^chat_(.+)$/);
+  if (chat && !(await isTripParticipant(chat[1], auth.userId))) return `Not a participant of ${room}`;
+
+  return null;
+};
+
+// Returns a rejection message, or null when the packet may pass
+const checkEvent = async (event, payload, auth) => {
+  const requiredRole = requiredRoleFor(event);
+  if (requiredRole && requiredRole !== auth.role) {
+    return `${event} requires role ${requiredRole}`;
+  }
+
+  // Admin events carry their own ids (adminId, supportRequestId)
+  if (auth.role === "admin") return null;
+
+  if (!payload || typeof payload !== "object") return null;
+
+  for (const field of IDENTITY_FIELDS) {
+    const value = payload[field];
+    if (value != null && value !== "" && String(value) !== auth.userId) {
+      return `${field} does not match the authenticated user`;
+    }
+  }
+
+  if (payload.phone && normalizePhone(payload.phone) !== normalizePhone(auth.phone)) {
+    return "phone does not match the authenticated user";
+  }
+
+  if (payload.role && payload.role !== auth.role) {
+    return `role ${payload.role} does not match the authenticated role`;
+  }
+
+  if (event === "join_room") return checkRoom(payload.room, auth);
+  if (payload.tripId) return checkTrip(event, payload.tripId, auth);
+
+  return null;
+};
+
+// The actor is always the socket's user: handlers read driverId / customerId
+// from the payload, so fill them in when the client left them out
+const stampActor = (event, payload, auth) => {
+  if (auth.role === "admin" || !payload || typeof payload !== "object") return;
+
+  const role = requiredRoleFor(event);
+  if (role === "driver") payload.driverId = auth.userId;
+  if (role === "customer") payload.customerId = auth.userId;
+};
+
+export const authorizeSocketEvents = (socket) => async ([event, ...args], next) => {
+  try {
+    const auth = socket.data.auth;
+    if (!auth) return; // socketAuth always runs first; never let an unbound socket through
+
+    const rejection = await checkEvent(event, args[0], auth);
+    if (!rejection) {
+      stampActor(event, args[0], auth);
+      return next();
+    }
+
+    console.log(`⛔ Socket ${socket.id} (${auth.role} ${auth.userId || auth.email}) blocked on ${event}: ${rejection}`);
+
+    const ack = args[args.length - 1];
+    if (typeof ack === "function") ack({ success: false, message: rejection });
+
+    socket.emit("auth:forbidden", {
+      success: false,
+      event,
+      message: rejection,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ Socket authorization error on ${event}:`, error);
+  }
+};
@@ -0,0 +1,140 @@
+// src/models/BroadcastSetting.js
+// Progressive broadcast schedule (search rings, waits, retries, timeout),
+// per vehicle type + city. Same lookup shape as CancellationPolicy:
+// vehicle+city → vehicle+'all' → 'all'+'all' → BROADCAST_DEFAULTS.
+// Read by utils/progressiveTripBroadcaster.js at the start of every search,
+// so admin edits apply to the next trip without a redeploy.
+
+import mongoose from 'mongoose';
+import { BROADCAST_DEFAULTS } from '../config/tripConfig.js';
+
+const HARD_DEFAULT = {
+  phases: BROADCAST_DEFAULTS.PHASES,
+  attemptsPerPhase: BROADCAST_DEFAULTS.ATTEMPTS_PER_PHASE,
+  searchTimeoutSec: BROADCAST_DEFAULTS.SEARCH_TIMEOUT_SEC,
+};
+
+const phaseSchema = new mongoose.Schema(
+  {
+    radiusM: { type: Number, required: true, min: 100, max: 100000 },
+    // Pause after each offer round of this phase before the next round
+    waitSec: { type: Number, required: true, min: 1, max: 600 },
+  },
+  { _id: false }
+);
+
+const broadcastSettingSchema = new mongoose.Schema(
+  {
+    // ─────────────────────────────────────────────────────────
+    // IDENTITY — one document per vehicleType + city
+    // ─────────────────────────────────────────────────────────
+    vehicleType: {
+      type: String,
+      enum: ['bike', 'auto', 'car', 'premium', 'xl', 'all'],
+      required: true,
+      index: true,
+    },
+
+    // 'all' city = global fallback; specific city overrides global
+    city: {
+      type: String,
+      default: 'all',
+      trim: true,
+      lowercase: true,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // SEARCH SCHEDULE
+    // ─────────────────────────────────────────────────────────
+    // Rings searched in order; radii must grow phase over phase
+    phases: {
+      type: [phaseSchema],
+      default: () => HARD_DEFAULT.phases,
+      validate: [
+        {
+          validator: (v) => v.length >= 1 && v.length <= 10,
+          message: 'Between 1 and 10 phases required',
+        },
+        {
+          validator: (v) => v.every((p, i) => i === 0 || p.radiusM > v[i - 1].radiusM),
+          message: 'Phase radii must increase',
+        },
+      ],
+    },
+
+    // Offer rounds per phase; rounds after the first go to the same drivers
+    attemptsPerPhase: {
+      type: Number,
+      default: HARD_DEFAULT.attemptsPerPhase,
+      min: 1,
+      max: 5,
+    },
+
+    // Whole search — trip times out when no driver accepted by then
+    searchTimeoutSec: {
+      type: Number,
+      default: HARD_DEFAULT.searchTimeoutSec,
+      min: 15,
+      max: 1800,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // AUDIT
+    // ─────────────────────────────────────────────────────────
+    updatedByAdmin: {
+      type: String,
+      default: 'system',
+      trim: true,
+    },
+    changeNote: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+broadcastSettingSchema.index({ vehicleType: 1, city: 1 }, { unique: true });
+
+// ─────────────────────────────────────────────────────────
+// STATIC: resolve the schedule for a trip
+// Fallback chain: vehicle+city → vehicle+'all' → 'all'+'all' → hard default
+// ─────────────────────────────────────────────────────────
+broadcastSettingSchema.statics.getForVehicle = async function (
+  vehicleType,
+  city = 'all'
+) {
+  try {
+    const cityKey = (city || 'all').toLowerCase();
+    const candidates = [
+      { vehicleType, city: cityKey },
+      { vehicleType, city: 'all' },
+      { vehicleType: 'all', city: 'all' },
+    ];
+
+    for (const where of candidates) {
+      const setting = await this.findOne({ ...where, isActive: true }).lean();
+      if (setting) return { ...HARD_DEFAULT, ...setting };
+    }
+
+    return { ...HARD_DEFAULT, vehicleType, city: 'all' };
+  } catch (err) {
+    console.error('❌ BroadcastSetting.getForVehicle error:', err);
+    return { ...HARD_DEFAULT, vehicleType, city: 'all' };
+  }
+};
+
+const BroadcastSetting =
+  mongoose.models.BroadcastSetting ||
+  mongoose.model('BroadcastSetting', broadcastSettingSchema);
+
+export default BroadcastSetting;
@@ -0,0 +1,143 @@
+// src/models/CancellationPolicy.js
+// Customer cancellation-fee policy, per vehicle type + city.
+// Same lookup shape as CommissionSetting: exact city → 'all' → hard default.
+// Read by services/cancellationFeeService.js when a customer cancels after
+// a driver has accepted.
+
+import mongoose from 'mongoose';
+
+const HARD_DEFAULT = {
+  isEnabled: true,
+  graceWindowSec: 120,
+  feeGoingToPickup: 20,
+  feeAtPickup: 40,
+  driverSharePercent: 80,
+  repeatCancelThreshold: 3,
+  repeatCancelWindowHours: 24,
+};
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    // ─────────────────────────────────────────────────────────
+    // IDENTITY — one document per vehicleType + city
+    // ─────────────────────────────────────────────────────────
+    vehicleType: {
+      type: String,
+      enum: ['bike', 'auto', 'car', 'premium', 'xl', 'all'],
+      required: true,
+      index: true,
+    },
+
+    // 'all' city = global fallback; specific city overrides global
+    city: {
+      type: String,
+      default: 'all',
+      trim: true,
+      lowercase: true,
+    },
+
+    isEnabled: { type: Boolean, default: HARD_DEFAULT.isEnabled },
+
+    // ─────────────────────────────────────────────────────────
+    // GRACE WINDOW — free cancellation this long after acceptedAt
+    // ─────────────────────────────────────────────────────────
+    graceWindowSec: {
+      type: Number,
+      default: HARD_DEFAULT.graceWindowSec,
+      min: 0,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // FEES (₹) BY TRIP STATUS AT CANCELLATION
+    // ─────────────────────────────────────────────────────────
+    // driver_assigned / driver_going_to_pickup
+    feeGoingToPickup: {
+      type: Number,
+      default: HARD_DEFAULT.feeGoingToPickup,
+      min: 0,
+    },
+    // driver_at_pickup (driver has arrived and is waiting)
+    feeAtPickup: {
+      type: Number,
+      default: HARD_DEFAULT.feeAtPickup,
+      min: 0,
+    },
+
+    // Portion of the fee credited to the driver's Wallet as compensation
+    driverSharePercent: {
+      type: Number,
+      default: HARD_DEFAULT.driverSharePercent,
+      min: 0,
+      max: 100,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // REPEAT CANCELLERS — grace window no longer applies once a customer
+    // has this many post-accept cancellations inside the window
+    // ─────────────────────────────────────────────────────────
+    repeatCancelThreshold: {
+      type: Number,
+      default: HARD_DEFAULT.repeatCancelThreshold,
+      min: 0,
+    },
+    repeatCancelWindowHours: {
+      type: Number,
+      default: HARD_DEFAULT.repeatCancelWindowHours,
+      min: 1,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // AUDIT
+    // ─────────────────────────────────────────────────────────
+    updatedByAdmin: {
+      type: String,
+      default: 'system',
+      trim: true,
+    },
+    changeNote: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cancellationPolicySchema.index({ vehicleType: 1, city: 1 }, { unique: true });
+
+// ─────────────────────────────────────────────────────────
+// STATIC: resolve policy for a trip
+// Fallback chain: vehicle+city → vehicle+'all' → 'all'+'all' → hard default
+// ─────────────────────────────────────────────────────────
+cancellationPolicySchema.statics.getForVehicle = async function (
+  vehicleType,
+  city = 'all'
+) {
+  try {
+    const cityKey = (city || 'all').toLowerCase();
+    const candidates = [
+      { vehicleType, city: cityKey },
+      { vehicleType, city: 'all' },
+      { vehicleType: 'all', city: 'all' },
+    ];
+
+    for (const where of candidates) {
+      const policy = await this.findOne(where).lean();
+      if (policy) return { ...HARD_DEFAULT, ...policy };
+    }
+
+    return { ...HARD_DEFAULT, vehicleType, city: 'all' };
+  } catch (err) {
+    console.error('❌ CancellationPolicy.getForVehicle error:', err);
+    return { ...HARD_DEFAULT, vehicleType, city: 'all' };
+  }
+};
+
+const CancellationPolicy =
+  mongoose.models.CancellationPolicy ||
+  mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+export default CancellationPolicy;
@@ -74,6 +74,17 @@ const commissionSettingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // ─────────────────────────────────────────────────────────
+    // CASH-COMMISSION DEBT LIMIT
+    // ─────────────────────────────────────────────────────────
+    // ₹ of unpaid cash commission (Wallet.pendingAmount) above which the
+    // driver is blocked from going online. null = COMMISSION_DEBT_CONFIG default
+    commissionDebtLimit: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
     // ─────────────────────────────────────────────────────────
     // STATUS & AUDIT
     // ─────────────────────────────────────────────────────────
@@ -150,6 +161,7 @@ commissionSettingSchema.statics.getForVehicle = async function (
         platformFeePercent: setting.platformFeePercent ?? 0,
         perRideIncentive: setting.perRideIncentive ?? 0,
         perRideCoins: setting.perRideCoins ?? 0,
+        commissionDebtLimit: setting.commissionDebtLimit ?? null,
         isActive: setting.isActive,
       };
     }
@@ -163,6 +175,7 @@ commissionSettingSchema.statics.getForVehicle = async function (
       platformFeePercent: 0,
       perRideIncentive: 0,
       perRideCoins: 0,
+      commissionDebtLimit: null,
       isActive: true,
     };
   } catch (err) {
@@ -176,6 +189,7 @@ commissionSettingSchema.statics.getForVehicle = async function (
       platformFeePercent: 0,
       perRideIncentive: 0,
       perRideCoins: 0,
+      commissionDebtLimit: null,
       isActive: true,
     };
   }
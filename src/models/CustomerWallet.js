@@ -0,0 +1,86 @@
+// models/CustomerWallet.js — Customer prepaid balance
+// Kept apart from Wallet.js on purpose: that one is keyed by driverId and
+// tracks earnings / commission; this one holds money a customer loaded to
+// pay for rides. All writes go through services/customerWalletService.js.
+
+import mongoose from 'mongoose';
+
+// ════════════════════════════════════════════════════════════════════
+// TRANSACTION SCHEMA - one entry per balance change
+// ════════════════════════════════════════════════════════════════════
+const customerWalletTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['topup', 'ride_payment', 'refund'],
+      required: true,
+      // topup: money loaded through Razorpay
+      // ride_payment: trip fare debited on completion
+      // refund: money credited back (reversed ride payment, trip refund)
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed',
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      default: null,
+    },
+
+    // Top-ups
+    razorpayOrderId:   { type: String, default: null },
+    razorpayPaymentId: { type: String, default: null },
+    paymentMethod:     { type: String, default: null },   // upi / card / ... as Razorpay reports it
+
+    // Refunds — one credit per key, however often it is retried
+    refKey: { type: String, default: null },
+
+    createdAt:   { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+// ════════════════════════════════════════════════════════════════════
+// MAIN WALLET SCHEMA
+// ════════════════════════════════════════════════════════════════════
+const customerWalletSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+
+    balance:      { type: Number, default: 0, min: 0 },
+    totalTopups:  { type: Number, default: 0, min: 0 },
+    totalSpent:   { type: Number, default: 0, min: 0 },
+    totalRefunds: { type: Number, default: 0, min: 0 },
+
+    transactions: [customerWalletTransactionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customerWalletSchema.index({ 'transactions.razorpayOrderId': 1 });
+customerWalletSchema.index({ 'transactions.tripId': 1 });
+
+export default mongoose.models.CustomerWallet || mongoose.model('CustomerWallet', customerWalletSchema);
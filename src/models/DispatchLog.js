@@ -0,0 +1,53 @@
+// src/models/DispatchLog.js
+// One document per ranking decision (offer batch of a broadcast phase
+// attempt, or late-joiner offer). Lets ops answer "why did / didn't driver X get trip Y".
+// Auto-expires after 30 days.
+
+import mongoose from 'mongoose';
+
+const candidateSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rank: Number,
+  score: Number,
+  offered: { type: Boolean, default: false },
+  skipReason: { type: String, default: null },   // e.g. already_offered, later_batch
+  distanceM: Number,
+  etaMin: Number,
+  // Each factor normalised to 0–1 before weighting
+  factors: {
+    eta: Number,
+    acceptance: Number,
+    cancellation: Number,
+    rating: Number,
+    idle: Number,
+    destination: Number,
+  },
+}, { _id: false });
+
+const dispatchLogSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true,
+  },
+  source: {
+    type: String,
+    enum: ['phase', 'late_joiner'],
+    default: 'phase',
+  },
+  phase: Number,
+  attempt: Number,
+  batch: { type: Number, default: null },   // 1-based within the attempt; null for late joiners
+  radiusM: Number,
+  city: String,
+  weights: { type: mongoose.Schema.Types.Mixed },
+  candidates: { type: [candidateSchema], default: [] },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30,
+  },
+});
+
+export default mongoose.models.DispatchLog || mongoose.model('DispatchLog', dispatchLogSchema);
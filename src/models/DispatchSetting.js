@@ -0,0 +1,138 @@
+// src/models/DispatchSetting.js
+// Driver dispatch scoring weights and offer batching, per city.
+// Lookup: exact city → 'all' → hard default (never null).
+// Read by services/dispatchScoringService.js each time a broadcast phase
+// ranks its candidates.
+
+import mongoose from 'mongoose';
+
+const HARD_DEFAULT = {
+  weights: {
+    eta:          0.40,   // Closer pickup ETA → higher
+    acceptance:   0.15,   // Accepts most offers → higher
+    cancellation: 0.15,   // Rarely cancels after accepting → higher
+    rating:       0.10,
+    idle:         0.15,   // Longest without a trip → higher (fairness)
+    destination:  0.05,   // Drop lies near the driver's go-to destination
+  },
+  maxEtaMin: 15,          // ETA at/above this scores 0 on the eta factor
+  idleCapMin: 60,         // Idle time beyond this no longer adds score
+  destinationRadiusM: 2000,
+  batchSize: 3,           // Drivers offered together, best score first
+  batchWindowSec: 5,      // Head start a batch gets before the next one is offered
+};
+
+const dispatchSettingSchema = new mongoose.Schema(
+  {
+    // 'all' city = global fallback; specific city overrides global
+    city: {
+      type: String,
+      default: 'all',
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // FACTOR WEIGHTS — relative; normalised by their sum at scoring time
+    // ─────────────────────────────────────────────────────────
+    weights: {
+      eta:          { type: Number, default: HARD_DEFAULT.weights.eta,          min: 0 },
+      acceptance:   { type: Number, default: HARD_DEFAULT.weights.acceptance,   min: 0 },
+      cancellation: { type: Number, default: HARD_DEFAULT.weights.cancellation, min: 0 },
+      rating:       { type: Number, default: HARD_DEFAULT.weights.rating,       min: 0 },
+      idle:         { type: Number, default: HARD_DEFAULT.weights.idle,         min: 0 },
+      destination:  { type: Number, default: HARD_DEFAULT.weights.destination,  min: 0 },
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // FACTOR SCALES
+    // ─────────────────────────────────────────────────────────
+    maxEtaMin: {
+      type: Number,
+      default: HARD_DEFAULT.maxEtaMin,
+      min: 1,
+    },
+    idleCapMin: {
+      type: Number,
+      default: HARD_DEFAULT.idleCapMin,
+      min: 1,
+    },
+    destinationRadiusM: {
+      type: Number,
+      default: HARD_DEFAULT.destinationRadiusM,
+      min: 100,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // OFFER BATCHES — each broadcast round offers the ranked drivers
+    // batchSize at a time, batchWindowSec apart
+    // ─────────────────────────────────────────────────────────
+    batchSize: {
+      type: Number,
+      default: HARD_DEFAULT.batchSize,
+      min: 1,
+    },
+    batchWindowSec: {
+      type: Number,
+      default: HARD_DEFAULT.batchWindowSec,
+      min: 1,
+      max: 60,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // ─────────────────────────────────────────────────────────
+    // AUDIT
+    // ─────────────────────────────────────────────────────────
+    updatedByAdmin: {
+      type: String,
+      default: 'system',
+      trim: true,
+    },
+    changeNote: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ─────────────────────────────────────────────────────────
+// STATIC: resolve weights for a city
+// ─────────────────────────────────────────────────────────
+dispatchSettingSchema.statics.getForCity = async function (city = 'all') {
+  try {
+    const cityKey = (city || 'all').toLowerCase();
+
+    let setting = await this.findOne({ city: cityKey, isActive: true }).lean();
+    if (!setting && cityKey !== 'all') {
+      setting = await this.findOne({ city: 'all', isActive: true }).lean();
+    }
+
+    if (setting) {
+      return {
+        ...HARD_DEFAULT,
+        ...setting,
+        weights: { ...HARD_DEFAULT.weights, ...setting.weights },
+      };
+    }
+    return { ...HARD_DEFAULT, city: 'all' };
+  } catch (err) {
+    console.error('❌ DispatchSetting.getForCity error:', err);
+    return { ...HARD_DEFAULT, city: 'all' };
+  }
+};
+
+const DispatchSetting =
+  mongoose.models.DispatchSetting ||
+  mongoose.model('DispatchSetting', dispatchSettingSchema);
+
+export default DispatchSetting;
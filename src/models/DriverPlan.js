@@ -73,6 +73,12 @@ const driverPlanSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    commissionDebtLimit: {
+      type: Number,
+      default: null,
+      min: 0,
+      description: 'Snapshot: max unpaid cash commission before the driver is blocked (null = vehicle default)',
+    },
 
     // ════════════════════════════════════════════════════════════════════
     // ✨ NEW: SNAPSHOT OF PLAN PURCHASE DETAILS
@@ -0,0 +1,41 @@
+// models/GatewayReconciliation.js — One check of Razorpay against our records
+// Either a window read from the Razorpay API (source 'api') or an imported
+// settlement file (source 'settlement_file'). Every gateway item and every
+// internal record it was compared with becomes a GatewayReconciliationItem;
+// `counts` is the bucket summary of those items.
+// Written by services/gatewayReconciliationService.js.
+
+import mongoose from 'mongoose';
+
+const gatewayReconciliationSchema = new mongoose.Schema(
+  {
+    runId:      { type: String, required: true, unique: true },
+    source:     { type: String, enum: ['api', 'settlement_file'], required: true },
+    trigger:    { type: String, enum: ['cron', 'admin'], default: 'cron' },
+    status:     { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+
+    from:       { type: Date, default: null },   // Window checked (api) / earliest row (file)
+    to:         { type: Date, default: null },
+    fileName:   { type: String, default: null },
+    startedBy:  { type: String, default: null }, // Admin email for admin runs
+
+    startedAt:  { type: Date, default: Date.now, index: true },
+    finishedAt: { type: Date, default: null },
+
+    counts: {
+      payments:        { type: Number, default: 0 },   // Gateway payments compared
+      payouts:         { type: Number, default: 0 },   // Gateway payouts compared
+      skippedRows:     { type: Number, default: 0 },   // File rows that were neither
+      matched:         { type: Number, default: 0 },
+      missing:         { type: Number, default: 0 },
+      amount_mismatch: { type: Number, default: 0 },
+    },
+    error:      { type: String, default: null },
+  },
+  {
+    collection: 'gateway_reconciliations',
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('GatewayReconciliation', gatewayReconciliationSchema);
@@ -0,0 +1,72 @@
+// models/GatewayReconciliationItem.js — One line of a gateway reconciliation
+// bucket:
+//   matched          gateway item and internal record agree
+//   missing          one side has no counterpart — `missingSide` says which
+//                    ('internal': money moved at Razorpay, nothing here is
+//                    attached to it; 'gateway': we settled something Razorpay
+//                    never captured / paid out)
+//   amount_mismatch  both exist, amounts differ by more than TOLERANCE
+// Exceptions (everything but matched) start 'open' until an admin resolves
+// or ignores them. A later run that finds the same exception again
+// (same itemKey) inherits that resolution.
+
+import mongoose from 'mongoose';
+
+const gatewayReconciliationItemSchema = new mongoose.Schema(
+  {
+    runId:   { type: String, required: true, index: true },
+    itemKey: { type: String, required: true },   // payment:<pay_id> | payout:<pout_id> | <Model>:<_id>
+
+    kind:    { type: String, enum: ['payment', 'payout'], required: true },
+    purpose: {
+      type: String,
+      enum: ['trip_payment', 'commission_payment', 'plan_purchase', 'customer_wallet_topup', 'withdrawal', 'unknown'],
+      default: 'unknown',
+    },
+    bucket:      { type: String, enum: ['matched', 'missing', 'amount_mismatch'], required: true, index: true },
+    missingSide: { type: String, enum: ['internal', 'gateway', null], default: null },
+    reason:      { type: String, default: null },   // not_found, not_applied, gateway_reversed, ...
+
+    // Gateway side
+    gatewayId:     { type: String, default: null },   // pay_… / pout_…
+    orderId:       { type: String, default: null },
+    gatewayAmount: { type: Number, default: null },   // ₹
+    gatewayStatus: { type: String, default: null },
+    gatewayAt:     { type: Date, default: null },
+
+    // Internal side
+    recordType:   {
+      type: String,
+      enum: ['PaymentTransaction', 'PaymentPlan', 'WithdrawalRequest', 'Wallet', 'CustomerWallet', null],
+      default: null,
+    },
+    recordId:     { type: mongoose.Schema.Types.ObjectId, default: null },
+    recordAmount: { type: Number, default: null },
+    recordStatus: { type: String, default: null },
+
+    driverId:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    tripId:     { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+
+    // Exception handling — null on matched items
+    resolution: {
+      status:       { type: String, enum: ['open', 'resolved', 'ignored', null], default: null },
+      note:         { type: String, default: null },
+      resolvedBy:   { type: String, default: null },
+      resolvedAt:   { type: Date, default: null },
+      carriedFrom:  { type: String, default: null },   // runId the resolution was made in
+    },
+
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    collection: 'gateway_reconciliation_items',
+    versionKey: false,
+  }
+);
+
+gatewayReconciliationItemSchema.index({ runId: 1, itemKey: 1 }, { unique: true });
+gatewayReconciliationItemSchema.index({ runId: 1, bucket: 1, 'resolution.status': 1 });
+gatewayReconciliationItemSchema.index({ itemKey: 1, 'resolution.status': 1, createdAt: -1 });
+
+export default mongoose.model('GatewayReconciliationItem', gatewayReconciliationItemSchema);
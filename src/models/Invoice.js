@@ -0,0 +1,100 @@
+// models/Invoice.js — GST tax invoice
+// kind 'ride'       → customer, one per completed trip
+// kind 'commission' → driver, one per calendar month of commission and
+//                     platform fees deducted from their rides
+// Amounts are stored as issued; nothing on the invoice changes afterwards
+// except the email log. Written by services/invoiceService.js.
+
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema(
+  {
+    name:      { type: String, default: null },
+    gstin:     { type: String, default: null },
+    address:   { type: String, default: null },
+    state:     { type: String, default: null },
+    stateCode: { type: String, default: null },
+    phone:     { type: String, default: null },
+    email:     { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const lineSchema = new mongoose.Schema(
+  {
+    description:  { type: String, required: true },
+    sac:          { type: String, default: null },
+    quantity:     { type: Number, default: 1 },
+    amount:       { type: Number, required: true },   // ₹, GST-inclusive; negative for discounts
+    taxableValue: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // ═══════════════════════════════════════════════════════════════
+    // NUMBERING - sequential per kind, state and financial year
+    // ═══════════════════════════════════════════════════════════════
+    number:        { type: String, required: true, unique: true },
+    kind:          { type: String, enum: ['ride', 'commission'], required: true, index: true },
+    financialYear: { type: String, required: true },   // '2627' = FY 2026-27
+    seq:           { type: Number, required: true },
+    issuedAt:      { type: Date, default: Date.now, index: true },
+
+    // ═══════════════════════════════════════════════════════════════
+    // WHAT IT IS FOR
+    // ═══════════════════════════════════════════════════════════════
+    tripId:     { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    driverId:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    period:     { type: String, default: null },   // 'YYYY-MM' on commission invoices
+    tripCount:  { type: Number, default: 0 },      // Rides the commission invoice covers
+
+    // ═══════════════════════════════════════════════════════════════
+    // PARTIES + TAX
+    // ═══════════════════════════════════════════════════════════════
+    supplier:          { type: partySchema, required: true },
+    recipient:         { type: partySchema, required: true },
+    placeOfSupply:     { type: String, required: true },   // State name
+    placeOfSupplyCode: { type: String, default: null },
+
+    lines: { type: [lineSchema], default: [] },
+
+    tax: {
+      rate:         { type: Number, default: 0 },   // GST %
+      taxableValue: { type: Number, default: 0 },
+      cgst:         { type: Number, default: 0 },
+      sgst:         { type: Number, default: 0 },
+      igst:         { type: Number, default: 0 },
+      totalTax:     { type: Number, default: 0 },
+    },
+    total:         { type: Number, required: true },   // Amount payable / deducted, GST-inclusive
+    paymentMethod: { type: String, default: null },
+    meta:          { type: mongoose.Schema.Types.Mixed, default: null },   // Trip summary / fee split
+
+    emails: [
+      {
+        to:     String,
+        sentAt: { type: Date, default: Date.now },
+        _id:    false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    collection: 'invoices',
+  }
+);
+
+invoiceSchema.index(
+  { tripId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'ride' } }
+);
+invoiceSchema.index(
+  { driverId: 1, period: 1 },
+  { unique: true, partialFilterExpression: { kind: 'commission' } }
+);
+invoiceSchema.index({ kind: 1, placeOfSupplyCode: 1, issuedAt: -1 });
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,18 @@
+// models/InvoiceCounter.js — Last invoice number issued per series, state and FY
+// _id: '<series>:<stateCode>:<fy>' e.g. 'ride:36:2627'. Incremented inside
+// the same transaction that creates the Invoice, so numbers never skip.
+
+import mongoose from 'mongoose';
+
+const invoiceCounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  {
+    collection: 'invoice_counters',
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('InvoiceCounter', invoiceCounterSchema);
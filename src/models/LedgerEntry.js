@@ -0,0 +1,106 @@
+// models/LedgerEntry.js — Append-only double-entry journal for driver money
+// One document per business event (ride settled, commission paid, payout…),
+// holding balanced debit / credit lines. Never updated or deleted: mistakes
+// are fixed with a new 'adjustment' entry. Written by services/ledgerService.js;
+// Wallet's cached totals are checked against it every night.
+
+import mongoose from 'mongoose';
+
+export const LEDGER_ACCOUNTS = [
+  'driver_payable',          // Platform owes the driver          ↔ Wallet.availableBalance
+  'commission_receivable',   // Driver owes commission (cash rides) ↔ Wallet.pendingAmount
+  'payout_pending',          // Withdrawal reserved, not yet paid  ↔ Wallet.pendingWithdrawalAmount
+  'platform_commission',     // Commission earned on the driver    ↔ Wallet.totalCommission
+  'cash_in_hand',            // Rider cash the driver collected
+  'gateway_clearing',        // Money received through Razorpay
+  'customer_wallet',         // Paid from a CustomerWallet balance
+  'incentive_expense',       // Incentives, referral bonuses, cancellation compensation
+  'cancellation_fees',       // Customer cancellation fees collected on a later ride (offsets the compensation)
+  'payouts',                 // Sent to the driver's bank / UPI
+  'adjustment',              // Opening balances and manual corrections
+];
+
+const lineSchema = new mongoose.Schema(
+  {
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    debit:   { type: Number, default: 0, min: 0 },
+    credit:  { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    // Idempotency — the same event can never be journaled twice
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        'ride_cash',          // Cash ride settled
+        'ride_online',        // Ride paid through Razorpay
+        'ride_wallet',        // Ride paid from the customer wallet
+        'commission_payment', // Driver paid pending commission
+        'incentive',          // Incentive / referral bonus / compensation credit
+        'withdrawal_reserve', // Withdrawal requested, balance held
+        'withdrawal_paid',    // Payout went through
+        'withdrawal_release', // Payout failed / rejected, balance returned
+        'payout',             // Admin / manual payout straight from balance
+        'opening_balance',    // Wallet adopted by the ledger
+        'adjustment',
+      ],
+      required: true,
+      index: true,
+    },
+
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      default: null,
+    },
+
+    lines: {
+      type: [lineSchema],
+      validate: {
+        validator: (lines) => {
+          if (lines.length < 2) return false;
+          const debit  = lines.reduce((s, l) => s + (l.debit  || 0), 0);
+          const credit = lines.reduce((s, l) => s + (l.credit || 0), 0);
+          return Math.abs(debit - credit) < 0.005;
+        },
+        message: 'Ledger entry must have at least two lines and balance',
+      },
+    },
+
+    // What the event added to Wallet.totalEarnings (a statistic, not an account)
+    earnings: { type: Number, default: 0 },
+
+    memo:      { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, index: true },
+  },
+  {
+    collection: 'ledger_entries',
+    versionKey: false,
+  }
+);
+
+ledgerEntrySchema.index({ driverId: 1, createdAt: -1 });
+
+// Append-only
+const immutable = function (next) {
+  next(new Error('Ledger entries are append-only'));
+};
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], immutable);
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
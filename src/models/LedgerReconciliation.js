@@ -0,0 +1,47 @@
+// models/LedgerReconciliation.js — One nightly check of Wallet vs ledger
+// `mismatches` lists every wallet whose cached totals disagree with what
+// the ledger derives; the admin report reads the latest run.
+// Written by services/ledgerService.js.
+
+import mongoose from 'mongoose';
+
+const fieldDiffSchema = new mongoose.Schema(
+  {
+    field:  { type: String, required: true },   // availableBalance, pendingAmount, ...
+    cached: { type: Number, required: true },   // What Wallet says
+    ledger: { type: Number, required: true },   // What the ledger derives
+    diff:   { type: Number, required: true },   // cached − ledger
+  },
+  { _id: false }
+);
+
+const mismatchSchema = new mongoose.Schema(
+  {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+    diffs:    { type: [fieldDiffSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const ledgerReconciliationSchema = new mongoose.Schema(
+  {
+    runId:      { type: String, required: true, unique: true },
+    trigger:    { type: String, enum: ['cron', 'admin'], default: 'cron' },
+    status:     { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    startedAt:  { type: Date, default: Date.now, index: true },
+    finishedAt: { type: Date, default: null },
+
+    walletsChecked: { type: Number, default: 0 },
+    walletsAdopted: { type: Number, default: 0 },   // Opening balance posted this run
+    mismatchCount:  { type: Number, default: 0 },
+    mismatches:     { type: [mismatchSchema], default: [] },   // Capped at MAX_REPORTED
+    error:          { type: String, default: null },
+  },
+  {
+    collection: 'ledger_reconciliations',
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('LedgerReconciliation', ledgerReconciliationSchema);
@@ -99,6 +99,16 @@ const planSchema = new mongoose.Schema(
       max: 100,
     },
 
+    // ─────────────────────────────────────────────────────────
+    // CASH-COMMISSION DEBT LIMIT  (overrides CommissionSetting.commissionDebtLimit)
+    // null = use the vehicle type's limit.
+    // ─────────────────────────────────────────────────────────
+    commissionDebtLimit: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
     // ─────────────────────────────────────────────────────────
     // TIME-BASED WINDOW (optional — restrict benefits to hours)
     // ─────────────────────────────────────────────────────────
@@ -186,6 +196,7 @@ planSchema.methods.getDriverInfo = function () {
     perRideIncentive:  this.perRideIncentive,
     platformFeeFlat:   this.platformFeeFlat,
     platformFeePercent:this.platformFeePercent,
+    commissionDebtLimit: this.commissionDebtLimit,
     isTimeBasedPlan:   this.isTimeBasedPlan,
     planStartTime:     this.planStartTime,
     planEndTime:       this.planEndTime,
@@ -30,6 +30,9 @@ const rateSchema = new mongoose.Schema(
     minFare            : Number,
     platformFeePercent : Number,
     gstPercent         : Number,
+    perStopCharge      : Number,   // flat ₹ per intermediate stop (multi-stop trips)
+    freeWaitingMin      : Number,  // free minutes at pickup before the waiting meter charges
+    waitingChargePerMin : Number,  // ₹ per started minute beyond freeWaitingMin
 // ✅ Surge multipliers (admin-controlled)
 peakMultiplier  : { type: Number, default: 1 },
 nightMultiplier : { type: Number, default: 1 },
@@ -0,0 +1,35 @@
+// src/models/RecentPlace.js
+// A place a customer was picked up from or dropped at, collected from
+// completed trips by services/savedPlaceService.js. Trips are bucketed on a
+// ~110 m grid (placeKey) so repeat visits count up one document; hourCounts
+// is an IST hour-of-day histogram used to rank suggestions.
+
+import mongoose from 'mongoose';
+
+const recentPlaceSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  kind: { type: String, enum: ['pickup', 'drop'], required: true },
+  placeKey: { type: String, required: true },   // "lat,lng" rounded to CELL_DECIMALS
+
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },  // Latest trip's exact point
+  },
+  address: { type: String, default: null },
+
+  useCount: { type: Number, default: 0 },
+  hourCounts: { type: Map, of: Number },   // "0".."23" → trips (IST)
+  lastTripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  firstUsedAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  hidden: { type: Boolean, default: false },    // Removed by the customer until used again
+});
+
+recentPlaceSchema.index({ customerId: 1, kind: 1, placeKey: 1 }, { unique: true });
+recentPlaceSchema.index({ customerId: 1, kind: 1, lastUsedAt: -1 });
+
+export default mongoose.models.RecentPlace || mongoose.model('RecentPlace', recentPlaceSchema);
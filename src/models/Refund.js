@@ -0,0 +1,111 @@
+// models/Refund.js — One refund of a trip payment
+// Online payments go back to the card / UPI through Razorpay
+// (destination 'source'); wallet-paid trips go back to the CustomerWallet.
+// Written only by services/refundService.js.
+
+import mongoose from 'mongoose';
+
+const refundSchema = new mongoose.Schema(
+  {
+    // ═══════════════════════════════════════════════════════════════
+    // IDEMPOTENCY - one refund per key, however often it is requested
+    // ═══════════════════════════════════════════════════════════════
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // WHAT IS BEING REFUNDED
+    // ═══════════════════════════════════════════════════════════════
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+      index: true,
+    },
+
+    paymentTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentTransaction',
+      default: null,
+    },
+
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    razorpayPaymentId: { type: String, default: null },
+    razorpayRefundId:  { type: String, default: null },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    type: {
+      type: String,
+      enum: ['full', 'partial'],
+      required: true,
+    },
+
+    destination: {
+      type: String,
+      enum: ['source', 'customer_wallet'],
+      required: true,
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // WHY / WHO
+    // ═══════════════════════════════════════════════════════════════
+    reason: {
+      type: String,
+      enum: ['trip_cancelled', 'fare_adjusted', 'dispute', 'other'],
+      required: true,
+    },
+
+    trigger: {
+      type: String,
+      enum: ['policy', 'admin'],
+      required: true,
+    },
+
+    initiatedBy: { type: String, default: null },   // Admin email, or 'system'
+    note:        { type: String, default: null },
+
+    // ═══════════════════════════════════════════════════════════════
+    // STATUS
+    // pending    → record written, gateway not called yet, or the call
+    //              ended unknown (failureReason set; reservation kept)
+    // processing → Razorpay accepted it, waiting for refund.processed
+    // processed  → money is on its way back / in the wallet
+    // failed     → gateway refused it (4xx); the amount is refundable again
+    // ═══════════════════════════════════════════════════════════════
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'processed', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+
+    attempts:      { type: Number, default: 0 },
+    failureReason: { type: String, default: null },
+    processedAt:   { type: Date, default: null },
+    failedAt:      { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'refunds',
+  }
+);
+
+refundSchema.index({ razorpayRefundId: 1 }, { sparse: true });
+refundSchema.index({ customerId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Refund', refundSchema);
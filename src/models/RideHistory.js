@@ -36,6 +36,28 @@ const rideHistorySchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // ⏱️ Waiting at pickup (included in fare)
+  waitingMinutes: {
+    type: Number,
+    default: 0,
+  },
+  waitingCharge: {
+    type: Number,
+    default: 0,
+  },
+  // 🛰️ Booked estimate vs GPS trail (fare re-priced when fareAdjusted)
+  estimatedDistanceKm: {
+    type: Number,
+    default: null,
+  },
+  actualDistanceKm: {
+    type: Number,
+    default: null,
+  },
+  fareAdjusted: {
+    type: Boolean,
+    default: false,
+  },
   status: {
     type: String,
     enum: ['Completed', 'Cancelled', 'Ongoing'],
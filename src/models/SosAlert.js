@@ -92,6 +92,18 @@ const sosAlertSchema = new mongoose.Schema(
       default: "TRIPLE_TAP",
     },
 
+    // ── Safety monitor (sosType SAFETY_MONITOR only) ─────────────────────────
+    // reason: route_deviation | long_stop | heartbeat_lost
+    // cause:  no_response | customer_unsafe
+    safetyReason: {
+      type: String,
+      default: null,
+    },
+    safetyCause: {
+      type: String,
+      default: null,
+    },
+
     // HIGH = red-highlight in admin UI; NORMAL = standard display
     priority: {
       type: String,
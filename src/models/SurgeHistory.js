@@ -0,0 +1,46 @@
+// src/models/SurgeHistory.js
+// Audit trail of zone surge multipliers: every change the surge engine
+// makes (per zone + vehicle type) and every admin override / freeze /
+// release. Expires after SURGE_CONFIG.HISTORY_RETENTION_DAYS.
+
+import mongoose from 'mongoose';
+import { SURGE_CONFIG } from '../config/tripConfig.js';
+
+const surgeHistorySchema = new mongoose.Schema({
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone',
+    required: true,
+  },
+  zoneName:    { type: String, default: null },
+  vehicleType: { type: String, default: null },   // null → zone-wide admin action
+
+  source: {
+    type: String,
+    enum: ['engine', 'override', 'freeze', 'release'],
+    required: true,
+  },
+  multiplier: { type: Number, default: null },
+  previous:   { type: Number, default: null },
+
+  // Engine inputs behind the multiplier
+  ratio:          { type: Number, default: null },
+  openRequests:   { type: Number, default: null },
+  recentTimeouts: { type: Number, default: null },
+  idleDrivers:    { type: Number, default: null },
+
+  // Admin actions
+  actor:  { type: String, default: null },
+  reason: { type: String, default: null },
+  until:  { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+surgeHistorySchema.index({ zoneId: 1, createdAt: -1 });
+surgeHistorySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SURGE_CONFIG.HISTORY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.models.SurgeHistory || mongoose.model('SurgeHistory', surgeHistorySchema);
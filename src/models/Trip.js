@@ -1,5 +1,18 @@
 // src/models/Trip.js
 import mongoose from "mongoose";
+
+// 🛑 Intermediate stop on a multi-stop short trip (pickup → stops[0..n] → drop)
+const TripStopSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+    address: String,
+    arrivedAt: { type: Date, default: null },   // Driver reached the stop
+    departedAt: { type: Date, default: null },  // Driver left the stop
+  },
+  { _id: false }
+);
+
 const TripSchema = new mongoose.Schema(
   {
     customerId: {
@@ -18,6 +31,7 @@ const TripSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: [
+        "scheduled",         // ⏰ Ride-later booking, not yet dispatched
         "requested",
         "driver_assigned",
         "driver_going_to_pickup",
@@ -51,6 +65,9 @@ const TripSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Booking city — picks the BroadcastSetting / DispatchSetting; when absent
+    // the broadcaster falls back to the nearest driver's city
+    city: { type: String, default: null, trim: true, lowercase: true },
     pickup: {
       type: { type: String, enum: ["Point"], default: "Point" },
       coordinates: { type: [Number], required: true },
@@ -61,8 +78,36 @@ const TripSchema = new mongoose.Schema(
       coordinates: { type: [Number], required: true },
       address: String,
     },
+    // Ordered intermediate stops (short trips only, empty otherwise)
+    stops: { type: [TripStopSchema], default: [] },
+    currentStopIndex: { type: Number, default: 0 },    // Next stop the driver is heading to
     distance: Number,
     duration: Number,
+    // 🛣️ LONG (OUTSTATION) TRIP OPTIONS
+    isSameDay: { type: Boolean, default: false },
+    returnTrip: { type: Boolean, default: false },
+    tripDays: { type: Number, default: 1 },
+    fareBreakdown: { type: mongoose.Schema.Types.Mixed, default: null },  // Server-computed itemisation
+    // 🧾 Signed quote the booking was priced on (services/fareQuoteService.js)
+    fareQuote: {
+      ref: { type: String, default: null },
+      total: { type: Number, default: null },
+      distanceKm: { type: Number, default: null },
+      durationMin: { type: Number, default: null },
+      rateSource: { type: String, default: null },
+      rateId: { type: mongoose.Schema.Types.ObjectId, ref: "Rate", default: null },  // State for the tax invoice
+      issuedAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+    // 📦 PARCEL TRIPS — sender-facing record lives in Parcel
+    parcelId: { type: mongoose.Schema.Types.ObjectId, ref: "Parcel", default: null },
+    parcelDetails: {
+      weight: Number,
+      receiverName: String,
+      receiverPhone: String,
+      notes: String,
+      photoUrl: String,
+    },
     fare: {
       type: Number,
       required: true,
@@ -74,9 +119,28 @@ const TripSchema = new mongoose.Schema(
     coinsUsed: { type: Number, default: 0 },
     otp: String,
     acceptedAt: Date,
+    // ⏱️ WAITING AT PICKUP — meter starts on driver_at_pickup, stops on ride start
+    waiting: {
+      startedAt: { type: Date, default: null },
+      endedAt: { type: Date, default: null },
+      freeMinutes: { type: Number, default: 0 },      // Snapshot of the rate at arrival
+      perMinCharge: { type: Number, default: 0 },
+      billableMinutes: { type: Number, default: 0 },
+      charge: { type: Number, default: 0 },           // Added to finalFare at completion
+    },
     rideStartTime: Date,
     rideEndTime: Date,                          // ✅ Set when driver clicks Complete Ride
+    // 🛰️ DRIVEN ROUTE — summed from the GPS trail (TripTrail) at completion
+    travelled: {
+      distanceKm: { type: Number, default: null },
+      durationMin: { type: Number, default: null },
+      pointCount: { type: Number, default: 0 },
+      estimatedDistanceKm: { type: Number, default: null },  // Snapshot of `distance`
+      fareAdjusted: { type: Boolean, default: false },       // Re-priced on actual distance
+      estimatedFare: { type: Number, default: null },        // Fare before re-pricing
+    },
     completedAt: Date,
+    placesRecordedAt: { type: Date, default: null },   // Pickup/drop counted into RecentPlace
     // 💰 PAYMENT LOCK (online payments)
     payment: {
       collected: { type: Boolean, default: false },
@@ -86,6 +150,8 @@ const TripSchema = new mongoose.Schema(
         enum: ["Cash", "Online", "Wallet"],
         default: "Cash",
       },
+      // Set when the customer asked for Wallet but the balance fell short
+      fallbackReason: { type: String, default: null },
     },
     // 💵 CASH PAYMENT FIELDS (set by confirmCashCollection)
     paymentCollected: { type: Boolean, default: false },
@@ -100,6 +166,26 @@ const TripSchema = new mongoose.Schema(
     },
     paidAmount: Number,
     paymentCompletedAt: Date,
+    refundedAmount: { type: Number, default: 0 },   // Reserved + processed refunds (services/refundService.js)
+    // 🧾 Split of the commission deducted at settlement (resolveDriverEarnings) — driver commission invoice
+    platformCharges: {
+      commission: { type: Number, default: 0 },
+      platformFeeFlat: { type: Number, default: 0 },
+      platformFeePercent: { type: Number, default: 0 },
+    },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null },  // Customer tax invoice
+    /* ================================
+       ⭐ POST-TRIP RATINGS (details in TripRating)
+    ================================= */
+    ratedByCustomer: { type: Boolean, default: false },
+    ratedByDriver: { type: Boolean, default: false },
+    /* ================================
+       ⏰ SCHEDULED (RIDE LATER)
+    ================================= */
+    isScheduled: { type: Boolean, default: false },
+    scheduledAt: { type: Date, default: null },        // Requested pickup time
+    dispatchedAt: { type: Date, default: null },       // When broadcast actually started
+    scheduleReminderSentAt: { type: Date, default: null },
     /* ================================
        🔁 SEARCH RETRY CONTROL
     ================================= */
@@ -111,15 +197,86 @@ const TripSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Set when the broadcast starts (BroadcastSetting.searchTimeoutSec)
+    searchExpiresAt: {
+      type: Date,
+      default: null,
+    },
     cancelledBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
     cancellationReason: String,
     cancelledAt: Date,
+    /* ================================
+       💸 CANCELLATION FEE (services/cancellationFeeService.js)
+    ================================= */
+    cancellationFee: {
+      amount: { type: Number, default: 0 },
+      driverCompensation: { type: Number, default: 0 },
+      // pending → billed on the customer's next trip → charged | waived
+      status: {
+        type: String,
+        enum: ["none", "pending", "charged", "waived"],
+        default: "none",
+      },
+      reason: String,                                   // going_to_pickup | at_pickup
+      billedOnTripId: { type: mongoose.Schema.Types.ObjectId, ref: "Trip", default: null },
+      chargedAt: Date,
+      waivedAt: Date,
+      waivedBy: String,
+      waiveReason: String,
+    },
+    outstandingFeesAdded: { type: Number, default: 0 },   // Earlier cancellation fees included in this trip's fare
+    // 📞 NUMBER MASKING — provider session; parties call via proxyNumber only
+    callMasking: {
+      provider: { type: String, default: null },
+      sessionId: { type: String, default: null },
+      proxyNumber: { type: String, default: null },
+      openedAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+      closedAt: { type: Date, default: null },
+    },
+    callLogs: [
+      {
+        callId: { type: String, default: null },
+        from: { type: String, enum: ["customer", "driver", "unknown"] },
+        via: { type: String, enum: ["bridge", "proxy"] },        // Click-to-call | dialled the proxy number
+        status: { type: String, enum: ["connected", "failed", "rejected"] },
+        reason: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    // 🔗 LIVE SHARE LINKS — signed tokens carry shareId; revoked or trip ended = dead link
+    trackingShares: [
+      {
+        shareId: { type: String, required: true },
+        contactName: { type: String, default: null },
+        contactPhone: { type: String, default: null },
+        auto: { type: Boolean, default: false },          // Night-ride auto-share
+        createdAt: { type: Date, default: Date.now },
+        expiresAt: Date,
+        revokedAt: { type: Date, default: null },
+        _id: false,
+      },
+    ],
     sosActivated: { type: Boolean, default: false },
     sosActivatedAt: Date,
     lastDriverHeartbeat: Date,
+    // 🛡️ SAFETY MONITOR — server-side "Are you safe?" check (safetyMonitorService)
+    safetyCheck: {
+      status: {
+        type: String,
+        enum: ["pending", "safe", "escalated", null],
+        default: null,
+      },
+      reason: { type: String, default: null },      // route_deviation | long_stop | heartbeat_lost
+      askedAt: { type: Date, default: null },
+      answeredAt: { type: Date, default: null },
+      snoozedUntil: { type: Date, default: null },  // Customer said safe → no re-ask before this
+      sosAlertId: { type: mongoose.Schema.Types.ObjectId, ref: "SosAlert", default: null },
+    },
     // Support
     supportRequested: { type: Boolean, default: false },
     supportReason: String,
@@ -130,4 +287,7 @@ const TripSchema = new mongoose.Schema(
 // Geo indexes
 TripSchema.index({ "pickup.coordinates": "2dsphere" });
 TripSchema.index({ "drop.coordinates": "2dsphere" });
+TripSchema.index({ customerId: 1, "cancellationFee.status": 1 });
+TripSchema.index({ status: 1, scheduledAt: 1 });
+TripSchema.index({ status: 1, placesRecordedAt: 1, updatedAt: -1 });
 export default mongoose.model("Trip", TripSchema);
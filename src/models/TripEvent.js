@@ -0,0 +1,52 @@
+// src/models/TripEvent.js
+// Append-only trip timeline. One document per status transition (or notable
+// non-status event such as a standby reassignment). Written only through
+// services/tripEventService.js; read by the admin timeline endpoint.
+
+import mongoose from 'mongoose';
+
+const tripEventSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+  },
+
+  // 'status_change' rows carry from/to; anything else is informational
+  type: {
+    type: String,
+    enum: ['created', 'status_change', 'note'],
+    default: 'status_change',
+  },
+  name: { type: String, default: null },      // e.g. standby_reassigned (notes only)
+  from: { type: String, default: null },      // Previous status
+  to: { type: String, default: null },        // Next status
+  forced: { type: Boolean, default: false },  // Admin override outside the state machine
+
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    role: {
+      type: String,
+      enum: ['customer', 'driver', 'admin', 'system'],
+      default: 'system',
+    },
+    label: String,                            // Admin email, cron name, …
+  },
+  source: {
+    type: String,
+    enum: ['socket', 'rest', 'admin', 'cron'],
+    required: true,
+  },
+
+  location: {
+    lat: Number,
+    lng: Number,
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+tripEventSchema.index({ tripId: 1, createdAt: 1 });
+
+export default mongoose.models.TripEvent || mongoose.model('TripEvent', tripEventSchema);
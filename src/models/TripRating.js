@@ -0,0 +1,63 @@
+// src/models/TripRating.js
+// One document per (trip, rater side). Customer rates driver, driver rates customer.
+// The unique index on { tripId, raterRole } is the duplicate-rating guard.
+import mongoose from "mongoose";
+
+const tripRatingSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+      required: true,
+    },
+
+    // Who gave the rating
+    raterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    raterRole: {
+      type: String,
+      enum: ["customer", "driver"],
+      required: true,
+    },
+
+    // Who received it
+    rateeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+
+    // Feedback chips picked in the app (validated against ratingService tag lists)
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    comment: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+tripRatingSchema.index({ tripId: 1, raterRole: 1 }, { unique: true });
+tripRatingSchema.index({ rateeId: 1, createdAt: -1 });
+
+const TripRating =
+  mongoose.models.TripRating || mongoose.model("TripRating", tripRatingSchema);
+
+export default TripRating;
@@ -0,0 +1,36 @@
+// src/models/TripTrail.js
+// GPS trail of one ride, from ride_started to completion. Points are stored
+// compactly as [lng, lat, tMs, seq] and only after the jitter filter in
+// services/tripTrailService.js; distanceM is the running sum between them.
+
+import mongoose from 'mongoose';
+
+const tripTrailSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    unique: true,
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  points: { type: [[Number]], default: [] },  // [lng, lat, tMs, seq]
+  last: {                                      // Last accepted point (filter anchor)
+    lng: Number,
+    lat: Number,
+    t: Number,
+    seq: Number,
+  },
+  distanceM: { type: Number, default: 0 },
+  pointCount: { type: Number, default: 0 },    // Keeps counting past MAX_POINTS
+  droppedCount: { type: Number, default: 0 },  // Jitter / out-of-order / GPS jumps
+
+  startedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.models.TripTrail || mongoose.model('TripTrail', tripTrailSchema);
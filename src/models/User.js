@@ -20,6 +20,65 @@ const userSchema = new mongoose.Schema(
     dateOfBirth: String,
     emergencyContact: String,
 
+    // 🔗 Trusted contacts — receive live trip links (tripShareService)
+    trustedContacts: {
+      type: [
+        {
+          name: { type: String, default: "" },
+          phone: { type: String, required: true },
+          _id: false,
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (list) => list.length <= 5,
+        message: "At most 5 trusted contacts",
+      },
+    },
+    autoShareNightRides: { type: Boolean, default: false },
+
+    /* ================================
+       📍 CUSTOMER SAVED PLACES
+       home / work (one each) + custom labels
+    ================================= */
+    savedPlaces: [
+      {
+        kind: {
+          type: String,
+          enum: ["home", "work", "custom"],
+          default: "custom",
+        },
+        label: {
+          type: String,
+          trim: true,
+          required: true,
+        },
+        location: {
+          type: {
+            type: String,
+            enum: ["Point"],
+            default: "Point",
+          },
+          coordinates: {
+            type: [Number],
+            required: true,
+          },
+        },
+        address: {
+          type: String,
+          default: null,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     // 🔑 Role system
     role: {
       type: String,
@@ -255,6 +314,20 @@ const userSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    // Unpaid cash commission above the driver's debt limit — kept offline and
+    // out of dispatch until paid down (services/commissionDebtService.js)
+    commissionBlocked: {
+      type: Boolean,
+      default: false,
+    },
+    commissionBlockedAt: {
+      type: Date,
+      default: null,
+    },
+    commissionDebtWarnLevel: {
+      type: Number,   // Highest COMMISSION_DEBT_CONFIG.WARN_AT_PERCENT crossed, 0 = none
+      default: 0,
+    },
 
     /* ================================
        🔌 SOCKET REALTIME
@@ -350,6 +423,7 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    ratingCount: { type: Number, default: 0 },   // Trip ratings received (see ratingService)
     vehicleBrand: String,
     vehicleNumber: String,
     vehicleModel: {
@@ -421,6 +495,16 @@ const userSchema = new mongoose.Schema(
     lastTripAcceptedAt: Date,
     lastTripCompletedAt: Date,
     lastTripCancelledAt: Date,
+
+    /* ================================
+       🎯 DISPATCH STATS (DRIVER) — feed acceptance / cancellation
+       factors in services/dispatchScoringService.js
+    ================================= */
+    dispatchStats: {
+      offers: { type: Number, default: 0 },            // Distinct trips offered
+      accepted: { type: Number, default: 0 },
+      driverCancelled: { type: Number, default: 0 },   // Cancelled by the driver after accepting
+    },
     lastCashCollectedAt: Date,
     lastDisconnectedAt: Date,
 
@@ -1,26 +1,70 @@
 // src/models/Parcel.js
 import mongoose from 'mongoose';
 
+const pointSchema = new mongoose.Schema({
+  lat: Number,
+  lng: Number,
+  address: String,
+}, { _id: false });
+
 const parcelSchema = new mongoose.Schema({
+  // 🔗 Sender + linked trip (set once the parcel trip is booked)
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null, index: true },
+
   state: String,
   city: String,
   vehicleType: String,
   category: String,
   distanceKm: Number,
   weight: Number,
+
+  pickup: pointSchema,
+  drop: pointSchema,
+  receiver: {
+    name: String,
+    phone: String,
+  },
+
+  notes: String,
+  payment: String,
+  fare: Number,
+  fareBreakdown: { type: mongoose.Schema.Types.Mixed, default: null },
+  rateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Rate' },
+  photoUrl: String,                       // Sender's photo of the item
+
+  // pending → booked (trip linked) → delivered | cancelled
+  // Finer states (searching / picked up / in transit) come from the trip
+  status: {
+    type: String,
+    enum: ['pending', 'booked', 'delivered', 'cancelled'],
+    default: 'pending',
+    index: true,
+  },
+
+  // 🔐 Receiver confirms at drop with this OTP (sender shares it)
+  deliveryOtp: { type: String, select: false },
+  deliveryOtpAttempts: { type: Number, default: 0 },
+
+  // 📸 Proof of delivery (Cloudinary)
+  deliveryProof: {
+    photoUrl: String,
+    publicId: String,
+    uploadedAt: Date,
+  },
+  deliveredAt: { type: Date, default: null },
+
+  // Legacy flat fields (parcels created before trip linking)
   pickupLat: Number,
   pickupLng: Number,
   dropLat: Number,
   dropLng: Number,
   receiverName: String,
   receiverPhone: String,
-  notes: String,
-  payment: String,
   cost: Number,
-  photoUrl: String,
 }, {
   timestamps: true,
 });
 
-const Parcel = mongoose.model('Parcel', parcelSchema);
+const Parcel = mongoose.models.Parcel || mongoose.model('Parcel', parcelSchema);
 export default Parcel;
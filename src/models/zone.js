@@ -13,6 +13,17 @@ const ExclusionSchema = new mongoose.Schema({
   polygon: { type: [CoordSchema], required: true },
 });
 
+// One surge engine reading per vehicle type (services/surgeService.js)
+const SurgeReadingSchema = new mongoose.Schema({
+  vehicleType:    { type: String, required: true },
+  multiplier:     { type: Number, default: 1 },   // Smoothed, capped — what calcFare applies
+  ratio:          { type: Number, default: 0 },   // demand / idle drivers
+  openRequests:   { type: Number, default: 0 },
+  recentTimeouts: { type: Number, default: 0 },
+  idleDrivers:    { type: Number, default: 0 },
+  updatedAt:      { type: Date, default: Date.now },
+}, { _id: false });
+
 const ZoneSchema = new mongoose.Schema({
   name:           { type: String, required: true, trim: true },
 
@@ -26,7 +37,20 @@ const ZoneSchema = new mongoose.Schema({
   exclusionZones: { type: [ExclusionSchema], default: [] },
 
   serviceEnabled: { type: Boolean, default: true },
-  surgeMultiplier:{ type: Number, default: 1, min: 1 },
+  surgeMultiplier:{ type: Number, default: 1, min: 1 },   // Static floor under the dynamic surge
+
+  // Dynamic surge — readings written every minute by the surge engine.
+  // override → overrideMultiplier for every vehicle type; frozen → readings
+  // stop moving. Both fall back to auto once `until` passes.
+  surge: {
+    mode:               { type: String, enum: ['auto', 'override', 'frozen'], default: 'auto' },
+    overrideMultiplier: { type: Number, default: null, min: 1 },
+    until:              { type: Date, default: null },
+    reason:             { type: String, default: null },
+    setBy:              { type: String, default: null },
+    setAt:              { type: Date, default: null },
+    readings:           { type: [SurgeReadingSchema], default: [] },
+  },
   driverIncentive:{ type: Number, default: 0, min: 0 },
   vehicleTypes:   { type: [String], enum: ['Bike','Auto','Car','Premium Car','XL'], default: ['Bike','Auto','Car','Premium Car','XL'] },
 
@@ -0,0 +1,173 @@
+/**
+ * realtime/index.js — Pluggable presence, pub/sub and locks
+ * ──────────────────────────────────────────────────────────
+ * Everything that must agree across app instances goes through here:
+ *   presence   socketId ↔ userId maps (see presence.js)
+ *   pub/sub    JSON messages between instances (broadcast stop, driver online)
+ *   locks      trip acceptance, broadcast ownership, once-per-cluster sweeps
+ *   adapter    Socket.IO cluster adapter, so io.to(room) reaches every instance
+ *
+ * Backend contract (memoryBackend.js, redisBackend.js):
+ *   hset / hget / hdel / hgetall
+ *   publish(channel, string) / subscribe(channel, handler) → unsubscribe()
+ *   acquireLock(key, ttlMs) → token | null
+ *   extendLock(key, token, ttlMs) / releaseLock(key, token) → boolean
+ *   close()
+ *
+ * REDIS_URL set → Redis-protocol backend; otherwise in-process (single
+ * instance only). REALTIME_BACKEND=memory forces the in-process backend.
+ */
+
+import os from 'os';
+import { createMemoryBackend } from './memoryBackend.js';
+import { createRedisBackend }  from './redisBackend.js';
+import { createClusterAdapter } from './socketAdapter.js';
+
+// Fly sets FLY_ALLOC_ID per machine; hostname+pid elsewhere
+export const instanceId =
+  process.env.FLY_ALLOC_ID || `${os.hostname()}:${process.pid}`;
+
+let backend = createMemoryBackend({ instanceId });
+
+// Registered before initRealtime() ran are replayed onto the new backend
+const subscriptions = [];   // [{ channel, handler, unsubscribe }]
+
+/**
+ * Pick the backend. Call once at boot, before io.adapter() and the crons.
+ */
+export async function initRealtime({
+  url = process.env.REDIS_URL,
+  kind = process.env.REALTIME_BACKEND,
+  prefix = process.env.REALTIME_PREFIX || 'ghumo:',
+} = {}) {
+  const useRedis = kind ? kind === 'redis' : !!url;
+  if (!useRedis) {
+    console.log(`📡 Realtime backend: memory (single instance, ${instanceId})`);
+    return backend;
+  }
+  if (!url) throw new Error('REALTIME_BACKEND=redis requires REDIS_URL');
+
+  const next = await createRedisBackend({ url, prefix, instanceId });
+
+  for (const sub of subscriptions) {
+    await sub.unsubscribe?.();
+    sub.unsubscribe = await next.subscribe(sub.channel, sub.handler);
+  }
+
+  const previous = backend;
+  backend = next;
+  await previous.close();
+
+  console.log(`📡 Realtime backend: redis (${instanceId})`);
+  return backend;
+}
+
+export const getRealtime = () => backend;
+
+export async function closeRealtime() {
+  await backend.close();
+}
+
+// ─────────────────────────────────────────────────────────
+// Pub/sub (JSON)
+// ─────────────────────────────────────────────────────────
+export async function publish(channel, payload) {
+  return backend.publish(channel, JSON.stringify({ from: instanceId, payload }));
+}
+
+/**
+ * handler(payload, { from }) — runs on every instance, the publisher included.
+ */
+export async function subscribe(channel, handler) {
+  const wrapped = (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return console.error(`❌ realtime: bad message on ${channel}`);
+    }
+    Promise.resolve(handler(message.payload, { from: message.from })).catch((err) =>
+      console.error(`❌ realtime handler for ${channel}:`, err)
+    );
+  };
+
+  const sub = { channel, handler: wrapped, unsubscribe: null };
+  subscriptions.push(sub);
+  sub.unsubscribe = await backend.subscribe(channel, wrapped);
+
+  return async () => {
+    subscriptions.splice(subscriptions.indexOf(sub), 1);
+    await sub.unsubscribe?.();
+  };
+}
+
+// ─────────────────────────────────────────────────────────
+// Locks
+// ─────────────────────────────────────────────────────────
+export const acquireLock = (key, ttlMs) => backend.acquireLock(key, ttlMs);
+export const extendLock  = (key, token, ttlMs) => backend.extendLock(key, token, ttlMs);
+
+export async function releaseLock(key, token) {
+  if (!token) return false;
+  try {
+    return await backend.releaseLock(key, token);
+  } catch (err) {
+    // It expires on its own; don't turn a finished job into a failure
+    console.error(`❌ releaseLock ${key}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Run fn while holding `key`. Returns { acquired: false } without running fn
+ * when another holder has it, else { acquired: true, result }.
+ */
+export async function withLock(key, ttlMs, fn) {
+  const token = await acquireLock(key, ttlMs);
+  if (!token) return { acquired: false };
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await releaseLock(key, token);
+  }
+}
+
+/**
+ * For periodic sweeps: only one instance runs each tick. The lock is left to
+ * expire instead of released, so instances on slightly skewed timers don't
+ * repeat the tick right after it finished. Keep ttlMs just under the interval.
+ */
+export async function runOncePerCluster(name, ttlMs, fn) {
+  let token;
+  try {
+    token = await acquireLock(`sweep:${name}`, ttlMs);
+  } catch (err) {
+    console.error(`❌ runOncePerCluster ${name}: lock unavailable —`, err.message);
+    return;
+  }
+  if (!token) return;
+  await fn();
+}
+
+// ─────────────────────────────────────────────────────────
+// Socket.IO
+// ─────────────────────────────────────────────────────────
+// null for the memory backend → keep Socket.IO's default in-memory adapter
+export function createSocketAdapter(opts) {
+  return backend.name === 'memory' ? null : createClusterAdapter(backend, opts);
+}
+
+export default {
+  instanceId,
+  initRealtime,
+  getRealtime,
+  closeRealtime,
+  publish,
+  subscribe,
+  acquireLock,
+  extendLock,
+  releaseLock,
+  withLock,
+  runOncePerCluster,
+  createSocketAdapter,
+};
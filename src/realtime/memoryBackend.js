@@ -0,0 +1,90 @@
+/**
+ * memoryBackend.js — In-process realtime backend
+ * ────────────────────────────────────────────────
+ * Default when REDIS_URL is not set. Same contract as redisBackend.js, so
+ * a single instance behaves exactly as before: presence in Maps, pub/sub on
+ * an EventEmitter, locks in a Map with expiry.
+ */
+
+import { EventEmitter } from 'events';
+import crypto           from 'crypto';
+
+export function createMemoryBackend({ instanceId } = {}) {
+  const hashes = new Map();    // key → Map<field, value>
+  const locks  = new Map();    // key → { token, expiresAt }
+  const bus    = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  const liveLock = (key) => {
+    const lock = locks.get(key);
+    if (lock && lock.expiresAt <= Date.now()) {
+      locks.delete(key);
+      return null;
+    }
+    return lock || null;
+  };
+
+  return {
+    name: 'memory',
+    instanceId,
+
+    // ─── Hashes (presence) ───────────────────────────────
+    async hset(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, String(value));
+    },
+    async hget(key, field) {
+      return hashes.get(key)?.get(field) ?? null;
+    },
+    async hdel(key, field) {
+      const map = hashes.get(key);
+      if (!map) return 0;
+      const removed = map.delete(field) ? 1 : 0;
+      if (!map.size) hashes.delete(key);
+      return removed;
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+
+    // ─── Pub/sub ─────────────────────────────────────────
+    // Delivered on the next tick, like a network round-trip would be
+    async publish(channel, message) {
+      const count = bus.listenerCount(channel);
+      setImmediate(() => bus.emit(channel, message));
+      return count;
+    },
+    async subscribe(channel, handler) {
+      bus.on(channel, handler);
+      return async () => bus.off(channel, handler);
+    },
+
+    // ─── Locks ───────────────────────────────────────────
+    async acquireLock(key, ttlMs) {
+      if (liveLock(key)) return null;
+      const token = crypto.randomUUID();
+      locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+    async extendLock(key, token, ttlMs) {
+      const lock = liveLock(key);
+      if (!lock || lock.token !== token) return false;
+      lock.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+    async releaseLock(key, token) {
+      const lock = liveLock(key);
+      if (!lock || lock.token !== token) return false;
+      locks.delete(key);
+      return true;
+    },
+
+    async close() {
+      bus.removeAllListeners();
+      hashes.clear();
+      locks.clear();
+    },
+  };
+}
+
+export default createMemoryBackend;
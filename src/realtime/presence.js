@@ -0,0 +1,64 @@
+/**
+ * presence.js — Who is connected, on which socket
+ * ────────────────────────────────────────────────
+ * Replaces the per-process connectedDrivers / connectedCustomers Maps.
+ * Stored as two hashes per role so both directions are one lookup:
+ *   presence:<role>:sockets   socketId → userId
+ *   presence:<role>:users     userId   → socketId (latest connection)
+ * A socketId found here may live on another instance; io.to(socketId)
+ * still reaches it through the cluster adapter.
+ */
+
+import { getRealtime } from './index.js';
+
+export function createPresenceMap(role) {
+  const socketsKey = `presence:${role}:sockets`;
+  const usersKey   = `presence:${role}:users`;
+
+  return {
+    async set(socketId, userId) {
+      const backend = getRealtime();
+      const user = String(userId);
+      await backend.hset(socketsKey, socketId, user);
+      await backend.hset(usersKey, user, socketId);
+    },
+
+    async get(socketId) {
+      return getRealtime().hget(socketsKey, socketId);
+    },
+
+    // Only clears the user → socket pointer if it still points at this socket
+    async delete(socketId) {
+      const backend = getRealtime();
+      const userId = await backend.hget(socketsKey, socketId);
+      await backend.hdel(socketsKey, socketId);
+      if (userId && (await backend.hget(usersKey, userId)) === socketId) {
+        await backend.hdel(usersKey, userId);
+      }
+      return userId;
+    },
+
+    async findSocket(userId) {
+      if (!userId) return null;
+      return getRealtime().hget(usersKey, String(userId));
+    },
+
+    // Drop every other socket registered for this user (single active session)
+    async replaceUserSockets(userId, socketId) {
+      const user = String(userId);
+      const all = await getRealtime().hgetall(socketsKey);
+      const stale = Object.entries(all)
+        .filter(([sid, uid]) => uid === user && sid !== socketId)
+        .map(([sid]) => sid);
+      for (const sid of stale) await getRealtime().hdel(socketsKey, sid);
+      await this.set(socketId, user);
+      return stale;
+    },
+
+    async entries() {
+      return Object.entries(await getRealtime().hgetall(socketsKey));
+    },
+  };
+}
+
+export default createPresenceMap;
@@ -0,0 +1,102 @@
+/**
+ * redisBackend.js — Redis-protocol realtime backend
+ * ───────────────────────────────────────────────────
+ * Shared presence, pub/sub and locks for running several instances. Uses
+ * two connections: one for commands, one parked in SUBSCRIBE mode.
+ *
+ * Locks are the usual single-node pattern: SET key token NX PX ttl, with
+ * release / extend as compare-and-act scripts so an instance can never
+ * drop a lock that expired and was taken over by another instance.
+ */
+
+import crypto         from 'crypto';
+import { RespClient } from './respClient.js';
+
+export const RELEASE_LOCK_SCRIPT =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+export const EXTEND_LOCK_SCRIPT =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end';
+
+export async function createRedisBackend({ url, prefix = 'ghumo:', instanceId } = {}) {
+  const cmd = new RespClient(url, { name: 'realtime-cmd' });
+  const sub = new RespClient(url, { name: 'realtime-sub' });
+
+  for (const client of [cmd, sub]) {
+    client.on('error', (err) => console.error(`❌ ${client.name} (${client.host}:${client.port}):`, err.message));
+  }
+
+  await Promise.all([cmd.connect(), sub.connect()]);
+
+  const k = (key) => `${prefix}${key}`;
+  const handlers = new Map();   // full channel → Set<handler>
+
+  sub.on('message', (channel, message) => {
+    for (const handler of handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (err) {
+        console.error(`❌ realtime handler for ${channel}:`, err);
+      }
+    }
+  });
+
+  return {
+    name: 'redis',
+    instanceId,
+
+    // ─── Hashes (presence) ───────────────────────────────
+    hset: (key, field, value) => cmd.command('HSET', k(key), field, String(value)),
+    hget: (key, field) => cmd.command('HGET', k(key), field),
+    hdel: (key, field) => cmd.command('HDEL', k(key), field),
+    async hgetall(key) {
+      const flat = (await cmd.command('HGETALL', k(key))) || [];
+      const out = {};
+      for (let i = 0; i < flat.length; i += 2) out[flat[i]] = flat[i + 1];
+      return out;
+    },
+
+    // ─── Pub/sub ─────────────────────────────────────────
+    publish: (channel, message) => cmd.command('PUBLISH', k(channel), message),
+    async subscribe(channel, handler) {
+      const full = k(channel);
+      if (!handlers.has(full)) {
+        handlers.set(full, new Set());
+        await sub.subscribe(full);
+      }
+      handlers.get(full).add(handler);
+
+      return async () => {
+        const set = handlers.get(full);
+        if (!set) return;
+        set.delete(handler);
+        if (!set.size) {
+          handlers.delete(full);
+          await sub.unsubscribe(full);
+        }
+      };
+    },
+
+    // ─── Locks ───────────────────────────────────────────
+    async acquireLock(key, ttlMs) {
+      const token = crypto.randomUUID();
+      const reply = await cmd.command('SET', k(`lock:${key}`), token, 'NX', 'PX', Math.ceil(ttlMs));
+      return reply === 'OK' ? token : null;
+    },
+    async extendLock(key, token, ttlMs) {
+      const reply = await cmd.command('EVAL', EXTEND_LOCK_SCRIPT, 1, k(`lock:${key}`), token, Math.ceil(ttlMs));
+      return reply === 1;
+    },
+    async releaseLock(key, token) {
+      const reply = await cmd.command('EVAL', RELEASE_LOCK_SCRIPT, 1, k(`lock:${key}`), token);
+      return reply === 1;
+    },
+
+    async close() {
+      handlers.clear();
+      await Promise.all([cmd.quit(), sub.quit()]);
+    },
+  };
+}
+
+export default createRedisBackend;
@@ -0,0 +1,262 @@
+/**
+ * respClient.js — Minimal Redis-protocol (RESP2) client
+ * ──────────────────────────────────────────────────────
+ * Just enough of the protocol for the realtime layer: pipelined commands
+ * on one TCP connection, pub/sub on a dedicated connection, and automatic
+ * reconnect. Works against Redis, Valkey, KeyDB, Upstash (redis://, not
+ * rediss://) and the local stand-in in scripts/respStandin.js.
+ */
+
+import net          from 'net';
+import { EventEmitter } from 'events';
+
+const CRLF = '\r\n';
+const RECONNECT_MAX_MS = 5000;
+const QUEUED_COMMAND_TIMEOUT_MS = 5000;
+
+export class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Encoding / decoding
+// ─────────────────────────────────────────────────────────
+export function encodeCommand(args) {
+  let out = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const str = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    out += `$${str.length}${CRLF}${str.toString()}${CRLF}`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply starting at `offset`.
+ * Returns { value, offset } or null when the buffer holds an incomplete reply.
+ */
+export function parseReply(buf, offset = 0) {
+  if (offset >= buf.length) return null;
+  const lineEnd = buf.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return { value: null, offset: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), offset: next + len + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RespError(`Unknown RESP type byte "${type}"`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Client
+// ─────────────────────────────────────────────────────────
+/**
+ * Events: 'ready', 'error', 'close', and — once subscribe() was called —
+ * 'message' (channel, message).
+ */
+export class RespClient extends EventEmitter {
+  constructor(url = 'redis://127.0.0.1:6379', { name = 'resp' } = {}) {
+    super();
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.db = parsed.pathname && parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+    this.name = name;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];          // [{ resolve, reject }] in send order
+    this.queued = [];           // commands issued while disconnected
+    this.channels = new Set();  // re-subscribed after a reconnect
+    this.pubsub = false;        // Set by subscribe(); this connection gets pushed messages
+    this.connected = false;     // Only after AUTH / SELECT — commands queue until then
+    this.closing = false;
+    this.retryMs = 100;
+  }
+
+  connect() {
+    if (this.socket) return this.readyPromise;
+
+    this.readyPromise = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+      socket.setNoDelay(true);
+
+      socket.once('connect', async () => {
+        try {
+          await this.handshake();
+          this.connected = true;
+          this.retryMs = 100;
+          for (const waiter of this.queued.splice(0)) {
+            clearTimeout(waiter.timer);
+            this.writeCommand(waiter.args, waiter);
+          }
+          this.emit('ready');
+          resolve(this);
+        } catch (err) {
+          reject(err);
+          socket.destroy(err);
+        }
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk));
+
+      socket.on('error', (err) => {
+        if (this.listenerCount('error')) this.emit('error', err);
+        if (!this.connected) reject(err);
+      });
+
+      socket.on('close', () => {
+        this.connected = false;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+
+        const lost = this.pending.splice(0);
+        for (const p of lost) p.reject(new RespError('Connection closed'));
+
+        this.emit('close');
+        if (!this.closing) this.scheduleReconnect();
+      });
+    });
+
+    // Callers that don't await connect() still get the error via 'error'
+    this.readyPromise.catch(() => {});
+    return this.readyPromise;
+  }
+
+  scheduleReconnect() {
+    const delay = this.retryMs;
+    this.retryMs = Math.min(this.retryMs * 2, RECONNECT_MAX_MS);
+    setTimeout(() => {
+      if (this.closing) return;
+      this.connect().catch(() => {});
+    }, delay).unref();
+  }
+
+  async handshake() {
+    // Bypass the queue: these must go out before anything buffered
+    const direct = (args) => new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+
+    if (this.password) {
+      await direct(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.db) await direct(['SELECT', this.db]);
+    // One channel per command: SUBSCRIBE answers once per channel
+    for (const channel of this.channels) await direct(['SUBSCRIBE', channel]);
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      const reply = parseReply(this.buffer, offset);
+      if (!reply) break;
+      offset = reply.offset;
+      this.onReply(reply.value);
+    }
+    this.buffer = offset >= this.buffer.length ? Buffer.alloc(0) : this.buffer.subarray(offset);
+  }
+
+  onReply(value) {
+    // Pushed pub/sub messages are not replies to a pending command — told
+    // apart by shape, so one arriving just after UNSUBSCRIBE is still a push
+    if (this.pubsub && Array.isArray(value) && value.length === 3 && value[0] === 'message') {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+
+    const waiter = this.pending.shift();
+    if (!waiter) return;
+    if (value instanceof RespError) waiter.reject(value);
+    else waiter.resolve(value);
+  }
+
+  writeCommand(args, waiter) {
+    this.pending.push(waiter);
+    this.socket.write(encodeCommand(args));
+  }
+
+  /**
+   * Send one command. Resolves with the decoded reply; rejects on an error reply.
+   */
+  command(...args) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, args };
+      if (this.connected && this.socket) {
+        this.writeCommand(args, waiter);
+      } else {
+        // Don't let callers (e.g. a lock around trip acceptance) hang on a dead server
+        waiter.timer = setTimeout(() => {
+          const idx = this.queued.indexOf(waiter);
+          if (idx !== -1) this.queued.splice(idx, 1);
+          reject(new RespError(`${this.name}: not connected to ${this.host}:${this.port}`));
+        }, QUEUED_COMMAND_TIMEOUT_MS);
+        this.queued.push(waiter);
+        this.connect().catch(() => {});
+      }
+    });
+  }
+
+  // A subscribed connection can only run (P)SUBSCRIBE / UNSUBSCRIBE / PING —
+  // keep pub/sub on its own client.
+  async subscribe(channel) {
+    if (this.channels.has(channel)) return;
+    this.pubsub = true;
+    this.channels.add(channel);
+    await this.command('SUBSCRIBE', channel);
+  }
+
+  async unsubscribe(channel) {
+    if (!this.channels.delete(channel)) return;
+    await this.command('UNSUBSCRIBE', channel);
+  }
+
+  async quit() {
+    this.closing = true;
+    if (!this.socket) return;
+    try {
+      await this.command('QUIT');
+    } catch {
+      // Connection may already be gone
+    }
+    this.socket?.destroy();
+  }
+}
+
+export default RespClient;
@@ -0,0 +1,84 @@
+/**
+ * socketAdapter.js — Socket.IO cluster adapter over the realtime backend
+ * ───────────────────────────────────────────────────────────────────────
+ * Relays broadcasts, room joins/leaves, fetchSockets and serverSideEmit
+ * between instances through backend pub/sub — the same model as the
+ * official Redis adapter. Each namespace uses one shared channel plus a
+ * per-server response channel.
+ *
+ * Packets are JSON-encoded; Buffers survive the round-trip via toJSON().
+ */
+
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+const reviveBuffers = (key, value) =>
+  value && value.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : value;
+
+const encode = (message) => JSON.stringify(message);
+const decode = (raw) => JSON.parse(raw, reviveBuffers);
+
+class RealtimeClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, backend, opts = {}) {
+    super(nsp, opts);
+    this.backend = backend;
+    this.channel = `socket.io#${nsp.name}#`;
+    this.unsubscribers = [];
+
+    // Announce ourselves (INITIAL_HEARTBEAT) only once we can hear the replies
+    this.ready = Promise.all([
+      backend.subscribe(this.channel, (raw) => this.onRawMessage(raw)),
+      backend.subscribe(this.responseChannelFor(this.uid), (raw) => this.onRawResponse(raw)),
+    ])
+      .then((unsubscribers) => {
+        this.unsubscribers = unsubscribers;
+        this.init();
+      })
+      .catch((err) => console.error(`❌ Socket.IO adapter subscribe failed (${nsp.name}):`, err.message));
+  }
+
+  responseChannelFor(uid) {
+    return `${this.channel}${uid}#`;
+  }
+
+  onRawMessage(raw) {
+    try {
+      this.onMessage(decode(raw));
+    } catch (err) {
+      console.error('❌ Socket.IO adapter message error:', err);
+    }
+  }
+
+  onRawResponse(raw) {
+    try {
+      this.onResponse(decode(raw));
+    } catch (err) {
+      console.error('❌ Socket.IO adapter response error:', err);
+    }
+  }
+
+  async doPublish(message) {
+    await this.backend.publish(this.channel, encode(message));
+    return '';  // no connection-state-recovery offsets over plain pub/sub
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.backend.publish(this.responseChannelFor(requesterUid), encode(response));
+  }
+
+  close() {
+    super.close();
+    for (const unsubscribe of this.unsubscribers) unsubscribe().catch(() => {});
+    this.unsubscribers = [];
+  }
+}
+
+/**
+ * io.adapter(createClusterAdapter(backend)) — one adapter per namespace.
+ */
+export function createClusterAdapter(backend, opts = {}) {
+  return function (nsp) {
+    return new RealtimeClusterAdapter(nsp, backend, opts);
+  };
+}
+
+export default createClusterAdapter;
@@ -25,6 +25,7 @@ import {
   manualAssignDriver,
   getTripDetails,
   getAllTrips,
+  getScheduledTrips,
   markTripCompleted,
   cancelTrip,
 
@@ -75,6 +76,24 @@ import {
   getIncentiveSettings,
   updateIncentiveSettings,
 
+  // Cancellation fee policy
+  getCancellationPolicies,
+  upsertCancellationPolicy,
+  getCancellationFees,
+  waiveCancellationFee,
+
+  // Dispatch scoring
+  getDispatchSettings,
+  upsertDispatchSetting,
+  getTripDispatchLogs,
+
+  // Broadcast phases
+  getBroadcastSettings,
+  upsertBroadcastSetting,
+
+  // Trip timeline
+  getTripTimelineForAdmin,
+
   // TEST
   testImageAccess,
 
@@ -146,6 +165,27 @@ router.post("/commission/broadcast", verifyAdminToken, broadcastCurrentConfig);
 router.get("/commission/incentives", verifyAdminToken, getIncentiveSettings);
 router.put("/commission/incentives", verifyAdminToken, updateIncentiveSettings);
 
+/* ================================
+   💸 CANCELLATION FEE POLICY
+================================ */
+router.get("/cancellation-policies", verifyAdminToken, getCancellationPolicies);
+router.put("/cancellation-policies", verifyAdminToken, upsertCancellationPolicy);
+router.get("/cancellation-fees", verifyAdminToken, getCancellationFees);
+router.post("/trip/:tripId/cancellation-fee/waive", verifyAdminToken, waiveCancellationFee);
+
+/* ================================
+   🎯 DISPATCH SCORING
+================================ */
+router.get("/dispatch/settings", verifyAdminToken, getDispatchSettings);
+router.put("/dispatch/settings", verifyAdminToken, upsertDispatchSetting);
+router.get("/dispatch/logs/:tripId", verifyAdminToken, getTripDispatchLogs);
+
+/* ================================
+   📡 BROADCAST PHASES
+================================ */
+router.get("/broadcast/settings", verifyAdminToken, getBroadcastSettings);
+router.put("/broadcast/settings", verifyAdminToken, upsertBroadcastSetting);
+
 /* ================================
    🧑 CUSTOMERS
 ================================ */
@@ -190,10 +230,12 @@ router.put("/driver/unblock/:driverId", verifyAdminToken, unblockDriver);
    🚘 TRIPS MGMT
 ================================ */
 router.get("/trips", verifyAdminToken, getAllTrips);
+router.get("/trips/scheduled", verifyAdminToken, getScheduledTrips);
 router.post("/manual-assign", verifyAdminToken, manualAssignDriver);
 router.get("/trip/:tripId", verifyAdminToken, getTripDetails);
 router.put("/trip/:tripId/complete", verifyAdminToken, markTripCompleted);
 router.put("/trip/:tripId/cancel", verifyAdminToken, cancelTrip);
+router.get("/trip/:tripId/timeline", verifyAdminToken, getTripTimelineForAdmin);
 router.get("/support/active", verifyAdminToken, getActiveSupportTrips);
 
 /* ================================
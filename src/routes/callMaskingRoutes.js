@@ -0,0 +1,23 @@
+// src/routes/callMaskingRoutes.js
+import express from "express";
+import { connectCall, resolveCall } from "../controllers/callMaskingController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/calls/connect
+ * Masked call between a trip's customer and driver.
+ * Body: { tripId }
+ */
+router.post("/connect", protect, connectCall);
+
+/**
+ * POST /api/calls/resolve
+ * Telephony provider webhook for calls made to a proxy number.
+ * Header: x-call-masking-secret
+ * Body: { proxyNumber, from, callId? }
+ */
+router.post("/resolve", resolveCall);
+
+export default router;
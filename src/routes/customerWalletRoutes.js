@@ -0,0 +1,34 @@
+// src/routes/customerWalletRoutes.js
+import express from "express";
+import {
+  getWallet,
+  createTopup,
+  verifyTopupPayment,
+} from "../controllers/customerWalletController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER ROUTES  (Firebase JWT required) — mounted at /api/customer/wallet
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/customer/wallet?type=&before=&limit=
+ * Balance + transaction history.
+ */
+router.get("/", protect, getWallet);
+
+/**
+ * POST /api/customer/wallet/topup
+ * Body: { amount }
+ */
+router.post("/topup", protect, createTopup);
+
+/**
+ * POST /api/customer/wallet/topup/verify
+ * Body: { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ */
+router.post("/topup/verify", protect, verifyTopupPayment);
+
+export default router;
@@ -0,0 +1,53 @@
+// src/routes/gatewayReconciliationRoutes.js
+import express from "express";
+import {
+  getRuns,
+  getRunSummary,
+  getRunItems,
+  startRun,
+  importSettlement,
+  resolveException,
+} from "../controllers/gatewayReconciliationController.js";
+import { verifyAdminToken } from "../middlewares/adminAuth.js";
+import { uploadSettlementFile } from "../middlewares/multer.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ROUTES — mounted at /api/admin/gateway-reconciliation
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/gateway-reconciliation/runs?before=&limit=
+ */
+router.get("/runs", verifyAdminToken, getRuns);
+
+/**
+ * POST /api/admin/gateway-reconciliation/runs
+ * Body: { from?, to? }
+ */
+router.post("/runs", verifyAdminToken, startRun);
+
+/**
+ * GET /api/admin/gateway-reconciliation/runs/:runId   (runId "latest" → newest finished run)
+ */
+router.get("/runs/:runId", verifyAdminToken, getRunSummary);
+
+/**
+ * GET /api/admin/gateway-reconciliation/runs/:runId/items?bucket=&kind=&purpose=&status=&before=&limit=
+ */
+router.get("/runs/:runId/items", verifyAdminToken, getRunItems);
+
+/**
+ * POST /api/admin/gateway-reconciliation/settlements
+ * multipart: file (CSV)  |  JSON: { csv, fileName? }
+ */
+router.post("/settlements", verifyAdminToken, uploadSettlementFile.single("file"), importSettlement);
+
+/**
+ * PATCH /api/admin/gateway-reconciliation/items/:itemId
+ * Body: { status: 'resolved'|'ignored'|'open', note }
+ */
+router.patch("/items/:itemId", verifyAdminToken, resolveException);
+
+export default router;
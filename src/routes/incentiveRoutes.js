@@ -5,6 +5,7 @@ import Trip from '../models/Trip.js';
 import Wallet from '../models/Wallet.js';
 import { protect } from '../middlewares/authMiddleware.js';
 import mongoose from 'mongoose';
+import { postWalletEntry } from '../services/ledgerService.js';
 
 const router = express.Router();
 
@@ -256,6 +257,16 @@ router.post('/withdraw-earnings', protect, async (req, res) => {
       }
     );
 
+    await postWalletEntry({
+      key: `coins:${wallet.transactions.at(-1)._id}`,
+      type: 'incentive',
+      driverId: userId,
+      delta: { availableBalance: rupeeAmount },
+      counter: 'incentive_expense',
+      memo: `Coins withdrawal - ${coinsToWithdraw} coins`,
+      session
+    });
+
     console.log('✅ Coins withdrawal successful:', {
       userId,
       coinsWithdrawn: coinsToWithdraw,
@@ -454,6 +465,18 @@ router.post('/add-ride-incentive', async (req, res) => {
       }
     );
 
+    await postWalletEntry({
+      key: `ride_incentive:${wallet.transactions.at(-1)._id}`,
+      type: 'incentive',
+      driverId: userId,
+      tripId: tripId || null,
+      delta: { availableBalance: perRideIncentive },
+      counter: 'incentive_expense',
+      earnings: perRideIncentive,
+      memo: `Ride incentive ₹${perRideIncentive.toFixed(2)}`,
+      session
+    });
+
     console.log('✅ Wallet updated:', {
       availableBalance: wallet.availableBalance,
       totalEarnings: wallet.totalEarnings
@@ -0,0 +1,72 @@
+// src/routes/invoiceRoutes.js
+import express from "express";
+import {
+  getMyInvoices,
+  getTripInvoice,
+  getCommissionInvoice,
+  downloadInvoice,
+  emailMyInvoice,
+  getInvoices,
+  getInvoiceById,
+  runCommissionInvoices,
+} from "../controllers/invoiceController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+import { verifyAdminToken } from "../middlewares/adminAuth.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER / DRIVER ROUTES  (Firebase JWT required) — mounted at /api/invoices
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/invoices/my?before=&limit=
+ */
+router.get("/my", protect, getMyInvoices);
+
+/**
+ * GET /api/invoices/trip/:tripId?format=json|pdf|html
+ */
+router.get("/trip/:tripId", protect, getTripInvoice);
+
+/**
+ * GET /api/invoices/commission/:period?format=json|pdf|html   (period = YYYY-MM)
+ */
+router.get("/commission/:period", protect, getCommissionInvoice);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ROUTES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/invoices?kind=&state=&customerId=&driverId=&period=&from=&to=&before=&limit=
+ */
+router.get("/", verifyAdminToken, getInvoices);
+
+/**
+ * POST /api/invoices/commission-runs
+ * Body: { period? }
+ */
+router.post("/commission-runs", verifyAdminToken, runCommissionInvoices);
+
+/**
+ * GET /api/invoices/admin/:invoiceId?format=json|pdf|html
+ */
+router.get("/admin/:invoiceId", verifyAdminToken, getInvoiceById);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DOWNLOAD / EMAIL  (invoice's customer or driver)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/invoices/:invoiceId/download?format=pdf|html
+ */
+router.get("/:invoiceId/download", protect, downloadInvoice);
+
+/**
+ * POST /api/invoices/:invoiceId/email
+ * Body: { email? }
+ */
+router.post("/:invoiceId/email", protect, emailMyInvoice);
+
+export default router;
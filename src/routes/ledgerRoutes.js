@@ -0,0 +1,31 @@
+// src/routes/ledgerRoutes.js
+import express from "express";
+import {
+  getReconciliation,
+  runReconciliation,
+  getDriverLedgerEntries,
+} from "../controllers/ledgerController.js";
+import { verifyAdminToken } from "../middlewares/adminAuth.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ROUTES — mounted at /api/admin/ledger
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/ledger/reconciliation?runId=
+ */
+router.get("/reconciliation", verifyAdminToken, getReconciliation);
+
+/**
+ * POST /api/admin/ledger/reconciliation/run
+ */
+router.post("/reconciliation/run", verifyAdminToken, runReconciliation);
+
+/**
+ * GET /api/admin/ledger/drivers/:driverId?before=&limit=
+ */
+router.get("/drivers/:driverId", verifyAdminToken, getDriverLedgerEntries);
+
+export default router;
@@ -1,7 +1,15 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import { estimateParcel, createParcel } from '../controllers/parcelController.js';
+import {
+  estimateParcel,
+  createParcel,
+  deliverParcel,
+  trackParcel,
+  getMyParcels,
+} from '../controllers/parcelController.js';
+import { protect } from '../middlewares/authMiddleware.js';
+import { uploadParcelProof } from '../middlewares/multer.js';
 
 const router = express.Router();
 
@@ -55,4 +63,11 @@ router.post('/estimate', estimateParcel);
 // ✅ Create parcel (with photo upload)
 router.post('/create', upload.single('parcelPhoto'), createParcel);
 
+// ✅ Sender: list own parcels / live tracking
+router.get('/mine', protect, getMyParcels);
+router.get('/:parcelId/track', protect, trackParcel);
+
+// ✅ Driver: receiver OTP + proof-of-delivery photo (Cloudinary)
+router.post('/:parcelId/deliver', protect, uploadParcelProof.single('proofPhoto'), deliverParcel);
+
 export default router;
\ No newline at end of file
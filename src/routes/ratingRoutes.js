@@ -0,0 +1,50 @@
+// src/routes/ratingRoutes.js
+import express from "express";
+import {
+  submitTripRating,
+  getTripRatingStatus,
+  getRatingTags,
+  getLowRatedDrivers,
+} from "../controllers/ratingController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+import { verifyAdminToken } from "../middlewares/adminAuth.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ROUTES  (declared first so /admin/* is never read as a :tripId)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/ratings/admin/low-rated-drivers
+ * Drivers whose rolling rating fell below the threshold, worst first,
+ * with their most frequent complaint tags.
+ * Query: threshold? (default 4.0), minRatings? (default 5), page?, limit?
+ */
+router.get("/admin/low-rated-drivers", verifyAdminToken, getLowRatedDrivers);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER / DRIVER ROUTES  (Firebase JWT required)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/ratings/tags
+ * Feedback chips for the rating screen.
+ * Query: for? = driver | customer (who is being rated)
+ */
+router.get("/tags", getRatingTags);
+
+/**
+ * GET /api/ratings/trip/:tripId
+ * Whether the caller can still rate this trip, plus their rating if given.
+ */
+router.get("/trip/:tripId", protect, getTripRatingStatus);
+
+/**
+ * POST /api/ratings/trip/:tripId
+ * Rate the other side of a completed trip. Rater is taken from the token.
+ * Body: { rating (1–5), tags?: [String], comment? }
+ */
+router.post("/trip/:tripId", protect, submitTripRating);
+
+export default router;
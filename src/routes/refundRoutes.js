@@ -0,0 +1,43 @@
+// src/routes/refundRoutes.js
+import express from "express";
+import {
+  createRefund,
+  getRefunds,
+  getRefundById,
+  getMyRefunds,
+} from "../controllers/refundController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+import { verifyAdminToken } from "../middlewares/adminAuth.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER ROUTES  (Firebase JWT required) — mounted at /api/refunds
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/refunds/my?before=&limit=
+ */
+router.get("/my", protect, getMyRefunds);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ROUTES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/refunds?tripId=&customerId=&status=&before=&limit=
+ */
+router.get("/", verifyAdminToken, getRefunds);
+
+/**
+ * POST /api/refunds
+ * Body: { tripId, reason, amount?, newFare?, note?, idempotencyKey? }
+ */
+router.post("/", verifyAdminToken, createRefund);
+
+/**
+ * GET /api/refunds/:refundId
+ */
+router.get("/:refundId", verifyAdminToken, getRefundById);
+
+export default router;
@@ -0,0 +1,54 @@
+// src/routes/savedPlaceRoutes.js
+import express from "express";
+import {
+  getPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  deleteRecentPlace,
+  getSuggestions,
+} from "../controllers/savedPlaceController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER ROUTES  (Firebase JWT required) — mounted at /api/user/places
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/user/places/suggestions?lat=&lng=&limit=
+ * Suggested destinations for the booking screen.
+ */
+router.get("/suggestions", protect, getSuggestions);
+
+/**
+ * DELETE /api/user/places/recent/:recentId
+ * Hide a recent pickup / drop.
+ */
+router.delete("/recent/:recentId", protect, deleteRecentPlace);
+
+/**
+ * GET /api/user/places
+ * Saved places + recent pickups and drops.
+ */
+router.get("/", protect, getPlaces);
+
+/**
+ * POST /api/user/places
+ * Body: { kind?, label?, lat, lng, address? }
+ */
+router.post("/", protect, createPlace);
+
+/**
+ * PATCH /api/user/places/:placeId
+ * Body: any of { kind, label, lat + lng, address }
+ */
+router.patch("/:placeId", protect, updatePlace);
+
+/**
+ * DELETE /api/user/places/:placeId
+ */
+router.delete("/:placeId", protect, deletePlace);
+
+export default router;
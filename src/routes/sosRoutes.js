@@ -8,6 +8,7 @@ import {
   escalateSos,
   getActiveSosAlerts,
   getSosById,
+  respondSafetyCheck,
 } from "../controllers/sosController.js";
 
 // ── Auth middleware ────────────────────────────────────────────────────────────
@@ -47,6 +48,14 @@ router.post("/location-update", protect, updateSosLocation);
  */
 router.post("/driver-location", protect, updateDriverLocation);
 
+/**
+ * POST /api/sos/safety-check/respond
+ * Customer answers the safety monitor's "Are you safe?" check.
+ * safe=false (or no answer in time) opens an SOS for admin.
+ * Body: { tripId, safe }
+ */
+router.post("/safety-check/respond", protect, respondSafetyCheck);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ADMIN ROUTES  (x-admin-token header required — matches existing project pattern)
 // ─────────────────────────────────────────────────────────────────────────────
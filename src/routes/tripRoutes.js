@@ -25,6 +25,8 @@ import {
   completeRideWithVerification,
   confirmCashCollection,
   getDriverLocationByTripId,
+  cancelScheduledTrip,
+  getCustomerScheduledTrips,
 } from '../controllers/tripController.js';
 
 const router = express.Router();
@@ -192,6 +194,8 @@ router.post('/:id/reject', rejectTrip);
 router.post('/complete', completeTrip);
 router.post('/cancel-search', cancelTripByCustomer);
 router.post('/cancel', cancelTrip);
+router.post('/scheduled/cancel', cancelScheduledTrip);
+router.get('/scheduled/customer/:customerId', getCustomerScheduledTrips);
 router.get('/active/:customerId', getActiveRide);
 router.post('/going-to-pickup', goingToPickup);
 router.post('/start-ride', startRide);
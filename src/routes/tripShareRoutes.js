@@ -0,0 +1,47 @@
+// src/routes/tripShareRoutes.js
+import express from "express";
+import {
+  createShareLink,
+  revokeShareLink,
+  getSharedTrip,
+  renderSharedTripPage,
+} from "../controllers/tripShareController.js";
+import { protect } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CUSTOMER ROUTES  (Firebase JWT required)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/trip-share
+ * Create a read-only live tracking link for an active trip.
+ * Body: { tripId, contactName?, contactPhone? }
+ */
+router.post("/trip-share", protect, createShareLink);
+
+/**
+ * POST /api/trip-share/revoke
+ * Kill a link before the trip ends.
+ * Body: { tripId, shareId }
+ */
+router.post("/trip-share/revoke", protect, revokeShareLink);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC ROUTES  (the signed token is the credential)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/track/:token/data
+ * Driver, vehicle, live location and ETA as JSON.
+ */
+router.get("/track/:token/data", getSharedTrip);
+
+/**
+ * GET /api/track/:token
+ * Page a trusted contact opens from the shared link.
+ */
+router.get("/track/:token", renderSharedTripPage);
+
+export default router;
@@ -14,6 +14,7 @@ import {
   verifyRazorpayPayment,
   createCommissionOrder,
   verifyCommissionPayment,
+  getCommissionDebt,
   getPaymentProofs,
   getAllWallets,
   getWalletDetails,
@@ -181,6 +182,7 @@ router.post('/create-order', authenticateUser, createRazorpayOrder);
 router.post('/verify-payment', authenticateUser, verifyRazorpayPayment);
 router.post('/create-commission-order', authenticateUser, createCommissionOrder);
 router.post('/verify-commission', authenticateUser, verifyCommissionPayment);
+router.get('/commission-debt/:driverId', authenticateUser, getCommissionDebt);
 router.post('/withdraw', authenticateUser, processDriverWithdrawal);
 
 // ═══════════════════════════════════════════════════════════════════
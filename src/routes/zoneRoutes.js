@@ -9,7 +9,10 @@ import {
   removeExclusionZone,
   checkServiceAvailability,
   autoGenerateClusters,
+  getZoneSurge,
+  setZoneSurge,
 } from '../controllers/zoneController.js';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
 
 const router = express.Router();
 
@@ -24,4 +27,8 @@ router.delete('/:id',                      deleteZone);
 router.post ('/:id/exclusion',             addExclusionZone);
 router.delete('/:id/exclusion/:exclusionId', removeExclusionZone);
 
+// Surge: live readings + history, admin override / freeze / release
+router.get  ('/:id/surge',                 verifyAdminToken, getZoneSurge);
+router.put  ('/:id/surge',                 verifyAdminToken, setZoneSurge);
+
 export default router;
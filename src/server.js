@@ -16,6 +16,14 @@ import adminIncentiveRoutes from './routes/adminIncentiveRoutes.js';
 import driverRideHistoryRoutes from './routes/driverRideHistory.js';
 import customerBannerRoutes from "./routes/customerBannerRoutes.js";
 import privacyRoutes from './routes/privacyRoutes.js';
+import tripShareRoutes from './routes/tripShareRoutes.js';
+import callMaskingRoutes from './routes/callMaskingRoutes.js';
+import savedPlaceRoutes from './routes/savedPlaceRoutes.js';
+import customerWalletRoutes from './routes/customerWalletRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import ledgerRoutes from './routes/ledgerRoutes.js';
+import gatewayReconciliationRoutes from './routes/gatewayReconciliationRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
 import planRoutes from './routes/planRoutes.js';
@@ -41,6 +49,7 @@ import couponRoutes from './routes/coupons.routes.js';
 import adminCouponRoutes from './routes/admin.coupons.routes.js';
 import promotionRoutes from './routes/promotionRoutes.js';
 import sosRoutes from './routes/sosRoutes.js';
+import ratingRoutes from './routes/ratingRoutes.js';
 import referralRoutes from './routes/referralRoutes.js';
 import driverReferralRoutes from './routes/driverReferralRoutes.js';
 import rewardRoutes from './routes/rewards.routes.js';
@@ -52,6 +61,17 @@ import adminHelpRoutes from './routes/adminHelpRoutes.js';
 import standbyReassignCron from './cron/standbyReassignCron.js';
 import { startExpirePlansCron } from './cron/expirePlans.js';
 import { expireOldSos } from './cron/sosExpireCron.js';
+import { runScheduledTripJob } from './cron/scheduledTripCron.js';
+import { runSafetyMonitorJob } from './cron/safetyMonitorCron.js';
+import { runCallMaskingCleanupJob } from './cron/callMaskingCron.js';
+import { isCallMaskingEnabled } from './services/callMaskingService.js';
+import { runRecentPlacesJob } from './cron/recentPlacesCron.js';
+import { runSurgeJob } from './cron/surgeCron.js';
+import { runLedgerReconciliationJob } from './cron/ledgerReconcileCron.js';
+import { runGatewayReconciliationJob } from './cron/gatewayReconcileCron.js';
+import { runInvoiceIssueJob, runCommissionInvoiceJob } from './cron/invoiceCron.js';
+import { SAFETY_MONITOR_CONFIG, CALL_MASKING_CONFIG, SAVED_PLACES_CONFIG, SURGE_CONFIG, LEDGER_CONFIG, GATEWAY_RECON_CONFIG, INVOICE_CONFIG } from './config/tripConfig.js';
+import { initRealtime, createSocketAdapter, runOncePerCluster } from './realtime/index.js';
 import { initSocket } from './socket/socketHandler.js';
 import { seedCommissionSettings } from './seed/commissionSettings.js';
 import notificationRoutes from './routes/notificationRoutes.js';
@@ -66,6 +86,8 @@ let serverStartTime = null;
 
 await connectDB();
 await seedCommissionSettings();
+// Shared presence / pub-sub / locks — Redis when REDIS_URL is set
+await initRealtime();
 
 const app = express();
 const httpServer = createServer(app);
@@ -74,6 +96,9 @@ const io = new Server(httpServer, {
   pingTimeout: 60000,
   pingInterval: 25000,
 });
+// Cluster adapter so io.to(room) reaches sockets held by other instances
+const socketAdapter = createSocketAdapter();
+if (socketAdapter) io.adapter(socketAdapter);
 const __dirname = path.resolve();
 
 // ============================================================================
@@ -185,6 +210,8 @@ app.set('io', io);
 // 📄 PRIVACY ROUTES & PAGE
 // ============================================================================
 app.use('/api', privacyRoutes);
+app.use('/api', tripShareRoutes);
+app.use('/api/calls', callMaskingRoutes);
 
 app.get('/privacy-policy', (_req, res) => {
   res.sendFile(path.join(__dirname, 'src', 'public', 'privacy-policy.html'));
@@ -194,6 +221,7 @@ app.get('/privacy-policy', (_req, res) => {
 // 🛣️ ALL API ROUTES
 // ============================================================================
 app.use('/api/sos', sosRoutes);
+app.use('/api/ratings', ratingRoutes);
 app.use('/api/support', supportRoutes);
 app.use('/api', adminIncentiveRoutes);
 app.use('/api/driver/incentives', driverIncentiveRoutes);
@@ -202,7 +230,13 @@ app.use('/api/admin/incentives', timingSlotIncentiveRoutes);
 app.use('/api', planRoutes);
 app.use('/api/zones', zoneRoutes);
 app.use('/api/customer/banners', customerBannerRoutes);
+app.use('/api/customer/wallet', customerWalletRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/admin/ledger', ledgerRoutes);
+app.use('/api/admin/gateway-reconciliation', gatewayReconciliationRoutes);
+app.use('/api/user/places', savedPlaceRoutes);   // Before userRoutes — its /:phone would catch /places
 app.use('/api/user', userRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/driver', driverRoutes);
@@ -342,20 +376,93 @@ console.log('    GET  /api/driver/earnings/transactions/:driverId\n');
 // ⏰ CRON JOBS
 // ============================================================================
 
+// Trip-touching jobs run on one instance per tick (see realtime/index.js)
+
 // Standby driver reassign — every 2 minutes
 setInterval(() => {
-  standbyReassignCron().catch((err) =>
+  runOncePerCluster('standby_reassign', 2 * 60 * 1000 - 5000, standbyReassignCron).catch((err) =>
     console.error('❌ Unhandled cron error:', err)
   );
 }, 2 * 60 * 1000);
 
 // SOS auto-expire — every 10 minutes
 setInterval(() => {
-  expireOldSos().catch((err) =>
+  runOncePerCluster('sos_expire', 10 * 60 * 1000 - 5000, expireOldSos).catch((err) =>
     console.error('❌ SOS expire cron error:', err)
   );
 }, 10 * 60 * 1000);
 
+// Scheduled (ride later) trips — reminders + dispatch, every minute
+setInterval(() => {
+  runOncePerCluster('scheduled_trips', 60 * 1000 - 5000, runScheduledTripJob).catch((err) =>
+    console.error('❌ Scheduled trip cron error:', err)
+  );
+}, 60 * 1000);
+
+// Safety monitor — route deviation / long stop / lost heartbeat on rides in progress
+setInterval(() => {
+  const tickMs = SAFETY_MONITOR_CONFIG.TICK_SEC * 1000;
+  runOncePerCluster('safety_monitor', tickMs - 5000, runSafetyMonitorJob).catch((err) =>
+    console.error('❌ Safety monitor cron error:', err)
+  );
+}, SAFETY_MONITOR_CONFIG.TICK_SEC * 1000);
+
+// Call masking — logs now if the flag is on but the provider is refused
+isCallMaskingEnabled();
+
+// Call masking — close proxy sessions of trips that are over
+setInterval(() => {
+  const sweepMs = CALL_MASKING_CONFIG.SWEEP_MIN * 60 * 1000;
+  runOncePerCluster('call_masking_cleanup', sweepMs - 5000, runCallMaskingCleanupJob).catch((err) =>
+    console.error('❌ Call masking cron error:', err)
+  );
+}, CALL_MASKING_CONFIG.SWEEP_MIN * 60 * 1000);
+
+// Recent places — pickups / drops of completed trips for saved-place suggestions
+setInterval(() => {
+  const sweepMs = SAVED_PLACES_CONFIG.SWEEP_MIN * 60 * 1000;
+  runOncePerCluster('recent_places', sweepMs - 5000, runRecentPlacesJob).catch((err) =>
+    console.error('❌ Recent places cron error:', err)
+  );
+}, SAVED_PLACES_CONFIG.SWEEP_MIN * 60 * 1000);
+
+// Dynamic surge — demand vs idle drivers per zone + vehicle type
+setInterval(() => {
+  const tickMs = SURGE_CONFIG.TICK_SEC * 1000;
+  runOncePerCluster('surge_engine', tickMs - 5000, runSurgeJob).catch((err) =>
+    console.error('❌ Surge cron error:', err)
+  );
+}, SURGE_CONFIG.TICK_SEC * 1000);
+
+// Driver wallet ledger reconciliation — nightly
+cron.schedule(LEDGER_CONFIG.RECONCILE_CRON, () => {
+  runOncePerCluster('ledger_reconcile', 23 * 60 * 60 * 1000, runLedgerReconciliationJob).catch((err) =>
+    console.error('❌ Ledger reconciliation cron error:', err)
+  );
+}, { timezone: 'Asia/Kolkata' });
+
+// Razorpay payments / payouts vs our records — nightly, previous IST day
+cron.schedule(GATEWAY_RECON_CONFIG.CRON, () => {
+  runOncePerCluster('gateway_reconcile', 23 * 60 * 60 * 1000, runGatewayReconciliationJob).catch((err) =>
+    console.error('❌ Gateway reconciliation cron error:', err)
+  );
+}, { timezone: 'Asia/Kolkata' });
+
+// GST ride invoices for completed, paid trips
+setInterval(() => {
+  const sweepMs = INVOICE_CONFIG.ISSUE_SWEEP_MIN * 60 * 1000;
+  runOncePerCluster('ride_invoices', sweepMs - 5000, runInvoiceIssueJob).catch((err) =>
+    console.error('❌ Ride invoice cron error:', err)
+  );
+}, INVOICE_CONFIG.ISSUE_SWEEP_MIN * 60 * 1000);
+
+// Driver commission invoices — 1st of the month, for the month before
+cron.schedule(INVOICE_CONFIG.COMMISSION_CRON, () => {
+  runOncePerCluster('commission_invoices', 23 * 60 * 60 * 1000, runCommissionInvoiceJob).catch((err) =>
+    console.error('❌ Commission invoice cron error:', err)
+  );
+}, { timezone: 'Asia/Kolkata' });
+
 // Plan expiry
 startExpirePlansCron();
 startPlanExpiryJob(io);
@@ -499,6 +606,7 @@ httpServer.listen(PORT, () => {
   console.log('   - Driver Stuck Cleanup: Every 5 minutes');
   console.log('   - Standby Reassign: Every 2 minutes');
   console.log('   - SOS Auto-Expire: Every 10 minutes');
+  console.log('   - Scheduled Trip Dispatch: Every minute');
   console.log('='.repeat(70));
   console.log('');
 
@@ -0,0 +1,332 @@
+/**
+ * callMaskingService.js — Driver ⇄ customer calls without real numbers
+ * ─────────────────────────────────────────────────────────────────────
+ * Flow:
+ *   1. Acceptance → openMaskingSession asks the provider (src/telephony)
+ *      for a per-trip session + proxy number, stored on trip.callMasking.
+ *   2. Every trip payload carries maskedContact(): the proxy number in
+ *      `phone` and the last four digits for display — never the real number.
+ *   3. Calls go either through placeCall (click-to-call bridge, REST) or by
+ *      dialling the proxy number, which the provider resolves through
+ *      resolveProxyCall. Both work only while the trip is in a callable
+ *      status and both are logged on trip.callLogs.
+ *   4. The cleanup cron closes sessions once the trip leaves those statuses.
+ * Masking only runs with CALL_MASKING_ENABLED and a usable provider (see
+ * src/telephony — production has no fallback to the fake). Otherwise the
+ * payloads keep carrying the real numbers.
+ */
+
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import { getMaskingProvider } from '../telephony/index.js';
+import { normalizePhone } from '../utils/phoneNormalizer.js';
+import { CALL_MASKING_CONFIG } from '../config/tripConfig.js';
+
+const { CALLABLE_STATUSES } = CALL_MASKING_CONFIG;
+
+export const maskPhone = (phone) =>
+  phone ? `XXXXXX${String(phone).slice(-4)}` : null;
+
+let maskingEnabled = null;
+
+/**
+ * Flag on and provider configured. Resolved once; a refused provider is
+ * logged and leaves masking off for the life of the process.
+ */
+export function isCallMaskingEnabled() {
+  if (maskingEnabled !== null) return maskingEnabled;
+
+  maskingEnabled = false;
+  if (CALL_MASKING_CONFIG.ENABLED) {
+    try {
+      getMaskingProvider();
+      maskingEnabled = true;
+    } catch (err) {
+      console.error(`❌ Call masking not started: ${err.message}`);
+    }
+  }
+  return maskingEnabled;
+}
+
+/**
+ * Contact fields for the other party in any trip payload.
+ */
+export const maskedContact = (phone, callMasking) => {
+  if (!isCallMaskingEnabled()) {
+    return { phone: phone || null, maskedPhone: maskPhone(phone), callMasked: false };
+  }
+  return {
+    phone:       callMasking && !callMasking.closedAt ? callMasking.proxyNumber : null,
+    maskedPhone: maskPhone(phone),
+    callMasked:  true,
+  };
+};
+
+/**
+ * Trip with populated customerId / assignedDriver → same trip with each
+ * party's phone swapped for maskedContact().
+ */
+export function maskTripParties(trip) {
+  const mask = (party) =>
+    party && typeof party === 'object' && 'phone' in party
+      ? { ...party, ...maskedContact(party.phone, trip.callMasking) }
+      : party;
+  return { ...trip, customerId: mask(trip.customerId), assignedDriver: mask(trip.assignedDriver) };
+}
+
+const isSessionOpen = (callMasking, now = new Date()) =>
+  !!callMasking?.sessionId &&
+  !callMasking.closedAt &&
+  (!callMasking.expiresAt || new Date(callMasking.expiresAt) > now);
+
+async function partyPhones(trip) {
+  const [customer, driver] = await Promise.all([
+    User.findById(trip.customerId).select('phone').lean(),
+    trip.assignedDriver ? User.findById(trip.assignedDriver).select('phone').lean() : null,
+  ]);
+  return { customerPhone: customer?.phone || null, driverPhone: driver?.phone || null };
+}
+
+async function logCall(tripId, entry) {
+  await Trip.updateOne(
+    { _id: tripId },
+    {
+      $push: {
+        callLogs: {
+          $each:  [{ ...entry, at: new Date() }],
+          $slice: -CALL_MASKING_CONFIG.MAX_CALL_LOGS,
+        },
+      },
+    }
+  ).catch((err) => console.warn(`⚠️ Call log ${tripId}: ${err.message}`));
+}
+
+/**
+ * Open (or return the open) session for an accepted trip. Pass the phones
+ * when the caller already has them. Never throws — without a session the
+ * payloads simply carry no dialable number and placeCall retries.
+ */
+export async function openMaskingSession(trip, { customerPhone, driverPhone } = {}) {
+  if (!isCallMaskingEnabled()) return null;
+
+  try {
+    const current = await Trip.findById(trip._id).select('callMasking status').lean();
+    if (!current || !CALLABLE_STATUSES.includes(current.status)) return null;
+    if (isSessionOpen(current.callMasking)) return current.callMasking;
+
+    const phones = customerPhone && driverPhone
+      ? { customerPhone, driverPhone }
+      : await partyPhones(trip);
+    if (!phones.customerPhone || !phones.driverPhone) return null;
+
+    const provider = getMaskingProvider();
+    const expiresAt = new Date(Date.now() + CALL_MASKING_CONFIG.SESSION_TTL_HOURS * 60 * 60 * 1000);
+    const { sessionId, proxyNumber } = await provider.createSession({
+      sessionKey: trip._id.toString(),
+      parties:    { customer: phones.customerPhone, driver: phones.driverPhone },
+      expiresAt,
+    });
+
+    const callMasking = {
+      provider: provider.name,
+      sessionId,
+      proxyNumber,
+      openedAt: new Date(),
+      expiresAt,
+      closedAt: null,
+    };
+
+    // Only replace the session we looked at — a concurrent open wins
+    const updated = await Trip.findOneAndUpdate(
+      { _id: trip._id, 'callMasking.sessionId': current.callMasking?.sessionId ?? null },
+      { $set: { callMasking } },
+      { new: true }
+    ).select('callMasking').lean();
+
+    if (!updated) {
+      await provider.closeSession(sessionId).catch(() => {});
+      const winner = await Trip.findById(trip._id).select('callMasking').lean();
+      return isSessionOpen(winner?.callMasking) ? winner.callMasking : null;
+    }
+
+    console.log(`📞 Masking session ${sessionId} (${proxyNumber}) opened for trip ${trip._id}`);
+    return updated.callMasking;
+  } catch (err) {
+    console.warn(`⚠️ openMaskingSession ${trip._id}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Click-to-call from the app. The provider rings the caller and bridges
+ * them to the other party. Returns { statusCode, success, message, call? }.
+ */
+export async function placeCall(tripId, callerId) {
+  if (!isCallMaskingEnabled()) {
+    return { statusCode: 409, success: false, message: 'Masked calling is not enabled — call the number on the trip' };
+  }
+
+  const trip = await Trip.findById(tripId)
+    .select('customerId assignedDriver status callMasking')
+    .lean();
+  if (!trip) return { statusCode: 404, success: false, message: 'Trip not found' };
+
+  const caller = String(callerId);
+  const from =
+    trip.customerId?.toString() === caller ? 'customer'
+      : trip.assignedDriver?.toString() === caller ? 'driver'
+        : null;
+  if (!from) {
+    return { statusCode: 403, success: false, message: 'Unauthorized: you are not on this trip' };
+  }
+
+  if (!CALLABLE_STATUSES.includes(trip.status)) {
+    await logCall(trip._id, { from, via: 'bridge', status: 'rejected', reason: `trip_${trip.status}` });
+    return { statusCode: 409, success: false, message: 'Calls are only available during an active trip' };
+  }
+
+  const { customerPhone, driverPhone } = await partyPhones(trip);
+  const fromPhone = from === 'customer' ? customerPhone : driverPhone;
+  const toPhone   = from === 'customer' ? driverPhone : customerPhone;
+  const phones = { customerPhone, driverPhone };
+
+  let callMasking = isSessionOpen(trip.callMasking)
+    ? trip.callMasking
+    : await openMaskingSession(trip, phones);
+  if (!callMasking) {
+    return { statusCode: 503, success: false, message: 'Calling is unavailable right now, please try again' };
+  }
+
+  const provider = getMaskingProvider();
+  let result = await provider.connectCall({ sessionId: callMasking.sessionId, from, fromPhone, toPhone });
+
+  // Provider lost the session (restart, provider-side expiry) → one fresh attempt
+  if (result.status === 'failed' && result.reason === 'unknown_session') {
+    await Trip.updateOne(
+      { _id: trip._id, 'callMasking.sessionId': callMasking.sessionId },
+      { $set: { 'callMasking.closedAt': new Date() } }
+    );
+    callMasking = await openMaskingSession(trip, phones);
+    if (callMasking) {
+      result = await provider.connectCall({ sessionId: callMasking.sessionId, from, fromPhone, toPhone });
+    }
+  }
+
+  await logCall(trip._id, {
+    callId: result.callId || null,
+    from,
+    via:    'bridge',
+    status: result.status === 'connected' ? 'connected' : 'failed',
+    reason: result.reason || null,
+  });
+
+  if (result.status !== 'connected') {
+    return { statusCode: 502, success: false, message: 'Could not connect the call, please try again' };
+  }
+
+  return {
+    statusCode: 200,
+    success:    true,
+    message:    'Connecting your call',
+    call: {
+      callId:      result.callId,
+      proxyNumber: callMasking.proxyNumber,
+    },
+  };
+}
+
+/**
+ * Incoming call on a proxy number (provider webhook). Finds the live trip
+ * the caller belongs to and returns who to connect them to.
+ * → { allowed: true, tripId, connectTo } | { allowed: false, reason }
+ */
+export async function resolveProxyCall({ proxyNumber, fromPhone, callId = null }) {
+  if (!isCallMaskingEnabled()) return { allowed: false, reason: 'masking_disabled' };
+
+  const caller = normalizePhone(String(fromPhone || ''));
+  if (!proxyNumber || !caller) return { allowed: false, reason: 'invalid_request' };
+
+  // Real providers recycle a pool of numbers across trips
+  const trips = await Trip.find({
+    'callMasking.proxyNumber': proxyNumber,
+    'callMasking.closedAt':    null,
+  })
+    .select('customerId assignedDriver status callMasking')
+    .sort({ 'callMasking.openedAt': -1 })
+    .limit(20)
+    .lean();
+
+  for (const trip of trips) {
+    const { customerPhone, driverPhone } = await partyPhones(trip);
+    const from = caller === customerPhone ? 'customer' : caller === driverPhone ? 'driver' : null;
+    if (!from) continue;
+
+    if (!CALLABLE_STATUSES.includes(trip.status) || !isSessionOpen(trip.callMasking)) {
+      await logCall(trip._id, { callId, from, via: 'proxy', status: 'rejected', reason: 'session_closed' });
+      return { allowed: false, reason: 'session_closed' };
+    }
+
+    await logCall(trip._id, { callId, from, via: 'proxy', status: 'connected' });
+    return {
+      allowed:   true,
+      tripId:    trip._id.toString(),
+      connectTo: from === 'customer' ? driverPhone : customerPhone,
+    };
+  }
+
+  return { allowed: false, reason: 'no_active_trip' };
+}
+
+export async function closeMaskingSession(trip) {
+  const sessionId = trip.callMasking?.sessionId;
+  if (!sessionId || trip.callMasking.closedAt) return false;
+
+  try {
+    await getMaskingProvider().closeSession(sessionId);
+  } catch (err) {
+    // Still mark it closed — resolveProxyCall refuses closed sessions either way
+    console.warn(`⚠️ closeSession ${sessionId}: ${err.message}`);
+  }
+
+  const res = await Trip.updateOne(
+    { _id: trip._id, 'callMasking.sessionId': sessionId, 'callMasking.closedAt': null },
+    { $set: { 'callMasking.closedAt': new Date() } }
+  );
+  return res.modifiedCount > 0;
+}
+
+/**
+ * Close sessions of trips that are no longer callable or ran past their
+ * TTL. Returns how many were closed.
+ */
+export async function closeEndedMaskingSessions(now = new Date()) {
+  const trips = await Trip.find({
+    'callMasking.sessionId': { $ne: null },
+    'callMasking.closedAt':  null,
+    $or: [
+      { status: { $nin: CALLABLE_STATUSES } },
+      { 'callMasking.expiresAt': { $lte: now } },
+    ],
+  })
+    .select('_id callMasking')
+    .limit(500)
+    .lean();
+
+  let closed = 0;
+  for (const trip of trips) {
+    if (await closeMaskingSession(trip)) closed++;
+  }
+  return closed;
+}
+
+export default {
+  maskPhone,
+  isCallMaskingEnabled,
+  maskedContact,
+  maskTripParties,
+  openMaskingSession,
+  placeCall,
+  resolveProxyCall,
+  closeMaskingSession,
+  closeEndedMaskingSessions,
+};
@@ -0,0 +1,259 @@
+/**
+ * cancellationFeeService.js — Customer cancellation fees
+ * ───────────────────────────────────────────────────────
+ * Policy values come from CancellationPolicy (admin-controlled, per city +
+ * vehicle type). Flow:
+ *   1. Customer cancels after a driver accepted → assessCancellationFee
+ *   2. Fee recorded on the cancelled trip (status 'pending'); driver's share
+ *      credited to their Wallet straight away
+ *   3. Next booking → collectOutstandingFees adds pending fees to that fare
+ *   4. Fee becomes 'charged' once that next trip completes; if it is
+ *      cancelled instead, the fee is released and billed on the one after.
+ *      Settlement keeps it out of that trip's driver earnings — it is
+ *      platform revenue against the compensation already paid (step 2)
+ * Admins can waive any fee that has not been charged yet — not once the
+ * trip it was billed on has reached payment.
+ */
+
+import Trip               from '../models/Trip.js';
+import User               from '../models/User.js';
+import Wallet             from '../models/Wallet.js';
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import { postWalletEntry } from './ledgerService.js';
+
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Billed trip in these → the fee is part of a fare being (or already) paid
+const FEE_LOCKED_STATUSES = ['awaiting_payment', 'completed'];
+// Billed trip in these → it never charged the fee; nothing to take off
+const FEE_RELEASED_STATUSES = ['cancelled', 'timeout'];
+
+const FEE_STATUSES = {
+  driver_assigned:        'going_to_pickup',
+  driver_going_to_pickup: 'going_to_pickup',
+  driver_at_pickup:       'at_pickup',
+};
+
+/**
+ * Work out the fee for a customer cancelling `trip` right now.
+ * Returns null when no fee applies (no driver yet, inside grace, policy off).
+ */
+export async function assessCancellationFee(trip, now = new Date()) {
+  const reason = FEE_STATUSES[trip.status];
+  if (!reason || !trip.assignedDriver) return null;
+
+  const driverId = trip.assignedDriver._id || trip.assignedDriver;
+  const driver   = await User.findById(driverId).select('city').lean();
+  const policy   = await CancellationPolicy.getForVehicle(trip.vehicleType, driver?.city);
+  if (!policy.isEnabled) return null;
+
+  const amount = reason === 'at_pickup' ? policy.feeAtPickup : policy.feeGoingToPickup;
+  if (!amount || amount <= 0) return null;
+
+  // ── Grace window (skipped for repeat cancellers) ─────────────────────
+  const acceptedAt = trip.acceptedAt ? new Date(trip.acceptedAt) : null;
+  const withinGrace =
+    acceptedAt && now.getTime() - acceptedAt.getTime() < policy.graceWindowSec * 1000;
+
+  if (withinGrace) {
+    const customerId = trip.customerId._id || trip.customerId;
+    const since = new Date(now.getTime() - policy.repeatCancelWindowHours * 60 * 60 * 1000);
+    const recentCancels = policy.repeatCancelThreshold > 0
+      ? await Trip.countDocuments({
+          _id:            { $ne: trip._id },
+          customerId,
+          cancelledBy:    customerId,
+          status:         'cancelled',
+          assignedDriver: { $ne: null },
+          cancelledAt:    { $gte: since },
+        })
+      : 0;
+
+    if (policy.repeatCancelThreshold === 0 || recentCancels < policy.repeatCancelThreshold) {
+      return null;
+    }
+    console.log(`⚠️ Repeat canceller ${customerId}: ${recentCancels} cancels in ${policy.repeatCancelWindowHours}h — grace skipped`);
+  }
+
+  const driverCompensation = Math.round((amount * policy.driverSharePercent) / 100);
+
+  return { amount, driverCompensation, reason, driverId };
+}
+
+/**
+ * Credit the driver's share of a cancellation fee to their Wallet.
+ * Paid by the platform immediately — independent of when the customer pays.
+ */
+export async function creditDriverCompensation(driverId, tripId, amount) {
+  if (!amount || amount <= 0) return;
+
+  await Wallet.findOneAndUpdate(
+    { driverId },
+    {
+      $inc: {
+        totalEarnings:    amount,
+        availableBalance: amount,
+      },
+      $push: {
+        transactions: {
+          type:          'credit',
+          amount,
+          tripId,
+          description:   `Cancellation compensation ₹${amount}`,
+          paymentMethod: 'incentive',
+          finalEarning:  amount,
+          status:        'completed',
+          createdAt:     new Date(),
+        },
+      },
+      $set: { lastUpdated: new Date() },
+    },
+    { upsert: true }
+  );
+
+  await postWalletEntry({
+    key:      `cancel_comp:${tripId}`,
+    type:     'incentive',
+    driverId, tripId,
+    delta:    { availableBalance: amount },
+    counter:  'incentive_expense',
+    earnings: amount,
+    memo:     `Cancellation compensation ₹${amount}`,
+  });
+
+  console.log(`💸 Driver ${driverId} credited ₹${amount} cancellation compensation (trip ${tripId})`);
+}
+
+/**
+ * Settle the billing state of a customer's fees, then return the ones that
+ * still need to be billed:
+ *   • billed on a completed trip       → 'charged'
+ *   • billed on a cancelled/timeout    → released for re-billing
+ */
+async function findBillableFees(customerId) {
+  const pending = await Trip.find({
+    customerId,
+    'cancellationFee.status': 'pending',
+  }).select('_id cancellationFee').lean();
+
+  if (!pending.length) return [];
+
+  const billedOnIds = pending.map((t) => t.cancellationFee.billedOnTripId).filter(Boolean);
+  const billedOn = billedOnIds.length
+    ? await Trip.find({ _id: { $in: billedOnIds } }).select('_id status').lean()
+    : [];
+  const billedStatus = new Map(billedOn.map((t) => [t._id.toString(), t.status]));
+
+  const billable = [];
+  for (const fee of pending) {
+    const billedOnId = fee.cancellationFee.billedOnTripId?.toString();
+    const status     = billedOnId ? billedStatus.get(billedOnId) : null;
+
+    if (status === 'completed') {
+      await Trip.updateOne(
+        { _id: fee._id, 'cancellationFee.status': 'pending' },
+        { $set: { 'cancellationFee.status': 'charged', 'cancellationFee.chargedAt': new Date() } }
+      );
+    } else if (!status || status === 'cancelled' || status === 'timeout') {
+      billable.push(fee);
+    }
+    // else: billed on a trip still in progress — leave it there
+  }
+  return billable;
+}
+
+/**
+ * Outstanding fees to add to a new booking's fare.
+ * Returns { total, feeTripIds } — call attachFeesToTrip once the trip exists.
+ */
+export async function collectOutstandingFees(customerId) {
+  const fees = await findBillableFees(customerId);
+  return {
+    total:      fees.reduce((sum, f) => sum + (f.cancellationFee.amount || 0), 0),
+    feeTripIds: fees.map((f) => f._id),
+  };
+}
+
+export async function attachFeesToTrip(feeTripIds, tripId) {
+  if (!feeTripIds?.length) return;
+  await Trip.updateMany(
+    { _id: { $in: feeTripIds }, 'cancellationFee.status': 'pending' },
+    { $set: { 'cancellationFee.billedOnTripId': tripId } }
+  );
+}
+
+/**
+ * Admin waiver. Only fees that have not been charged can be waived.
+ * Returns the updated trip, or null when nothing waivable exists. Throws
+ * 409 when the trip the fee was billed on is already at payment.
+ */
+export async function waiveCancellationFee(tripId, { waivedBy, reason }) {
+  await settleFeesForTripCustomer(tripId);
+
+  const fee = await Trip.findOne({ _id: tripId, 'cancellationFee.status': 'pending' })
+    .select('cancellationFee')
+    .lean();
+  if (!fee) return null;
+
+  const { amount, billedOnTripId } = fee.cancellationFee;
+  const billedOn = billedOnTripId
+    ? await Trip.findById(billedOnTripId).select('status').lean()
+    : null;
+  const paymentLocked = () =>
+    httpError('This fee is already in a fare at payment — refund it on that trip instead', 409);
+  if (billedOn && FEE_LOCKED_STATUSES.includes(billedOn.status)) throw paymentLocked();
+
+  const waived = await Trip.findOneAndUpdate(
+    { _id: tripId, 'cancellationFee.status': 'pending' },
+    {
+      $set: {
+        'cancellationFee.status':      'waived',
+        'cancellationFee.waivedAt':    new Date(),
+        'cancellationFee.waivedBy':    waivedBy,
+        'cancellationFee.waiveReason': reason || '',
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!waived) return null;
+
+  // Added to a trip still in progress → take it back off that fare
+  if (billedOn && !FEE_RELEASED_STATUSES.includes(billedOn.status) && amount > 0) {
+    const taken = await Trip.updateOne(
+      {
+        _id: billedOnTripId,
+        status: { $nin: [...FEE_LOCKED_STATUSES, ...FEE_RELEASED_STATUSES] },
+        outstandingFeesAdded: { $gte: amount },
+      },
+      { $inc: { fare: -amount, outstandingFeesAdded: -amount } }
+    );
+
+    if (!taken.modifiedCount) {
+      // The trip reached payment in the meantime — the fee stays billed there
+      await Trip.updateOne(
+        { _id: tripId, 'cancellationFee.status': 'waived' },
+        {
+          $set:   { 'cancellationFee.status': 'pending' },
+          $unset: { 'cancellationFee.waivedAt': 1, 'cancellationFee.waivedBy': 1, 'cancellationFee.waiveReason': 1 },
+        }
+      );
+      throw paymentLocked();
+    }
+  }
+
+  return waived;
+}
+
+// Settle first so a fee already paid on a completed trip is not "waived"
+async function settleFeesForTripCustomer(tripId) {
+  const trip = await Trip.findById(tripId).select('customerId').lean();
+  if (trip) await findBillableFees(trip.customerId);
+}
+
+export default {
+  assessCancellationFee,
+  creditDriverCompensation,
+  collectOutstandingFees,
+  attachFeesToTrip,
+  waiveCancellationFee,
+};
@@ -0,0 +1,183 @@
+/**
+ * commissionDebtService.js — Cash-commission debt ceiling
+ * ─────────────────────────────────────────────────────────────
+ * On cash trips the driver keeps the fare and owes the commission
+ * (Wallet.pendingAmount) until they pay it through
+ * createCommissionOrder / verifyCommissionPayment.
+ *
+ * Limit, first match wins:
+ *   1. active DriverPlan.commissionDebtLimit
+ *   2. CommissionSetting.commissionDebtLimit for the vehicle type + city
+ *   3. COMMISSION_DEBT_CONFIG.DEFAULT_LIMIT
+ *
+ * Owing more than the limit sets User.commissionBlocked: updateDriverStatus
+ * refuses to put the driver online and the dispatch queries skip them.
+ * syncCommissionDebt() is called wherever pendingAmount changes, so a
+ * confirmed payment reinstates the driver straight away. Crossing a
+ * WARN_AT_PERCENT threshold on the way up warns the driver once. An admin
+ * change to a limit takes effect at the driver's next status update or
+ * wallet change.
+ */
+
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import DriverPlan from '../models/DriverPlan.js';
+import CommissionSetting from '../models/CommissionSetting.js';
+import { notifyOnlineDriverForProgressiveBroadcast } from '../utils/progressiveTripBroadcaster.js';
+import { COMMISSION_DEBT_CONFIG } from '../config/tripConfig.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ════════════════════════════════════════════════════════════════════
+// LIMIT
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * Debt limit for a driver → { limit, source: 'plan' | 'vehicle' | 'default' }.
+ * Same active-plan rule as resolveDriverEarnings in tripController.
+ */
+export async function resolveDebtLimit(driver) {
+  const activePlan = await DriverPlan.findOne({
+    driver:     driver._id,
+    isActive:   true,
+    expiryDate: { $gt: new Date() },
+    $or: [
+      { paymentStatus: 'completed' },
+      { purchaseMethod: 'admin_assigned' },
+    ],
+  }).select('commissionDebtLimit').lean();
+
+  if (activePlan?.commissionDebtLimit != null) {
+    return { limit: activePlan.commissionDebtLimit, source: 'plan' };
+  }
+
+  const setting = await CommissionSetting.getForVehicle(driver.vehicleType || 'bike', driver.city || 'all');
+  if (setting.commissionDebtLimit != null) {
+    return { limit: setting.commissionDebtLimit, source: 'vehicle' };
+  }
+
+  return { limit: COMMISSION_DEBT_CONFIG.DEFAULT_LIMIT, source: 'default' };
+}
+
+// ════════════════════════════════════════════════════════════════════
+// STATUS
+// ════════════════════════════════════════════════════════════════════
+
+function buildStatus(pendingAmount, { limit, source }) {
+  const owed = round2(pendingAmount);
+  const thresholds = [...COMMISSION_DEBT_CONFIG.WARN_AT_PERCENT]
+    .sort((a, b) => a - b)
+    .map((percent) => ({ percent, amount: round2((limit * percent) / 100) }));
+  const crossed = thresholds.filter((t) => owed >= t.amount && owed > 0);
+
+  return {
+    pendingAmount:     owed,
+    limit,
+    limitSource:       source,
+    blocked:           owed > limit,
+    amountToUnblock:   round2(Math.max(0, owed - limit)),   // Pay at least this to go online again
+    remainingHeadroom: round2(Math.max(0, limit - owed)),
+    warnLevel:         crossed.length ? crossed.at(-1).percent : 0,
+    thresholds,
+  };
+}
+
+const loadDriver = (driverId) =>
+  User.findById(driverId)
+    .select('vehicleType city isOnline commissionBlocked commissionDebtWarnLevel')
+    .lean();
+
+const loadPendingAmount = async (driverId) => {
+  const wallet = await Wallet.findOne({ driverId })
+    .sort({ updatedAt: -1, lastUpdated: -1, createdAt: -1 })
+    .select('pendingAmount')
+    .lean();
+  return Number(wallet?.pendingAmount || 0);
+};
+
+/**
+ * Current debt position for the driver app: owed, limit, whether blocked,
+ * what to pay to be unblocked and the warning thresholds. null if no driver.
+ */
+export async function getCommissionDebtStatus(driverId) {
+  const driver = await loadDriver(driverId);
+  if (!driver) return null;
+
+  const [pendingAmount, limit] = await Promise.all([
+    loadPendingAmount(driverId),
+    resolveDebtLimit(driver),
+  ]);
+  return buildStatus(pendingAmount, limit);
+}
+
+/**
+ * Re-evaluate the driver after pendingAmount changed: update the block flag
+ * and notify the driver app on a change.
+ *   commission:blocked    — debt went over the limit
+ *   commission:unblocked  — paid back under it; online drivers are offered
+ *                           running searches again
+ *   commission:debt_warning — a soft threshold was crossed
+ * Never throws — a failed sync is retried by the next change or status update.
+ */
+export async function syncCommissionDebt(driverId, { io = null } = {}) {
+  try {
+    const driver = await loadDriver(driverId);
+    if (!driver) return null;
+
+    const [pendingAmount, limit] = await Promise.all([
+      loadPendingAmount(driverId),
+      resolveDebtLimit(driver),
+    ]);
+    const status = buildStatus(pendingAmount, limit);
+    const room = `driver_${driverId}`;
+
+    // Conditional write — of two concurrent syncs only one sees the change
+    const flipped = await User.updateOne(
+      { _id: driverId, commissionBlocked: { $ne: status.blocked } },
+      { $set: { commissionBlocked: status.blocked, commissionBlockedAt: status.blocked ? new Date() : null } }
+    );
+
+    if (flipped.modifiedCount > 0) {
+      if (status.blocked) {
+        console.log(`🚫 Driver ${driverId} blocked — commission owed ₹${status.pendingAmount} over limit ₹${status.limit}`);
+        io?.to(room).emit('commission:blocked', {
+          ...status,
+          message:   `Pay ₹${status.amountToUnblock} of your pending commission to receive rides again`,
+          timestamp: new Date().toISOString(),
+        });
+      } else {
+        console.log(`✅ Driver ${driverId} unblocked — commission owed ₹${status.pendingAmount} (limit ₹${status.limit})`);
+        io?.to(room).emit('commission:unblocked', {
+          ...status,
+          message:   'Commission cleared — you can go online again',
+          timestamp: new Date().toISOString(),
+        });
+        if (driver.isOnline) {
+          await notifyOnlineDriverForProgressiveBroadcast(driverId);
+        }
+      }
+    }
+
+    if (status.warnLevel !== (driver.commissionDebtWarnLevel || 0)) {
+      await User.updateOne({ _id: driverId }, { $set: { commissionDebtWarnLevel: status.warnLevel } });
+      if (status.warnLevel > (driver.commissionDebtWarnLevel || 0) && !status.blocked) {
+        io?.to(room).emit('commission:debt_warning', {
+          ...status,
+          message:   `You owe ₹${status.pendingAmount} in commission — rides stop above ₹${status.limit}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    return status;
+  } catch (err) {
+    console.error(`❌ syncCommissionDebt failed for driver ${driverId}:`, err.message);
+    return null;
+  }
+}
+
+export default {
+  resolveDebtLimit,
+  getCommissionDebtStatus,
+  syncCommissionDebt,
+};
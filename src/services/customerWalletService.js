@@ -0,0 +1,301 @@
+/**
+ * customerWalletService.js — Prepaid balance customers pay rides with
+ * ───────────────────────────────────────────────────────────────────
+ * One CustomerWallet per customer, separate from the driver Wallet;
+ * every balance change is a transaction on it.
+ *   • Top-up — Razorpay order, same checkout as /api/payment/direct.
+ *     Credited by verifyTopup or the payment.captured webhook, whichever
+ *     arrives first.
+ *   • Ride   — trips booked with paymentMethod 'wallet' are debited when
+ *     the ride ends (tripController → settleWithCustomerWallet); a short
+ *     balance sends the trip back to cash.
+ *   • Refund — creditRefund, at most once per refKey.
+ * Each write is one guarded findOneAndUpdate, so retries and duplicate
+ * webhooks can't move money twice.
+ */
+
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import CustomerWallet from '../models/CustomerWallet.js';
+import { CUSTOMER_WALLET_CONFIG } from '../config/tripConfig.js';
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+// notes.type on top-up orders — webhookController routes on it
+export const TOPUP_NOTE_TYPE = 'customer_wallet_topup';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+export async function getOrCreateCustomerWallet(customerId) {
+  return CustomerWallet.findOneAndUpdate(
+    { customerId },
+    { $setOnInsert: { balance: 0 } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+export async function getWalletBalance(customerId) {
+  const wallet = await CustomerWallet.findOne({ customerId }).select('balance').lean();
+  return wallet?.balance || 0;
+}
+
+/**
+ * Balance, totals and newest-first history. `before` pages back.
+ */
+export async function getCustomerWallet(customerId, { type, before, limit = CUSTOMER_WALLET_CONFIG.HISTORY_LIMIT } = {}) {
+  const wallet = await getOrCreateCustomerWallet(customerId);
+  const beforeDate = before ? new Date(before) : null;
+  const max = Math.min(Math.max(Number(limit) || CUSTOMER_WALLET_CONFIG.HISTORY_LIMIT, 1), 200);
+
+  const transactions = (wallet.transactions || [])
+    .filter((t) => !type || t.type === type)
+    .filter((t) => !beforeDate || Number.isNaN(beforeDate.getTime()) || new Date(t.createdAt) < beforeDate)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, max);
+
+  return {
+    balance:      wallet.balance,
+    totalTopups:  wallet.totalTopups,
+    totalSpent:   wallet.totalSpent,
+    totalRefunds: wallet.totalRefunds,
+    lowBalance:   wallet.balance < CUSTOMER_WALLET_CONFIG.LOW_BALANCE_ALERT,
+    transactions,
+  };
+}
+
+/**
+ * Razorpay order for a top-up + a pending transaction to credit later.
+ */
+export async function createTopupOrder(customerId, amount) {
+  const { MIN_TOPUP, MAX_TOPUP, MAX_BALANCE } = CUSTOMER_WALLET_CONFIG;
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value < MIN_TOPUP || value > MAX_TOPUP) {
+    throw httpError(`Top-up amount must be between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`, 400);
+  }
+
+  const wallet = await getOrCreateCustomerWallet(customerId);
+  if (wallet.balance + value > MAX_BALANCE) {
+    throw httpError(`Wallet balance can't exceed ₹${MAX_BALANCE}`, 400);
+  }
+
+  const order = await razorpay.orders.create({
+    amount: Math.round(value * 100), // Paisa
+    currency: 'INR',
+    receipt: `W${String(customerId).slice(-8)}_${Date.now().toString().slice(-8)}`, // max 40 chars
+    notes: {
+      customerId: String(customerId),
+      type: TOPUP_NOTE_TYPE,
+    },
+  });
+
+  await CustomerWallet.updateOne(
+    { customerId },
+    {
+      $push: {
+        transactions: {
+          type:            'topup',
+          amount:          value,
+          status:          'pending',
+          description:     'Wallet top-up',
+          razorpayOrderId: order.id,
+          createdAt:       new Date(),
+        },
+      },
+    }
+  );
+
+  console.log(`👛 Top-up order ${order.id} | Customer: ${customerId} | ₹${value}`);
+
+  return {
+    orderId:   order.id,
+    amount:    value,
+    currency:  'INR',
+    keyId:     process.env.RAZORPAY_KEY_ID,
+    expiresAt: Date.now() + 15 * 60 * 1000, // 15 minutes
+  };
+}
+
+/**
+ * Credit a captured top-up. Shared by verifyTopup and the webhook.
+ * → { credited: true, balance } | { alreadyProcessed: true, balance } | null (unknown order)
+ */
+export async function creditTopup({ orderId, paymentId, amount, method = null }) {
+  const value = round2(Number(amount));
+  const wallet = await CustomerWallet.findOneAndUpdate(
+    {
+      transactions: {
+        $elemMatch: { razorpayOrderId: orderId, type: 'topup', status: { $in: ['pending', 'failed'] } },
+      },
+    },
+    {
+      $inc: { balance: value, totalTopups: value },
+      $set: {
+        'transactions.$.status':            'completed',
+        'transactions.$.amount':            value,
+        'transactions.$.razorpayPaymentId': paymentId,
+        'transactions.$.paymentMethod':     method,
+        'transactions.$.completedAt':       new Date(),
+      },
+    },
+    { new: true }
+  ).select('customerId balance').lean();
+
+  if (wallet) {
+    console.log(`✅ Top-up ${orderId} credited ₹${value} | Customer: ${wallet.customerId} | Balance: ₹${wallet.balance}`);
+    return { credited: true, customerId: wallet.customerId, amount: value, balance: wallet.balance };
+  }
+
+  const done = await CustomerWallet.findOne({ 'transactions.razorpayOrderId': orderId })
+    .select('customerId balance')
+    .lean();
+  return done ? { alreadyProcessed: true, customerId: done.customerId, balance: done.balance } : null;
+}
+
+export async function failTopup(orderId) {
+  const res = await CustomerWallet.updateOne(
+    { transactions: { $elemMatch: { razorpayOrderId: orderId, type: 'topup', status: 'pending' } } },
+    { $set: { 'transactions.$.status': 'failed' } }
+  );
+  return res.modifiedCount > 0;
+}
+
+/**
+ * Checkout callback from the app: signature → Razorpay says captured → credit.
+ */
+export async function verifyTopup(customerId, { razorpayOrderId, razorpayPaymentId, razorpaySignature } = {}) {
+  if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+    throw httpError('Missing payment verification data', 400);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex');
+  const given = String(razorpaySignature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+    console.error('❌ Top-up signature mismatch', { orderId: razorpayOrderId, customerId: String(customerId) });
+    throw httpError('Payment verification failed - Invalid signature', 400);
+  }
+
+  const owned = await CustomerWallet.exists({ customerId, 'transactions.razorpayOrderId': razorpayOrderId });
+  if (!owned) throw httpError('Top-up order not found', 404);
+
+  let payment;
+  try {
+    payment = await razorpay.payments.fetch(razorpayPaymentId);
+  } catch (err) {
+    console.error('❌ Failed to fetch top-up payment from Razorpay:', err.message);
+    throw httpError('Failed to verify payment with Razorpay', 502);
+  }
+  if (payment.order_id !== razorpayOrderId) {
+    throw httpError('Payment does not belong to this order', 400);
+  }
+  if (payment.status !== 'captured') {
+    throw httpError(`Payment not captured. Status: ${payment.status}`, 400);
+  }
+
+  return creditTopup({
+    orderId:   razorpayOrderId,
+    paymentId: razorpayPaymentId,
+    amount:    payment.amount / 100,
+    method:    payment.method || null,
+  });
+}
+
+/**
+ * Pay a trip from the wallet — once per trip, only if the balance covers it.
+ * → { paid: true, amount, balance, alreadyPaid? } | { paid: false, reason, balance }
+ */
+export async function debitForTrip({ customerId, tripId, amount }) {
+  const value = round2(Number(amount));
+  if (!(value > 0)) return { paid: false, reason: 'invalid_amount', balance: await getWalletBalance(customerId) };
+
+  const wallet = await CustomerWallet.findOneAndUpdate(
+    {
+      customerId,
+      balance: { $gte: value },
+      transactions: { $not: { $elemMatch: { tripId, type: 'ride_payment' } } },
+    },
+    {
+      $inc: { balance: -value, totalSpent: value },
+      $push: {
+        transactions: {
+          type:        'ride_payment',
+          amount:      value,
+          status:      'completed',
+          description: 'Ride payment',
+          tripId,
+          createdAt:   new Date(),
+          completedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  ).select('balance').lean();
+
+  if (wallet) return { paid: true, amount: value, balance: wallet.balance };
+
+  const alreadyPaid = await CustomerWallet.exists({
+    customerId,
+    transactions: { $elemMatch: { tripId, type: 'ride_payment' } },
+  });
+  const balance = await getWalletBalance(customerId);
+  return alreadyPaid
+    ? { paid: true, alreadyPaid: true, amount: value, balance }
+    : { paid: false, reason: 'insufficient_balance', balance };
+}
+
+/**
+ * Credit money back. refKey makes it idempotent (e.g. `wallet_settle_<tripId>`).
+ * → { credited: true, balance } | { alreadyProcessed: true }
+ */
+export async function creditRefund({ customerId, amount, refKey, tripId = null, description = 'Refund' }) {
+  const value = round2(Number(amount));
+  if (!(value > 0) || !refKey) throw httpError('Refund needs a positive amount and a refKey', 400);
+
+  try {
+    const wallet = await CustomerWallet.findOneAndUpdate(
+      { customerId, transactions: { $not: { $elemMatch: { refKey } } } },
+      {
+        $inc: { balance: value, totalRefunds: value },
+        $push: {
+          transactions: {
+            type:        'refund',
+            amount:      value,
+            status:      'completed',
+            description,
+            tripId,
+            refKey,
+            createdAt:   new Date(),
+            completedAt: new Date(),
+          },
+        },
+      },
+      { upsert: true, new: true }
+    ).select('balance').lean();
+
+    console.log(`👛 Refund ₹${value} → customer ${customerId} (${refKey}) | Balance: ₹${wallet.balance}`);
+    return { credited: true, amount: value, balance: wallet.balance };
+  } catch (err) {
+    // Wallet exists and already holds this refKey → the upsert collides on customerId
+    if (err.code === 11000) return { alreadyProcessed: true };
+    throw err;
+  }
+}
+
+export default {
+  TOPUP_NOTE_TYPE,
+  getOrCreateCustomerWallet,
+  getWalletBalance,
+  getCustomerWallet,
+  createTopupOrder,
+  creditTopup,
+  failTopup,
+  verifyTopup,
+  debitForTrip,
+  creditRefund,
+};
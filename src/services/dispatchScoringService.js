@@ -0,0 +1,189 @@
+/**
+ * dispatchScoringService.js — Ranks candidate drivers for a trip offer
+ * ─────────────────────────────────────────────────────────────────────
+ * Each factor is normalised to 0–1 (higher = better candidate), then
+ * combined with the city's DispatchSetting weights:
+ *   eta          straight-line pickup distance ÷ vehicle pickup speed
+ *   acceptance   accepted / offers, smoothed toward a prior for new drivers
+ *   cancellation 1 − driverCancelled / accepted, smoothed the same way
+ *   rating       3★ → 0, 5★ → 1
+ *   idle         minutes since the driver's last completed trip (fairness)
+ *   destination  drop is near the driver's go-to destination
+ * ETA is estimated locally on purpose — a Maps call per candidate per phase
+ * would be too slow and too expensive for dispatch.
+ */
+
+import User            from '../models/User.js';
+import DispatchSetting from '../models/DispatchSetting.js';
+import DispatchLog     from '../models/DispatchLog.js';
+import { VEHICLE_SPEED_KMPH } from '../config/tripConfig.js';
+import { calculateDistanceInMeters } from '../utils/distanceCalculator.js';
+
+// Fields progressiveTripBroadcaster must select for scoring
+export const DRIVER_SCORING_FIELDS =
+  'city rating location lastTripCompletedAt goToDestination dispatchStats';
+
+// Priors so a driver with three offers isn't ranked on three data points
+const ACCEPTANCE_PRIOR   = { rate: 0.8,  weight: 10 };
+const CANCELLATION_PRIOR = { rate: 0.05, weight: 10 };
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const round3  = (v) => Math.round(v * 1000) / 1000;
+
+// Candidates around one pickup share a city; take the most common one
+function resolveCity(drivers) {
+  const counts = new Map();
+  for (const d of drivers) {
+    if (!d.city) continue;
+    const key = d.city.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  let best = 'all';
+  let bestCount = 0;
+  for (const [city, count] of counts) {
+    if (count > bestCount) { best = city; bestCount = count; }
+  }
+  return best;
+}
+
+/**
+ * Score one driver for one trip. Pure — no DB access.
+ */
+export function scoreDriver(driver, trip, setting, now = new Date()) {
+  const pickup   = trip.pickup?.coordinates;
+  const location = driver.location?.coordinates;
+
+  const distanceM = pickup && location?.length === 2 ? calculateDistanceInMeters(location, pickup) : null;
+  const speed     = VEHICLE_SPEED_KMPH[trip.vehicleType] || VEHICLE_SPEED_KMPH.bike;
+  const etaMin    = distanceM === null ? setting.maxEtaMin : (distanceM / 1000 / speed) * 60;
+
+  const stats     = driver.dispatchStats || {};
+  const offers    = stats.offers || 0;
+  const accepted  = stats.accepted || 0;
+  const cancelled = stats.driverCancelled || 0;
+
+  const acceptanceRate =
+    (accepted + ACCEPTANCE_PRIOR.rate * ACCEPTANCE_PRIOR.weight) /
+    (offers + ACCEPTANCE_PRIOR.weight);
+  const cancellationRate =
+    (cancelled + CANCELLATION_PRIOR.rate * CANCELLATION_PRIOR.weight) /
+    (accepted + CANCELLATION_PRIOR.weight);
+
+  const idleMin = driver.lastTripCompletedAt
+    ? (now - new Date(driver.lastTripCompletedAt)) / 60000
+    : setting.idleCapMin;
+
+  const dest = driver.goToDestination;
+  const destinationMatch =
+    dest?.enabled &&
+    dest.location?.coordinates?.length === 2 &&
+    trip.drop?.coordinates &&
+    calculateDistanceInMeters(dest.location.coordinates, trip.drop.coordinates) <= setting.destinationRadiusM;
+
+  const factors = {
+    eta:          clamp01(1 - etaMin / setting.maxEtaMin),
+    acceptance:   clamp01(acceptanceRate),
+    cancellation: clamp01(1 - cancellationRate),
+    rating:       clamp01(((driver.rating ?? 4.8) - 3) / 2),
+    idle:         clamp01(idleMin / setting.idleCapMin),
+    destination:  destinationMatch ? 1 : 0,
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [factor, value] of Object.entries(factors)) {
+    const w = setting.weights[factor] || 0;
+    weighted    += w * value;
+    totalWeight += w;
+  }
+
+  return {
+    score:     round3(totalWeight > 0 ? weighted / totalWeight : 0),
+    distanceM: distanceM === null ? null : Math.round(distanceM),
+    etaMin:    round3(etaMin),
+    factors:   Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, round3(v)])),
+    isDestinationMatch: !!destinationMatch,
+  };
+}
+
+/**
+ * Rank candidates best-first.
+ * Returns { ranked: [{ driver, score, distanceM, etaMin, factors, isDestinationMatch }], city, setting }.
+ */
+export async function rankDrivers(trip, drivers) {
+  const city    = trip.city ? trip.city.toLowerCase() : resolveCity(drivers);
+  const setting = await DispatchSetting.getForCity(city);
+  const now     = new Date();
+
+  const ranked = drivers
+    .map((driver) => ({ driver, ...scoreDriver(driver, trip, setting, now) }))
+    .sort((a, b) => b.score - a.score || (a.distanceM ?? Infinity) - (b.distanceM ?? Infinity));
+
+  return { ranked, city, setting };
+}
+
+/**
+ * Persist one dispatch decision. Never throws — logging must not block offers.
+ * @param {object} p
+ * @param {object[]} p.ranked      rankDrivers().ranked
+ * @param {Map<string,string|null>} p.outcomes  driverId → null (offered) | skip reason
+ */
+export async function logDispatchDecision({ tripId, source = 'phase', phase, attempt, batch = null, radiusM, city, setting, ranked, outcomes }) {
+  try {
+    await DispatchLog.create({
+      tripId,
+      source,
+      phase,
+      attempt,
+      batch,
+      radiusM,
+      city,
+      weights: setting?.weights,
+      candidates: ranked.map((r, i) => {
+        const id = String(r.driver._id);
+        const skipReason = outcomes.get(id) ?? null;
+        return {
+          driverId:  r.driver._id,
+          rank:      i + 1,
+          score:     r.score,
+          offered:   outcomes.has(id) && skipReason === null,
+          skipReason,
+          distanceM: r.distanceM,
+          etaMin:    r.etaMin,
+          factors:   r.factors,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('❌ logDispatchDecision:', err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// Driver counters behind the acceptance / cancellation factors
+// ─────────────────────────────────────────────────────────
+export async function recordOffers(driverIds) {
+  if (!driverIds?.length) return;
+  await User.updateMany({ _id: { $in: driverIds } }, { $inc: { 'dispatchStats.offers': 1 } });
+}
+
+export async function recordAcceptance(driverId) {
+  await User.updateOne({ _id: driverId }, { $inc: { 'dispatchStats.accepted': 1 } });
+}
+
+export async function recordDriverCancellation(driverId) {
+  await User.updateOne(
+    { _id: driverId },
+    { $inc: { 'dispatchStats.driverCancelled': 1 }, $set: { lastTripCancelledAt: new Date() } }
+  );
+}
+
+export default {
+  DRIVER_SCORING_FIELDS,
+  scoreDriver,
+  rankDrivers,
+  logDispatchDecision,
+  recordOffers,
+  recordAcceptance,
+  recordDriverCancellation,
+};
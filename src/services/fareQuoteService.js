@@ -0,0 +1,164 @@
+/**
+ * fareQuoteService.js — Signed fare quotes
+ * ─────────────────────────────────────────
+ * createFare signs what it priced into a JWT (audience fare-quote, so it
+ * can never pass as a session, admin or share token) and returns it as the
+ * quoteId. Trip creation charges the quoted total only when the quote:
+ *   • verifies and has not expired (TTL_MIN),
+ *   • was issued to the booking customer, and
+ *   • matches the booking — category, vehicle type, pickup / drop / stops
+ *     within MATCH_RADIUS_M, parcel weight, long-trip days / return, and
+ *     the scheduled pickup time (peak / night are priced at that time).
+ * The quote carries the full breakdown, which lands on trip.fareBreakdown.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { calculateDistanceInMeters } from '../utils/distanceCalculator.js';
+import { FARE_QUOTE_CONFIG } from '../config/tripConfig.js';
+
+const AUDIENCE = 'fare-quote';
+const quoteSecret = () => process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+
+const quoteError = (message, statusCode) => ({ error: message, statusCode });
+
+// Booking parameters besides the route that change the price
+function priceParams(category, { weight, tripDays, returnTrip, isSameDay } = {}) {
+  if (category === 'parcel') return { weight: Number(weight) || 0 };
+  if (category === 'long') {
+    return { tripDays: Number(tripDays) || 1, returnTrip: !!returnTrip, isSameDay: !!isSameDay };
+  }
+  return {};
+}
+
+// Scheduled pickup as epoch ms, null for "ride now"
+const pickupMs = (value) => (value ? new Date(value).getTime() : null);
+
+const samePoint = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) &&
+  calculateDistanceInMeters(a, b) <= FARE_QUOTE_CONFIG.MATCH_RADIUS_M;
+
+/**
+ * Sign a priced fare. Points are [lng, lat]; `fare` is the calcFare result.
+ * → { quoteId, expiresAt, ttlSec }
+ */
+export function issueFareQuote({
+  customerId,
+  category,
+  vehicleType,
+  pickup,
+  drop,
+  stops = [],
+  params = {},
+  scheduledAt = null,
+  fare,
+  distanceKm,
+  durationMin,
+  rateId = null,
+  rateSource = null,
+}) {
+  const ttlSec = FARE_QUOTE_CONFIG.TTL_MIN * 60;
+  const ref = crypto.randomBytes(8).toString('hex');
+
+  const quoteId = jwt.sign(
+    {
+      ref,
+      cid: customerId.toString(),
+      cat: category,
+      vt:  vehicleType,
+      pu:  pickup,
+      dr:  drop,
+      st:  stops,
+      prm: priceParams(category, params),
+      sat: pickupMs(scheduledAt),
+      total:      fare.total,
+      breakdown:  fare.breakdown,
+      remarks:    fare.remarks || null,
+      km:         distanceKm,
+      min:        durationMin,
+      rateId:     rateId ? rateId.toString() : null,
+      rateSource,
+    },
+    quoteSecret(),
+    { audience: AUDIENCE, expiresIn: ttlSec }
+  );
+
+  return { quoteId, expiresAt: new Date(Date.now() + ttlSec * 1000), ttlSec };
+}
+
+/**
+ * Check a quoteId against the booking being made.
+ * → { quote } | { error, statusCode }
+ */
+export function verifyFareQuote(quoteId, {
+  customerId, category, vehicleType, pickup, drop, stops = [], params = {}, scheduledAt = null,
+}) {
+  if (!quoteId) {
+    return quoteError('quoteId is required — get a fare from /api/fares/calc first', 400);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(quoteId, quoteSecret(), { audience: AUDIENCE });
+  } catch (err) {
+    return err.name === 'TokenExpiredError'
+      ? quoteError('Fare quote expired — please refresh the fare', 410)
+      : quoteError('Invalid fare quote', 400);
+  }
+
+  const mismatch = (field) => quoteError(`Fare quote does not match this booking (${field})`, 409);
+
+  if (claims.cid !== customerId.toString()) return mismatch('customer');
+  if (claims.cat !== category) return mismatch('trip type');
+  if (claims.vt !== vehicleType) return mismatch('vehicle type');
+  if (!samePoint(claims.pu, pickup)) return mismatch('pickup');
+  if (!samePoint(claims.dr, drop)) return mismatch('drop');
+
+  const quotedStops = claims.st || [];
+  if (quotedStops.length !== stops.length || quotedStops.some((s, i) => !samePoint(s, stops[i]))) {
+    return mismatch('stops');
+  }
+
+  const booked = priceParams(category, params);
+  if (Object.keys(booked).some((key) => booked[key] !== claims.prm?.[key])) {
+    return mismatch(Object.keys(booked).find((key) => booked[key] !== claims.prm?.[key]));
+  }
+
+  if ((claims.sat ?? null) !== pickupMs(scheduledAt)) return mismatch('pickup time');
+
+  return {
+    quote: {
+      ref:         claims.ref,
+      total:       claims.total,
+      breakdown:   claims.breakdown,
+      remarks:     claims.remarks,
+      distanceKm:  claims.km,
+      durationMin: claims.min,
+      rateId:      claims.rateId,
+      rateSource:  claims.rateSource,
+      scheduledAt: claims.sat ? new Date(claims.sat) : null,
+      issuedAt:    new Date(claims.iat * 1000),
+      expiresAt:   new Date(claims.exp * 1000),
+    },
+  };
+}
+
+/**
+ * The trip.fareQuote record for a verified quote.
+ */
+export const fareQuoteRecord = (quote) => ({
+  ref:         quote.ref,
+  total:       quote.total,
+  distanceKm:  quote.distanceKm,
+  durationMin: quote.durationMin,
+  rateSource:  quote.rateSource,
+  rateId:      quote.rateId || null,
+  issuedAt:    quote.issuedAt,
+  expiresAt:   quote.expiresAt,
+});
+
+export default {
+  issueFareQuote,
+  verifyFareQuote,
+  fareQuoteRecord,
+};
@@ -0,0 +1,765 @@
+/**
+ * gatewayReconciliationService.js — Razorpay vs our payment records
+ * ─────────────────────────────────────────────────────────────
+ * Money reaches Razorpay through four paths (paymentController,
+ * walletController, planPaymentController, webhooks) and leaves through
+ * RazorpayX payouts. A run lines every gateway item up with the record it
+ * should have produced:
+ *
+ *   payment  trip_payment           → PaymentTransaction completed / refunded
+ *            commission_payment     → Wallet 'commission' transaction
+ *            plan_purchase          → PaymentPlan completed + DriverPlan
+ *            customer_wallet_topup  → CustomerWallet 'topup' transaction
+ *   payout   withdrawal             → WithdrawalRequest (by razorpayPayoutId)
+ *
+ * Gateway items come from the Razorpay list APIs for a time window
+ * (nightly cron / admin) or from an imported settlement CSV. API runs also
+ * walk the other way — records we settled in the window that Razorpay
+ * never showed — which a settlement file can't answer, since captures
+ * settle days later.
+ *
+ * Every comparison is stored as a GatewayReconciliationItem in one of the
+ * matched / missing / amount_mismatch buckets; admins resolve or ignore
+ * the exceptions, and the same exception found by a later run keeps that
+ * resolution.
+ */
+
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import GatewayReconciliation from '../models/GatewayReconciliation.js';
+import GatewayReconciliationItem from '../models/GatewayReconciliationItem.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import PaymentPlan from '../models/PaymentPlan.js';
+import DriverPlan from '../models/DriverPlan.js';
+import WithdrawalRequest from '../models/WithdrawalRequest.js';
+import Wallet from '../models/Wallet.js';
+import CustomerWallet from '../models/CustomerWallet.js';
+import { TOPUP_NOTE_TYPE } from './customerWalletService.js';
+import { GATEWAY_RECON_CONFIG } from '../config/tripConfig.js';
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const CAPTURED = ['captured', 'refunded'];                          // Money was taken
+const PAYOUT_DONE = ['processed'];
+const PAYOUT_UNDONE = ['reversed', 'failed', 'rejected', 'cancelled'];
+const PURPOSES = ['trip_payment', 'commission_payment', 'plan_purchase', TOPUP_NOTE_TYPE];
+const RESOLUTIONS = ['open', 'resolved', 'ignored'];
+const MAX_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+// ════════════════════════════════════════════════════════════════════
+// GATEWAY READS
+// ════════════════════════════════════════════════════════════════════
+
+// RazorpayX lives behind its own keys; same fallbacks as walletController.
+async function razorpayXGet(path) {
+  const keyId = process.env.RAZORPAYX_KEY_ID || process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAYX_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET;
+  const baseUrl = process.env.RAZORPAYX_BASE_URL || process.env.RAZORPAY_BASE_URL || 'https://api.razorpay.com/v1';
+  if (!keyId || !keySecret) throw new Error('Razorpay credentials missing');
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: { Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}` },
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const err = new Error(payload?.error?.description || `Razorpay API ${response.status}`);
+    err.statusCode = response.status;
+    throw err;
+  }
+  return payload;
+}
+
+const payoutAccountNumber = () =>
+  process.env.RAZORPAYX_ACCOUNT_NUMBER || process.env.RAZORPAY_ACCOUNT_NUMBER || null;
+
+async function listAll(fetchPage) {
+  const { PAGE_SIZE, MAX_PAGES } = GATEWAY_RECON_CONFIG;
+  const items = [];
+  for (let page = 0; page < MAX_PAGES; page += 1) {
+    const res = await fetchPage(PAGE_SIZE, page * PAGE_SIZE);
+    const batch = res?.items || [];
+    items.push(...batch);
+    if (batch.length < PAGE_SIZE) return items;
+  }
+  console.warn(`⚠️ Gateway reconciliation hit MAX_PAGES (${MAX_PAGES}) — window truncated`);
+  return items;
+}
+
+const toGatewayPayment = (p) => ({
+  id:      p.id,
+  orderId: p.order_id || null,
+  amount:  round2(p.amount / 100),
+  status:  p.status,
+  purpose: p.notes?.type || null,
+  at:      p.created_at ? new Date(p.created_at * 1000) : null,
+});
+
+const toGatewayPayout = (p) => ({
+  id:     p.id,
+  amount: round2(p.amount / 100),
+  status: p.status,
+  at:     p.created_at ? new Date(p.created_at * 1000) : null,
+});
+
+async function fetchGatewayPayments(from, to) {
+  const items = await listAll((count, skip) => razorpay.payments.all({
+    from:  Math.floor(from.getTime() / 1000),
+    to:    Math.floor(to.getTime() / 1000),
+    count,
+    skip,
+  }));
+  return items.map(toGatewayPayment);
+}
+
+// Payouts need RazorpayX; manual-mode deployments have none to compare.
+async function fetchGatewayPayouts(from, to) {
+  const accountNumber = payoutAccountNumber();
+  if (!accountNumber) return null;
+
+  const items = await listAll((count, skip) => razorpayXGet(
+    `/payouts?account_number=${accountNumber}&from=${Math.floor(from.getTime() / 1000)}` +
+    `&to=${Math.floor(to.getTime() / 1000)}&count=${count}&skip=${skip}`
+  ));
+  return items.map(toGatewayPayout);
+}
+
+// One item by id, or null when Razorpay doesn't know it.
+async function fetchOne(kind, id) {
+  try {
+    return kind === 'payment'
+      ? toGatewayPayment(await razorpay.payments.fetch(id))
+      : toGatewayPayout(await razorpayXGet(`/payouts/${id}`));
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+// ════════════════════════════════════════════════════════════════════
+// SETTLEMENT FILE
+// ════════════════════════════════════════════════════════════════════
+
+// Minimal RFC 4180 reader — quoted fields, "" escapes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field); field = '';
+      if (row.some((v) => v.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((v) => v.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+function parseRowDate(value) {
+  if (!value) return null;
+  const date = /^\d{9,10}$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Razorpay settlement / RazorpayX statement export → gateway items.
+ * Columns used (header names, any order): entity_id (or id / payment_id /
+ * payout_id), type, amount in ₹ (or credit / debit), order_id, status,
+ * created_at, notes. Rows that are neither payments nor payouts
+ * (refunds, adjustments, fees) are skipped.
+ */
+function parseSettlementFile(csv) {
+  const [header, ...rows] = parseCsv(String(csv || '').replace(/^\uFEFF/, ''));
+  if (!header) throw httpError('Settlement file is empty', 400);
+
+  const cols = header.map((h) => h.trim().toLowerCase());
+  const col = (...names) => names.map((n) => cols.indexOf(n)).find((i) => i >= 0) ?? -1;
+  const idx = {
+    id:      col('entity_id', 'id', 'payment_id', 'payout_id'),
+    type:    col('type', 'entity_type'),
+    amount:  col('amount'),
+    credit:  col('credit'),
+    debit:   col('debit'),
+    orderId: col('order_id'),
+    status:  col('status'),
+    at:      col('created_at'),
+    notes:   col('notes'),
+  };
+  if (idx.id < 0 || (idx.amount < 0 && idx.credit < 0 && idx.debit < 0)) {
+    throw httpError('Settlement file needs an entity_id column and an amount (or credit / debit) column', 400);
+  }
+
+  const cell = (row, i) => (i >= 0 ? String(row[i] ?? '').trim() : '');
+  const payments = new Map();
+  const payouts = new Map();
+  let skippedRows = 0;
+
+  for (const row of rows) {
+    const id = cell(row, idx.id);
+    const type = cell(row, idx.type).toLowerCase()
+      || (id.startsWith('pay_') ? 'payment' : id.startsWith('pout_') ? 'payout' : '');
+    const amount = Number(cell(row, idx.amount) || cell(row, idx.credit) || cell(row, idx.debit));
+
+    if (!id || !Number.isFinite(amount) || (type !== 'payment' && type !== 'payout')) {
+      skippedRows += 1;
+      continue;
+    }
+
+    const at = parseRowDate(cell(row, idx.at));
+    if (type === 'payment') {
+      let purpose = null;
+      try { purpose = JSON.parse(cell(row, idx.notes) || '{}')?.type || null; } catch { /* free-text notes */ }
+      payments.set(id, {
+        id, orderId: cell(row, idx.orderId) || null, amount: round2(Math.abs(amount)),
+        status: cell(row, idx.status).toLowerCase() || 'captured',   // Settled ⇒ captured
+        purpose, at,
+      });
+    } else {
+      payouts.set(id, {
+        id, amount: round2(Math.abs(amount)),
+        status: cell(row, idx.status).toLowerCase() || 'processed',
+        at,
+      });
+    }
+  }
+
+  return { payments: [...payments.values()], payouts: [...payouts.values()], skippedRows };
+}
+
+// ════════════════════════════════════════════════════════════════════
+// INTERNAL LOOKUPS — each returns null or the record a gateway item maps to
+// ════════════════════════════════════════════════════════════════════
+
+async function findTripPayment(paymentId, orderId) {
+  const txn = await PaymentTransaction.findOne({ razorpayPaymentId: paymentId }).lean()
+    || (orderId && await PaymentTransaction.findOne({ razorpayOrderId: orderId }).lean());
+  if (!txn) return null;
+  return {
+    purpose:    'trip_payment',
+    recordType: 'PaymentTransaction',
+    recordId:   txn._id,
+    amount:     txn.amount,
+    status:     txn.paymentStatus,
+    applied:    ['completed', 'refunded'].includes(txn.paymentStatus),
+    driverId:   txn.driverId,
+    customerId: txn.customerId,
+    tripId:     txn.tripId,
+  };
+}
+
+async function findPlanPayment(paymentId, orderId) {
+  const plan = await PaymentPlan.findOne({ razorpayPaymentId: paymentId }).lean()
+    || (orderId && await PaymentPlan.findOne({ razorpayOrderId: orderId }).lean());
+  if (!plan) return null;
+
+  const activated = plan.paymentStatus === 'completed'
+    && (!!plan.driverPlanId || !!(await DriverPlan.exists({ razorpayPaymentId: paymentId })));
+  return {
+    purpose:    'plan_purchase',
+    recordType: 'PaymentPlan',
+    recordId:   plan._id,
+    amount:     plan.amount,
+    status:     plan.paymentStatus,
+    applied:    activated,
+    driverId:   plan.driverId,
+  };
+}
+
+async function findCommissionPayment(paymentId, orderId) {
+  const match = orderId
+    ? { $or: [{ razorpayPaymentId: paymentId }, { razorpayOrderId: orderId }], type: 'commission' }
+    : { razorpayPaymentId: paymentId, type: 'commission' };
+  const wallet = await Wallet.findOne(
+    { transactions: { $elemMatch: match } },
+    { driverId: 1, 'transactions.$': 1 }
+  ).lean();
+  const txn = wallet?.transactions?.[0];
+  if (!txn) return null;
+  return {
+    purpose:    'commission_payment',
+    recordType: 'Wallet',
+    recordId:   wallet._id,
+    amount:     txn.amount,
+    status:     txn.status,
+    applied:    txn.status === 'completed',
+    driverId:   wallet.driverId,
+  };
+}
+
+async function findTopup(paymentId, orderId) {
+  const match = orderId
+    ? { $or: [{ razorpayPaymentId: paymentId }, { razorpayOrderId: orderId }], type: 'topup' }
+    : { razorpayPaymentId: paymentId, type: 'topup' };
+  const wallet = await CustomerWallet.findOne(
+    { transactions: { $elemMatch: match } },
+    { customerId: 1, 'transactions.$': 1 }
+  ).lean();
+  const txn = wallet?.transactions?.[0];
+  if (!txn) return null;
+  return {
+    purpose:    'customer_wallet_topup',
+    recordType: 'CustomerWallet',
+    recordId:   wallet._id,
+    amount:     txn.amount,
+    status:     txn.status,
+    applied:    txn.status === 'completed',
+    customerId: wallet.customerId,
+  };
+}
+
+const LOOKUPS = {
+  trip_payment:       findTripPayment,
+  plan_purchase:      findPlanPayment,
+  commission_payment: findCommissionPayment,
+  [TOPUP_NOTE_TYPE]:  findTopup,
+};
+
+// notes.type picks the lookup; without it (file rows, checkout-less
+// payments) try them all. Commission goes last — trip payments verified
+// through walletController also leave a Wallet row with the payment id.
+async function findPaymentRecord(payment) {
+  const order = PURPOSES.includes(payment.purpose)
+    ? [payment.purpose]
+    : ['trip_payment', 'plan_purchase', TOPUP_NOTE_TYPE, 'commission_payment'];
+  for (const purpose of order) {
+    const record = await LOOKUPS[purpose](payment.id, payment.orderId);
+    if (record) return record;
+  }
+  return null;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// COMPARISON
+// ════════════════════════════════════════════════════════════════════
+
+const gatewayFields = (g) => ({
+  gatewayId:     g.id,
+  orderId:       g.orderId ?? null,
+  gatewayAmount: g.amount,
+  gatewayStatus: g.status,
+  gatewayAt:     g.at,
+});
+
+const recordFields = (r) => ({
+  purpose:      r.purpose,
+  recordType:   r.recordType,
+  recordId:     r.recordId,
+  recordAmount: r.amount != null ? round2(r.amount) : null,
+  recordStatus: r.status ?? null,
+  driverId:     r.driverId ?? null,
+  customerId:   r.customerId ?? null,
+  tripId:       r.tripId ?? null,
+});
+
+const amountsDiffer = (a, b) => Math.abs(round2(a) - round2(b)) > GATEWAY_RECON_CONFIG.TOLERANCE;
+
+function classify(gatewayItem, record, { kind, gatewayOk }) {
+  const base = {
+    kind,
+    itemKey: `${kind}:${gatewayItem.id}`,
+    ...gatewayFields(gatewayItem),
+    ...(record ? recordFields(record) : { purpose: kind === 'payout' ? 'withdrawal' : 'unknown' }),
+  };
+
+  if (!record) return { ...base, bucket: 'missing', missingSide: 'internal', reason: 'not_found' };
+  if (gatewayOk && !record.applied) return { ...base, bucket: 'missing', missingSide: 'internal', reason: 'not_applied' };
+  if (!gatewayOk && record.applied) {
+    return { ...base, bucket: 'missing', missingSide: 'gateway', reason: `gateway_${gatewayItem.status}` };
+  }
+  if (gatewayOk && amountsDiffer(gatewayItem.amount, record.amount)) return { ...base, bucket: 'amount_mismatch' };
+  return { ...base, bucket: 'matched' };
+}
+
+async function comparePayment(payment) {
+  const record = await findPaymentRecord(payment);
+  return classify(payment, record, { kind: 'payment', gatewayOk: true });
+}
+
+async function comparePayout(payout) {
+  const wr = await WithdrawalRequest.findOne({ razorpayPayoutId: payout.id }).lean();
+  const record = wr && {
+    purpose:    'withdrawal',
+    recordType: 'WithdrawalRequest',
+    recordId:   wr._id,
+    amount:     wr.amount,
+    status:     wr.status,
+    applied:    wr.status === 'completed',
+    driverId:   wr.driverId,
+  };
+  return classify(payout, record, { kind: 'payout', gatewayOk: PAYOUT_DONE.includes(payout.status) });
+}
+
+/**
+ * Records we settled in [from, to) whose gateway item the run never saw.
+ * Each is fetched by id first: one created just before `from` is fine and
+ * belongs to an earlier window, so only real gaps are reported.
+ */
+async function findGatewaySideGaps({ from, to, seenPayments, seenPayouts, payoutsChecked }) {
+  const window = { $gte: from, $lt: to };
+  const candidates = [];
+
+  const txns = await PaymentTransaction.find({
+    paymentStatus:     { $in: ['completed', 'refunded'] },
+    razorpayPaymentId: { $nin: [null, ''] },
+    completedAt:       window,
+  }).lean();
+  for (const t of txns) {
+    candidates.push({ kind: 'payment', id: t.razorpayPaymentId, record: {
+      purpose: 'trip_payment', recordType: 'PaymentTransaction', recordId: t._id, amount: t.amount,
+      status: t.paymentStatus, driverId: t.driverId, customerId: t.customerId, tripId: t.tripId,
+    } });
+  }
+
+  const plans = await PaymentPlan.find({
+    paymentStatus:     'completed',
+    razorpayPaymentId: { $nin: [null, ''] },
+    completedAt:       window,
+  }).lean();
+  for (const p of plans) {
+    candidates.push({ kind: 'payment', id: p.razorpayPaymentId, record: {
+      purpose: 'plan_purchase', recordType: 'PaymentPlan', recordId: p._id, amount: p.amount,
+      status: p.paymentStatus, driverId: p.driverId,
+    } });
+  }
+
+  const walletRows = await Wallet.aggregate([
+    { $match: { transactions: { $elemMatch: { type: 'commission', status: 'completed', createdAt: window, razorpayPaymentId: { $nin: [null, ''] } } } } },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.type': 'commission', 'transactions.status': 'completed', 'transactions.createdAt': window, 'transactions.razorpayPaymentId': { $nin: [null, ''] } } },
+    { $project: { driverId: 1, txn: '$transactions' } },
+  ]);
+  for (const w of walletRows) {
+    candidates.push({ kind: 'payment', id: w.txn.razorpayPaymentId, record: {
+      purpose: 'commission_payment', recordType: 'Wallet', recordId: w._id, amount: w.txn.amount,
+      status: w.txn.status, driverId: w.driverId,
+    } });
+  }
+
+  const topupRows = await CustomerWallet.aggregate([
+    { $match: { transactions: { $elemMatch: { type: 'topup', status: 'completed', completedAt: window } } } },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.type': 'topup', 'transactions.status': 'completed', 'transactions.completedAt': window, 'transactions.razorpayPaymentId': { $nin: [null, ''] } } },
+    { $project: { customerId: 1, txn: '$transactions' } },
+  ]);
+  for (const w of topupRows) {
+    candidates.push({ kind: 'payment', id: w.txn.razorpayPaymentId, record: {
+      purpose: 'customer_wallet_topup', recordType: 'CustomerWallet', recordId: w._id, amount: w.txn.amount,
+      status: w.txn.status, customerId: w.customerId,
+    } });
+  }
+
+  if (payoutsChecked) {
+    const withdrawals = await WithdrawalRequest.find({
+      status:           'completed',
+      razorpayPayoutId: { $nin: [null, ''] },
+      processedAt:      window,
+    }).lean();
+    for (const wr of withdrawals) {
+      candidates.push({ kind: 'payout', id: wr.razorpayPayoutId, record: {
+        purpose: 'withdrawal', recordType: 'WithdrawalRequest', recordId: wr._id, amount: wr.amount,
+        status: wr.status, driverId: wr.driverId,
+      } });
+    }
+  }
+
+  const gaps = [];
+  for (const { kind, id, record } of candidates) {
+    const seen = kind === 'payment' ? seenPayments : seenPayouts;
+    if (seen.has(id)) continue;
+    seen.add(id);   // Same payment id on two records → fetch once
+
+    const gatewayItem = await fetchOne(kind, id);
+    const item = {
+      kind,
+      itemKey: `${kind}:${id}`,
+      ...(gatewayItem ? gatewayFields(gatewayItem) : { gatewayId: id }),
+      ...recordFields(record),
+    };
+
+    const ok = gatewayItem && (kind === 'payment' ? CAPTURED : PAYOUT_DONE).includes(gatewayItem.status);
+    if (!gatewayItem) gaps.push({ ...item, bucket: 'missing', missingSide: 'gateway', reason: 'not_found' });
+    else if (!ok) gaps.push({ ...item, bucket: 'missing', missingSide: 'gateway', reason: `gateway_${gatewayItem.status}` });
+    else if (amountsDiffer(gatewayItem.amount, record.amount)) gaps.push({ ...item, bucket: 'amount_mismatch' });
+    // else: captured outside the window — that window's run matches it
+  }
+  return gaps;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// RUNS
+// ════════════════════════════════════════════════════════════════════
+
+const newRunId = (source) =>
+  `${source === 'api' ? 'gw' : 'file'}-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Exceptions resolved / ignored in an earlier run stay that way.
+async function carryResolutions(items) {
+  const exceptionKeys = items.filter((i) => i.bucket !== 'matched').map((i) => i.itemKey);
+  if (!exceptionKeys.length) return;
+
+  const previous = await GatewayReconciliationItem.find({
+    itemKey:             { $in: exceptionKeys },
+    'resolution.status': { $in: ['resolved', 'ignored'] },
+  })
+    .sort({ createdAt: -1 })
+    .select('itemKey bucket runId resolution')
+    .lean();
+
+  const latest = new Map();
+  for (const p of previous) if (!latest.has(p.itemKey)) latest.set(p.itemKey, p);
+
+  for (const item of items) {
+    if (item.bucket === 'matched') continue;
+    const prior = latest.get(item.itemKey);
+    item.resolution = prior && prior.bucket === item.bucket
+      ? { ...prior.resolution, carriedFrom: prior.resolution.carriedFrom || prior.runId }
+      : { status: 'open' };
+  }
+}
+
+async function assertNoActiveRun() {
+  const active = await GatewayReconciliation.exists({
+    status:    'running',
+    startedAt: { $gt: new Date(Date.now() - STALE_RUN_MS) },
+  });
+  if (active) throw httpError('A gateway reconciliation is already running', 409);
+}
+
+async function executeRun(run, loadGatewayItems) {
+  try {
+    const { payments, payouts, skippedRows = 0, gatewaySide } = await loadGatewayItems();
+
+    // created / authorized / failed payments never took money; queued /
+    // processing payouts haven't finished. Records that claim otherwise
+    // surface in the gateway-side pass below.
+    const capturedPayments = payments.filter((p) => CAPTURED.includes(p.status));
+    const finishedPayouts = (payouts || []).filter((p) => [...PAYOUT_DONE, ...PAYOUT_UNDONE].includes(p.status));
+
+    const items = [];
+    for (const p of capturedPayments) items.push(await comparePayment(p));
+    for (const p of finishedPayouts) {
+      const item = await comparePayout(p);
+      // A failed payout we also marked failed has nothing to report
+      if (item.bucket === 'matched' && !PAYOUT_DONE.includes(p.status)) continue;
+      items.push(item);
+    }
+
+    run.counts.payments = items.filter((i) => i.kind === 'payment').length;
+    run.counts.payouts = items.filter((i) => i.kind === 'payout').length;
+    run.counts.skippedRows = skippedRows;
+
+    if (gatewaySide) {
+      items.push(...await findGatewaySideGaps({
+        from:           run.from,
+        to:             run.to,
+        seenPayments:   new Set(capturedPayments.map((p) => p.id)),
+        seenPayouts:    new Set(finishedPayouts.map((p) => p.id)),
+        payoutsChecked: payouts !== null,
+      }));
+    }
+
+    // One line per gateway item — a file can repeat a payment id across rows
+    const unique = [...new Map(items.map((i) => [i.itemKey, i])).values()];
+    await carryResolutions(unique);
+    for (let i = 0; i < unique.length; i += 500) {
+      await GatewayReconciliationItem.insertMany(
+        unique.slice(i, i + 500).map((item) => ({ ...item, runId: run.runId })),
+        { ordered: false }
+      );
+    }
+
+    for (const bucket of ['matched', 'missing', 'amount_mismatch']) {
+      run.counts[bucket] = unique.filter((i) => i.bucket === bucket).length;
+    }
+    run.status = 'completed';
+  } catch (err) {
+    console.error(`❌ Gateway reconciliation ${run.runId} failed:`, err.message);
+    run.status = 'failed';
+    run.error = err.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  console.log(
+    `🧾 Gateway reconciliation ${run.runId}: ${run.counts.matched} matched, ` +
+    `${run.counts.missing} missing, ${run.counts.amount_mismatch} amount mismatch`
+  );
+  return run.toObject();
+}
+
+// Previous IST calendar day — what the nightly cron checks.
+function previousIstDay(now = new Date()) {
+  const IST_OFFSET_MS = 330 * 60 * 1000;
+  const istMidnight = new Date(Math.floor((now.getTime() + IST_OFFSET_MS) / 86400000) * 86400000 - IST_OFFSET_MS);
+  return { from: new Date(istMidnight.getTime() - 86400000), to: istMidnight };
+}
+
+/**
+ * Compare Razorpay payments + payouts created in [from, to) with our
+ * records. Defaults to the previous IST day.
+ */
+export async function runGatewayReconciliation({ from, to, trigger = 'cron', startedBy = null } = {}) {
+  const window = from || to ? { from: new Date(from), to: to ? new Date(to) : new Date() } : previousIstDay();
+  if (Number.isNaN(window.from.getTime()) || Number.isNaN(window.to.getTime()) || window.from >= window.to) {
+    throw httpError('from must be a date before to', 400);
+  }
+  if (window.to - window.from > MAX_WINDOW_MS) throw httpError('Window can be at most 7 days', 400);
+
+  // Leave the newest items for next time — their webhooks may still be in flight
+  const latest = new Date(Date.now() - GATEWAY_RECON_CONFIG.SETTLE_LAG_MIN * 60 * 1000);
+  if (window.to > latest) window.to = latest;
+  if (window.from >= window.to) throw httpError(`Window must end at least ${GATEWAY_RECON_CONFIG.SETTLE_LAG_MIN} min ago`, 400);
+
+  await assertNoActiveRun();
+  const run = await GatewayReconciliation.create({
+    runId: newRunId('api'),
+    source: 'api',
+    trigger,
+    startedBy,
+    ...window,
+  });
+
+  return executeRun(run, async () => ({
+    payments:    await fetchGatewayPayments(window.from, window.to),
+    payouts:     await fetchGatewayPayouts(window.from, window.to),
+    gatewaySide: true,
+  }));
+}
+
+/**
+ * Compare an imported settlement CSV with our records. Only the gateway →
+ * internal direction: the file lists what settled, not everything captured.
+ */
+export async function importSettlementFile({ csv, fileName = null, startedBy = null }) {
+  if (!csv || !String(csv).trim()) throw httpError('Settlement file is required', 400);
+  if (Buffer.byteLength(String(csv)) > GATEWAY_RECON_CONFIG.MAX_FILE_BYTES) {
+    throw httpError('Settlement file is too large', 413);
+  }
+
+  const parsed = parseSettlementFile(csv);
+  if (!parsed.payments.length && !parsed.payouts.length) {
+    throw httpError('No payment or payout rows found in the settlement file', 400);
+  }
+  const dates = [...parsed.payments, ...parsed.payouts].map((i) => i.at).filter(Boolean).map(Number);
+
+  await assertNoActiveRun();
+  const run = await GatewayReconciliation.create({
+    runId:    newRunId('settlement_file'),
+    source:   'settlement_file',
+    trigger:  'admin',
+    fileName,
+    startedBy,
+    from:     dates.length ? new Date(Math.min(...dates)) : null,
+    to:       dates.length ? new Date(Math.max(...dates)) : null,
+  });
+
+  return executeRun(run, async () => ({ ...parsed, gatewaySide: false }));
+}
+
+// ════════════════════════════════════════════════════════════════════
+// REPORTS + RESOLUTION
+// ════════════════════════════════════════════════════════════════════
+
+export async function listRuns({ before, limit } = {}) {
+  const query = {};
+  if (before) {
+    const date = new Date(before);
+    if (!Number.isNaN(date.getTime())) query.startedAt = { $lt: date };
+  }
+  const max = Math.min(Math.max(Number(limit) || GATEWAY_RECON_CONFIG.LIST_LIMIT, 1), 100);
+  return GatewayReconciliation.find(query).sort({ startedAt: -1 }).limit(max).lean();
+}
+
+/**
+ * A run (latest finished one when runId is empty) with open exception
+ * counts per bucket.
+ */
+export async function getRun(runId = null) {
+  const query = runId ? { runId } : { status: { $ne: 'running' } };
+  const run = await GatewayReconciliation.findOne(query).sort({ startedAt: -1 }).lean();
+  if (!run) return null;
+
+  const open = await GatewayReconciliationItem.aggregate([
+    { $match: { runId: run.runId, 'resolution.status': 'open' } },
+    { $group: { _id: '$bucket', count: { $sum: 1 } } },
+  ]);
+  return { ...run, open: Object.fromEntries(open.map((o) => [o._id, o.count])) };
+}
+
+/**
+ * Items of a run, newest first. Filters: bucket, kind, purpose, status
+ * (resolution), before (item _id cursor).
+ */
+export async function listItems(runId, { bucket, kind, purpose, status, before, limit } = {}) {
+  const query = { runId };
+  if (bucket) query.bucket = bucket;
+  if (kind) query.kind = kind;
+  if (purpose) query.purpose = purpose;
+  if (status) query['resolution.status'] = status;
+  if (before && /^[a-f\d]{24}$/i.test(before)) query._id = { $lt: before };
+  const max = Math.min(Math.max(Number(limit) || GATEWAY_RECON_CONFIG.LIST_LIMIT, 1), 200);
+
+  return GatewayReconciliationItem.find(query)
+    .sort({ _id: -1 })
+    .limit(max)
+    .populate('driverId', 'name phone')
+    .populate('customerId', 'name phone')
+    .lean();
+}
+
+/**
+ * Resolve / ignore an exception, or reopen it. A note is required unless
+ * reopening — it is the only record of what was done about the money.
+ */
+export async function resolveItem(itemId, { status, note } = {}, resolvedBy = 'admin') {
+  if (!RESOLUTIONS.includes(status)) {
+    throw httpError(`status must be one of: ${RESOLUTIONS.join(', ')}`, 400);
+  }
+  const trimmed = String(note || '').trim();
+  if (status !== 'open' && !trimmed) throw httpError('A note is required', 400);
+
+  const item = await GatewayReconciliationItem.findOneAndUpdate(
+    { _id: itemId, bucket: { $ne: 'matched' } },
+    {
+      $set: {
+        resolution: status === 'open'
+          ? { status: 'open' }
+          : { status, note: trimmed.slice(0, 1000), resolvedBy, resolvedAt: new Date() },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!item) throw httpError('Exception not found', 404);
+  return item;
+}
+
+export default {
+  runGatewayReconciliation,
+  importSettlementFile,
+  listRuns,
+  getRun,
+  listItems,
+  resolveItem,
+};
@@ -0,0 +1,498 @@
+/**
+ * invoiceService.js — GST tax invoices
+ * ─────────────────────────────────────────────────────────────
+ * Two kinds:
+ *   • ride       — to the customer, one per completed + paid trip. Issued
+ *                  by the invoice sweep cron shortly after completion, or
+ *                  on first request for an older trip.
+ *   • commission — to the driver, one per calendar month: the commission
+ *                  and platform fees deducted from their rides, summed from
+ *                  the ledger (platform_commission) and split by fee using
+ *                  Trip.platformCharges.
+ *
+ * Every amount we charge is GST-inclusive; the invoice backs the tax out
+ * (utils/gst.js). Supplier registration = the place-of-supply state when
+ * INVOICE_GSTINS has one for it (CGST + SGST), else HOME_STATE (IGST).
+ * Numbers run per kind, supplier state and financial year with no gaps —
+ * the counter is bumped in the same transaction that writes the invoice.
+ */
+
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InvoiceCounter from '../models/InvoiceCounter.js';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import Rate from '../models/Rate.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import {
+  gstStateCode,
+  normalizeState,
+  financialYear,
+  formatInvoiceNumber,
+  splitInclusiveTax,
+} from '../utils/gst.js';
+import { renderInvoiceHtml, renderInvoicePdf } from '../utils/invoiceRenderer.js';
+import { sendMail } from '../utils/mailer.js';
+import { INVOICE_CONFIG } from '../config/tripConfig.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SERIES_CODES = { ride: 'R', commission: 'C' };
+const RIDE_ENTRY_TYPES = ['ride_cash', 'ride_online', 'ride_wallet'];
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const GSTINS = (() => {
+  try {
+    const parsed = JSON.parse(INVOICE_CONFIG.GSTINS);
+    return Object.fromEntries(Object.entries(parsed).map(([state, gstin]) => [normalizeState(state), gstin]));
+  } catch {
+    console.error('❌ INVOICE_GSTINS is not valid JSON — invoices will carry no GSTIN');
+    return {};
+  }
+})();
+
+// ════════════════════════════════════════════════════════════════════
+// HELPERS
+// ════════════════════════════════════════════════════════════════════
+
+const knownState = (state) => (gstStateCode(state) ? normalizeState(state) : null);
+
+// State a Rate card (by id, else by city) belongs to; HOME_STATE otherwise.
+async function resolveState({ rateId = null, city = null }) {
+  if (rateId) {
+    const rate = await Rate.findById(rateId).select('state').lean();
+    if (knownState(rate?.state)) return knownState(rate.state);
+  }
+  if (city) {
+    const rate = await Rate.findOne({ city: new RegExp(`^${escapeRegex(city)}$`, 'i') }).select('state').lean();
+    if (knownState(rate?.state)) return knownState(rate.state);
+  }
+  return normalizeState(INVOICE_CONFIG.HOME_STATE);
+}
+
+function supplierFor(placeOfSupply) {
+  const state = GSTINS[placeOfSupply] ? placeOfSupply : normalizeState(INVOICE_CONFIG.HOME_STATE);
+  return {
+    name:      INVOICE_CONFIG.LEGAL_NAME,
+    gstin:     GSTINS[state] || null,
+    address:   INVOICE_CONFIG.ADDRESS || null,
+    state,
+    stateCode: gstStateCode(state),
+  };
+}
+
+const line = (description, sac, amount, ratePercent) => ({
+  description,
+  sac,
+  amount:       round2(amount),
+  taxableValue: ratePercent > 0 ? round2(amount / (1 + ratePercent / 100)) : round2(amount),
+});
+
+/**
+ * Number + persist an invoice. Returns null when another request issued
+ * the same ride / month first (unique index) — callers re-read it.
+ */
+async function createNumbered(kind, doc) {
+  const issuedAt = new Date();
+  const fy = financialYear(issuedAt);
+  const stateCode = doc.supplier.stateCode;
+  const session = await mongoose.startSession();
+
+  try {
+    let invoice = null;
+    await session.withTransaction(async () => {
+      const counter = await InvoiceCounter.findOneAndUpdate(
+        { _id: `${kind}:${stateCode}:${fy}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+      );
+      [invoice] = await Invoice.create([{
+        ...doc,
+        kind,
+        issuedAt,
+        financialYear: fy,
+        seq:           counter.seq,
+        number:        formatInvoiceNumber({ stateCode, fy, seriesCode: SERIES_CODES[kind], seq: counter.seq }),
+      }], { session });
+    });
+    return invoice.toObject();
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+// 'YYYY-MM' → IST calendar month as [start, end)
+function monthRange(period) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(period || ''));
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS),
+    end:   new Date(Date.UTC(year, month + 1, 1) - IST_OFFSET_MS),
+  };
+}
+
+export function previousPeriod(now = new Date()) {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const prev = new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth() - 1, 1));
+  return `${prev.getUTCFullYear()}-${String(prev.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// RIDE INVOICES
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * Invoice lines for what the customer paid. All GST-inclusive:
+ *   ride fare + platform fee + waiting + carried cancellation fees
+ *   − coupon − coins = amount paid
+ */
+function rideLines(trip, total, gstPercent) {
+  const b = trip.fareBreakdown || {};
+  const sac = trip.type === 'parcel' ? INVOICE_CONFIG.PARCEL_SAC : INVOICE_CONFIG.RIDE_SAC;
+  const waiting = round2(trip.waiting?.charge || 0);
+  const fees = round2(trip.outstandingFeesAdded || 0);
+  const coins = round2(trip.discountApplied || 0);
+  const coupon = b.welcomeCouponApplied
+    ? round2(Math.max(0, (b.welcomeDiscountAmount || 0) - (b.welcomeFareAdjustment || 0)))
+    : 0;
+
+  const gross = round2(total - waiting - fees + coins + coupon);
+  const label = trip.type === 'parcel' ? 'Parcel delivery' : `${trip.vehicleType || 'Ride'} ride fare`;
+  if (gross <= 0) return [line(label, sac, total, gstPercent)];   // Inconsistent history — bill the total
+
+  const platformFee = round2(Math.min(Number(b.platformFee) || 0, gross));
+  return [
+    line(label, sac, gross - platformFee, gstPercent),
+    platformFee > 0 && line('Platform fee', sac, platformFee, gstPercent),
+    waiting > 0 && line(`Waiting charge (${trip.waiting?.billableMinutes || 0} min)`, sac, waiting, gstPercent),
+    fees > 0 && line('Cancellation fee from an earlier trip', sac, fees, gstPercent),
+    coupon > 0 && line('Coupon discount', sac, -coupon, gstPercent),
+    coins > 0 && line(`Coins discount (${trip.coinsUsed || 0} coins)`, sac, -coins, gstPercent),
+  ].filter(Boolean);
+}
+
+/**
+ * The customer invoice for a trip — issued now if it doesn't exist yet.
+ * Only completed, paid trips can be invoiced.
+ */
+export async function issueRideInvoice(tripId) {
+  const existing = await Invoice.findOne({ kind: 'ride', tripId }).lean();
+  if (existing) return existing;
+
+  const trip = await Trip.findById(tripId).populate('customerId', 'name phone email').lean();
+  if (!trip) throw httpError('Trip not found', 404);
+  if (trip.status !== 'completed' || !trip.paymentCollected) {
+    throw httpError('An invoice is issued once the trip is completed and paid', 409);
+  }
+
+  const total = round2(trip.paidAmount ?? trip.finalFare ?? trip.fare);
+  const gstPercent = Number(trip.fareBreakdown?.gstPercent) || 0;
+  const placeOfSupply = await resolveState({ rateId: trip.fareQuote?.rateId, city: trip.city });
+  const supplier = supplierFor(placeOfSupply);
+  const { total: _total, ...tax } = splitInclusiveTax(total, gstPercent, supplier.state === placeOfSupply);
+  const customer = trip.customerId || {};
+
+  const invoice = await createNumbered('ride', {
+    tripId:            trip._id,
+    customerId:        customer._id || trip.customerId,
+    supplier,
+    recipient: {
+      name:  customer.name || 'Customer',
+      phone: customer.phone || null,
+      email: customer.email || null,
+    },
+    placeOfSupply,
+    placeOfSupplyCode: gstStateCode(placeOfSupply),
+    lines:             rideLines(trip, total, gstPercent),
+    tax,
+    total,
+    paymentMethod:     trip.paymentMethod ? String(trip.paymentMethod).toLowerCase() : null,
+    meta: {
+      tripId:      String(trip._id),
+      tripType:    trip.type,
+      vehicleType: trip.vehicleType,
+      pickup:      trip.pickup?.address || null,
+      drop:        trip.drop?.address || null,
+      distanceKm:  trip.travelled?.distanceKm ?? trip.distance ?? null,
+      completedAt: trip.completedAt || null,
+    },
+  });
+
+  const issued = invoice || await Invoice.findOne({ kind: 'ride', tripId }).lean();
+  await Trip.updateOne({ _id: trip._id }, { $set: { invoiceId: issued._id } });
+  return issued;
+}
+
+/**
+ * Invoice every recently completed, paid trip that has none yet.
+ * Run every ISSUE_SWEEP_MIN by the invoice cron.
+ */
+export async function issuePendingRideInvoices() {
+  const since = new Date(Date.now() - INVOICE_CONFIG.ISSUE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const trips = await Trip.find({
+    status:           'completed',
+    paymentCollected: true,
+    invoiceId:        null,
+    completedAt:      { $gte: since },
+  })
+    .sort({ completedAt: 1 })   // Numbers follow completion order
+    .limit(INVOICE_CONFIG.ISSUE_BATCH)
+    .select('_id')
+    .lean();
+
+  let issued = 0;
+  for (const { _id } of trips) {
+    try {
+      await issueRideInvoice(_id);
+      issued += 1;
+    } catch (err) {
+      console.error(`❌ Ride invoice for trip ${_id} failed:`, err.message);
+    }
+  }
+  return issued;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// DRIVER COMMISSION INVOICES
+// ════════════════════════════════════════════════════════════════════
+
+/**
+ * The driver's commission invoice for a closed month ('YYYY-MM') — issued
+ * now if it doesn't exist yet. null when nothing was deducted that month.
+ */
+export async function issueCommissionInvoice(driverId, period) {
+  const range = monthRange(period);
+  if (!range) throw httpError('period must be YYYY-MM', 400);
+  if (range.end > new Date()) throw httpError('Commission invoices are issued after the month ends', 409);
+
+  const existing = await Invoice.findOne({ kind: 'commission', driverId, period }).lean();
+  if (existing) return existing;
+
+  const entries = await LedgerEntry.find({
+    driverId,
+    type:            { $in: RIDE_ENTRY_TYPES },
+    createdAt:       { $gte: range.start, $lt: range.end },
+    'lines.account': 'platform_commission',
+  }).select('tripId lines').lean();
+
+  const perTrip = new Map();
+  for (const entry of entries) {
+    const amount = entry.lines
+      .filter((l) => l.account === 'platform_commission')
+      .reduce((sum, l) => sum + (l.credit || 0) - (l.debit || 0), 0);
+    if (amount > 0) perTrip.set(String(entry.tripId || entry._id), round2(amount));
+  }
+  const total = round2([...perTrip.values()].reduce((a, b) => a + b, 0));
+  if (total <= 0) return null;
+
+  // Fee split where settlement recorded it; the rest is plain commission
+  const trips = await Trip.find({ _id: { $in: [...perTrip.keys()].filter((id) => mongoose.isValidObjectId(id)) } })
+    .select('platformCharges')
+    .lean();
+  let flat = 0;
+  let percent = 0;
+  for (const t of trips) {
+    const deducted = perTrip.get(String(t._id)) || 0;
+    const pc = t.platformCharges || {};
+    const split = (pc.commission || 0) + (pc.platformFeeFlat || 0) + (pc.platformFeePercent || 0);
+    if (split > 0 && Math.abs(split - deducted) <= 0.01) {
+      flat += pc.platformFeeFlat || 0;
+      percent += pc.platformFeePercent || 0;
+    }
+  }
+  flat = round2(flat);
+  percent = round2(percent);
+
+  const driver = await User.findById(driverId).select('name phone email city').lean();
+  if (!driver) throw httpError('Driver not found', 404);
+
+  const gstPercent = INVOICE_CONFIG.COMMISSION_GST_PERCENT;
+  const sac = INVOICE_CONFIG.COMMISSION_SAC;
+  const placeOfSupply = await resolveState({ city: driver.city });
+  const supplier = supplierFor(placeOfSupply);
+  const { total: _total, ...tax } = splitInclusiveTax(total, gstPercent, supplier.state === placeOfSupply);
+
+  const invoice = await createNumbered('commission', {
+    driverId,
+    period,
+    tripCount: perTrip.size,
+    supplier,
+    recipient: {
+      name:  driver.name || 'Driver',
+      phone: driver.phone || null,
+      email: driver.email || null,
+      state: placeOfSupply,
+      stateCode: gstStateCode(placeOfSupply),
+    },
+    placeOfSupply,
+    placeOfSupplyCode: gstStateCode(placeOfSupply),
+    lines: [
+      line(`Platform commission on ${perTrip.size} ride(s)`, sac, total - flat - percent, gstPercent),
+      flat > 0 && line('Platform fee (fixed per ride)', sac, flat, gstPercent),
+      percent > 0 && line('Platform fee (% of fare)', sac, percent, gstPercent),
+    ].filter(Boolean),
+    tax,
+    total,
+    paymentMethod: 'deducted from ride earnings',
+    meta: { from: range.start, to: range.end },
+  });
+
+  return invoice || Invoice.findOne({ kind: 'commission', driverId, period }).lean();
+}
+
+/**
+ * Commission invoices for every driver with rides in `period`.
+ */
+export async function issueMonthlyCommissionInvoices(period = previousPeriod()) {
+  const range = monthRange(period);
+  if (!range) throw httpError('period must be YYYY-MM', 400);
+
+  const driverIds = await LedgerEntry.distinct('driverId', {
+    type:      { $in: RIDE_ENTRY_TYPES },
+    createdAt: { $gte: range.start, $lt: range.end },
+  });
+
+  const result = { period, drivers: driverIds.length, issued: 0, empty: 0, failed: 0 };
+  for (const driverId of driverIds) {
+    try {
+      (await issueCommissionInvoice(driverId, period)) ? (result.issued += 1) : (result.empty += 1);
+    } catch (err) {
+      result.failed += 1;
+      console.error(`❌ Commission invoice ${period} for driver ${driverId} failed:`, err.message);
+    }
+  }
+  console.log(`🧾 Commission invoices ${period}: ${result.issued} issued, ${result.empty} empty, ${result.failed} failed`);
+  return result;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// READS, DOWNLOADS, EMAIL
+// ════════════════════════════════════════════════════════════════════
+
+const ownedBy = (userId) => ({ $or: [{ customerId: userId }, { driverId: userId }] });
+
+/**
+ * A customer's ride invoices or a driver's commission invoices, newest first.
+ */
+export async function listInvoicesForUser(userId, { before, limit } = {}) {
+  const query = ownedBy(userId);
+  if (before) {
+    const date = new Date(before);
+    if (!Number.isNaN(date.getTime())) query.issuedAt = { $lt: date };
+  }
+  const max = Math.min(Math.max(Number(limit) || INVOICE_CONFIG.LIST_LIMIT, 1), 100);
+  return Invoice.find(query).sort({ issuedAt: -1 }).limit(max).select('-emails').lean();
+}
+
+export async function getInvoiceForUser(invoiceId, userId) {
+  const invoice = await Invoice.findOne({ _id: invoiceId, ...ownedBy(userId) }).lean();
+  if (!invoice) throw httpError('Invoice not found', 404);
+  return invoice;
+}
+
+/**
+ * Ride invoice for one of the customer's own trips (issued on first request).
+ */
+export async function getRideInvoiceForCustomer(tripId, customerId) {
+  const owns = await Trip.exists({ _id: tripId, customerId });
+  if (!owns) throw httpError('Trip not found', 404);
+  return issueRideInvoice(tripId);
+}
+
+export async function getCommissionInvoiceForDriver(driverId, period) {
+  const invoice = await issueCommissionInvoice(driverId, period);
+  if (!invoice) throw httpError('No commission was deducted in this period', 404);
+  return invoice;
+}
+
+/**
+ * Rendered file for download: { filename, contentType, body }.
+ */
+export function renderInvoice(invoice, format = 'pdf') {
+  const base = invoice.number.replace(/\//g, '-');
+  if (format === 'html') {
+    return { filename: `${base}.html`, contentType: 'text/html; charset=utf-8', body: renderInvoiceHtml(invoice) };
+  }
+  if (format === 'pdf') {
+    return { filename: `${base}.pdf`, contentType: 'application/pdf', body: renderInvoicePdf(invoice) };
+  }
+  throw httpError('format must be pdf or html', 400);
+}
+
+/**
+ * Email the invoice (HTML body + PDF attached) to `to`, or to the address
+ * on the recipient's profile.
+ */
+export async function emailInvoice(invoiceId, userId, to = null) {
+  const invoice = await getInvoiceForUser(invoiceId, userId);
+  const address = String(to || invoice.recipient?.email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw httpError('A valid email address is required', 400);
+  }
+  if ((invoice.emails || []).length >= INVOICE_CONFIG.MAX_EMAILS) {
+    throw httpError(`This invoice has already been emailed ${INVOICE_CONFIG.MAX_EMAILS} times`, 429);
+  }
+
+  const pdf = renderInvoice(invoice, 'pdf');
+  await sendMail({
+    to:      address,
+    subject: `${INVOICE_CONFIG.LEGAL_NAME} tax invoice ${invoice.number}`,
+    html:    renderInvoiceHtml(invoice),
+    attachments: [{ filename: pdf.filename, content: pdf.body, contentType: pdf.contentType }],
+  });
+
+  await Invoice.updateOne({ _id: invoice._id }, { $push: { emails: { to: address, sentAt: new Date() } } });
+  return { invoiceId: invoice._id, number: invoice.number, sentTo: address };
+}
+
+/**
+ * Admin listing. Filters: kind, state (place-of-supply code or name),
+ * customerId, driverId, period, from / to (issuedAt), before, limit.
+ */
+export async function listInvoices({ kind, state, customerId, driverId, period, from, to, before, limit } = {}) {
+  const query = {};
+  if (kind) query.kind = kind;
+  if (state) query.placeOfSupplyCode = gstStateCode(state) || String(state);
+  if (customerId && mongoose.isValidObjectId(customerId)) query.customerId = customerId;
+  if (driverId && mongoose.isValidObjectId(driverId)) query.driverId = driverId;
+  if (period) query.period = period;
+
+  const issuedAt = {};
+  for (const [key, value] of [['$gte', from], ['$lt', to], ['$lt', before]]) {
+    const date = value ? new Date(value) : null;
+    if (date && !Number.isNaN(date.getTime()) && !(key in issuedAt && issuedAt[key] < date)) issuedAt[key] = date;
+  }
+  if (Object.keys(issuedAt).length) query.issuedAt = issuedAt;
+
+  const max = Math.min(Math.max(Number(limit) || INVOICE_CONFIG.LIST_LIMIT, 1), 200);
+  return Invoice.find(query).sort({ issuedAt: -1 }).limit(max).lean();
+}
+
+export async function getInvoice(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId).lean();
+  if (!invoice) throw httpError('Invoice not found', 404);
+  return invoice;
+}
+
+export default {
+  issueRideInvoice,
+  issuePendingRideInvoices,
+  issueCommissionInvoice,
+  issueMonthlyCommissionInvoices,
+  previousPeriod,
+  listInvoicesForUser,
+  getInvoiceForUser,
+  getRideInvoiceForCustomer,
+  getCommissionInvoiceForDriver,
+  renderInvoice,
+  emailInvoice,
+  listInvoices,
+  getInvoice,
+};
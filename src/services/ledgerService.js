@@ -0,0 +1,245 @@
+/**
+ * ledgerService.js — Double-entry ledger behind driver wallets
+ * ─────────────────────────────────────────────────────────────
+ * Every path that moves Wallet money also posts one LedgerEntry through
+ * postWalletEntry, in the same session when it has one. The caller
+ * describes the event as the Wallet deltas it applies plus the account
+ * the money came from / went to (`counter`); the entry is balanced here.
+ *
+ *   Wallet field              ledger account          normal side
+ *   availableBalance          driver_payable          credit
+ *   pendingAmount             commission_receivable   debit
+ *   pendingWithdrawalAmount   payout_pending          credit
+ *   totalCommission           platform_commission     credit
+ *   totalEarnings             Σ entry.earnings        —
+ *
+ * reconcileWallets (nightly cron) derives those fields from the ledger and
+ * records every wallet that still disagrees on a second read. A wallet the ledger has never seen
+ * gets an opening_balance entry first, so history from before the ledger
+ * doesn't show up as drift.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import LedgerReconciliation from '../models/LedgerReconciliation.js';
+import Wallet from '../models/Wallet.js';
+import { LEDGER_CONFIG } from '../config/tripConfig.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// [wallet field, account, +1 when the account is credit-normal]
+const WALLET_ACCOUNTS = [
+  ['availableBalance',        'driver_payable',         1],
+  ['pendingAmount',           'commission_receivable', -1],
+  ['pendingWithdrawalAmount', 'payout_pending',         1],
+  ['totalCommission',         'platform_commission',    1],
+];
+const RECONCILED_FIELDS = [...WALLET_ACCOUNTS.map(([field]) => field), 'totalEarnings'];
+
+/**
+ * Journal one wallet movement.
+ *   delta    — { availableBalance, pendingAmount, pendingWithdrawalAmount, totalCommission }
+ *              exactly as the caller $inc's them on Wallet
+ *   counter  — account that balances the entry (cash_in_hand, gateway_clearing, ...)
+ *   extra    — further explicit lines, e.g. [{ account: 'incentive_expense', debit: 20 }]
+ *   earnings — what the event adds to Wallet.totalEarnings
+ * Idempotent on `key`. Without a session it never throws: a missing entry
+ * surfaces in the nightly reconciliation instead of failing the money
+ * movement. Inside a transaction it rethrows — the failed write has aborted
+ * the transaction, so the caller must see it and retry or roll back.
+ */
+export async function postWalletEntry({
+  key, type, driverId, tripId = null, delta = {}, counter, extra = [], earnings = 0, memo = null, session = null,
+}) {
+  try {
+    const lines = [];
+    const push = (account, signedCredit) => {
+      const amount = round2(signedCredit);
+      if (!amount) return;
+      lines.push(amount > 0 ? { account, debit: 0, credit: amount } : { account, debit: -amount, credit: 0 });
+    };
+
+    for (const [field, account, side] of WALLET_ACCOUNTS) {
+      if (delta[field]) push(account, side * Number(delta[field]));
+    }
+    for (const line of extra) push(line.account, (line.credit || 0) - (line.debit || 0));
+
+    const net = lines.reduce((s, l) => s + l.credit - l.debit, 0);
+    push(counter, -net);
+
+    if (!lines.length) {
+      // Nothing moved between accounts. Earnings-only events and opening
+      // balances (the adoption marker) are still journaled, as zero lines.
+      if (!earnings && type !== 'opening_balance') return null;
+      lines.push({ account: counter, debit: 0, credit: 0 }, { account: counter, debit: 0, credit: 0 });
+    }
+
+    if (await LedgerEntry.exists({ key }).session(session)) return null;
+
+    const [entry] = await LedgerEntry.create(
+      [{ key, type, driverId, tripId, lines, earnings: round2(Number(earnings) || 0), memo }],
+      { session }
+    );
+    return entry;
+  } catch (err) {
+    if (session) throw err;
+    if (err.code !== 11000) console.error(`❌ Ledger post failed (${key}):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Wallet fields as the ledger sees them for one driver.
+ */
+export async function deriveWalletTotals(driverId) {
+  const id = new mongoose.Types.ObjectId(String(driverId));
+  const [accounts, earnings] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { driverId: id } },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { driverId: id } },
+      { $group: { _id: null, earnings: { $sum: '$earnings' }, entries: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const byAccount = Object.fromEntries(accounts.map((a) => [a._id, a]));
+  const totals = {};
+  for (const [field, account, side] of WALLET_ACCOUNTS) {
+    const a = byAccount[account];
+    totals[field] = a ? round2(side * (a.credit - a.debit)) : 0;
+  }
+  totals.totalEarnings = round2(earnings[0]?.earnings || 0);
+  totals.entries       = earnings[0]?.entries || 0;
+  return totals;
+}
+
+function diffWallet(wallet, derived) {
+  return RECONCILED_FIELDS
+    .map((field) => {
+      const cached = round2(Number(wallet[field]) || 0);
+      return { field, cached, ledger: derived[field], diff: round2(cached - derived[field]) };
+    })
+    .filter((d) => Math.abs(d.diff) > LEDGER_CONFIG.TOLERANCE);
+}
+
+// First sighting of a wallet: book whatever the ledger can't explain as its opening balance.
+async function adoptWallet(wallet, derived) {
+  const delta = {};
+  for (const [field] of WALLET_ACCOUNTS) delta[field] = round2((Number(wallet[field]) || 0) - derived[field]);
+  return postWalletEntry({
+    key:      `opening:${wallet.driverId}`,
+    type:     'opening_balance',
+    driverId: wallet.driverId,
+    delta,
+    counter:  'adjustment',
+    earnings: round2((Number(wallet.totalEarnings) || 0) - derived.totalEarnings),
+    memo:     'Wallet totals carried over when the ledger was introduced',
+  });
+}
+
+/**
+ * Check every Wallet against the ledger and store the run.
+ */
+export async function reconcileWallets({ trigger = 'cron' } = {}) {
+  const run = await LedgerReconciliation.create({
+    runId:   `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`,
+    trigger,
+  });
+
+  try {
+    const adopted = new Set(
+      (await LedgerEntry.find({ type: 'opening_balance' }).select('driverId').lean()).map((e) => String(e.driverId))
+    );
+
+    const cursor = Wallet.find()
+      .select(['driverId', ...RECONCILED_FIELDS].join(' '))
+      .lean()
+      .cursor();
+
+    for await (const wallet of cursor) {
+      if (!wallet.driverId) continue;
+      run.walletsChecked += 1;
+
+      let derived = await deriveWalletTotals(wallet.driverId);
+      if (!adopted.has(String(wallet.driverId))) {
+        if (await adoptWallet(wallet, derived)) run.walletsAdopted += 1;
+        derived = await deriveWalletTotals(wallet.driverId);
+      }
+
+      // Outside a transaction the wallet $inc and its ledger entry are two
+      // writes, so a movement can land between the wallet read and the
+      // ledger sum. Re-read both after a moment; only what persists is drift.
+      let diffs = diffWallet(wallet, derived);
+      if (diffs.length) {
+        await new Promise((resolve) => setTimeout(resolve, LEDGER_CONFIG.RECHECK_DELAY_MS));
+        const fresh = await Wallet.findById(wallet._id).select(RECONCILED_FIELDS.join(' ')).lean();
+        diffs = fresh ? diffWallet(fresh, await deriveWalletTotals(wallet.driverId)) : [];
+      }
+      if (!diffs.length) continue;
+
+      run.mismatchCount += 1;
+      if (run.mismatches.length < LEDGER_CONFIG.MAX_REPORTED) {
+        run.mismatches.push({ driverId: wallet.driverId, walletId: wallet._id, diffs });
+      }
+    }
+
+    run.status = 'completed';
+  } catch (err) {
+    console.error('❌ Ledger reconciliation failed:', err.message);
+    run.status = 'failed';
+    run.error  = err.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  console.log(`📒 Ledger reconciliation ${run.runId}: ${run.walletsChecked} wallets, ${run.mismatchCount} mismatched, ${run.walletsAdopted} adopted`);
+  return run.toObject();
+}
+
+/**
+ * Latest (or a given) run with the drivers behind each mismatch.
+ */
+export async function getReconciliationReport(runId = null) {
+  const query = runId ? { runId } : { status: { $ne: 'running' } };
+  return LedgerReconciliation.findOne(query)
+    .sort({ startedAt: -1 })
+    .populate('mismatches.driverId', 'name phone')
+    .lean();
+}
+
+/**
+ * One driver's entries (newest first) with cached vs derived totals.
+ */
+export async function getDriverLedger(driverId, { before, limit } = {}) {
+  const query = { driverId };
+  if (before) {
+    const date = new Date(before);
+    if (!Number.isNaN(date.getTime())) query.createdAt = { $lt: date };
+  }
+  const max = Math.min(Math.max(Number(limit) || LEDGER_CONFIG.ENTRIES_LIMIT, 1), 200);
+
+  const [entries, derived, wallet] = await Promise.all([
+    LedgerEntry.find(query).sort({ createdAt: -1 }).limit(max).lean(),
+    deriveWalletTotals(driverId),
+    Wallet.findOne({ driverId }).select(RECONCILED_FIELDS.join(' ')).lean(),
+  ]);
+
+  return {
+    entries,
+    derived,
+    cached: wallet ? Object.fromEntries(RECONCILED_FIELDS.map((f) => [f, round2(Number(wallet[f]) || 0)])) : null,
+    diffs:  wallet ? diffWallet(wallet, derived) : [],
+  };
+}
+
+export default {
+  postWalletEntry,
+  deriveWalletTotals,
+  reconcileWallets,
+  getReconciliationReport,
+  getDriverLedger,
+};
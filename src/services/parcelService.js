@@ -0,0 +1,59 @@
+/**
+ * parcelService.js — Parcel delivery lifecycle
+ * ────────────────────────────────────────────
+ * A Parcel is the sender-facing record; the Trip carries the driver side.
+ * Parcel.status only stores the parcel-specific milestones
+ * (pending → booked → delivered | cancelled); everything in between is read
+ * from the linked trip so the two can never disagree.
+ */
+
+import Parcel from '../models/parcel.js';
+
+export const MAX_DELIVERY_OTP_ATTEMPTS = 5;
+
+// Trip status → what the sender sees
+const TRIP_TO_PARCEL_STATUS = {
+  scheduled:              'scheduled',
+  requested:              'searching_driver',
+  driver_assigned:        'driver_assigned',
+  driver_going_to_pickup: 'driver_assigned',
+  driver_at_pickup:       'driver_at_pickup',
+  ride_started:           'in_transit',
+  awaiting_payment:       'delivered',
+  completed:              'delivered',
+  cancelled:              'cancelled',
+  timeout:                'cancelled',
+};
+
+/**
+ * Sender-facing status for a parcel, combining Parcel + linked Trip.
+ */
+export function resolveParcelStatus(parcel, trip) {
+  if (parcel.status === 'delivered' || parcel.status === 'cancelled') return parcel.status;
+  if (!trip) return parcel.status === 'booked' ? 'searching_driver' : 'pending';
+  return TRIP_TO_PARCEL_STATUS[trip.status] || 'searching_driver';
+}
+
+/**
+ * Completion guard for parcel trips: the driver may only end the trip after
+ * the receiver OTP was verified and a proof photo uploaded (deliverParcel).
+ * Returns an error message, or null when the trip can be completed.
+ */
+export async function getParcelCompletionBlocker(trip, session = null) {
+  if (trip?.type !== 'parcel' || !trip.parcelId) return null;
+
+  const query = Parcel.findById(trip.parcelId).select('status');
+  if (session) query.session(session);
+  const parcel = await query.lean();
+
+  if (parcel && parcel.status !== 'delivered') {
+    return 'Parcel delivery not confirmed — verify the receiver OTP and upload a proof photo first';
+  }
+  return null;
+}
+
+export default {
+  MAX_DELIVERY_OTP_ATTEMPTS,
+  resolveParcelStatus,
+  getParcelCompletionBlocker,
+};
@@ -0,0 +1,77 @@
+/**
+ * ratingService.js — Two-way post-trip ratings
+ * ─────────────────────────────────────────────
+ * Customers rate drivers and drivers rate customers once per completed trip.
+ * User.rating is a rolling weighted average of the most recent ratings:
+ * newer ratings weigh more, and a prior at the default 4.8 keeps a single
+ * bad first trip from sinking a brand-new account.
+ */
+
+import User       from '../models/User.js';
+import TripRating from '../models/TripRating.js';
+
+// ─── Averaging config ─────────────────────────────────────────────────────────
+export const RATING_CONFIG = {
+  window:      100,   // only the latest N ratings count
+  decay:       0.98,  // weight multiplier per step back in time
+  priorRating: 4.8,   // matches User.rating default
+  priorWeight: 3,     // worth ~3 fresh ratings
+};
+
+// ─── Feedback tags shown in the apps ──────────────────────────────────────────
+// Keyed by who is being rated. Positive tags for 4–5★, negative for 1–3★,
+// but any tag from the matching side's list is accepted.
+export const RATING_TAGS = {
+  driver: {
+    positive: ['Polite', 'Safe driving', 'Clean vehicle', 'On time', 'Knew the route', 'Helpful'],
+    negative: ['Rude behaviour', 'Rash driving', 'Dirty vehicle', 'Late pickup', 'Wrong route', 'Asked for extra money'],
+  },
+  customer: {
+    positive: ['Polite', 'On time', 'Accurate pickup', 'Good communication'],
+    negative: ['Rude behaviour', 'Kept waiting', 'Wrong pickup location', 'Payment issue', 'Damaged vehicle'],
+  },
+};
+
+/**
+ * Filter submitted tags down to the allowed list for the ratee role.
+ * Unknown tags are dropped rather than rejected so older app builds keep working.
+ */
+export function sanitizeTags(tags, rateeRole) {
+  if (!Array.isArray(tags)) return [];
+  const allowed = new Set([
+    ...RATING_TAGS[rateeRole].positive,
+    ...RATING_TAGS[rateeRole].negative,
+  ]);
+  return [...new Set(tags.filter((t) => typeof t === 'string' && allowed.has(t)))];
+}
+
+/**
+ * Recompute and persist the rolling weighted rating for a user.
+ * Returns { rating, ratingCount }.
+ */
+export async function recomputeUserRating(userId) {
+  const { window, decay, priorRating, priorWeight } = RATING_CONFIG;
+
+  const recent = await TripRating.find({ rateeId: userId })
+    .sort({ createdAt: -1 })
+    .limit(window)
+    .select('rating')
+    .lean();
+
+  let weightedSum = priorRating * priorWeight;
+  let totalWeight = priorWeight;
+  recent.forEach((r, i) => {
+    const w = Math.pow(decay, i);
+    weightedSum += r.rating * w;
+    totalWeight += w;
+  });
+
+  const rating      = Math.round((weightedSum / totalWeight) * 100) / 100;
+  const ratingCount = await TripRating.countDocuments({ rateeId: userId });
+
+  await User.updateOne({ _id: userId }, { $set: { rating, ratingCount } });
+
+  return { rating, ratingCount };
+}
+
+export default { RATING_CONFIG, RATING_TAGS, sanitizeTags, recomputeUserRating };
@@ -0,0 +1,379 @@
+/**
+ * refundService.js — Give trip payments back, fully or in part
+ * ─────────────────────────────────────────────────────────────
+ * Who can trigger one:
+ *   • policy — cancelTrip on a trip that was already paid (full refund)
+ *   • admin  — POST /api/refunds (disputes, fare reduced after the ride)
+ * Where the money goes:
+ *   • Razorpay payment (verifyDirectPayment) → payments.refund, settled
+ *     later by the refund.processed / refund.failed webhooks
+ *   • customer wallet payment → CustomerWallet credit, processed at once
+ * Trip.refundedAmount is reserved before the gateway is called, so two
+ * refunds racing each other can never add up to more than was paid. A
+ * refund the gateway refused (4xx) releases its reservation; one whose
+ * outcome is unknown (timeout, network, 5xx) stays 'pending' and keeps it.
+ * Either can be retried with the same idempotencyKey — the retry is
+ * claimed atomically and first adopts any refund Razorpay already made.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Razorpay from 'razorpay';
+import Refund from '../models/Refund.js';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import { creditRefund } from './customerWalletService.js';
+import { sendToCustomer } from '../utils/fcmSender.js';
+import { REFUND_CONFIG } from '../config/tripConfig.js';
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * What was paid for a trip and how: a captured Razorpay payment, or a
+ * customer wallet debit. Cash trips have nothing to refund → null.
+ */
+async function resolvePaidSource(trip) {
+  const txn = await PaymentTransaction.findOne({
+    tripId:            trip._id,
+    paymentStatus:     { $in: ['completed', 'refunded'] },
+    razorpayPaymentId: { $ne: null },
+  }).lean();
+  if (txn) {
+    return { destination: 'source', paid: txn.amount, txn };
+  }
+  if (String(trip.paymentMethod || '').toLowerCase() === 'wallet' && trip.paymentCollected) {
+    return { destination: 'customer_wallet', paid: trip.paidAmount || trip.finalFare || trip.fare };
+  }
+  return null;
+}
+
+// Reserve `amount` against what is still refundable on the trip.
+async function reserveRefund(tripId, amount, paid) {
+  const res = await Trip.updateOne(
+    {
+      _id: tripId,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, paid + 0.001] },
+    },
+    { $inc: { refundedAmount: amount } }
+  );
+  return res.modifiedCount > 0;
+}
+
+const releaseRefund = (tripId, amount) =>
+  Trip.updateOne({ _id: tripId }, { $inc: { refundedAmount: -amount } });
+
+async function notifyCustomer(refund, io) {
+  const payload = {
+    refundId:    refund._id.toString(),
+    tripId:      refund.tripId.toString(),
+    amount:      refund.amount,
+    status:      refund.status,
+    destination: refund.destination,
+    message:     refundMessage(refund),
+    timestamp:   new Date().toISOString(),
+  };
+  io?.to(`customer_${refund.customerId.toString()}`).emit('refund:update', payload);
+
+  try {
+    const customer = await User.findById(refund.customerId).select('fcmToken').lean();
+    if (customer?.fcmToken) {
+      await sendToCustomer(customer.fcmToken, 'Refund update', payload.message, {
+        type:     'refund',
+        refundId: payload.refundId,
+        tripId:   payload.tripId,
+        status:   refund.status,
+      });
+    }
+  } catch (err) {
+    console.warn('⚠️ Refund push failed:', err.message);
+  }
+}
+
+function refundMessage(refund) {
+  const amount = `₹${refund.amount}`;
+  if (refund.status === 'failed') return `Your refund of ${amount} could not be processed. Our team will follow up.`;
+  if (refund.destination === 'customer_wallet') return `${amount} has been refunded to your wallet.`;
+  if (refund.status === 'processed') return `Your refund of ${amount} has been processed. It may take 5–7 days to reach your account.`;
+  return `Refund of ${amount} initiated to your original payment method.`;
+}
+
+// A refund Razorpay already made for this record (receipt / notes carry our id)
+async function findGatewayRefund(refund) {
+  const id = refund._id.toString();
+  const { items = [] } = await razorpay.payments.fetchMultipleRefund(refund.razorpayPaymentId, { count: 100 });
+  return items.find((r) => r.status !== 'failed' && (r.receipt === id || r.notes?.refundId === id)) || null;
+}
+
+// Gateway / wallet call for a reserved refund. Never throws.
+async function executeRefund(refund, io) {
+  try {
+    if (refund.destination === 'customer_wallet') {
+      await creditRefund({
+        customerId:  refund.customerId,
+        tripId:      refund.tripId,
+        amount:      refund.amount,
+        refKey:      `refund_${refund._id}`,
+        description: `Trip refund (${refund.reason.replace(/_/g, ' ')})`,
+      });
+      refund.status      = 'processed';
+      refund.processedAt = new Date();
+    } else {
+      // A retry first looks for the refund an earlier, lost call may have made
+      const gw = (refund.attempts > 1 && await findGatewayRefund(refund)) ||
+        await razorpay.payments.refund(refund.razorpayPaymentId, {
+        amount:  Math.round(refund.amount * 100), // Paisa
+        speed:   REFUND_CONFIG.SPEED,
+        receipt: refund._id.toString(),
+        notes: {
+          refundId: refund._id.toString(),
+          tripId:   refund.tripId.toString(),
+          reason:   refund.reason,
+        },
+      });
+      refund.razorpayRefundId = gw.id;
+      refund.status           = gw.status === 'processed' ? 'processed' : 'processing';
+      if (refund.status === 'processed') refund.processedAt = new Date();
+    }
+    refund.failureReason = null;
+  } catch (err) {
+    const reason = err.error?.description || err.message || 'Refund failed';
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      console.error(`❌ Refund ${refund._id} failed:`, reason);
+      refund.status        = 'failed';
+      refund.failureReason = reason;
+      refund.failedAt      = new Date();
+      await releaseRefund(refund.tripId, refund.amount);
+    } else {
+      // The gateway may have accepted it — keep the reservation; the webhook
+      // or a retry (which checks Razorpay first) settles it
+      console.error(`⚠️ Refund ${refund._id} outcome unknown:`, reason);
+      refund.status        = 'pending';
+      refund.failureReason = `Outcome unknown: ${reason}`;
+    }
+  }
+
+  await refund.save();
+  if (refund.status === 'processed') await markTransactionRefunded(refund);
+  await notifyCustomer(refund, io);
+  return refund;
+}
+
+// Fully refunded Razorpay payment → PaymentTransaction 'refunded'.
+async function markTransactionRefunded(refund) {
+  if (!refund.paymentTransactionId) return;
+  const txn = await PaymentTransaction.findById(refund.paymentTransactionId).select('amount').lean();
+  if (!txn) return;
+  const agg = await Refund.aggregate([
+    { $match: { paymentTransactionId: refund.paymentTransactionId, status: 'processed' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  if ((agg[0]?.total || 0) >= txn.amount - 0.001) {
+    await PaymentTransaction.updateOne({ _id: txn._id }, { $set: { paymentStatus: 'refunded' } });
+  }
+}
+
+/**
+ * Refund a trip payment.
+ *   amount   — refund this much, or
+ *   newFare  — refund what was paid above this fare (admin fare reduction),
+ *   neither  — refund everything still refundable.
+ * Replaying an idempotencyKey returns the refund it created; a failed or
+ * unresolved one is retried (retryRefund).
+ * → { refund, created: boolean }
+ */
+export async function requestRefund({
+  tripId, amount, newFare, reason, trigger = 'admin', initiatedBy = null, note = null, idempotencyKey, io = null,
+}) {
+  if (!REFUND_CONFIG.REASONS.includes(reason)) {
+    throw httpError(`reason must be one of: ${REFUND_CONFIG.REASONS.join(', ')}`, 400);
+  }
+
+  const trip = await Trip.findById(tripId)
+    .select('customerId paymentMethod paymentCollected paidAmount finalFare fare refundedAmount')
+    .lean();
+  if (!trip) throw httpError('Trip not found', 404);
+
+  const source = await resolvePaidSource(trip);
+  if (!source) throw httpError('Trip has no online or wallet payment to refund', 400);
+
+  const remaining = round2(source.paid - (trip.refundedAmount || 0));
+  let value;
+  if (amount != null) value = round2(Number(amount));
+  else if (newFare != null) value = round2(source.paid - Number(newFare));
+  else value = remaining;
+
+  const key = idempotencyKey || crypto
+    .createHash('sha256')
+    .update(`${tripId}|${reason}|${value}|${trigger}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  const existing = await Refund.findOne({ idempotencyKey: key }).lean();
+  if (existing) return retryRefund(existing, source, remaining, io);
+
+  if (!Number.isFinite(value) || value < REFUND_CONFIG.MIN_AMOUNT) {
+    throw httpError(`Refund amount must be at least ₹${REFUND_CONFIG.MIN_AMOUNT}`, 400);
+  }
+  if (!(await reserveRefund(trip._id, value, source.paid))) {
+    throw httpError(`Only ₹${remaining} is still refundable on this trip`, 400);
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      idempotencyKey:       key,
+      tripId:               trip._id,
+      paymentTransactionId: source.txn?._id || null,
+      customerId:           trip.customerId,
+      razorpayPaymentId:    source.txn?.razorpayPaymentId || null,
+      amount:               value,
+      type:                 value >= source.paid - 0.001 ? 'full' : 'partial',
+      destination:          source.destination,
+      reason,
+      trigger,
+      initiatedBy,
+      note,
+      attempts:             1,
+    });
+  } catch (err) {
+    await releaseRefund(trip._id, value);
+    if (err.code === 11000) {
+      return { refund: await Refund.findOne({ idempotencyKey: key }), created: false };
+    }
+    throw err;
+  }
+
+  console.log(`↩️ Refund ${refund._id} | Trip ${tripId} | ₹${value} → ${source.destination} (${reason}, ${trigger})`);
+  return { refund: await executeRefund(refund, io), created: true };
+}
+
+/**
+ * Replay of an idempotencyKey. A refused refund ('failed') or one whose
+ * last attempt ended unknown ('pending' with a failureReason) is retried;
+ * anything else is returned as it is. The conditional claim on status +
+ * attempts lets only one of several concurrent replays call the gateway.
+ */
+async function retryRefund(existing, source, remaining, io) {
+  const retryable =
+    existing.status === 'failed' || (existing.status === 'pending' && existing.failureReason);
+  if (!retryable) return { refund: await Refund.findById(existing._id), created: false };
+
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: existing._id, status: existing.status, attempts: existing.attempts },
+    { $set: { status: 'pending', failureReason: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return { refund: await Refund.findById(existing._id), created: false };
+
+  // A failed refund released its reservation; an unknown one still holds it
+  if (existing.status === 'failed' && !(await reserveRefund(claimed.tripId, claimed.amount, source.paid))) {
+    await Refund.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'failed', failureReason: existing.failureReason } }
+    );
+    throw httpError(`Only ₹${remaining} is still refundable on this trip`, 400);
+  }
+
+  return { refund: await executeRefund(claimed, io), created: false };
+}
+
+/**
+ * cancelTrip policy: a paid trip that gets cancelled is refunded in full.
+ * Never throws — a refund problem must not undo the cancellation.
+ */
+export async function refundCancelledTrip(tripId, io = null) {
+  try {
+    const trip = await Trip.findById(tripId).select('paymentStatus paidAmount').lean();
+    if (trip?.paymentStatus !== 'completed' || !(trip.paidAmount > 0)) return null;
+
+    const { refund } = await requestRefund({
+      tripId,
+      reason:         'trip_cancelled',
+      trigger:        'policy',
+      initiatedBy:    'system',
+      idempotencyKey: `cancel_${tripId}`,
+      io,
+    });
+    return refund;
+  } catch (err) {
+    if (err.statusCode !== 400) console.error(`❌ refundCancelledTrip ${tripId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * refund.processed / refund.failed from the Razorpay webhook.
+ */
+export async function applyRefundWebhook(event, entity, io = null) {
+  // A malformed notes.refundId must not become a CastError (→ 500 → the
+  // gateway retrying forever) — match on Razorpay's refund id instead
+  const noteId = entity.notes?.refundId;
+  if (noteId && !mongoose.isValidObjectId(noteId)) {
+    console.warn(`⚠️ Refund webhook ${entity.id}: ignoring malformed notes.refundId "${noteId}"`);
+  }
+  const query = mongoose.isValidObjectId(noteId)
+    ? { _id: noteId }
+    : entity.id ? { razorpayRefundId: entity.id } : null;
+  const refund = query ? await Refund.findOne(query) : null;
+  if (!refund) {
+    console.log(`ℹ️ Refund ${entity.id} not found — skipping`);
+    return null;
+  }
+  if (refund.status === 'processed' || (event === 'refund.failed' && refund.status === 'failed')) {
+    return refund;
+  }
+
+  refund.razorpayRefundId = entity.id;
+  if (event === 'refund.processed') {
+    if (refund.status === 'failed') {
+      // The gateway paid out after all — take the amount back off refundable
+      await Trip.updateOne({ _id: refund.tripId }, { $inc: { refundedAmount: refund.amount } });
+    }
+    refund.status      = 'processed';
+    refund.processedAt = new Date();
+    await refund.save();
+    await markTransactionRefunded(refund);
+  } else {
+    refund.status        = 'failed';
+    refund.failureReason = entity.error_description || entity.status || 'Refund failed';
+    refund.failedAt      = new Date();
+    await refund.save();
+    await releaseRefund(refund.tripId, refund.amount);
+  }
+
+  console.log(`↩️ Refund ${refund._id} ${refund.status} (${entity.id})`);
+  await notifyCustomer(refund, io);
+  return refund;
+}
+
+export async function listRefunds({ tripId, customerId, status, before, limit } = {}) {
+  const query = {};
+  if (tripId) query.tripId = tripId;
+  if (customerId) query.customerId = customerId;
+  if (status) query.status = status;
+  if (before) {
+    const date = new Date(before);
+    if (!Number.isNaN(date.getTime())) query.createdAt = { $lt: date };
+  }
+  const max = Math.min(Math.max(Number(limit) || REFUND_CONFIG.LIST_LIMIT, 1), 200);
+  return Refund.find(query).sort({ createdAt: -1 }).limit(max).lean();
+}
+
+export async function getRefund(refundId) {
+  return Refund.findById(refundId).lean();
+}
+
+export default {
+  requestRefund,
+  refundCancelledTrip,
+  applyRefundWebhook,
+  listRefunds,
+  getRefund,
+};
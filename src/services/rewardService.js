@@ -16,6 +16,7 @@ import Referral      from '../models/Referral.js';
 import AppSettings   from '../models/AppSettings.js';
 import CoinTransaction from '../models/CoinTransaction.js';
 import Wallet        from '../models/Wallet.js';
+import { postWalletEntry } from './ledgerService.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // HELPERS
@@ -655,6 +656,17 @@ export async function claimReferralReward(userId, role = 'customer') {
           { upsert: true, new: true, session }
         );
 
+        await postWalletEntry({
+          key:      `referral:${wallet.transactions.at(-1)._id}`,
+          type:     'incentive',
+          driverId: userId,
+          delta:    { availableBalance: amountToAward },
+          counter:  'incentive_expense',
+          earnings: amountToAward,
+          memo:     `Driver referral reward ₹${amountToAward}`,
+          session,
+        });
+
         await User.findByIdAndUpdate(userId, {
           $inc: { wallet: amountToAward },
           $set: {
@@ -0,0 +1,345 @@
+/**
+ * safetyMonitorService.js — "Are you safe?" checks on rides in progress
+ * ──────────────────────────────────────────────────────────────────────
+ * Flow (ticked by cron/safetyMonitorCron.js):
+ *   1. detectSafetyConcern looks at a ride_started trip for
+ *        heartbeat_lost    no driver:heartbeat for HEARTBEAT_TIMEOUT_MIN
+ *        route_deviation   last DEVIATION_POINTS trail points outside the
+ *                          pickup → stops → drop corridor
+ *        long_stop         no movement for STOP_MIN, away from stops and drop
+ *   2. askCustomer marks trip.safetyCheck pending and asks over socket + FCM
+ *   3. recordSafetyResponse: "safe" snoozes the monitor for the trip;
+ *      "not safe" — or no answer within RESPONSE_SEC — escalateSafetyCheck
+ *      opens an SosAlert in admin-room with the driven trail attached.
+ * io is passed in so REST, socket and cron callers share one code path.
+ */
+
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import SosAlert from '../models/SosAlert.js';
+import TripTrail from '../models/TripTrail.js';
+import { sendToCustomer } from '../utils/fcmSender.js';
+import { calculateDistanceInMeters } from '../utils/distanceCalculator.js';
+import { recordTripEvent } from './tripEventService.js';
+import { SAFETY_MONITOR_CONFIG } from '../config/tripConfig.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const SAFETY_MESSAGES = {
+  route_deviation: 'Your ride seems to have left the expected route. Are you safe?',
+  long_stop:       'Your ride has been stopped for a while. Are you safe?',
+  heartbeat_lost:  "We've lost contact with your driver's app. Are you safe?",
+};
+
+// ─────────────────────────────────────────────────────────
+// Geometry
+// ─────────────────────────────────────────────────────────
+
+// Distance (m) from a point to a segment, on a local flat projection
+function distanceToSegmentM([lng, lat], [aLng, aLat], [bLng, bLat]) {
+  const mPerDegLat = 111_320;
+  const mPerDegLng = 111_320 * Math.cos((lat * Math.PI) / 180);
+  const px = (lng - aLng) * mPerDegLng, py = (lat - aLat) * mPerDegLat;
+  const dx = (bLng - aLng) * mPerDegLng, dy = (bLat - aLat) * mPerDegLat;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lenSq)) : 0;
+  return Math.hypot(px - t * dx, py - t * dy);
+}
+
+// Expected path as [lng, lat] legs: pickup → stops → drop
+function expectedRoute(trip) {
+  return [
+    trip.pickup?.coordinates,
+    ...(trip.stops || []).map((s) => s.coordinates),
+    trip.drop?.coordinates,
+  ].filter((c) => Array.isArray(c) && c.length === 2);
+}
+
+export function distanceToRouteM(point, route) {
+  if (route.length === 1) return calculateDistanceInMeters(point, route[0]);
+  let best = Infinity;
+  for (let i = 0; i < route.length - 1; i++) {
+    best = Math.min(best, distanceToSegmentM(point, route[i], route[i + 1]));
+  }
+  return best;
+}
+
+function corridorM(route) {
+  let lengthM = 0;
+  for (let i = 0; i < route.length - 1; i++) {
+    lengthM += calculateDistanceInMeters(route[i], route[i + 1]);
+  }
+  return Math.max(SAFETY_MONITOR_CONFIG.CORRIDOR_M, (lengthM * SAFETY_MONITOR_CONFIG.CORRIDOR_PCT) / 100);
+}
+
+// ─────────────────────────────────────────────────────────
+// Detection
+// ─────────────────────────────────────────────────────────
+
+/**
+ * First safety concern found on a ride_started trip, or null.
+ * Returns { reason, context } — context is stored on the trip timeline.
+ */
+export async function detectSafetyConcern(trip, now = new Date()) {
+  const {
+    HEARTBEAT_TIMEOUT_MIN, DEVIATION_POINTS, STOP_MIN, STOP_RADIUS_M, DROP_RADIUS_M,
+  } = SAFETY_MONITOR_CONFIG;
+
+  const lastBeat = trip.lastDriverHeartbeat || trip.rideStartTime;
+  if (lastBeat && now - new Date(lastBeat) > HEARTBEAT_TIMEOUT_MIN * MINUTE_MS) {
+    return { reason: 'heartbeat_lost', context: { lastHeartbeatAt: lastBeat } };
+  }
+
+  const trail = await TripTrail.findOne({ tripId: trip._id })
+    .select({ last: 1, points: { $slice: -DEVIATION_POINTS } })
+    .lean();
+  if (!trail?.last) return null;
+
+  const route = expectedRoute(trip);
+  if (route.length >= 2 && trail.points.length >= DEVIATION_POINTS) {
+    const corridor = corridorM(route);
+    const offRoute = trail.points.map(([lng, lat]) => distanceToRouteM([lng, lat], route));
+    if (offRoute.every((d) => d > corridor)) {
+      return {
+        reason: 'route_deviation',
+        context: { offRouteM: Math.round(Math.min(...offRoute)), corridorM: Math.round(corridor) },
+      };
+    }
+  }
+
+  // Jitter-filtered trail only advances on real movement, so last.t is "last moved"
+  const stoppedMin = (now.getTime() - trail.last.t) / MINUTE_MS;
+  if (stoppedMin < STOP_MIN) return null;
+
+  const here = [trail.last.lng, trail.last.lat];
+  const driver = await User.findById(trip.assignedDriver).select('location').lean();
+  const current = driver?.location?.coordinates;
+  if (current?.length === 2 && calculateDistanceInMeters(here, current) > STOP_RADIUS_M) {
+    return null; // still moving — the trail is just behind
+  }
+
+  const atStop = (trip.stops || []).some((s) => s.arrivedAt && !s.departedAt);
+  const nearDrop = trip.drop?.coordinates && calculateDistanceInMeters(here, trip.drop.coordinates) <= DROP_RADIUS_M;
+  if (atStop || nearDrop) return null;
+
+  return {
+    reason: 'long_stop',
+    context: { stoppedMin: Math.round(stoppedMin), location: { lat: here[1], lng: here[0] } },
+  };
+}
+
+// ─────────────────────────────────────────────────────────
+// Ask → answer → escalate
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Ask the customer "Are you safe?". No-op when a check is already pending
+ * or escalated, or the customer recently said they were safe.
+ */
+export async function askCustomer(io, trip, { reason, context = {} }, now = new Date()) {
+  const claimed = await Trip.findOneAndUpdate(
+    {
+      _id: trip._id,
+      status: 'ride_started',
+      'safetyCheck.status': { $nin: ['pending', 'escalated'] },
+      $or: [{ 'safetyCheck.snoozedUntil': null }, { 'safetyCheck.snoozedUntil': { $lte: now } }],
+    },
+    {
+      $set: {
+        safetyCheck: {
+          status: 'pending', reason, askedAt: now,
+          answeredAt: null, snoozedUntil: null, sosAlertId: null,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!claimed) return false;
+
+  const customerId = claimed.customerId.toString();
+  const message = SAFETY_MESSAGES[reason];
+
+  await recordTripEvent({
+    tripId: trip._id, type: 'note', name: 'safety_check_asked',
+    actor: { role: 'system', label: 'safety_monitor' }, source: 'cron',
+    metadata: { reason, ...context },
+  });
+
+  io?.to(`customer_${customerId}`).emit('trip:safety_check', {
+    tripId: trip._id.toString(),
+    reason,
+    message,
+    respondWithinSec: SAFETY_MONITOR_CONFIG.RESPONSE_SEC,
+    timestamp: now.toISOString(),
+  });
+
+  try {
+    const customer = await User.findById(customerId).select('fcmToken').lean();
+    if (customer?.fcmToken) {
+      await sendToCustomer(customer.fcmToken, 'Are you safe?', message, {
+        type: 'safety_check',
+        tripId: trip._id.toString(),
+        reason,
+      });
+    }
+  } catch (err) {
+    console.warn(`⚠️ Safety check FCM failed for trip ${trip._id}: ${err.message}`);
+  }
+
+  console.log(`🛡️ Safety check (${reason}) sent for trip ${trip._id}`);
+  return true;
+}
+
+/**
+ * Customer's answer to a pending check. safe=false escalates straight away.
+ */
+export async function recordSafetyResponse(io, { tripId, customerId, safe, source = 'socket' }) {
+  const now = new Date();
+  const filter = { _id: tripId, customerId, 'safetyCheck.status': 'pending' };
+
+  if (safe) {
+    const trip = await Trip.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          'safetyCheck.status': 'safe',
+          'safetyCheck.answeredAt': now,
+          'safetyCheck.snoozedUntil': new Date(now.getTime() + SAFETY_MONITOR_CONFIG.SNOOZE_MIN * MINUTE_MS),
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!trip) return { success: false, message: 'No pending safety check for this trip' };
+
+    await recordTripEvent({
+      tripId, type: 'note', name: 'safety_check_answered',
+      actor: { id: customerId, role: 'customer' }, source,
+      metadata: { safe: true, reason: trip.safetyCheck.reason },
+    });
+    return { success: true, escalated: false };
+  }
+
+  const trip = await Trip.findOne(filter).lean();
+  if (!trip) return { success: false, message: 'No pending safety check for this trip' };
+
+  await recordTripEvent({
+    tripId, type: 'note', name: 'safety_check_answered',
+    actor: { id: customerId, role: 'customer' }, source,
+    metadata: { safe: false, reason: trip.safetyCheck.reason },
+  });
+
+  const alert = await escalateSafetyCheck(io, trip, 'customer_unsafe', source);
+  return { success: true, escalated: !!alert, alertId: alert?._id || null };
+}
+
+/**
+ * Open (or join) an SOS alert for the trip and notify admin-room.
+ * cause: no_response | customer_unsafe. Returns the alert, or null when
+ * another caller already escalated this check.
+ */
+export async function escalateSafetyCheck(io, trip, cause, source = 'cron') {
+  const now = new Date();
+  const claimed = await Trip.findOneAndUpdate(
+    { _id: trip._id, 'safetyCheck.status': 'pending' },
+    {
+      $set: {
+        'safetyCheck.status': 'escalated',
+        ...(cause === 'customer_unsafe' && { 'safetyCheck.answeredAt': now }),
+        sosActivated: true,
+        sosActivatedAt: now,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!claimed) return null;
+
+  const reason = claimed.safetyCheck.reason;
+
+  const [customer, driver, trail] = await Promise.all([
+    User.findById(claimed.customerId).select('name phone').lean(),
+    claimed.assignedDriver
+      ? User.findById(claimed.assignedDriver).select('name phone vehicleNumber vehicleType location').lean()
+      : null,
+    TripTrail.findOne({ tripId: claimed._id })
+      .select({ points: { $slice: -SAFETY_MONITOR_CONFIG.SOS_TRAIL_POINTS } })
+      .lean(),
+  ]);
+
+  const locationHistory = (trail?.points || []).map(([lng, lat, t]) => ({ lat, lng, timestamp: new Date(t) }));
+  const lastPoint = locationHistory[locationHistory.length - 1];
+  const driverCoords = driver?.location?.coordinates;
+  const driverLocation = driverCoords?.length === 2
+    ? { lat: driverCoords[1], lng: driverCoords[0], updatedAt: now }
+    : { lat: null, lng: null, updatedAt: null };
+
+  // A customer-triggered SOS may already be open for this trip — attach to it
+  let alert = await SosAlert.findOne({ tripId: claimed._id.toString(), status: 'ACTIVE' });
+  if (alert) {
+    alert.safetyReason = reason;
+    alert.safetyCause = cause;
+    alert.priority = 'HIGH';
+    if (locationHistory.length) alert.locationHistory = locationHistory;
+    alert.driverLocation = driverLocation;
+    await alert.save();
+  } else {
+    alert = await SosAlert.create({
+      customerId:      claimed.customerId.toString(),
+      customerName:    customer?.name  || '',
+      customerPhone:   customer?.phone || '',
+      driverName:      driver?.name    || '',
+      driverPhone:     driver?.phone   || '',
+      vehicleNumber:   driver?.vehicleNumber || '',
+      vehicleType:     driver?.vehicleType   || claimed.vehicleType || '',
+      tripId:          claimed._id.toString(),
+      location:        lastPoint ? { lat: lastPoint.lat, lng: lastPoint.lng } : { lat: driverLocation.lat, lng: driverLocation.lng },
+      locationHistory,
+      driverLocation,
+      statusHistory:   [{ status: 'ACTIVE', timestamp: now }],
+      sosType:         'SAFETY_MONITOR',
+      safetyReason:    reason,
+      safetyCause:     cause,
+      priority:        'HIGH',
+      status:          'ACTIVE',
+    });
+  }
+
+  await Trip.updateOne({ _id: claimed._id }, { $set: { 'safetyCheck.sosAlertId': alert._id } });
+
+  await recordTripEvent({
+    tripId: claimed._id, type: 'note', name: 'safety_sos_opened',
+    actor: { role: 'system', label: 'safety_monitor' }, source,
+    metadata: { reason, cause, sosAlertId: alert._id },
+  });
+
+  io?.to('admin-room').emit('SOS_ALERT', {
+    _id:             alert._id,
+    customerId:      alert.customerId,
+    customerName:    alert.customerName,
+    customerPhone:   alert.customerPhone,
+    driverName:      alert.driverName,
+    driverPhone:     alert.driverPhone,
+    vehicleNumber:   alert.vehicleNumber,
+    vehicleType:     alert.vehicleType,
+    tripId:          alert.tripId,
+    location:        alert.location,
+    driverLocation:  alert.driverLocation,
+    locationHistory: alert.locationHistory,
+    priority:        alert.priority,
+    status:          alert.status,
+    sosType:         alert.sosType,
+    safetyReason:    reason,
+    safetyCause:     cause,
+    createdAt:       alert.createdAt,
+  });
+
+  console.log(`🚨 Safety SOS (${reason}, ${cause}) opened for trip ${claimed._id} | alertId: ${alert._id}`);
+  return alert;
+}
+
+export default {
+  distanceToRouteM,
+  detectSafetyConcern,
+  askCustomer,
+  recordSafetyResponse,
+  escalateSafetyCheck,
+};
@@ -0,0 +1,374 @@
+/**
+ * savedPlaceService.js — Customer saved places, recents and suggestions
+ * ──────────────────────────────────────────────────────────────────────
+ * Three sources of "places" for a customer:
+ *   • Saved  — User.savedPlaces, managed by the customer (home / work are
+ *     one each; saving a new home replaces the old one).
+ *   • Recent — RecentPlace, filled by the sweep (recordCompletedTripPlaces)
+ *     from completed trips. Every pickup / drop lands in a ~110 m cell and
+ *     bumps its counters, including an IST hour-of-day histogram.
+ *   • Suggested — recent drops ranked by frequency, how often they are
+ *     used around this hour and recency; saved places ride along.
+ * Trip creation accepts either kind of id via resolvePlaceRef.
+ */
+
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import RecentPlace from '../models/RecentPlace.js';
+import { calculateDistanceInMeters } from '../utils/distanceCalculator.js';
+import { SAVED_PLACES_CONFIG } from '../config/tripConfig.js';
+
+const SINGLE_KINDS = ['home', 'work'];
+
+const badRequest = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+export function placeCellKey([lng, lat]) {
+  const d = SAVED_PLACES_CONFIG.CELL_DECIMALS;
+  return `${Number(lat).toFixed(d)},${Number(lng).toFixed(d)}`;
+}
+
+export function istHour(date = new Date()) {
+  return Number(
+    new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', hour12: false })
+  ) % 24;
+}
+
+function parseCoordinates(lat, lng) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) {
+    throw badRequest('Valid lat and lng are required');
+  }
+  return [ln, la];
+}
+
+export const formatSavedPlace = (place) => ({
+  id:        place._id.toString(),
+  kind:      place.kind,
+  label:     place.label,
+  address:   place.address || null,
+  lat:       place.location.coordinates[1],
+  lng:       place.location.coordinates[0],
+  createdAt: place.createdAt,
+  updatedAt: place.updatedAt,
+});
+
+export const formatRecentPlace = (place) => ({
+  id:         place._id.toString(),
+  kind:       place.kind,
+  address:    place.address || null,
+  lat:        place.location.coordinates[1],
+  lng:        place.location.coordinates[0],
+  useCount:   place.useCount,
+  lastUsedAt: place.lastUsedAt,
+});
+
+async function loadCustomer(customerId) {
+  const customer = await User.findById(customerId);
+  if (!customer) throw badRequest('Customer not found', 404);
+  return customer;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// SAVED PLACES
+// ════════════════════════════════════════════════════════════════════════════
+
+export async function addSavedPlace(customerId, { kind = 'custom', label, lat, lng, address }) {
+  if (!['home', 'work', 'custom'].includes(kind)) throw badRequest('kind must be home, work or custom');
+  const name = (label || '').toString().trim() || (kind === 'custom' ? '' : kind[0].toUpperCase() + kind.slice(1));
+  if (!name) throw badRequest('label is required for custom places');
+  const coordinates = parseCoordinates(lat, lng);
+
+  const customer = await loadCustomer(customerId);
+
+  // New home / work replaces the old one
+  if (SINGLE_KINDS.includes(kind)) {
+    customer.savedPlaces.filter((p) => p.kind === kind).forEach((p) => p.deleteOne());
+  }
+  if (customer.savedPlaces.length >= SAVED_PLACES_CONFIG.MAX_SAVED_PLACES) {
+    throw badRequest(`At most ${SAVED_PLACES_CONFIG.MAX_SAVED_PLACES} saved places`, 409);
+  }
+
+  customer.savedPlaces.push({
+    kind,
+    label:    name,
+    location: { type: 'Point', coordinates },
+    address:  address || null,
+  });
+  await customer.save();
+
+  return formatSavedPlace(customer.savedPlaces[customer.savedPlaces.length - 1]);
+}
+
+export async function updateSavedPlace(customerId, placeId, { kind, label, lat, lng, address }) {
+  const customer = await loadCustomer(customerId);
+  const place = customer.savedPlaces?.id(placeId);
+  if (!place) throw badRequest('Saved place not found', 404);
+
+  if (kind !== undefined && kind !== place.kind) {
+    if (!['home', 'work', 'custom'].includes(kind)) throw badRequest('kind must be home, work or custom');
+    if (SINGLE_KINDS.includes(kind)) {
+      customer.savedPlaces.filter((p) => p.kind === kind).forEach((p) => p.deleteOne());
+    }
+    place.kind = kind;
+  }
+  if (label !== undefined) {
+    const name = (label || '').toString().trim();
+    if (!name) throw badRequest('label cannot be empty');
+    place.label = name;
+  }
+  if (lat !== undefined || lng !== undefined) {
+    place.location = { type: 'Point', coordinates: parseCoordinates(lat, lng) };
+  }
+  if (address !== undefined) place.address = address || null;
+  place.updatedAt = new Date();
+
+  await customer.save();
+  return formatSavedPlace(place);
+}
+
+export async function removeSavedPlace(customerId, placeId) {
+  if (!mongoose.Types.ObjectId.isValid(placeId)) return false;
+  const res = await User.updateOne(
+    { _id: customerId, 'savedPlaces._id': placeId },
+    { $pull: { savedPlaces: { _id: placeId } } }
+  );
+  return res.modifiedCount > 0;
+}
+
+export async function hideRecentPlace(customerId, recentId) {
+  if (!mongoose.Types.ObjectId.isValid(recentId)) return false;
+  const res = await RecentPlace.updateOne(
+    { _id: recentId, customerId, hidden: false },
+    { $set: { hidden: true } }
+  );
+  return res.modifiedCount > 0;
+}
+
+export async function listPlaces(customerId) {
+  const [customer, recents] = await Promise.all([
+    User.findById(customerId).select('savedPlaces').lean(),
+    RecentPlace.find({ customerId, hidden: false })
+      .sort({ lastUsedAt: -1 })
+      .limit(SAVED_PLACES_CONFIG.RECENT_LIMIT * 2)
+      .lean(),
+  ]);
+  if (!customer) throw badRequest('Customer not found', 404);
+
+  const recent = (kind) =>
+    recents
+      .filter((r) => r.kind === kind)
+      .slice(0, SAVED_PLACES_CONFIG.RECENT_LIMIT)
+      .map(formatRecentPlace);
+
+  return {
+    saved:  (customer.savedPlaces || []).map(formatSavedPlace),
+    recent: { pickups: recent('pickup'), drops: recent('drop') },
+  };
+}
+
+/**
+ * Saved place id or recent place id → { coordinates, address, source }.
+ * Only the customer's own places resolve; anything else is null.
+ */
+export async function resolvePlaceRef(customerId, placeId) {
+  if (!mongoose.Types.ObjectId.isValid(placeId)) return null;
+
+  const customer = await User.findOne(
+    { _id: customerId, 'savedPlaces._id': placeId },
+    { 'savedPlaces.$': 1 }
+  ).lean();
+  const saved = customer?.savedPlaces?.[0];
+  if (saved) {
+    return { coordinates: saved.location.coordinates, address: saved.address || saved.label, source: 'saved' };
+  }
+
+  const recent = await RecentPlace.findOne({ _id: placeId, customerId }).lean();
+  if (recent) {
+    return { coordinates: recent.location.coordinates, address: recent.address, source: 'recent' };
+  }
+  return null;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// RECENT PLACES — collected from completed trips
+// ════════════════════════════════════════════════════════════════════════════
+
+async function bumpRecentPlace(trip, kind, point, usedAt) {
+  const coordinates = point?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return;
+
+  await RecentPlace.updateOne(
+    { customerId: trip.customerId, kind, placeKey: placeCellKey(coordinates) },
+    {
+      $set: {
+        location:   { type: 'Point', coordinates },
+        address:    point.address || null,
+        lastTripId: trip._id,
+        lastUsedAt: usedAt,
+        hidden:     false,
+      },
+      $setOnInsert: { firstUsedAt: usedAt },
+      $inc: { useCount: 1, [`hourCounts.${istHour(usedAt)}`]: 1 },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Count one completed trip's pickup and drop. Claims the trip first
+ * (placesRecordedAt) so overlapping sweeps never count it twice.
+ */
+export async function recordTripPlaces(trip) {
+  const claimed = await Trip.updateOne(
+    { _id: trip._id, status: 'completed', placesRecordedAt: null },
+    { $set: { placesRecordedAt: new Date() } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const usedAt = trip.rideStartTime || trip.createdAt || new Date();
+  await bumpRecentPlace(trip, 'pickup', trip.pickup, usedAt);
+  await bumpRecentPlace(trip, 'drop', trip.drop, trip.completedAt || usedAt);
+  return true;
+}
+
+export async function recordCompletedTripPlaces(now = new Date()) {
+  const since = new Date(now.getTime() - SAVED_PLACES_CONFIG.RECENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const trips = await Trip.find({
+    status:           'completed',
+    placesRecordedAt: null,
+    updatedAt:        { $gte: since },
+  })
+    .select('_id customerId pickup drop rideStartTime completedAt createdAt')
+    .limit(500)
+    .lean();
+
+  let recorded = 0;
+  for (const trip of trips) {
+    try {
+      if (await recordTripPlaces(trip)) recorded++;
+    } catch (err) {
+      console.warn(`⚠️ recordTripPlaces ${trip._id}: ${err.message}`);
+    }
+  }
+  return recorded;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// SUGGESTIONS
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 0..1 — share of this place's trips that happened around `hour`
+ * (the neighbouring hours count half).
+ */
+function timeOfDayScore(place, hour) {
+  const at = (h) => Number(place.hourCounts?.[String((h + 24) % 24)] || 0);
+  const near = at(hour) + 0.5 * (at(hour - 1) + at(hour + 1));
+  return place.useCount ? Math.min(1, near / place.useCount) : 0;
+}
+
+function rankRecentDrop(place, hour, now) {
+  const days = (now - new Date(place.lastUsedAt)) / (24 * 60 * 60 * 1000);
+  return (
+    Math.log2(1 + place.useCount) +
+    2 * timeOfDayScore(place, hour) +
+    Math.exp(-Math.max(0, days) / SAVED_PLACES_CONFIG.RECENCY_DAYS)
+  );
+}
+
+/**
+ * Destinations for the booking screen, best first. `lat` / `lng` (where
+ * the customer is now) are optional and only used to leave out places the
+ * customer is already at.
+ */
+export async function suggestDestinations(customerId, { lat, lng, limit, now = new Date() } = {}) {
+  const max = Math.min(Number(limit) || SAVED_PLACES_CONFIG.SUGGESTION_LIMIT, 20);
+  const here = lat != null && lng != null ? parseCoordinates(lat, lng) : null;
+  const hour = istHour(now);
+
+  const [customer, drops] = await Promise.all([
+    User.findById(customerId).select('savedPlaces').lean(),
+    RecentPlace.find({ customerId, kind: 'drop', hidden: false })
+      .sort({ lastUsedAt: -1 })
+      .limit(100)
+      .lean(),
+  ]);
+  if (!customer) throw badRequest('Customer not found', 404);
+
+  const saved = customer.savedPlaces || [];
+  const tooClose = (coordinates) =>
+    here && calculateDistanceInMeters(here, coordinates) < SAVED_PLACES_CONFIG.EXCLUDE_NEARBY_M;
+
+  const bySaved = new Map();   // saved place id → suggestion
+  const suggestions = [];
+
+  for (const drop of drops) {
+    const coords = drop.location.coordinates;
+    if (tooClose(coords)) continue;
+
+    const score = rankRecentDrop(drop, hour, now);
+    const match = saved.find(
+      (p) => calculateDistanceInMeters(p.location.coordinates, coords) <= SAVED_PLACES_CONFIG.SAVED_MATCH_M
+    );
+
+    if (match) {
+      const key = match._id.toString();
+      const existing = bySaved.get(key);
+      if (existing) {
+        existing.score += score;
+        existing.useCount += drop.useCount;
+      } else {
+        bySaved.set(key, {
+          ...formatSavedPlace(match),
+          source:     'saved',
+          useCount:   drop.useCount,
+          lastUsedAt: drop.lastUsedAt,
+          score:      score + 0.5,
+        });
+      }
+      continue;
+    }
+
+    suggestions.push({
+      ...formatRecentPlace(drop),
+      source: 'recent',
+      label:  null,
+      score,
+    });
+  }
+
+  // Saved places never travelled to yet still make the list, behind used ones
+  for (const place of saved) {
+    const key = place._id.toString();
+    if (bySaved.has(key) || tooClose(place.location.coordinates)) continue;
+    bySaved.set(key, {
+      ...formatSavedPlace(place),
+      source:     'saved',
+      useCount:   0,
+      lastUsedAt: null,
+      score:      SINGLE_KINDS.includes(place.kind) ? 0.5 : 0.25,
+    });
+  }
+
+  return [...bySaved.values(), ...suggestions]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max)
+    .map((s) => ({ ...s, score: Math.round(s.score * 100) / 100 }));
+}
+
+export default {
+  placeCellKey,
+  istHour,
+  addSavedPlace,
+  updateSavedPlace,
+  removeSavedPlace,
+  hideRecentPlace,
+  listPlaces,
+  resolvePlaceRef,
+  recordTripPlaces,
+  recordCompletedTripPlaces,
+  suggestDestinations,
+};
@@ -0,0 +1,303 @@
+/**
+ * surgeService.js — Demand-driven surge per zone and vehicle type
+ * ────────────────────────────────────────────────────────────────
+ * Every SURGE_CONFIG.TICK_SEC the engine (runSurgeEngine, cron/surgeCron.js):
+ *   1. buckets open `requested` trips, recent timeouts and idle online
+ *      drivers into zones by position (utils/zoneLookup.js),
+ *   2. per zone + vehicle type maps ratio = demand / idle drivers to a
+ *      target multiplier capped at MAX_MULTIPLIER, and moves the stored
+ *      reading part of the way there (EMA) so prices don't jump,
+ *   3. saves the readings on zone.surge and every change to SurgeHistory.
+ * Fares use effectiveSurge(): an admin override when one is active, else
+ * the reading (held still while frozen), never below zone.surgeMultiplier.
+ */
+
+import mongoose from 'mongoose';
+import Zone from '../models/zone.js';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import SurgeHistory from '../models/SurgeHistory.js';
+import { matchZone } from '../utils/zoneLookup.js';
+import { SURGE_CONFIG } from '../config/tripConfig.js';
+
+const MODES = ['auto', 'override', 'frozen'];
+const ZONE_FIELDS = 'name type polygon exclusionZones serviceEnabled surgeMultiplier surge';
+const NO_SURGE = { multiplier: 1, source: null, zoneId: null, zoneName: null };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const roundStep = (n) => round2(Math.round(n / SURGE_CONFIG.STEP) * SURGE_CONFIG.STEP);
+
+/**
+ * Multiplier the engine is heading for at a given demand / supply ratio.
+ */
+export function surgeTarget(ratio) {
+  const { RATIO_THRESHOLD, SENSITIVITY, MAX_MULTIPLIER } = SURGE_CONFIG;
+  if (!(ratio > RATIO_THRESHOLD)) return 1;
+  return Math.min(MAX_MULTIPLIER, 1 + (ratio - RATIO_THRESHOLD) * SENSITIVITY);
+}
+
+/**
+ * One engine tick from `previous` toward `target`. Moves at least one STEP
+ * so rounding can't park the multiplier just short of the target.
+ */
+export function smoothSurge(previous, target) {
+  if (Math.abs(target - previous) < SURGE_CONFIG.STEP) return roundStep(target);
+  const delta = (target - previous) * SURGE_CONFIG.SMOOTHING;
+  const step = Math.sign(delta) * Math.max(Math.abs(delta), SURGE_CONFIG.STEP);
+  return Math.min(SURGE_CONFIG.MAX_MULTIPLIER, Math.max(1, roundStep(previous + step)));
+}
+
+const isHeld = (surge, now) =>
+  !!surge?.mode && surge.mode !== 'auto' && (!surge.until || new Date(surge.until) > now);
+
+/**
+ * Surge a fare in this zone gets right now → { multiplier, source }.
+ */
+export function effectiveSurge(zone, vehicleType, now = new Date()) {
+  const surge = zone?.surge;
+  const held = isHeld(surge, now);
+
+  if (held && surge.mode === 'override' && surge.overrideMultiplier) {
+    return { multiplier: surge.overrideMultiplier, source: 'override' };
+  }
+
+  const reading = (surge?.readings || []).find((r) => r.vehicleType === vehicleType);
+  const fresh = reading && (held ||
+    now - new Date(reading.updatedAt) <= SURGE_CONFIG.STALE_AFTER_SEC * 1000);
+
+  return {
+    multiplier: Math.max(zone?.surgeMultiplier || 1, fresh ? reading.multiplier : 1),
+    source:     held ? 'frozen' : 'engine',
+  };
+}
+
+/**
+ * Surge for a pickup point. Never throws — pricing goes on without surge.
+ */
+export async function getPickupSurge(point, vehicleType) {
+  try {
+    const zones = await Zone.find().select(ZONE_FIELDS).lean();
+    const { zone, blocked } = matchZone(zones, Number(point.lat), Number(point.lng));
+    if (!zone || blocked) return NO_SURGE;
+    return { ...effectiveSurge(zone, vehicleType), zoneId: zone._id, zoneName: zone.name };
+  } catch (err) {
+    console.warn(`⚠️ getPickupSurge: ${err.message}`);
+    return NO_SURGE;
+  }
+}
+
+/**
+ * One engine tick. Returns { zones, changed } — zones refreshed and
+ * multipliers that moved.
+ */
+export async function runSurgeEngine(now = new Date()) {
+  const {
+    VEHICLE_TYPES, OPEN_REQUEST_MAX_AGE_MIN, TIMEOUT_LOOKBACK_MIN, TIMEOUT_WEIGHT, DRIVER_FRESH_SEC,
+  } = SURGE_CONFIG;
+  const ago = (ms) => new Date(now.getTime() - ms);
+
+  const [zones, openTrips, timedOut, drivers] = await Promise.all([
+    Zone.find().select(ZONE_FIELDS).lean(),
+    Trip.find({ status: 'requested', createdAt: { $gte: ago(OPEN_REQUEST_MAX_AGE_MIN * 60 * 1000) } })
+      .select('pickup.coordinates vehicleType')
+      .lean(),
+    Trip.find({ status: 'timeout', updatedAt: { $gte: ago(TIMEOUT_LOOKBACK_MIN * 60 * 1000) } })
+      .select('pickup.coordinates vehicleType')
+      .lean(),
+    User.find({
+      isDriver:           true,
+      isOnline:           true,
+      isBusy:             false,
+      currentTripId:      null,
+      vehicleType:        { $in: VEHICLE_TYPES },
+      lastLocationUpdate: { $gte: ago(DRIVER_FRESH_SEC * 1000) },
+    })
+      .select('location.coordinates vehicleType')
+      .lean(),
+  ]);
+  if (!zones.length) return { zones: 0, changed: 0 };
+
+  // "zoneId:vehicleType" → counts
+  const counts = new Map();
+  const tally = (coordinates, vehicleType, field) => {
+    const vt = vehicleType?.toLowerCase?.();
+    if (coordinates?.length !== 2 || !VEHICLE_TYPES.includes(vt)) return;
+    const { zone, blocked } = matchZone(zones, coordinates[1], coordinates[0]);
+    if (!zone || blocked) return;
+    const key = `${zone._id}:${vt}`;
+    const c = counts.get(key) || { openRequests: 0, recentTimeouts: 0, idleDrivers: 0 };
+    c[field]++;
+    counts.set(key, c);
+  };
+  openTrips.forEach((t) => tally(t.pickup?.coordinates, t.vehicleType, 'openRequests'));
+  timedOut.forEach((t) => tally(t.pickup?.coordinates, t.vehicleType, 'recentTimeouts'));
+  drivers.forEach((d) => tally(d.location?.coordinates, d.vehicleType, 'idleDrivers'));
+
+  const ops = [];
+  const history = [];
+
+  for (const zone of zones) {
+    if (!zone.serviceEnabled) continue;
+
+    const surge = zone.surge || {};
+    const frozen = surge.mode === 'frozen' && isHeld(surge, now);
+    const previous = new Map((surge.readings || []).map((r) => [r.vehicleType, r.multiplier]));
+
+    const readings = VEHICLE_TYPES.map((vehicleType) => {
+      const c = counts.get(`${zone._id}:${vehicleType}`) || { openRequests: 0, recentTimeouts: 0, idleDrivers: 0 };
+      const demand = c.openRequests + c.recentTimeouts * TIMEOUT_WEIGHT;
+      const ratio = round2(demand / Math.max(c.idleDrivers, 1));
+      const prev = previous.get(vehicleType) || 1;
+      const multiplier = frozen ? prev : smoothSurge(prev, surgeTarget(ratio));
+
+      if (multiplier !== prev) {
+        history.push({
+          zoneId: zone._id, zoneName: zone.name, vehicleType, source: 'engine',
+          multiplier, previous: prev, ratio, ...c, createdAt: now,
+        });
+      }
+      return { vehicleType, multiplier, ratio, ...c, updatedAt: now };
+    });
+
+    ops.push({ updateOne: { filter: { _id: zone._id }, update: { $set: { 'surge.readings': readings } } } });
+
+    // Override / freeze ran out — back to auto, unless an admin changed it meanwhile
+    if (surge.mode && surge.mode !== 'auto' && !isHeld(surge, now)) {
+      ops.push({
+        updateOne: {
+          filter: { _id: zone._id, 'surge.mode': surge.mode, 'surge.setAt': surge.setAt },
+          update: {
+            $set: {
+              'surge.mode': 'auto', 'surge.overrideMultiplier': null, 'surge.until': null,
+              'surge.reason': null, 'surge.setBy': 'system', 'surge.setAt': now,
+            },
+          },
+        },
+      });
+      history.push({
+        zoneId: zone._id, zoneName: zone.name, source: 'release',
+        actor: 'system', reason: `${surge.mode} expired`, createdAt: now,
+      });
+    }
+  }
+
+  if (ops.length) await Zone.bulkWrite(ops, { ordered: false });
+  if (history.length) await SurgeHistory.insertMany(history, { ordered: false });
+
+  return { zones: zones.filter((z) => z.serviceEnabled).length, changed: history.filter((h) => h.source === 'engine').length };
+}
+
+function formatSurgeStatus(zone, now = new Date()) {
+  const surge = zone.surge || {};
+  return {
+    zoneId:             zone._id,
+    zoneName:           zone.name,
+    mode:               isHeld(surge, now) ? surge.mode : 'auto',
+    overrideMultiplier: surge.overrideMultiplier ?? null,
+    until:              surge.until ?? null,
+    reason:             surge.reason ?? null,
+    setBy:              surge.setBy ?? null,
+    setAt:              surge.setAt ?? null,
+    staticMultiplier:   zone.surgeMultiplier || 1,
+    effective: Object.fromEntries(
+      SURGE_CONFIG.VEHICLE_TYPES.map((vt) => [vt, effectiveSurge(zone, vt, now)])
+    ),
+    readings: surge.readings || [],
+  };
+}
+
+export async function getZoneSurgeStatus(zoneId) {
+  if (!mongoose.isValidObjectId(zoneId)) return null;
+  const zone = await Zone.findById(zoneId).select(ZONE_FIELDS).lean();
+  return zone ? formatSurgeStatus(zone) : null;
+}
+
+/**
+ * Admin control: mode 'override' (needs multiplier), 'frozen' or 'auto'
+ * (release). `until` makes override / freeze temporary. Throws with
+ * statusCode on bad input; null when the zone doesn't exist.
+ */
+export async function setZoneSurgeMode(zoneId, { mode, multiplier, until, reason } = {}, actor = 'admin') {
+  if (!MODES.includes(mode)) {
+    throw Object.assign(new Error('mode must be auto, override or frozen'), { statusCode: 400 });
+  }
+
+  let overrideMultiplier = null;
+  if (mode === 'override') {
+    overrideMultiplier = round2(Number(multiplier));
+    if (!Number.isFinite(overrideMultiplier) || overrideMultiplier < 1 || overrideMultiplier > SURGE_CONFIG.OVERRIDE_MAX) {
+      throw Object.assign(
+        new Error(`multiplier must be between 1 and ${SURGE_CONFIG.OVERRIDE_MAX}`),
+        { statusCode: 400 }
+      );
+    }
+  }
+
+  let untilDate = null;
+  if (mode !== 'auto' && until != null && until !== '') {
+    untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+      throw Object.assign(new Error('until must be a future date'), { statusCode: 400 });
+    }
+  }
+
+  if (!mongoose.isValidObjectId(zoneId)) return null;
+
+  const now = new Date();
+  const zone = await Zone.findByIdAndUpdate(
+    zoneId,
+    {
+      $set: {
+        'surge.mode':               mode,
+        'surge.overrideMultiplier': overrideMultiplier,
+        'surge.until':              untilDate,
+        'surge.reason':             reason || null,
+        'surge.setBy':              actor,
+        'surge.setAt':              now,
+      },
+    },
+    { new: true }
+  ).select(ZONE_FIELDS).lean();
+  if (!zone) return null;
+
+  await SurgeHistory.create({
+    zoneId:     zone._id,
+    zoneName:   zone.name,
+    source:     mode === 'override' ? 'override' : mode === 'frozen' ? 'freeze' : 'release',
+    multiplier: overrideMultiplier,
+    actor,
+    reason:     reason || null,
+    until:      untilDate,
+    createdAt:  now,
+  });
+
+  console.log(`📈 Zone ${zone.name} surge → ${mode}${overrideMultiplier ? ` ×${overrideMultiplier}` : ''} by ${actor}`);
+  return formatSurgeStatus(zone, now);
+}
+
+/**
+ * Newest first. `before` pages back through older entries.
+ */
+export async function getZoneSurgeHistory(zoneId, { vehicleType, before, limit = 100 } = {}) {
+  if (!mongoose.isValidObjectId(zoneId)) return [];
+
+  const filter = { zoneId };
+  if (vehicleType) filter.$or = [{ vehicleType }, { vehicleType: null }];
+  if (before && !Number.isNaN(new Date(before).getTime())) filter.createdAt = { $lt: new Date(before) };
+
+  return SurgeHistory.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+    .lean();
+}
+
+export default {
+  surgeTarget,
+  smoothSurge,
+  effectiveSurge,
+  getPickupSurge,
+  runSurgeEngine,
+  getZoneSurgeStatus,
+  setZoneSurgeMode,
+  getZoneSurgeHistory,
+};
@@ -0,0 +1,127 @@
+/**
+ * tripEventService.js — Trip state machine + persistent timeline
+ * ────────────────────────────────────────────────────────────────
+ * Single home for the allowed status transitions. Every writer of
+ * Trip.status (REST, socket, admin, cron) checks the move here and then
+ * records it with recordTripEvent, so a trip's full history survives in
+ * TripEvent even though the Trip document only keeps the latest status.
+ *
+ * Atomic writers that cannot read-then-check use sourcesFor(next) as the
+ * status filter of their findOneAndUpdate instead of assertTransition.
+ */
+
+import TripEvent from '../models/TripEvent.js';
+import User      from '../models/User.js';
+
+export const TRIP_TRANSITIONS = {
+  scheduled:              ['requested', 'cancelled'],
+  requested:              ['driver_assigned', 'cancelled', 'timeout', 'scheduled'],  // scheduled: dispatch rolled back by the cron
+  driver_assigned:        ['driver_going_to_pickup', 'driver_at_pickup', 'ride_started', 'requested', 'cancelled'],
+  driver_going_to_pickup: ['driver_at_pickup', 'cancelled'],
+  driver_at_pickup:       ['ride_started', 'cancelled'],
+  ride_started:           ['completed', 'awaiting_payment'],
+  awaiting_payment:       ['completed'],
+  completed:              [],
+  cancelled:              [],
+  timeout:                [],
+};
+
+export const TERMINAL_STATUSES = ['completed', 'cancelled', 'timeout'];
+
+export function canTransition(current, next) {
+  return !!TRIP_TRANSITIONS[current]?.includes(next);
+}
+
+export function assertTransition(current, next) {
+  if (!canTransition(current, next)) {
+    throw new Error(`Illegal transition ${current} → ${next}`);
+  }
+}
+
+// Statuses from which `next` is reachable — for atomic status filters
+export function sourcesFor(next) {
+  return Object.keys(TRIP_TRANSITIONS).filter((s) => TRIP_TRANSITIONS[s].includes(next));
+}
+
+// Driver actions without an explicit position fall back to the last known fix
+async function resolveLocation(location, actor) {
+  if (location?.lat != null && location?.lng != null) {
+    return { lat: Number(location.lat), lng: Number(location.lng) };
+  }
+  if (actor?.role !== 'driver' || !actor.id) return undefined;
+
+  const driver = await User.findById(actor.id).select('location').lean();
+  const coords = driver?.location?.coordinates;
+  if (!coords || coords.length !== 2 || (coords[0] === 0 && coords[1] === 0)) return undefined;
+  return { lat: coords[1], lng: coords[0] };
+}
+
+/**
+ * Append one event to a trip's timeline. Never throws — the transition has
+ * already happened, and losing an audit row must not fail the request.
+ *
+ * @param {object} e
+ * @param {string|ObjectId} e.tripId
+ * @param {string|null} [e.from]      Previous status (null for creation)
+ * @param {string|null} [e.to]        Next status
+ * @param {object} [e.actor]          { id, role: customer|driver|admin|system, label }
+ * @param {string} e.source           socket | rest | admin | cron
+ * @param {object} [e.location]       { lat, lng }
+ * @param {object} [e.metadata]
+ * @param {string} [e.type]           created | status_change | note
+ * @param {string} [e.name]           Note name (type 'note' only)
+ * @param {boolean} [e.forced]        Admin override outside TRIP_TRANSITIONS
+ */
+export async function recordTripEvent({
+  tripId,
+  from = null,
+  to = null,
+  actor = { role: 'system' },
+  source,
+  location,
+  metadata = {},
+  type,
+  name = null,
+  forced = false,
+}) {
+  try {
+    await TripEvent.create({
+      tripId,
+      type: type || (from === null && to ? 'created' : 'status_change'),
+      name,
+      from,
+      to,
+      forced,
+      actor: {
+        id:    actor?.id || null,
+        role:  actor?.role || 'system',
+        label: actor?.label,
+      },
+      source,
+      location: await resolveLocation(location, actor),
+      metadata,
+    });
+  } catch (err) {
+    console.error(`❌ recordTripEvent (${tripId} ${from} → ${to}):`, err.message);
+  }
+}
+
+/**
+ * Full timeline for a trip, oldest first.
+ */
+export async function getTripTimeline(tripId) {
+  return TripEvent.find({ tripId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate({ path: 'actor.id', model: 'User', select: 'name phone' })
+    .lean();
+}
+
+export default {
+  TRIP_TRANSITIONS,
+  TERMINAL_STATUSES,
+  canTransition,
+  assertTransition,
+  sourcesFor,
+  recordTripEvent,
+  getTripTimeline,
+};
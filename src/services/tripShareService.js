@@ -0,0 +1,258 @@
+/**
+ * tripShareService.js — Read-only live trip links for trusted contacts
+ * ─────────────────────────────────────────────────────────────────────
+ * A link is a signed JWT { tripId, sid } (audience trip-share, so it can
+ * never pass as a session or admin token). It stops working when:
+ *   • the JWT expires (TOKEN_TTL_HOURS),
+ *   • the customer revokes the share (trip.trackingShares[].revokedAt), or
+ *   • the trip reaches completed / cancelled / timeout.
+ * The view only carries what a family member needs: driver name, vehicle,
+ * live position (User.location, fed by driver:location) and a local ETA.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import { sendToCustomer } from '../utils/fcmSender.js';
+import { getDistance } from '../utils/distanceCalculator.js';
+import { normalizePhone } from '../utils/phoneNormalizer.js';
+import { TERMINAL_STATUSES } from './tripEventService.js';
+import { TRIP_SHARE_CONFIG, VEHICLE_SPEED_KMPH } from '../config/tripConfig.js';
+
+const AUDIENCE = 'trip-share';
+const shareSecret = () => process.env.TRIP_SHARE_SECRET || process.env.JWT_SECRET;
+
+export function buildShareUrl(token, baseUrl = process.env.PUBLIC_BASE_URL || '') {
+  return `${baseUrl.replace(/\/$/, '')}/api/track/${token}`;
+}
+
+/**
+ * Hour-of-day check in IST, window may wrap midnight (22 → 6).
+ */
+export function isNightTime(date = new Date()) {
+  const hour = Number(
+    date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', hour12: false })
+  ) % 24;
+  const { NIGHT_START_HOUR: start, NIGHT_END_HOUR: end } = TRIP_SHARE_CONFIG;
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end;
+}
+
+/**
+ * Issue a link for a trip. Caller has checked ownership.
+ * Throws with statusCode for trips that are over or have too many links,
+ * and for an auto share to a contact the trip was already auto-shared with.
+ */
+export async function createTripShare(trip, { contactName = null, contactPhone = null, auto = false, baseUrl } = {}) {
+  if (TERMINAL_STATUSES.includes(trip.status)) {
+    throw Object.assign(new Error(`Trip is ${trip.status} — nothing to share`), { statusCode: 409 });
+  }
+
+  const phone = normalizePhone(contactPhone) || null;
+  const shareId = crypto.randomBytes(8).toString('hex');
+  const expiresAt = new Date(Date.now() + TRIP_SHARE_CONFIG.TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+  // Cap (and one auto share per contact) enforced in the filter so
+  // concurrent requests can't overshoot it
+  const sameAutoShare = phone ? { auto: true, contactPhone: phone } : { auto: true, contactName };
+  const updated = await Trip.findOneAndUpdate(
+    {
+      _id: trip._id,
+      status: { $nin: TERMINAL_STATUSES },
+      [`trackingShares.${TRIP_SHARE_CONFIG.MAX_SHARES_PER_TRIP - 1}`]: { $exists: false },
+      ...(auto && { trackingShares: { $not: { $elemMatch: sameAutoShare } } }),
+    },
+    {
+      $push: {
+        trackingShares: {
+          shareId,
+          contactName,
+          contactPhone: phone,
+          auto,
+          createdAt: new Date(),
+          expiresAt,
+        },
+      },
+    },
+    { new: true }
+  ).select('_id').lean();
+  if (!updated) {
+    if (auto && await Trip.exists({ _id: trip._id, trackingShares: { $elemMatch: sameAutoShare } })) {
+      throw Object.assign(new Error('Already auto-shared with this contact'), { statusCode: 409 });
+    }
+    throw Object.assign(new Error('Share limit reached or trip already ended'), { statusCode: 409 });
+  }
+
+  const token = jwt.sign({ tripId: trip._id.toString(), sid: shareId }, shareSecret(), {
+    audience:  AUDIENCE,
+    expiresIn: `${TRIP_SHARE_CONFIG.TOKEN_TTL_HOURS}h`,
+  });
+
+  return { shareId, token, url: buildShareUrl(token, baseUrl), expiresAt, contactName, contactPhone: phone };
+}
+
+export async function revokeTripShare(tripId, shareId) {
+  const res = await Trip.updateOne(
+    { _id: tripId, trackingShares: { $elemMatch: { shareId, revokedAt: null } } },
+    { $set: { 'trackingShares.$.revokedAt': new Date() } }
+  );
+  return res.modifiedCount > 0;
+}
+
+function estimateEta(from, to, vehicleType) {
+  if (!from || !to) return null;
+  const straightKm = getDistance(from[1], from[0], to[1], to[0]);
+  const distanceKm = straightKm * TRIP_SHARE_CONFIG.ROAD_FACTOR;
+  const speed = VEHICLE_SPEED_KMPH[vehicleType] || VEHICLE_SPEED_KMPH.bike;
+  return {
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    minutes:    Math.max(1, Math.round((distanceKm / speed) * 60)),
+  };
+}
+
+/**
+ * Resolve a token to the public view.
+ * → { state: 'active', view } | { state: 'ended', tripStatus } | { state: 'invalid' }
+ */
+export async function getSharedTripView(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, shareSecret(), { audience: AUDIENCE });
+  } catch {
+    return { state: 'invalid' };
+  }
+
+  const trip = await Trip.findById(claims.tripId)
+    .select('status vehicleType assignedDriver pickup drop stops currentStopIndex trackingShares rideStartTime')
+    .lean();
+  const share = trip?.trackingShares?.find((s) => s.shareId === claims.sid);
+  if (!share || share.revokedAt) return { state: 'invalid' };
+  if (TERMINAL_STATUSES.includes(trip.status)) return { state: 'ended', tripStatus: trip.status };
+
+  const driver = trip.assignedDriver
+    ? await User.findById(trip.assignedDriver)
+        .select('name vehicleNumber vehicleType location lastLocationUpdate')
+        .lean()
+    : null;
+
+  const position = driver?.location?.coordinates?.length === 2 ? driver.location.coordinates : null;
+
+  // Before the ride: heading to pickup. During: next pending stop, then drop.
+  const onRide = trip.status === 'ride_started';
+  const nextStop = onRide ? (trip.stops || [])[trip.currentStopIndex || 0] : null;
+  const target = !onRide ? trip.pickup : nextStop && !nextStop.departedAt ? nextStop : trip.drop;
+  const eta = estimateEta(position, target?.coordinates, trip.vehicleType);
+
+  return {
+    state: 'active',
+    view: {
+      tripStatus: trip.status,
+      driver: driver
+        ? {
+            name:          driver.name,
+            vehicleNumber: driver.vehicleNumber || null,
+            vehicleType:   driver.vehicleType || trip.vehicleType,
+          }
+        : null,
+      location: position
+        ? { lat: position[1], lng: position[0], updatedAt: driver.lastLocationUpdate || null }
+        : null,
+      eta: eta && {
+        ...eta,
+        to: !onRide ? 'pickup' : target === trip.drop ? 'drop' : 'stop',
+      },
+      pickup:    { address: trip.pickup?.address || null },
+      drop:      { address: trip.drop?.address || null },
+      startedAt: trip.rideStartTime || null,
+      expiresAt: share.expiresAt,
+    },
+  };
+}
+
+/**
+ * Contacts to auto-share with: trustedContacts, else the legacy
+ * single emergencyContact on the profile.
+ */
+function contactsFor(customer) {
+  if (customer.trustedContacts?.length) return customer.trustedContacts;
+  return customer.emergencyContact ? [{ name: 'Emergency contact', phone: customer.emergencyContact }] : [];
+}
+
+/**
+ * Night-time auto-share, called once the trip has a driver. Contacts who
+ * use the app get an FCM push; the customer gets every link back over the
+ * socket (trip:shared) to forward the rest. Each contact is shared with at
+ * most once (createTripShare refuses a second auto share) and one failing
+ * contact doesn't drop the others. Never throws.
+ */
+export async function autoShareNightRide(io, trip) {
+  try {
+    if (!isNightTime()) return [];
+
+    const customer = await User.findById(trip.customerId)
+      .select('name autoShareNightRides trustedContacts emergencyContact')
+      .lean();
+    if (!customer?.autoShareNightRides) return [];
+
+    const fresh = await Trip.findById(trip._id).select('status').lean();
+    if (!fresh) return [];
+
+    const shares = [];
+    for (const contact of contactsFor(customer)) {
+      let share;
+      try {
+        share = await createTripShare(
+          { _id: trip._id, status: fresh.status },
+          { contactName: contact.name, contactPhone: contact.phone, auto: true }
+        );
+      } catch (err) {
+        console.warn(`⚠️ autoShareNightRide ${trip._id} → ${contact.name || contact.phone}: ${err.message}`);
+        continue;
+      }
+      shares.push(share);
+
+      try {
+        const appUser = share.contactPhone
+          ? await User.findOne({ phone: share.contactPhone, fcmToken: { $ne: null } })
+              .select('fcmToken')
+              .lean()
+          : null;
+        if (appUser?.fcmToken) {
+          await sendToCustomer(
+            appUser.fcmToken,
+            'Ride shared with you',
+            `${customer.name || 'Your contact'} is sharing a night ride with you. Tap to follow it live.`,
+            { type: 'trip_share', url: share.url }
+          );
+        }
+      } catch (err) {
+        console.warn(`⚠️ autoShareNightRide ${trip._id}: push to ${share.contactPhone} failed: ${err.message}`);
+      }
+    }
+
+    if (shares.length) {
+      io?.to(`customer_${trip.customerId.toString()}`).emit('trip:shared', {
+        tripId: trip._id.toString(),
+        auto:   true,
+        shares: shares.map(({ shareId, url, expiresAt, contactName, contactPhone }) => ({
+          shareId, url, expiresAt, contactName, contactPhone,
+        })),
+        timestamp: new Date().toISOString(),
+      });
+      console.log(`🔗 Night ride ${trip._id} auto-shared with ${shares.length} contact(s)`);
+    }
+    return shares;
+  } catch (err) {
+    console.warn(`⚠️ autoShareNightRide ${trip._id}: ${err.message}`);
+    return [];
+  }
+}
+
+export default {
+  buildShareUrl,
+  isNightTime,
+  createTripShare,
+  revokeTripShare,
+  getSharedTripView,
+  autoShareNightRide,
+};
@@ -0,0 +1,238 @@
+/**
+ * tripTrailService.js — Driven route of a ride + distance-based final fare
+ * ─────────────────────────────────────────────────────────────────────────
+ * Flow:
+ *   1. Every driver:location while ride_started → recordTrailPoint. Points
+ *      that arrive out of order, barely move (GPS jitter), are reported as
+ *      inaccurate or imply an impossible speed are dropped.
+ *   2. Completion → resolveCompletionFare sums the trail and, when the
+ *      driven distance is outside the tolerance around the booked estimate,
+ *      re-prices the trip through calcFare on the actual distance and the
+ *      actual ride start / end times, keeping the surge and welcome coupon
+ *      locked in at booking.
+ * The result lands on trip.travelled so receipts can show both distances.
+ */
+
+import TripTrail from '../models/TripTrail.js';
+import User from '../models/User.js';
+import Rate from '../models/Rate.js';
+import { calcFare } from '../utils/fareCalc.js';
+import { calculateDistanceInMeters } from '../utils/distanceCalculator.js';
+import { TRIP_TRAIL_CONFIG, MINIMUM_FARE } from '../config/tripConfig.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Device timestamps arrive as epoch ms or ISO strings; never trust the future
+function toMillis(timestamp) {
+  const now = Date.now();
+  const t = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isFinite(t) && t <= now + 60_000 ? t : now;
+}
+
+async function dropPoint(tripId, reason) {
+  await TripTrail.updateOne({ tripId }, { $inc: { droppedCount: 1 } });
+  return { accepted: false, reason };
+}
+
+/**
+ * Append one location to the trip's trail. Never throws — a lost point must
+ * not break live tracking. Returns { accepted, reason?, distanceM? }.
+ */
+export async function recordTrailPoint(trip, { driverId, latitude, longitude, sequence, timestamp, accuracy }) {
+  try {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return { accepted: false, reason: 'invalid' };
+    }
+
+    const tripId = trip._id;
+    if (accuracy != null && Number(accuracy) > TRIP_TRAIL_CONFIG.MAX_ACCURACY_M) {
+      return dropPoint(tripId, 'low_accuracy');
+    }
+
+    const t   = toMillis(timestamp);
+    const seq = typeof sequence === 'number' ? sequence : t;
+    const point = { lng, lat, t, seq };
+
+    const trail = await TripTrail.findOne({ tripId }).select('last pointCount').lean();
+
+    // First point — unique tripId makes a racing duplicate insert fail
+    if (trail?.last?.seq == null) {
+      try {
+        await TripTrail.updateOne(
+          { tripId, 'last.seq': { $exists: false } },
+          {
+            $setOnInsert: { driverId: driverId || trip.assignedDriver || null, startedAt: new Date() },
+            $set:  { last: point, updatedAt: new Date() },
+            $push: { points: [lng, lat, t, seq] },
+            $inc:  { pointCount: 1 },
+          },
+          { upsert: true }
+        );
+        return { accepted: true, distanceM: 0 };
+      } catch (err) {
+        if (err.code === 11000) return dropPoint(tripId, 'out_of_order');
+        throw err;
+      }
+    }
+
+    const { last } = trail;
+    if (seq <= last.seq) return dropPoint(tripId, 'out_of_order');
+
+    const stepM = calculateDistanceInMeters([last.lng, last.lat], [lng, lat]);
+    if (stepM < TRIP_TRAIL_CONFIG.MIN_MOVE_M) return dropPoint(tripId, 'jitter');
+
+    const dtSec = (t - last.t) / 1000;
+    if (dtSec > 0 && (stepM / dtSec) * 3.6 > TRIP_TRAIL_CONFIG.MAX_SPEED_KMPH) {
+      return dropPoint(tripId, 'gps_jump');
+    }
+
+    const update = {
+      $set: { last: point, updatedAt: new Date() },
+      $inc: { distanceM: stepM, pointCount: 1 },
+    };
+    if ((trail.pointCount || 0) < TRIP_TRAIL_CONFIG.MAX_POINTS) {
+      update.$push = { points: [lng, lat, t, seq] };
+    }
+
+    // Conditional on the anchor we measured from — a concurrent point wins
+    const res = await TripTrail.updateOne({ tripId, 'last.seq': last.seq }, update);
+    if (!res.matchedCount) return dropPoint(tripId, 'out_of_order');
+
+    return { accepted: true, distanceM: stepM };
+  } catch (err) {
+    console.error('❌ recordTrailPoint:', err.message);
+    return { accepted: false, reason: 'error' };
+  }
+}
+
+/**
+ * Driven distance (km) + duration (min) of a ride so far.
+ */
+export async function summarizeTrail(trip, endedAt = new Date()) {
+  const trail = await TripTrail.findOne({ tripId: trip._id })
+    .select('distanceM pointCount droppedCount')
+    .lean();
+
+  const pointCount = trail?.pointCount || 0;
+  return {
+    distanceKm:   trail ? round2(trail.distanceM / 1000) : null,
+    durationMin:  trip.rideStartTime
+      ? Math.max(0, Math.round((new Date(endedAt) - new Date(trip.rideStartTime)) / 6000) / 10)
+      : null,
+    pointCount,
+    droppedCount: trail?.droppedCount || 0,
+    reliable:     pointCount >= TRIP_TRAIL_CONFIG.MIN_POINTS_FOR_FARE,
+  };
+}
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The trip's Rate card: the one the booking was quoted on, else the trip
+ * city's (or the driver's). null when neither exists — re-pricing keeps
+ * the booked fare, the waiting meter falls back to its defaults.
+ */
+export async function resolveTripRate(trip) {
+  if (trip.fareQuote?.rateId) {
+    const quoted = await Rate.findById(trip.fareQuote.rateId).lean();
+    if (quoted) return quoted;
+  }
+
+  let city = trip.city;
+  if (!city && trip.assignedDriver) {
+    const driver = await User.findById(trip.assignedDriver._id || trip.assignedDriver).select('city').lean();
+    city = driver?.city;
+  }
+
+  const rate = city
+    ? await Rate.findOne({
+        city:        new RegExp(`^${escapeRegex(city)}$`, 'i'),
+        vehicleType: trip.vehicleType,
+        category:    trip.type,
+      }).lean()
+    : null;
+
+  return rate || null;
+}
+
+/**
+ * Fare to charge at completion (before waiting charge) + the trip.travelled
+ * block. baseFare is what the trip would cost on its booked estimate.
+ */
+export async function resolveCompletionFare(trip, { baseFare = trip.fare, endedAt = new Date() } = {}) {
+  const actual = await summarizeTrail(trip, endedAt);
+  const estimatedKm = trip.distance > 0 ? round2(trip.distance) : null;
+
+  const travelled = {
+    distanceKm:          actual.distanceKm,
+    durationMin:         actual.durationMin,
+    pointCount:          actual.pointCount,
+    estimatedDistanceKm: estimatedKm,
+    fareAdjusted:        false,
+    estimatedFare:       baseFare,
+  };
+
+  if (
+    !TRIP_TRAIL_CONFIG.RECALC_TRIP_TYPES.includes(trip.type) ||
+    !estimatedKm || !actual.reliable
+  ) {
+    return { fare: baseFare, travelled };
+  }
+
+  const allowedKm = Math.max(
+    (estimatedKm * TRIP_TRAIL_CONFIG.FARE_TOLERANCE_PCT) / 100,
+    TRIP_TRAIL_CONFIG.FARE_TOLERANCE_KM
+  );
+  if (Math.abs(actual.distanceKm - estimatedKm) <= allowedKm) {
+    return { fare: baseFare, travelled };
+  }
+
+  try {
+    const rate = await resolveTripRate(trip);
+    if (!rate) {
+      console.warn(`⚠️ Trip ${trip._id}: no rate card to re-price on — keeping the booked fare`);
+      return { fare: baseFare, travelled };
+    }
+
+    // Surge and welcome coupon as locked in at booking (trip.fareBreakdown)
+    const booked = trip.fareBreakdown || {};
+    const { total } = calcFare({
+      rate,
+      distanceKm:  actual.distanceKm,
+      durationMin: actual.durationMin || 0,
+      startTime:   trip.rideStartTime,
+      dropTime:    endedAt,
+      stopCount:   trip.stops?.length || 0,
+      zoneSurge:   booked.zoneSurge || 1,
+      weight:      trip.parcelDetails?.weight || 0,
+      applyWelcomeCoupon:    booked.welcomeCouponApplied === true,
+      welcomeFareAdjustment: Number(booked.welcomeFareAdjustment) || 0,
+      welcomeDiscountAmount: Number(booked.welcomeDiscountAmount) || 0,
+    });
+
+    // Booking-time coin discount (floored like createShortTrip) and
+    // carried-over cancellation fees still apply
+    const discounted = trip.discountApplied > 0
+      ? Math.max(MINIMUM_FARE, total - trip.discountApplied)
+      : total;
+    const fare = round2(discounted + (trip.outstandingFeesAdded || 0));
+
+    console.log(
+      `🛰️ Trip ${trip._id} re-priced: ${estimatedKm} km → ${actual.distanceKm} km | ₹${baseFare} → ₹${fare}`
+    );
+    return { fare, travelled: { ...travelled, fareAdjusted: true } };
+  } catch (err) {
+    // Keep the booked fare rather than block completion
+    console.error(`❌ resolveCompletionFare ${trip._id}:`, err.message);
+    return { fare: baseFare, travelled };
+  }
+}
+
+export default {
+  recordTrailPoint,
+  summarizeTrail,
+  resolveTripRate,
+  resolveCompletionFare,
+};
@@ -0,0 +1,121 @@
+/**
+ * waitingChargeService.js — Waiting-time meter at pickup
+ * ───────────────────────────────────────────────────────
+ * Flow:
+ *   1. Driver marks driver_at_pickup → startWaitingMeter snapshots the free
+ *      minutes + per-minute charge from the Rate card onto trip.waiting
+ *   2. Ride starts → closeWaitingMeter freezes billable minutes + charge
+ *   3. Completion adds trip.waiting.charge to finalFare
+ * The live meter shown to the customer is computeWaitingCharge(…, now).
+ */
+
+import Trip from '../models/Trip.js';
+import { resolveTripRate } from './tripTrailService.js';
+import { WAITING_CHARGE_CONFIG } from '../config/tripConfig.js';
+
+/**
+ * Free minutes + ₹/min for a trip: the trip's Rate card (resolveTripRate —
+ * quoted rate, else trip / driver city) → internal fallback per vehicle type.
+ */
+async function resolveWaitingRate(trip) {
+  const fallback =
+    WAITING_CHARGE_CONFIG.FALLBACK[trip.vehicleType] || WAITING_CHARGE_CONFIG.FALLBACK.bike;
+
+  const rate = await resolveTripRate(trip);
+
+  return {
+    freeMinutes:  rate?.freeWaitingMin      ?? fallback.freeWaitingMin,
+    perMinCharge: rate?.waitingChargePerMin ?? fallback.waitingChargePerMin,
+  };
+}
+
+/**
+ * Meter reading at `until`. Charged per started minute beyond the free window.
+ */
+export function computeWaitingCharge(waiting, until = new Date()) {
+  if (!waiting?.startedAt) {
+    return { waitedSec: 0, freeSecLeft: 0, billableMinutes: 0, charge: 0 };
+  }
+
+  const end       = waiting.endedAt ? new Date(waiting.endedAt) : new Date(until);
+  const waitedSec = Math.max(0, Math.floor((end - new Date(waiting.startedAt)) / 1000));
+  const freeSec   = (waiting.freeMinutes || 0) * 60;
+
+  const billableMinutes = Math.ceil(Math.max(0, waitedSec - freeSec) / 60);
+  const charge          = Math.round(billableMinutes * (waiting.perMinCharge || 0) * 100) / 100;
+
+  return {
+    waitedSec,
+    freeSecLeft: Math.max(0, freeSec - waitedSec),
+    billableMinutes,
+    charge,
+  };
+}
+
+/**
+ * Start the meter on arrival. Idempotent — a repeated arrival event keeps
+ * the original start time. Returns the trip's waiting block.
+ */
+export async function startWaitingMeter(trip, now = new Date()) {
+  if (trip.waiting?.startedAt) return trip.waiting;
+
+  const { freeMinutes, perMinCharge } = await resolveWaitingRate(trip);
+
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, 'waiting.startedAt': null },
+    {
+      $set: {
+        'waiting.startedAt':    now,
+        'waiting.endedAt':      null,
+        'waiting.freeMinutes':  freeMinutes,
+        'waiting.perMinCharge': perMinCharge,
+      },
+    },
+    { new: true }
+  ).select('waiting').lean();
+
+  if (!updated) {
+    const current = await Trip.findById(trip._id).select('waiting').lean();
+    return current?.waiting || null;
+  }
+
+  console.log(`⏱️ Waiting meter started for trip ${trip._id}: ${freeMinutes} min free, ₹${perMinCharge}/min after`);
+  return updated.waiting;
+}
+
+/**
+ * Final waiting fields for a ride that is starting now — callers $set these
+ * alongside status: 'ride_started'. Empty object when the meter never ran.
+ */
+export function closeWaitingMeter(waiting, now = new Date()) {
+  if (!waiting?.startedAt || waiting.endedAt) return {};
+
+  const { billableMinutes, charge } = computeWaitingCharge({ ...waiting, endedAt: now });
+  return {
+    'waiting.endedAt':         now,
+    'waiting.billableMinutes': billableMinutes,
+    'waiting.charge':          charge,
+  };
+}
+
+/**
+ * Socket payload for the customer / driver meter.
+ */
+export function buildWaitingMeterPayload(trip, now = new Date()) {
+  const reading = computeWaitingCharge(trip.waiting, now);
+  return {
+    tripId:       trip._id.toString(),
+    startedAt:    trip.waiting?.startedAt || null,
+    freeMinutes:  trip.waiting?.freeMinutes  || 0,
+    perMinCharge: trip.waiting?.perMinCharge || 0,
+    ...reading,
+    timestamp:    now.toISOString(),
+  };
+}
+
+export default {
+  computeWaitingCharge,
+  startWaitingMeter,
+  closeWaitingMeter,
+  buildWaitingMeterPayload,
+};
@@ -3,7 +3,6 @@
 
 import User from '../models/User.js';
 import Trip from '../models/Trip.js';
-import Wallet from '../models/Wallet.js';
 import mongoose from 'mongoose';
 import ChatMessageModel from '../models/ChatMessage.js';
 import CoinTransaction from '../models/CoinTransaction.js';
@@ -13,6 +12,9 @@ import { sendToDriver } from '../utils/fcmSender.js';
 import { promoteNextStandby, reassignStandbyDriver } from '../controllers/standbyController.js';
 import { broadcastToDrivers } from '../utils/tripBroadcaster.js';
 import { initSupportSockets } from './supportSocketHandler.js';
+import { socketAuth, authorizeSocketEvents } from '../middlewares/socketMiddleware.js';
+import { createPresenceMap } from '../realtime/presence.js';
+import { acquireLock, releaseLock, runOncePerCluster } from '../realtime/index.js';
 import {
   stopProgressiveBroadcast,
   notifyOnlineDriverForProgressiveBroadcast,
@@ -22,18 +24,33 @@ import {
   createShortTrip,
   createParcelTrip,
   createLongTrip,
+  settleWithCustomerWallet,
 } from '../controllers/tripController.js';
 import { emitTripError } from '../utils/errorEmitter.js';
+import { formatTripStops } from '../utils/tripStops.js';
+import { getParcelCompletionBlocker } from '../services/parcelService.js';
+import {
+  startWaitingMeter,
+  closeWaitingMeter,
+  buildWaitingMeterPayload,
+} from '../services/waitingChargeService.js';
+import { WAITING_CHARGE_CONFIG, TRIP_ACCEPT_LOCK_TTL_MS } from '../config/tripConfig.js';
+import { canTransition, sourcesFor, recordTripEvent } from '../services/tripEventService.js';
+import { recordTrailPoint, resolveCompletionFare } from '../services/tripTrailService.js';
+import { recordSafetyResponse } from '../services/safetyMonitorService.js';
+import { autoShareNightRide } from '../services/tripShareService.js';
+import { openMaskingSession, maskedContact } from '../services/callMaskingService.js';
+import { syncCommissionDebt } from '../services/commissionDebtService.js';
 
 const TRIP_TIMEOUT_MS = 60000;
-const PENDING_COMMISSION_BLOCK_LIMIT = 50;
 
 const ChatMessage = mongoose.models.ChatMessage || ChatMessageModel;
 
 let io;
 
-const connectedDrivers = new Map();
-const connectedCustomers = new Map();
+// Shared across instances (realtime/presence.js); every call is async
+const connectedDrivers = createPresenceMap('driver');
+const connectedCustomers = createPresenceMap('customer');
 
 const DISTANCE_LIMITS = {
   short: 5000,
@@ -99,12 +116,16 @@ const normalizePhone = (phone) => {
   return String(phone).replace(/[^0-9]/g, "");
 };
 
+// pickup / drop are either points or a saved/recent place id (pickupPlaceId / dropPlaceId)
+const isPoint = (point) =>
+  !!point?.coordinates && Array.isArray(point.coordinates) && point.coordinates.length === 2;
+
 const validateTripPayload = (payload) => {
   if (!payload || typeof payload !== 'object') return false;
-  const { type, customerId, pickup, drop } = payload;
-  if (!type || !customerId || !pickup || !drop) return false;
-  if (!pickup.coordinates || !Array.isArray(pickup.coordinates) || pickup.coordinates.length !== 2) return false;
-  if (!drop.coordinates || !Array.isArray(drop.coordinates) || drop.coordinates.length !== 2) return false;
+  const { type, customerId, pickup, drop, pickupPlaceId, dropPlaceId } = payload;
+  if (!type || !customerId) return false;
+  if (!pickupPlaceId && !isPoint(pickup)) return false;
+  if (!dropPlaceId && !isPoint(drop)) return false;
   return true;
 };
 
@@ -234,7 +255,7 @@ async function sendActiveTripToDriver(socket, driverId) {
       customer: customer ? {
         id: customer._id.toString(),
         name: customer.name,
-        phone: customer.phone,
+        ...maskedContact(customer.phone, trip.callMasking),
         photoUrl: customer.photoUrl,
         rating: customer.rating
       } : null,
@@ -302,12 +323,18 @@ export const emitToUser = (io, phone, event, data) => {
 export const initSocket = (ioInstance) => {
   io = ioInstance;
 
+  // Every socket is bound to one verified user/role before 'connection' fires
+  io.use(socketAuth);
+
   io.on('connection', async (socket) => {
-    console.log(`🟢 New connection: ${socket.id}`);
+    const auth = socket.data.auth;
+    console.log(`🟢 New connection: ${socket.id} (${auth.role} ${auth.userId || auth.email})`);
 
-    // Check for admin connection
-    const isAdmin = socket.handshake.query?.role === 'admin' ||
-      socket.handshake.auth?.role === 'admin';
+    // Role + driverId/customerId checks for every incoming event
+    socket.use(authorizeSocketEvents(socket));
+
+    // Admin room membership comes from the verified admin JWT only
+    const isAdmin = auth.role === 'admin';
 
     if (isAdmin) {
       console.log('👨‍💼 ADMIN CONNECTED:', socket.id);
@@ -320,8 +347,13 @@ export const initSocket = (ioInstance) => {
       });
     }
 
-    // Check if this is a driver reconnecting with driverId in query
-    const queryDriverId = socket.handshake.query?.driverId || socket.handshake.auth?.driverId;
+    // Check if this is a driver reconnecting with driverId in query —
+    // honoured only when it is the authenticated driver's own id
+    const handshakeDriverId = socket.handshake.query?.driverId || socket.handshake.auth?.driverId;
+    const queryDriverId =
+      auth.role === 'driver' && handshakeDriverId && String(handshakeDriverId) === auth.userId
+        ? auth.userId
+        : null;
     
     if (queryDriverId) {
       console.log(`🔄 Driver ${queryDriverId} connecting with ID in handshake`);
@@ -339,7 +371,7 @@ export const initSocket = (ioInstance) => {
         $unset: { lastDisconnectedAt: "" }
       });
       
-      connectedDrivers.set(socket.id, queryDriverId);
+      await connectedDrivers.set(socket.id, queryDriverId);
       
       // Join user room for session management
       if (driver?.phone) {
@@ -662,19 +694,16 @@ export const initSocket = (ioInstance) => {
         const userIdStr = user._id.toString();
 
         let effectiveOnline = !!isOnline;
-        let pendingAmount = 0;
+        let commissionDebt = null;
 
         if (effectiveOnline) {
-          const wallet = await Wallet.findOne({ driverId: user._id })
-            .sort({ updatedAt: -1, lastUpdated: -1, createdAt: -1 })
-            .select('pendingAmount')
-            .lean();
-          pendingAmount = Number(wallet?.pendingAmount || 0);
+          // Also refreshes User.commissionBlocked, which dispatch filters on
+          commissionDebt = await syncCommissionDebt(user._id, { io });
 
-          if (pendingAmount >= PENDING_COMMISSION_BLOCK_LIMIT) {
+          if (commissionDebt?.blocked) {
             effectiveOnline = false;
             console.log(
-              `🚫 Driver ${userIdStr} blocked from ONLINE due to pending commission ₹${pendingAmount} (limit ₹${PENDING_COMMISSION_BLOCK_LIMIT})`,
+              `🚫 Driver ${userIdStr} blocked from ONLINE due to pending commission ₹${commissionDebt.pendingAmount} (limit ₹${commissionDebt.limit})`,
             );
           }
         }
@@ -724,13 +753,7 @@ export const initSocket = (ioInstance) => {
           $unset: { lastDisconnectedAt: "" }
         }, { new: true });
 
-        for (const [existingSocketId, existingDriverId] of connectedDrivers.entries()) {
-          if (existingDriverId === userIdStr && existingSocketId !== socket.id) {
-            connectedDrivers.delete(existingSocketId);
-          }
-        }
-
-        connectedDrivers.set(socket.id, userIdStr);
+        await connectedDrivers.replaceUserSockets(userIdStr, socket.id);
 
         // 🔥 ROLE-BASED SESSION CONTROL: Update driver role session
         const updatedUser = await User.findById(userIdStr);
@@ -783,9 +806,11 @@ export const initSocket = (ioInstance) => {
           socketId: socket.id,
           driverId: userIdStr,
           role: 'driver',
-          pendingAmount,
-          pendingCommissionLimit: PENDING_COMMISSION_BLOCK_LIMIT,
-          blockedByPendingCommission: !!isOnline && !effectiveOnline,
+          pendingAmount: commissionDebt?.pendingAmount ?? 0,
+          pendingCommissionLimit: commissionDebt?.limit ?? null,
+          blockedByPendingCommission: !!commissionDebt?.blocked,
+          amountToUnblock: commissionDebt?.amountToUnblock ?? 0,
+          commissionDebt,
         });
 
         console.log(`📶 Driver ${userIdStr} is now ${effectiveOnline ? 'ONLINE ✅' : 'OFFLINE 🔴'}`);
@@ -818,7 +843,7 @@ export const initSocket = (ioInstance) => {
           $unset: { lastDisconnectedAt: "" }
         });
 
-        connectedDrivers.set(socket.id, driverId.toString());
+        await connectedDrivers.set(socket.id, driverId.toString());
 
         if (driver.phone) {
           socket.join(`user:${driver.phone}`);
@@ -865,12 +890,14 @@ export const initSocket = (ioInstance) => {
                 lng: trip.drop.coordinates[0],
                 address: trip.drop.address
               },
+              stops: formatTripStops(trip),
+              currentStopIndex: trip.currentStopIndex ?? 0,
               fare: trip.fare
             },
             customer: customer ? {
               id: customer._id.toString(),
               name: customer.name,
-              phone: customer.phone,
+              ...maskedContact(customer.phone, trip.callMasking),
               photoUrl: customer.photoUrl,
               rating: customer.rating
             } : null,
@@ -936,13 +963,6 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
-        // 🔥 ROLE-BASED SESSION CONTROL: Track per role
-        for (const [existingSocketId, existingCustomerId] of connectedCustomers.entries()) {
-          if (existingCustomerId === user._id.toString()) {
-            connectedCustomers.delete(existingSocketId);
-          }
-        }
-
         // 🔥 Update ONLY customer role session in DB
         if (!user.sessionsByRole) {
           user.sessionsByRole = {
@@ -955,7 +975,8 @@ export const initSocket = (ioInstance) => {
         
         await user.save();
 
-        connectedCustomers.set(socket.id, user._id.toString());
+        // 🔥 ROLE-BASED SESSION CONTROL: one tracked customer socket per user
+        await connectedCustomers.replaceUserSockets(user._id, socket.id);
 
         // Join user room for session management
         if (user.phone) {
@@ -1014,7 +1035,7 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
-        const req = { body: payload };
+        const req = { body: payload, viaSocket: true };
         const res = {
           status: (code) => ({
             json: (data) => {
@@ -1042,6 +1063,7 @@ export const initSocket = (ioInstance) => {
     // DRIVER ACCEPT TRIP
     // =========================================================================
     socket.on('driver:accept_trip', async ({ tripId, driverId }) => {
+      let acceptLock = null;
       try {
         console.log('');
         console.log('='.repeat(60));
@@ -1056,6 +1078,16 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
+        // Serialises accepts for this trip across instances (REST acceptTrip takes the same lock)
+        acceptLock = await acquireLock(`trip-accept:${tripId}`, TRIP_ACCEPT_LOCK_TTL_MS);
+        if (!acceptLock) {
+          socket.emit('trip:accept_failed', {
+            message: 'Trip is being accepted by another driver',
+            reason: 'trip_unavailable'
+          });
+          return;
+        }
+
         const existingTrip = await Trip.findById(tripId)
           .select('version status cancelledAt cancelledBy')
           .lean();
@@ -1105,7 +1137,8 @@ export const initSocket = (ioInstance) => {
               currentTripId: tripId,
               canReceiveNewRequests: false,
               lastTripAcceptedAt: new Date()
-            }
+            },
+            $inc: { 'dispatchStats.accepted': 1 }
           },
           {
             new: true,
@@ -1243,15 +1276,15 @@ export const initSocket = (ioInstance) => {
 
         await Trip.findByIdAndUpdate(tripId, { $set: { otp: rideCode } });
 
+        // 📞 Proxy session before any payload goes out — real numbers never do
+        const callMasking = await openMaskingSession(trip, {
+          customerPhone: customer.phone,
+          driverPhone:   driver.phone,
+        });
+
         let customerSocketId = customer.socketId;
         if (!customerSocketId) {
-          const customerIdStr = trip.customerId.toString();
-          for (const [socketId, custId] of connectedCustomers.entries()) {
-            if (custId === customerIdStr) {
-              customerSocketId = socketId;
-              break;
-            }
-          }
+          customerSocketId = await connectedCustomers.findSocket(trip.customerId);
         }
 
         if (customerSocketId) {
@@ -1269,12 +1302,13 @@ export const initSocket = (ioInstance) => {
                 lng: trip.drop.coordinates[0],
                 address: trip.drop.address || "Drop Location",
               },
+              stops: formatTripStops(trip),
               fare: trip.fare || 0
             },
             driver: {
               id: driver._id.toString(),
               name: driver.name || 'Driver',
-              phone: driver.phone || null,
+              ...maskedContact(driver.phone, callMasking),
               photoUrl: driver.photoUrl || null,
               rating: driver.rating || 4.8,
               vehicleBrand: driver.vehicleBrand || 'Vehicle',
@@ -1287,6 +1321,9 @@ export const initSocket = (ioInstance) => {
           });
         }
 
+        // 🔗 Night ride → share with trusted contacts (never throws, don't hold up the driver)
+        autoShareNightRide(io, trip);
+
         socket.emit('trip:confirmed_for_driver', {
           tripId: tripId.toString(),
           rideCode,
@@ -1301,12 +1338,13 @@ export const initSocket = (ioInstance) => {
               lng: trip.drop.coordinates[0],
               address: trip.drop.address || "Drop Location",
             },
+            stops: formatTripStops(trip),
             fare: trip.fare || 0
           },
           customer: {
             id: customer._id.toString(),
             name: customer.name || 'Customer',
-            phone: customer.phone || null,
+            ...maskedContact(customer.phone, callMasking),
             photoUrl: customer.photoUrl || null,
             rating: customer.rating || 5.0,
           }
@@ -1329,6 +1367,11 @@ export const initSocket = (ioInstance) => {
           }
         });
 
+        await recordTripEvent({
+          tripId, from: 'requested', to: 'driver_assigned',
+          actor: { id: driverId, role: 'driver' }, source: 'socket',
+        });
+
         console.log(`✅ SUCCESS: Trip accepted by ${driver.name}`);
         console.log('='.repeat(60));
 
@@ -1341,11 +1384,21 @@ export const initSocket = (ioInstance) => {
               $set: { isBusy: false, currentTripId: null, canReceiveNewRequests: true }
             });
           }
-          if (tripId) {
-            await Trip.findByIdAndUpdate(tripId, {
-              $unset: { assignedDriver: 1, otp: 1 },
-              $set: { status: 'requested', acceptedAt: null }
-            });
+          if (tripId && driverId) {
+            const reverted = await Trip.findOneAndUpdate(
+              { _id: tripId, assignedDriver: driverId, status: 'driver_assigned' },
+              {
+                $unset: { assignedDriver: 1, otp: 1 },
+                $set: { status: 'requested', acceptedAt: null }
+              }
+            );
+            if (reverted) {
+              await recordTripEvent({
+                tripId, from: 'driver_assigned', to: 'requested',
+                actor: { id: driverId, role: 'driver' }, source: 'socket',
+                metadata: { reason: 'accept_rollback', error: e.message },
+              });
+            }
           }
         } catch (rollbackError) {
           console.error('❌ Rollback failed:', rollbackError);
@@ -1355,6 +1408,8 @@ export const initSocket = (ioInstance) => {
           message: 'Failed to accept trip. Please try again.',
           reason: 'server_error'
         });
+      } finally {
+        await releaseLock(`trip-accept:${tripId}`, acceptLock);
       }
     });
 
@@ -1416,6 +1471,12 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
+        await recordTripEvent({
+          tripId, from: 'requested', to: 'cancelled',
+          actor: { id: customerId, role: 'customer' }, source: 'socket',
+          metadata: { reason: trip.cancellationReason },
+        });
+
         stopProgressiveBroadcast(tripId);
 
         const onlineDrivers = await User.find({
@@ -1459,28 +1520,41 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
-        if (trip.status !== 'driver_assigned' && trip.status !== 'driver_at_pickup') {
+        if (!canTransition(trip.status, 'ride_started')) {
           socket.emit('trip:start_error', { message: `Cannot start ride. Status is: ${trip.status}` });
           return;
         }
 
-        await Trip.findByIdAndUpdate(tripId, { 
-          $set: { status: 'ride_started', rideStartTime: new Date() },
-          $inc: { version: 1 }
-        });
+        // ⏱️ Freeze the waiting meter with the ride start
+        const startedAt = new Date();
+        const waitingClose = closeWaitingMeter(trip.waiting, startedAt);
+        const waitingCharge = waitingClose['waiting.charge'] || 0;
 
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
+        const started = await Trip.findOneAndUpdate(
+          { _id: tripId, status: trip.status },
+          {
+            $set: { status: 'ride_started', rideStartTime: startedAt, ...waitingClose },
+            $inc: { version: 1 }
           }
+        );
+        if (!started) {
+          socket.emit('trip:start_error', { message: 'Trip status changed. Please refresh.' });
+          return;
         }
 
+        await recordTripEvent({
+          tripId, from: trip.status, to: 'ride_started',
+          actor: { id: driverId || trip.assignedDriver, role: 'driver' }, source: 'socket',
+          metadata: { waitingCharge },
+        });
+
+        const customerIdStr = trip.customerId.toString();
+        const customerSocketId = await connectedCustomers.findSocket(customerIdStr);
+
         const rideStartedPayload = {
           tripId: tripId.toString(),
           message: 'Ride has started',
+          waitingCharge,
           timestamp: new Date().toISOString()
         };
 
@@ -1491,6 +1565,7 @@ export const initSocket = (ioInstance) => {
         socket.emit('trip:ride_started', { 
           tripId: tripId.toString(), 
           message: 'Ride started successfully', 
+          waitingCharge,
           timestamp: new Date().toISOString() 
         });
 
@@ -1520,19 +1595,42 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
-        const fare = trip.fare || trip.estimatedFare || 100;
+        const parcelBlocker = await getParcelCompletionBlocker(trip);
+        if (parcelBlocker) {
+          socket.emit('trip:complete_error', { message: parcelBlocker });
+          return;
+        }
+
+        // 🛰️ Re-priced on the driven distance when it strays from the estimate
+        const rideEndTime = new Date();
+        const { fare: tripFare, travelled } = await resolveCompletionFare(trip, {
+          baseFare: trip.fare || trip.estimatedFare || 100,
+          endedAt: rideEndTime,
+        });
+
+        // ⏱️ Waiting at pickup was frozen when the ride started
+        const waitingCharge = trip.waiting?.charge || 0;
+        const fare = tripFare + waitingCharge;
 
         await Trip.findByIdAndUpdate(tripId, {
           $set: {
             status: 'awaiting_payment',
             rideStatus: 'awaiting_payment',
-            rideEndTime: new Date(),
+            rideEndTime,
             finalFare: fare,
+            ...(travelled.fareAdjusted && { fare: tripFare }),
+            travelled,
             paymentCollected: false
           },
           $inc: { version: 1 }
         });
 
+        await recordTripEvent({
+          tripId, from: 'ride_started', to: 'awaiting_payment',
+          actor: { id: driverId, role: 'driver' }, source: 'socket',
+          metadata: { finalFare: fare, waitingCharge, travelled },
+        });
+
         await User.findByIdAndUpdate(driverId, {
           $set: {
             currentTripId: tripId,
@@ -1543,11 +1641,36 @@ export const initSocket = (ioInstance) => {
           }
         });
 
+        // 👛 Wallet trips settle now — trip:cash_collected reaches the customer
+        const walletSettlement = trip.payment?.method === 'Wallet'
+          ? await settleWithCustomerWallet(tripId, io, 'socket')
+          : null;
+        if (walletSettlement?.settled) {
+          socket.emit('trip:completed', {
+            tripId: tripId.toString(),
+            fare,
+            waitingCharge,
+            estimatedDistanceKm: travelled.estimatedDistanceKm,
+            actualDistanceKm: travelled.distanceKm,
+            fareAdjusted: travelled.fareAdjusted,
+            message: 'Ride completed. ₹' + fare.toFixed(2) + ' paid from customer wallet.',
+            paymentMethod: 'wallet',
+            awaitingCashCollection: false,
+            timestamp: new Date().toISOString()
+          });
+          console.log(`✅ Ride ${tripId} completed, paid from customer wallet`);
+          return;
+        }
+
         // ✅ Only notify the DRIVER to show the "Collect Cash" screen.
         // Customer stays on the en-route page until trip:cash_collected fires.
         socket.emit('trip:completed', {
           tripId: tripId.toString(),
           fare,
+          waitingCharge,
+          estimatedDistanceKm: travelled.estimatedDistanceKm,
+          actualDistanceKm: travelled.distanceKm,
+          fareAdjusted: travelled.fareAdjusted,
           message: 'Ride completed. Please collect ₹' + fare.toFixed(2) + ' from customer.',
           awaitingCashCollection: true,
           timestamp: new Date().toISOString()
@@ -1565,20 +1688,26 @@ export const initSocket = (ioInstance) => {
     // =========================================================================
     socket.on('driver:going_to_pickup', async ({ tripId, driverId }) => {
       try {
-        await Trip.findByIdAndUpdate(tripId, { 
-          $set: { status: 'driver_going_to_pickup' },
-          $inc: { version: 1 }
+        const previous = await Trip.findOneAndUpdate(
+          { _id: tripId, status: { $in: sourcesFor('driver_going_to_pickup') } },
+          { 
+            $set: { status: 'driver_going_to_pickup' },
+            $inc: { version: 1 }
+          }
+        ).select('status').lean();
+        if (!previous) {
+          socket.emit('trip:status_updated', { success: false, message: 'Trip is not awaiting pickup' });
+          return;
+        }
+
+        await recordTripEvent({
+          tripId, from: previous.status, to: 'driver_going_to_pickup',
+          actor: { id: driverId, role: 'driver' }, source: 'socket',
         });
 
         const trip = await Trip.findById(tripId).lean();
         const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        const customerSocketId = await connectedCustomers.findSocket(customerIdStr);
         if (customerSocketId) {
           io.to(customerSocketId).emit('trip:driver_going_to_pickup', { 
             tripId: tripId.toString(), 
@@ -1596,36 +1725,146 @@ export const initSocket = (ioInstance) => {
     // =========================================================================
     socket.on('trip:arrived_at_pickup', async ({ tripId, driverId }) => {
       try {
-        await Trip.findByIdAndUpdate(tripId, { 
-          $set: { status: 'driver_at_pickup' },
-          $inc: { version: 1 }
+        const previous = await Trip.findOneAndUpdate(
+          { _id: tripId, status: { $in: sourcesFor('driver_at_pickup') } },
+          { 
+            $set: { status: 'driver_at_pickup' },
+            $inc: { version: 1 }
+          }
+        ).select('status').lean();
+        if (!previous) {
+          socket.emit('trip:status_updated', { success: false, message: 'Trip is not heading to pickup' });
+          return;
+        }
+
+        await recordTripEvent({
+          tripId, from: previous.status, to: 'driver_at_pickup',
+          actor: { id: driverId, role: 'driver' }, source: 'socket',
         });
 
         const trip = await Trip.findById(tripId).lean();
+        const waiting = await startWaitingMeter(trip);
+        const waitingMeter = buildWaitingMeterPayload({ _id: trip._id, waiting });
         const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        const customerSocketId = await connectedCustomers.findSocket(customerIdStr);
         if (customerSocketId) {
           io.to(customerSocketId).emit('trip:driver_arrived', { 
             tripId: tripId.toString(), 
-            message: 'Driver has arrived at pickup location' 
+            message: 'Driver has arrived at pickup location',
+            waiting: waitingMeter
           });
         }
-        socket.emit('trip:status_updated', { success: true });
+        socket.emit('trip:status_updated', { success: true, waiting: waitingMeter });
       } catch (e) {
         console.error('❌ trip:arrived_at_pickup error:', e);
       }
     });
 
+    // =========================================================================
+    // MULTI-STOP: DRIVER ARRIVED AT / DEPARTED STOP N
+    // Stops must be visited in order. Each transition is a conditional update
+    // on currentStopIndex + the stop's timestamps, so retries are idempotent.
+    // =========================================================================
+    socket.on('driver:arrived_at_stop', async ({ tripId, driverId, stopIndex }) => {
+      try {
+        const index = Number(stopIndex);
+        if (!tripId || !driverId || !Number.isInteger(index) || index < 0) {
+          return socket.emit('trip:stop_error', { tripId, message: 'tripId, driverId and stopIndex required' });
+        }
+
+        const now = new Date();
+        const trip = await Trip.findOneAndUpdate(
+          {
+            _id: tripId,
+            assignedDriver: driverId,
+            status: 'ride_started',
+            currentStopIndex: index,
+            [`stops.${index}`]: { $exists: true },
+            [`stops.${index}.arrivedAt`]: null,
+          },
+          { $set: { [`stops.${index}.arrivedAt`]: now }, $inc: { version: 1 } },
+          { new: true }
+        ).lean();
+
+        if (!trip) {
+          return socket.emit('trip:stop_error', {
+            tripId,
+            stopIndex: index,
+            message: 'Stop cannot be marked as arrived (wrong order, already arrived, or ride not started)',
+          });
+        }
+
+        const stops = formatTripStops(trip);
+        io.to(`customer_${trip.customerId.toString()}`).emit('trip:stop_arrived', {
+          tripId: tripId.toString(),
+          stopIndex: index,
+          stop: stops[index],
+          message: `Driver has arrived at stop ${index + 1}`,
+          timestamp: now.toISOString(),
+        });
+        socket.emit('trip:stop_updated', { success: true, tripId: tripId.toString(), stopIndex: index, stops });
+        console.log(`🛑 Trip ${tripId}: driver arrived at stop ${index + 1}/${stops.length}`);
+      } catch (e) {
+        console.error('❌ driver:arrived_at_stop error:', e);
+        socket.emit('trip:stop_error', { tripId, message: e.message });
+      }
+    });
+
+    socket.on('driver:departed_stop', async ({ tripId, driverId, stopIndex }) => {
+      try {
+        const index = Number(stopIndex);
+        if (!tripId || !driverId || !Number.isInteger(index) || index < 0) {
+          return socket.emit('trip:stop_error', { tripId, message: 'tripId, driverId and stopIndex required' });
+        }
+
+        const now = new Date();
+        const trip = await Trip.findOneAndUpdate(
+          {
+            _id: tripId,
+            assignedDriver: driverId,
+            status: 'ride_started',
+            currentStopIndex: index,
+            [`stops.${index}.arrivedAt`]: { $ne: null },
+            [`stops.${index}.departedAt`]: null,
+          },
+          {
+            $set: { [`stops.${index}.departedAt`]: now },
+            $inc: { currentStopIndex: 1, version: 1 },
+          },
+          { new: true }
+        ).lean();
+
+        if (!trip) {
+          return socket.emit('trip:stop_error', {
+            tripId,
+            stopIndex: index,
+            message: 'Stop cannot be marked as departed (not arrived yet or already departed)',
+          });
+        }
+
+        const stops = formatTripStops(trip);
+        const nextStop = stops[trip.currentStopIndex] || null;
+        io.to(`customer_${trip.customerId.toString()}`).emit('trip:stop_departed', {
+          tripId: tripId.toString(),
+          stopIndex: index,
+          stop: stops[index],
+          nextStop,
+          headingToDrop: !nextStop,
+          message: `Driver has left stop ${index + 1}`,
+          timestamp: now.toISOString(),
+        });
+        socket.emit('trip:stop_updated', { success: true, tripId: tripId.toString(), stopIndex: index, stops });
+        console.log(`🛑 Trip ${tripId}: driver departed stop ${index + 1}/${stops.length}`);
+      } catch (e) {
+        console.error('❌ driver:departed_stop error:', e);
+        socket.emit('trip:stop_error', { tripId, message: e.message });
+      }
+    });
+
     // =========================================================================
     // DRIVER LOCATION UPDATE
     // =========================================================================
-    socket.on('driver:location', async ({ tripId, driverId, latitude, longitude, sequence, timestamp }) => {
+    socket.on('driver:location', async ({ tripId, driverId, latitude, longitude, sequence, timestamp, accuracy }) => {
       try {
         if (!tripId || !driverId || !latitude || !longitude) return;
 
@@ -1646,6 +1885,10 @@ export const initSocket = (ioInstance) => {
         const trip = await Trip.findById(tripId).lean();
         if (!trip) return;
 
+        if (trip.status === 'ride_started' && trip.assignedDriver?.toString() === String(driverId)) {
+          await recordTrailPoint(trip, { driverId, latitude, longitude, sequence, timestamp, accuracy });
+        }
+
         const dropLat = trip.drop.coordinates[1];
         const dropLng = trip.drop.coordinates[0];
         const distance = calculateDistance(latitude, longitude, dropLat, dropLng);
@@ -1656,13 +1899,7 @@ export const initSocket = (ioInstance) => {
         }
 
         const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        let customerSocketId = await connectedCustomers.findSocket(customerIdStr);
 
         if (!customerSocketId) {
           const customer = await User.findById(customerIdStr).select('socketId').lean();
@@ -1762,6 +1999,26 @@ export const initSocket = (ioInstance) => {
       }
     });
 
+    // =========================================================================
+    // CUSTOMER SAFETY RESPONSE — answer to the safety monitor's trip:safety_check
+    // =========================================================================
+    socket.on('customer:safety_response', async ({ tripId, customerId, safe } = {}, ack) => {
+      try {
+        const result = typeof safe === 'boolean'
+          ? await recordSafetyResponse(io, {
+              tripId,
+              customerId: socket.data.auth?.userId || customerId,
+              safe,
+            })
+          : { success: false, message: 'safe (boolean) is required' };
+        if (typeof ack === 'function') ack(result);
+        else socket.emit('trip:safety_response_ack', { tripId, ...result });
+      } catch (e) {
+        console.error('❌ customer:safety_response error:', e);
+        if (typeof ack === 'function') ack({ success: false, message: e.message });
+      }
+    });
+
     // =========================================================================
     // CHAT HANDLERS
     // =========================================================================
@@ -1795,6 +2052,15 @@ export const initSocket = (ioInstance) => {
           return;
         }
 
+        // Messages only go to the other party of the trip
+        const chatTrip = await Trip.findById(tripId).select('customerId assignedDriver').lean();
+        const parties = [chatTrip?.customerId, chatTrip?.assignedDriver].map((id) => id?.toString());
+        const counterpart = parties[0] === String(fromId) ? parties[1] : parties[0];
+        if (!counterpart || String(toId) !== counterpart) {
+          socket.emit('chat:error', { error: 'Recipient is not on this trip' });
+          return;
+        }
+
         try {
           const chatMessage = new ChatMessage({
             tripId, senderId: fromId, receiverId: toId, message,
@@ -1813,15 +2079,8 @@ export const initSocket = (ioInstance) => {
         socket.to(`chat_${tripId}`).emit('chat:receive_message', messageData);
         socket.emit('chat:message_sent', { success: true, timestamp: messageData.timestamp });
 
-        let recipientSocketId = null;
-        for (const [socketId, userId] of connectedCustomers.entries()) {
-          if (userId === toId) { recipientSocketId = socketId; break; }
-        }
-        if (!recipientSocketId) {
-          for (const [socketId, userId] of connectedDrivers.entries()) {
-            if (userId === toId) { recipientSocketId = socketId; break; }
-          }
-        }
+        const recipientSocketId =
+          (await connectedCustomers.findSocket(toId)) || (await connectedDrivers.findSocket(toId));
         if (recipientSocketId) {
           io.to(recipientSocketId).emit('chat:receive_message', messageData);
         }
@@ -1884,7 +2143,7 @@ export const initSocket = (ioInstance) => {
           $set: { isOnline: false, socketId: null, canReceiveNewRequests: false } 
         });
         
-        connectedDrivers.delete(socket.id);
+        await connectedDrivers.delete(socket.id);
         console.log(`🔴 Driver ${driverId} went offline (explicit request)`);
         
         socket.emit('driver:offline_success', { success: true });
@@ -1912,6 +2171,7 @@ export const initSocket = (ioInstance) => {
           vehicleType: vehicleType,
           isOnline: true,
           isBusy: { $ne: true },
+          commissionBlocked: { $ne: true },
           $or: [
             { currentTripId: null },
             { currentTripId: { $exists: false } }
@@ -1961,8 +2221,8 @@ export const initSocket = (ioInstance) => {
     // =========================================================================
     socket.on('disconnect', async () => {
       try {
-        const driverId = connectedDrivers.get(socket.id);
-        const customerId = connectedCustomers.get(socket.id);
+        const driverId = await connectedDrivers.delete(socket.id);
+        const customerId = await connectedCustomers.delete(socket.id);
 
         if (driverId) {
           console.log(`⚠️ Driver ${driverId} socket disconnected - STAYING ONLINE`);
@@ -1974,13 +2234,10 @@ export const initSocket = (ioInstance) => {
             }
           });
 
-          connectedDrivers.delete(socket.id);
-          
           console.log(`✅ Driver ${driverId} socket cleared - REMAINS ONLINE for FCM requests`);
         }
 
         if (customerId) {
-          connectedCustomers.delete(socket.id);
           await User.findByIdAndUpdate(customerId, {
             $set: { socketId: null, lastDisconnectedAt: new Date() }
           });
@@ -1996,27 +2253,70 @@ export const initSocket = (ioInstance) => {
   }); // END OF io.on('connection')
 
   // =========================================================================
-  // AUTO-CLEANUP EXPIRED TRIPS
+  // WAITING METER TICKS
+  // Live meter for every trip whose driver is waiting at pickup. The
+  // customer app renders trip:waiting_meter; the driver app gets the same.
+  // One instance per tick emits for the whole cluster (rooms span instances).
+  // =========================================================================
+  const WAITING_TICK_MS = WAITING_CHARGE_CONFIG.TICK_SEC * 1000;
+  setInterval(() => runOncePerCluster('waiting_meter', WAITING_TICK_MS - 1000, async () => {
+    try {
+      const waitingTrips = await Trip.find({
+        status: 'driver_at_pickup',
+        'waiting.startedAt': { $ne: null },
+      }).select('customerId assignedDriver waiting').lean();
+
+      const now = new Date();
+      for (const trip of waitingTrips) {
+        const payload = buildWaitingMeterPayload(trip, now);
+        io.to(`customer_${trip.customerId}`).emit('trip:waiting_meter', payload);
+        if (trip.assignedDriver) {
+          io.to(`driver_${trip.assignedDriver}`).emit('trip:waiting_meter', payload);
+        }
+      }
+    } catch (e) {
+      console.error('❌ Waiting meter tick error:', e);
+    }
+  }), WAITING_TICK_MS);
+
+  // =========================================================================
+  // AUTO-CLEANUP EXPIRED TRIPS (one instance per tick)
   // =========================================================================
-  setInterval(async () => {
+  setInterval(() => runOncePerCluster('trip_timeout', 9000, async () => {
     try {
       const now = new Date();
+      const cutoff = new Date(now.getTime() - TRIP_TIMEOUT_MS);
+      // searchExpiresAt comes from the trip's BroadcastSetting; trips whose
+      // broadcast never started fall back to the fixed cutoff. Scheduled trips
+      // are timed from dispatch, not from booking.
       const expiredTrips = await Trip.find({
         status: 'requested',
-        createdAt: { $lt: new Date(now.getTime() - TRIP_TIMEOUT_MS) }
+        $or: [
+          { searchExpiresAt: { $lt: now } },
+          { searchExpiresAt: null, dispatchedAt: { $lt: cutoff } },
+          { searchExpiresAt: null, dispatchedAt: null, createdAt: { $lt: cutoff } }
+        ]
       });
 
       if (!expiredTrips.length) return;
 
       for (const trip of expiredTrips) {
-        await Trip.findByIdAndUpdate(trip._id, {
+        // Conditional so a trip accepted since the find isn't timed out
+        const timedOut = await Trip.findOneAndUpdate({ _id: trip._id, status: 'requested' }, {
           $set: {
             status: 'timeout',
             timeoutAt: new Date(),
-            timeoutReason: 'No driver accepted within 60 seconds'
+            timeoutReason: 'No driver accepted within the search window'
           },
           $inc: { version: 1 }
         });
+        if (!timedOut) continue;
+
+        await recordTripEvent({
+          tripId: trip._id, from: 'requested', to: 'timeout',
+          actor: { role: 'system', label: 'trip_timeout_sweep' }, source: 'cron',
+          metadata: { searchExpiresAt: trip.searchExpiresAt || null },
+        });
 
         stopProgressiveBroadcast(trip._id.toString());
 
@@ -2047,7 +2347,7 @@ export const initSocket = (ioInstance) => {
     } catch (e) {
       console.error('❌ Cleanup job error:', e);
     }
-  }, 10000);
+  }), 10000);
 
   console.log('⏰ Trip cleanup job started');
   startNotificationRetryJob();
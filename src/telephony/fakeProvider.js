@@ -0,0 +1,56 @@
+/**
+ * fakeProvider.js — Local call-masking provider
+ * ──────────────────────────────────────────────
+ * Same contract as a real telephony provider, nothing leaves the process:
+ * proxy numbers come from a local counter, bridged calls are recorded in
+ * `calls` and always "connect" while the session is open. Sessions live in
+ * memory, so after a restart connectCall reports unknown_session and the
+ * service opens a fresh one — the same recovery a real provider needs.
+ */
+
+import crypto from 'crypto';
+
+export function createFakeProvider({ numberPrefix = '+9199990' } = {}) {
+  const sessions = new Map();   // sessionId → { sessionKey, parties, proxyNumber, expiresAt, closedAt }
+  const calls    = [];          // every connectCall, newest last
+  let nextNumber = 1;
+
+  const liveSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return { error: 'unknown_session' };
+    if (session.closedAt) return { error: 'session_closed' };
+    if (session.expiresAt && new Date(session.expiresAt) <= new Date()) return { error: 'session_expired' };
+    return { session };
+  };
+
+  return {
+    name: 'fake',
+    sessions,
+    calls,
+
+    async createSession({ sessionKey, parties, expiresAt }) {
+      const sessionId   = `fake_${crypto.randomBytes(6).toString('hex')}`;
+      const proxyNumber = `${numberPrefix}${String(nextNumber++).padStart(5, '0')}`;
+      sessions.set(sessionId, { sessionKey, parties, proxyNumber, expiresAt, closedAt: null });
+      return { sessionId, proxyNumber };
+    },
+
+    async closeSession(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.closedAt) return false;
+      session.closedAt = new Date();
+      return true;
+    },
+
+    // Click-to-call: the provider rings `from`, then bridges to `to`
+    async connectCall({ sessionId, from, fromPhone, toPhone }) {
+      const callId = `fakecall_${crypto.randomBytes(6).toString('hex')}`;
+      const { session, error } = liveSession(sessionId);
+      const status = session ? 'connected' : 'failed';
+      calls.push({ callId, sessionId, from, fromPhone, toPhone, status, reason: error || null, at: new Date() });
+      return { callId, status, reason: error || null };
+    },
+  };
+}
+
+export default createFakeProvider;
@@ -0,0 +1,60 @@
+/**
+ * telephony/index.js — Call-masking provider
+ * ───────────────────────────────────────────
+ * Drivers and customers never see each other's numbers; they call through
+ * a per-trip session held by the provider (see services/callMaskingService.js).
+ *
+ * Provider contract (fakeProvider.js):
+ *   name
+ *   createSession({ sessionKey, parties: { customer, driver }, expiresAt })
+ *     → { sessionId, proxyNumber }
+ *   closeSession(sessionId) → boolean
+ *   connectCall({ sessionId, from, fromPhone, toPhone })
+ *     → { callId, status: 'connected' | 'failed', reason }
+ *     reason 'unknown_session' makes the service open a new session and retry.
+ *
+ * CALL_MASKING_PROVIDER picks the provider (default: fake outside
+ * production). Production refuses to mask without a real provider set
+ * explicitly. Real providers register themselves with
+ * registerMaskingProvider(name, factory).
+ */
+
+import { createFakeProvider } from './fakeProvider.js';
+
+const factories = {
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+export function registerMaskingProvider(name, factory) {
+  factories[name] = factory;
+}
+
+export function getMaskingProvider() {
+  if (provider) return provider;
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.CALL_MASKING_PROVIDER || (isProduction ? null : 'fake');
+  if (!name) throw new Error('CALL_MASKING_PROVIDER must be set in production');
+  if (name === 'fake' && isProduction) {
+    throw new Error('The fake call-masking provider cannot run in production — proxy numbers would not ring');
+  }
+
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown CALL_MASKING_PROVIDER "${name}"`);
+
+  provider = factory();
+  return provider;
+}
+
+// Scripts swap in a provider instance directly
+export function setMaskingProvider(instance) {
+  provider = instance;
+}
+
+export default {
+  registerMaskingProvider,
+  getMaskingProvider,
+  setMaskingProvider,
+};
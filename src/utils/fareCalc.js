@@ -2,9 +2,12 @@
  * Go India Fare Calculation v9 (Admin-Controlled Only)
  * ─────────────────────────────────────────────────────
  * ✅ Fare = Admin-controlled via DB rate document
- * ✅ Multipliers: peak, night, manualSurge (from DB only)
+ * ✅ Multipliers: peak, night, manualSurge (from DB) + zoneSurge (demand surge engine, services/surgeService.js)
  * ✅ platformFee = from DB (rate.platformFee) — no tiered hardcoding
  * ✅ Surge applied to minFare too — night/peak multiplier applies even when minFare kicks in
+ * ✅ Multi-stop: flat perStopCharge per intermediate stop (distance already includes the detour)
+ * ✅ category "long" → calcLongFare (outstation engine, see below)
+ * ✅ category "parcel" → calcParcelFare (weight slabs + distance, see below)
  * ❌ No discounts, no competitor logic
  * ❌ Incentive is NOT part of fare (handled separately)
  */
@@ -15,6 +18,15 @@ export function calcFare({
   durationMin = 0,
   startTime = null,
   dropTime = null,
+  stopCount = 0,
+  // Demand surge of the pickup zone (fareController → getPickupSurge)
+  zoneSurge = 1,
+  // Long-trip params (ignored for short)
+  tripDays = 1,
+  returnTrip = false,
+  isSameDay = false,
+  // Parcel params (ignored for short)
+  weight = 0,
   // 🎁 Welcome coupon params (passed from fareController when eligible)
   applyWelcomeCoupon = false,
   welcomeFareAdjustment = 0,
@@ -26,6 +38,12 @@ export function calcFare({
   if (!rate) throw new Error("Rate document missing.");
 
   const category = rate.category;
+  if (category === "long") {
+    return calcLongFare({ rate, distanceKm, durationMin, tripDays, returnTrip, isSameDay });
+  }
+  if (category === "parcel") {
+    return calcParcelFare({ rate, distanceKm, weight });
+  }
   if (category !== "short") throw new Error(`Unsupported category: ${category}`);
 
   const vehicle = rate.vehicleType?.toLowerCase?.() || "bike";
@@ -35,11 +53,11 @@ const roundOff = (num) => Math.ceil(num);
   // 2️⃣ INTERNAL FALLBACK CONFIG (if DB missing values)
   // ─────────────────────────────────────────────────────
   const internal = {
-    bike:    { baseFare: 30, baseFareDistanceKm: 1, perKm: 10, minFare: 55,  platformCommission: 0.10 },
-    auto:    { baseFare: 45, baseFareDistanceKm: 1, perKm: 14, minFare: 70,  platformCommission: 0.10 },
-    car:     { baseFare: 70, baseFareDistanceKm: 1, perKm: 22, minFare: 90,  platformCommission: 0.12 },
-    premium: { baseFare: 80, baseFareDistanceKm: 1, perKm: 24, minFare: 100, platformCommission: 0.12 },
-    xl:      { baseFare: 95, baseFareDistanceKm: 1, perKm: 26, minFare: 120, platformCommission: 0.12 },
+    bike:    { baseFare: 30, baseFareDistanceKm: 1, perKm: 10, minFare: 55,  platformCommission: 0.10, perStopCharge: 10 },
+    auto:    { baseFare: 45, baseFareDistanceKm: 1, perKm: 14, minFare: 70,  platformCommission: 0.10, perStopCharge: 15 },
+    car:     { baseFare: 70, baseFareDistanceKm: 1, perKm: 22, minFare: 90,  platformCommission: 0.12, perStopCharge: 20 },
+    premium: { baseFare: 80, baseFareDistanceKm: 1, perKm: 24, minFare: 100, platformCommission: 0.12, perStopCharge: 25 },
+    xl:      { baseFare: 95, baseFareDistanceKm: 1, perKm: 26, minFare: 120, platformCommission: 0.12, perStopCharge: 25 },
   };
 
   const fallback = internal[vehicle] || internal.bike;
@@ -54,6 +72,7 @@ const roundOff = (num) => Math.ceil(num);
   const minFare            = rate.minFare ?? fallback.minFare;
   const platformCommission = (rate.platformFeePercent ?? (fallback.platformCommission * 100)) / 100;
   const gstPercent         = rate.gstPercent ?? 0;
+  const perStopCharge      = rate.perStopCharge ?? fallback.perStopCharge;
 
   // ─────────────────────────────────────────────────────
   // 4️⃣ PLATFORM FEE — from DB only (rate.platformFee)
@@ -64,12 +83,14 @@ const roundOff = (num) => Math.ceil(num);
   // 5️⃣ BASE FARE CALCULATION
   // ─────────────────────────────────────────────────────
   const chargeableDistance = Math.max(0, distanceKm - baseDistance);
+  const stopCharge         = Math.max(0, stopCount) * perStopCharge;
 
   let baseFareTotal =
     baseFare +
     (chargeableDistance * perKm) +
     platformFee +
-    (durationMin * perMin);
+    (durationMin * perMin) +
+    stopCharge;
 
   // ─────────────────────────────────────────────────────
   // 6️⃣ TIME ANALYSIS (Peak / Night Detection)
@@ -106,6 +127,7 @@ const hour = Number(
   if (peakHour)         surgeMultiplier *= rate.peakMultiplier  || 1;
   if (nightHour)        surgeMultiplier *= rate.nightMultiplier || 1;
   if (rate.manualSurge) surgeMultiplier *= rate.manualSurge;
+  if (zoneSurge > 1)    surgeMultiplier *= zoneSurge;
 
   let finalFare = baseFareTotal * surgeMultiplier;
 
@@ -170,6 +192,9 @@ const hour = Number(
       perKm,
       perMin,
       platformFee,
+      stopCount,
+      perStopCharge,
+      stopCharge,
       baseFareTotal: roundOff(baseFareTotal),
 
       // Time factors
@@ -183,6 +208,7 @@ const hour = Number(
       peakMultiplier:  peakHour  ? (rate.peakMultiplier  || 1) : null,
       nightMultiplier: nightHour ? (rate.nightMultiplier || 1) : null,
       manualSurge:     rate.manualSurge || null,
+      zoneSurge:       zoneSurge > 1 ? zoneSurge : null,
 
       // Final breakdown
       fareAfterMultipliers: roundOff(finalFare),
@@ -203,4 +229,245 @@ const hour = Number(
       welcomeDiscountAmount: welcomeCouponApplied ? appliedDiscountAmount : 0,
     },
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Go India Outstation (Long-Trip) Fare Engine
+ * ─────────────────────────────────────────────────────
+ * Uses the long-category Rate fields only:
+ *   fuelPerKm              → per billable km (both legs on a return trip)
+ *   day1DriverFee          → driver allowance for the first day
+ *   subsequentDayDriverFee → driver allowance for every extra day
+ *   halfDayReturnFee       → same-day return: driver waits & drives back
+ * ✅ tripDays is bumped up when the driving time can't fit (MAX_DRIVE_HOURS_PER_DAY)
+ * ✅ isSameDay trips must finish within one day
+ * ✅ gstPercent / platformFeePercent from DB when present (same as short)
+ * distanceKm is ONE-WAY; durationMin is ONE-WAY driving time.
+ */
+const LONG_MAX_DRIVE_HOURS_PER_DAY = 10;
+const LONG_MAX_TRIP_DAYS = 15;
+
+export function calcLongFare({
+  rate,
+  distanceKm = 0,
+  durationMin = 0,
+  tripDays = 1,
+  returnTrip = false,
+  isSameDay = false,
+}) {
+  if (!rate) throw new Error("Rate document missing.");
+
+  const vehicle = rate.vehicleType?.toLowerCase?.() || "car";
+  const roundOff = (num) => Math.ceil(num);
+
+  // Internal fallback — mirrors the Telangana seed cards
+  const internal = {
+    car:     { fuelPerKm: 15, day1DriverFee: 1500, subsequentDayDriverFee: 900,  halfDayReturnFee: 750, platformCommission: 0.12 },
+    premium: { fuelPerKm: 18, day1DriverFee: 1800, subsequentDayDriverFee: 1000, halfDayReturnFee: 850, platformCommission: 0.12 },
+    xl:      { fuelPerKm: 20, day1DriverFee: 2000, subsequentDayDriverFee: 1100, halfDayReturnFee: 900, platformCommission: 0.12 },
+  };
+  const fallback = internal[vehicle];
+  if (!fallback && rate.fuelPerKm == null) {
+    throw new Error(`Long trips are not available for ${vehicle}`);
+  }
+
+  // ─────────────────────────────────────────────────────
+  // 1️⃣ RATE VALUES (DB → Fallback)
+  // ─────────────────────────────────────────────────────
+  const fuelPerKm              = rate.fuelPerKm              ?? fallback.fuelPerKm;
+  const day1DriverFee          = rate.day1DriverFee          ?? fallback?.day1DriverFee          ?? 0;
+  const subsequentDayDriverFee = rate.subsequentDayDriverFee ?? fallback?.subsequentDayDriverFee ?? 0;
+  const halfDayReturnFee       = rate.halfDayReturnFee       ?? fallback?.halfDayReturnFee       ?? 0;
+  const platformCommission     = (rate.platformFeePercent ?? ((fallback?.platformCommission ?? 0.12) * 100)) / 100;
+  const gstPercent             = rate.gstPercent ?? 0;
+
+  // ─────────────────────────────────────────────────────
+  // 2️⃣ DISTANCE & DAYS
+  // ─────────────────────────────────────────────────────
+  const oneWayKm    = Math.max(0, Number(distanceKm) || 0);
+  const billableKm  = returnTrip ? oneWayKm * 2 : oneWayKm;
+  const driveHours  = ((Number(durationMin) || 0) * (returnTrip ? 2 : 1)) / 60;
+
+  const requestedDays = Math.max(1, Math.ceil(Number(tripDays) || 1));
+  const minDays       = Math.max(1, Math.ceil(driveHours / LONG_MAX_DRIVE_HOURS_PER_DAY));
+
+  if (isSameDay && (requestedDays > 1 || minDays > 1)) {
+    throw new Error("Same-day trips must finish within one day — book an advance trip instead");
+  }
+
+  const days = Math.max(requestedDays, minDays);
+  if (days > LONG_MAX_TRIP_DAYS) {
+    throw new Error(`Long trips can be at most ${LONG_MAX_TRIP_DAYS} days`);
+  }
+
+  // ─────────────────────────────────────────────────────
+  // 3️⃣ COMPONENTS
+  // ─────────────────────────────────────────────────────
+  const fuelCharge      = billableKm * fuelPerKm;
+  const driverAllowance = day1DriverFee + (days - 1) * subsequentDayDriverFee;
+  // Same-day return: driver's waiting + drive back inside day 1
+  const returnFee       = returnTrip && days === 1 ? halfDayReturnFee : 0;
+
+  const subtotal    = fuelCharge + driverAllowance + returnFee;
+  const gstAmount   = (subtotal * gstPercent) / 100;
+  const total       = roundOff(subtotal + gstAmount);
+  const platformCut = total * platformCommission;
+  const driverGets  = total - platformCut;
+
+  console.log(
+    `🧾 Long Fare: ₹${total} | ${vehicle.toUpperCase()} | ${oneWayKm.toFixed(1)} km one-way | ` +
+    `${returnTrip ? "Return" : "One-way"} | ${days} day(s)${days > requestedDays ? ` (bumped from ${requestedDays})` : ""}`
+  );
+
+  return {
+    success: true,
+    type: "long",
+    vehicleType: vehicle,
+    total,
+    remarks: `Outstation fare (${returnTrip ? "Return" : "One-way"}, ${days} day${days > 1 ? "s" : ""}, ${isSameDay ? "Same-day" : "Advance"})`,
+
+    breakdown: {
+      // Trip shape
+      oneWayKm: Math.round(oneWayKm * 10) / 10,
+      billableKm: Math.round(billableKm * 10) / 10,
+      driveHours: Math.round(driveHours * 10) / 10,
+      returnTrip: !!returnTrip,
+      isSameDay: !!isSameDay,
+      requestedDays,
+      days,
+      daysAdjusted: days > requestedDays,
+
+      // Components
+      fuelPerKm,
+      fuelCharge: roundOff(fuelCharge),
+      day1DriverFee,
+      subsequentDayDriverFee,
+      extraDays: days - 1,
+      driverAllowance: roundOff(driverAllowance),
+      halfDayReturnFee: returnFee,
+
+      // Totals
+      subtotal: roundOff(subtotal),
+      gstPercent,
+      gstAmount: roundOff(gstAmount),
+
+      // Earnings split
+      platformCommissionPercent: platformCommission * 100,
+      platformEarning: roundOff(platformCut),
+      driverEarning: roundOff(driverGets),
+    },
+  };
+}
+
+/**
+ * Go India Parcel Fare Engine
+ * ─────────────────────────────────────────────────────
+ * Uses the parcel-category Rate fields:
+ *   baseFare (+ baseFareDistanceKm) → pickup cost incl. first km(s)
+ *   perKm                           → per km beyond the base distance
+ *   platformFee                     → flat handling fee
+ *   maxWeightKg                     → hard cap (throws above it)
+ *   weightRates.baseKg              → weight included free
+ *   weightRates.baseCharge          → flat slab charge once weight > baseKg
+ *   weightRates.perExtraKg          → ₹ per started kg beyond baseKg
+ * ✅ minFare / gstPercent / platformFeePercent from DB when present
+ */
+export function calcParcelFare({ rate, distanceKm = 0, weight = 0 }) {
+  if (!rate) throw new Error("Rate document missing.");
+
+  const vehicle = rate.vehicleType?.toLowerCase?.() || "bike";
+  const roundOff = (num) => Math.ceil(num);
+
+  // Internal fallback — mirrors the Hyderabad bike parcel seed card
+  const fallback = {
+    baseFare: 25,
+    baseFareDistanceKm: 0,
+    perKm: 7,
+    platformFee: 15,
+    minFare: 0,
+    maxWeightKg: 10,
+    weightRates: { baseKg: 5, baseCharge: 40, perExtraKg: 5 },
+    platformCommission: 0.10,
+  };
+
+  // ─────────────────────────────────────────────────────
+  // 1️⃣ RATE VALUES (DB → Fallback)
+  // ─────────────────────────────────────────────────────
+  const baseFare           = rate.baseFare ?? fallback.baseFare;
+  const baseDistance       = rate.baseFareDistanceKm ?? fallback.baseFareDistanceKm;
+  const perKm              = rate.perKm ?? fallback.perKm;
+  const platformFee        = rate.platformFee ?? fallback.platformFee;
+  const minFare            = rate.minFare ?? fallback.minFare;
+  const maxWeightKg        = rate.maxWeightKg ?? fallback.maxWeightKg;
+  const baseKg             = rate.weightRates?.baseKg ?? fallback.weightRates.baseKg;
+  const baseCharge         = rate.weightRates?.baseCharge ?? fallback.weightRates.baseCharge;
+  const perExtraKg         = rate.weightRates?.perExtraKg ?? fallback.weightRates.perExtraKg;
+  const platformCommission = (rate.platformFeePercent ?? (fallback.platformCommission * 100)) / 100;
+  const gstPercent         = rate.gstPercent ?? 0;
+
+  // ─────────────────────────────────────────────────────
+  // 2️⃣ WEIGHT SLAB
+  // ─────────────────────────────────────────────────────
+  const w = Math.max(0, Number(weight) || 0);
+  if (w > maxWeightKg) {
+    throw new Error(`Parcel weight exceeds limit (${maxWeightKg} kg max)`);
+  }
+
+  const extraKg      = w > baseKg ? Math.ceil(w - baseKg) : 0;
+  const weightCharge = w > baseKg ? baseCharge + extraKg * perExtraKg : 0;
+  const weightSlab   = w > baseKg ? `${baseKg}–${maxWeightKg} kg` : `0–${baseKg} kg`;
+
+  // ─────────────────────────────────────────────────────
+  // 3️⃣ DISTANCE + TOTAL
+  // ─────────────────────────────────────────────────────
+  const km                 = Math.max(0, Number(distanceKm) || 0);
+  const chargeableDistance = Math.max(0, km - baseDistance);
+  const distanceCharge     = chargeableDistance * perKm;
+
+  const subtotal    = baseFare + distanceCharge + platformFee + weightCharge;
+  const gstAmount   = (subtotal * gstPercent) / 100;
+  const total       = Math.max(roundOff(subtotal + gstAmount), roundOff(minFare));
+  const platformCut = total * platformCommission;
+  const driverGets  = total - platformCut;
+
+  console.log(
+    `🧾 Parcel Fare: ₹${total} | ${vehicle.toUpperCase()} | ${km.toFixed(1)} km | ${w} kg (${weightSlab})`
+  );
+
+  return {
+    success: true,
+    type: "parcel",
+    vehicleType: vehicle,
+    total,
+    remarks: `Parcel fare (${weightSlab})`,
+
+    breakdown: {
+      baseFare,
+      baseDistance,
+      chargeableDistance: Math.round(chargeableDistance * 10) / 10,
+      perKm,
+      distanceCharge: roundOff(distanceCharge),
+      platformFee,
+
+      // Weight
+      weightKg: w,
+      maxWeightKg,
+      weightSlab,
+      baseKg,
+      extraKg,
+      weightCharge,
+
+      // Totals
+      subtotal: roundOff(subtotal),
+      gstPercent,
+      gstAmount: roundOff(gstAmount),
+      minFare,
+      minFareApplied: total === roundOff(minFare) && minFare > 0,
+
+      // Earnings split
+      platformCommissionPercent: platformCommission * 100,
+      platformEarning: roundOff(platformCut),
+      driverEarning: roundOff(driverGets),
+    },
+  };
+}
@@ -1,13 +1,20 @@
 // utils/getGoogleRouteDuration.js
 import axios from "axios";
 import dotenv from "dotenv";
+import { getDistance } from "./distanceCalculator.js";
 dotenv.config();
 
+// Used only when Google is unavailable — straight line → road distance
+const ROAD_FACTOR = 1.3;
+const FALLBACK_SPEED_KMH = 50;
+
 /**
  * Fetch live route data (distance + duration) from Google Maps API
  * and adjust it dynamically by vehicle type.
+ * Optional `waypoints` ([{ lat, lng }]) are routed as real stops, in order;
+ * distance/duration are summed over all legs.
  */
-export async function getGoogleRouteDuration(origin, destination, vehicleType = "car") {
+export async function getGoogleRouteDuration(origin, destination, vehicleType = "car", waypoints = []) {
   const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 
   if (!GOOGLE_API_KEY) {
@@ -30,7 +37,11 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
   };
   const mode = modeMap[vehicleType] || "driving";
 
-  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}&mode=${mode}&departure_time=now&key=${GOOGLE_API_KEY}`;
+  const waypointParam = waypoints.length
+    ? `&waypoints=${encodeURIComponent(waypoints.map((w) => `${w.lat},${w.lng}`).join("|"))}`
+    : "";
+
+  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}${waypointParam}&mode=${mode}&departure_time=now&key=${GOOGLE_API_KEY}`;
 
   try {
     const res = await axios.get(url);
@@ -40,10 +51,12 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
       return null;
     }
 
-    const leg = res.data.routes[0].legs[0];
-    const baseDuration = leg.duration_in_traffic
-      ? leg.duration_in_traffic.value
-      : leg.duration.value;
+    const legs = res.data.routes[0].legs;
+    const distanceMeters = legs.reduce((sum, leg) => sum + leg.distance.value, 0);
+    const baseDuration = legs.reduce(
+      (sum, leg) => sum + (leg.duration_in_traffic ? leg.duration_in_traffic.value : leg.duration.value),
+      0
+    );
 
     // 🧭 Vehicle-type adjustment multipliers
     const vehicleAdjust = {
@@ -57,17 +70,55 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
     const adjustedDurationSec = baseDuration * (vehicleAdjust[vehicleType] || 1.0);
 
     console.log(
-      `✅ Google Route (${vehicleType}): ${(leg.distance.value / 1000).toFixed(2)} km | ${Math.round(
+      `✅ Google Route (${vehicleType}): ${(distanceMeters / 1000).toFixed(2)} km | ${Math.round(
         adjustedDurationSec / 60
-      )} mins`
+      )} mins${legs.length > 1 ? ` | ${legs.length} legs` : ""}`
     );
 
     return {
-      distanceKm: leg.distance.value / 1000,
+      distanceKm: distanceMeters / 1000,
       durationSec: adjustedDurationSec,
+      legCount: legs.length,
     };
   } catch (err) {
     console.error("⚠️ Google Maps fetch failed:", err.message);
     return null;
   }
 }
+
+/**
+ * Haversine × road-factor estimate over ordered { lat, lng } points, for
+ * when Google is unavailable. Returns { distanceKm, durationMin }.
+ */
+export function estimateStraightRoute(points) {
+  let straightKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    straightKm += getDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  const distanceKm = straightKm * ROAD_FACTOR;
+  return { distanceKm, durationMin: (distanceKm / FALLBACK_SPEED_KMH) * 60 };
+}
+
+/**
+ * Server-side route measurement for pricing between two [lng, lat] points.
+ * Google first; falls back to a haversine × road-factor estimate so a
+ * Maps outage never blocks a booking.
+ * Returns { distanceKm, durationMin, usedGoogleData }.
+ */
+export async function estimateRoute(pickupCoords, dropCoords, vehicleType = "car") {
+  const origin = { lat: pickupCoords[1], lng: pickupCoords[0] };
+  const destination = { lat: dropCoords[1], lng: dropCoords[0] };
+
+  const route = await getGoogleRouteDuration(origin, destination, vehicleType);
+  if (route) {
+    return {
+      distanceKm: route.distanceKm,
+      durationMin: route.durationSec / 60,
+      usedGoogleData: true,
+    };
+  }
+
+  const { distanceKm, durationMin } = estimateStraightRoute([origin, destination]);
+  console.warn(`⚠️ Google route unavailable — estimated ${distanceKm.toFixed(1)} km`);
+  return { distanceKm, durationMin, usedGoogleData: false };
+}
@@ -0,0 +1,63 @@
+// src/utils/gst.js
+// GST helpers for tax invoices: state codes, financial years, invoice
+// numbers and splitting a GST-inclusive amount into taxable value + tax.
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// State / UT name (as Rate.state stores it, any case) → GST state code
+export const GST_STATE_CODES = {
+  'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+  'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08',
+  'uttar pradesh': '09', 'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12',
+  'nagaland': '13', 'manipur': '14', 'mizoram': '15', 'tripura': '16',
+  'meghalaya': '17', 'assam': '18', 'west bengal': '19', 'jharkhand': '20',
+  'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+  'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33',
+  'puducherry': '34', 'andaman and nicobar islands': '35', 'telangana': '36',
+  'andhra pradesh': '37', 'ladakh': '38',
+};
+
+export const normalizeState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * GST state code for a state name, or null when it isn't one.
+ */
+export const gstStateCode = (state) => GST_STATE_CODES[normalizeState(state)] || null;
+
+/**
+ * Indian financial year (April–March, IST) a date falls in → '2627' for FY 2026-27.
+ */
+export function financialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Invoice number — 16 characters, the GST maximum: 36/2627/R/000123.
+ */
+export const formatInvoiceNumber = ({ stateCode, fy, seriesCode, seq }) =>
+  `${stateCode}/${fy}/${seriesCode}/${String(seq).padStart(6, '0')}`;
+
+/**
+ * Split a GST-inclusive amount: taxable value + CGST/SGST (supplier and
+ * place of supply in the same state) or IGST (different states). Halves
+ * are rounded so cgst + sgst always equals the tax.
+ */
+export function splitInclusiveTax(inclusiveAmount, ratePercent, intraState) {
+  const gross = round2(inclusiveAmount);
+  const taxable = ratePercent > 0 ? round2(gross / (1 + ratePercent / 100)) : gross;
+  const tax = round2(gross - taxable);
+  const cgst = intraState ? round2(tax / 2) : 0;
+
+  return {
+    taxableValue: taxable,
+    rate:         ratePercent,
+    cgst,
+    sgst:         intraState ? round2(tax - cgst) : 0,
+    igst:         intraState ? 0 : tax,
+    totalTax:     tax,
+    total:        gross,
+  };
+}
@@ -0,0 +1,318 @@
+// src/utils/invoiceRenderer.js
+// Invoice document → HTML page or PDF file.
+// The PDF is written by hand (text + rules, standard fonts, WinAnsi) so
+// invoices need no headless browser or PDF dependency. Non-Latin-1 text is
+// transliterated (₹ → Rs.) because the standard fonts can't draw it.
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit', month: 'short', year: 'numeric',
+    hour: '2-digit', minute: '2-digit',
+  });
+
+const stateLabel = (name, code) => {
+  const title = String(name || '').replace(/\b\w/g, (c) => c.toUpperCase());
+  return code ? `${title} (${code})` : title;
+};
+
+/**
+ * Everything both formats print, in print order.
+ */
+function describe(invoice) {
+  const ride = invoice.kind === 'ride';
+  const { tax } = invoice;
+  const intra = tax.igst === 0 && tax.totalTax > 0;
+  const half = tax.rate / 2;
+
+  const header = [
+    ['Invoice No', invoice.number],
+    ['Date', formatDate(invoice.issuedAt)],
+    ['Place of supply', stateLabel(invoice.placeOfSupply, invoice.placeOfSupplyCode)],
+  ];
+  if (ride && invoice.meta?.tripId) header.push(['Trip', String(invoice.meta.tripId)]);
+  if (!ride) header.push(['Period', `${invoice.period} (${invoice.tripCount} rides)`]);
+
+  const party = (p) => [
+    p.name,
+    p.gstin && `GSTIN: ${p.gstin}`,
+    p.address,
+    p.state && stateLabel(p.state, p.stateCode),
+    p.phone && `Phone: ${p.phone}`,
+    p.email,
+  ].filter(Boolean);
+
+  const summary = [];
+  if (ride && invoice.meta) {
+    const m = invoice.meta;
+    if (m.pickup) summary.push(`From: ${m.pickup}`);
+    if (m.drop) summary.push(`To: ${m.drop}`);
+    summary.push([
+      m.vehicleType && `Vehicle: ${m.vehicleType}`,
+      m.distanceKm != null && `Distance: ${m.distanceKm} km`,
+      m.completedAt && `Completed: ${formatDate(m.completedAt)}`,
+    ].filter(Boolean).join('   '));
+  }
+
+  const totals = [['Taxable value', money(tax.taxableValue)]];
+  if (intra) {
+    totals.push([`CGST @ ${half}%`, money(tax.cgst)], [`SGST @ ${half}%`, money(tax.sgst)]);
+  } else {
+    totals.push([`IGST @ ${tax.rate}%`, money(tax.igst)]);
+  }
+  totals.push([ride ? 'Total paid' : 'Total deducted', money(invoice.total)]);
+
+  return {
+    title: ride ? 'TAX INVOICE' : 'TAX INVOICE - PLATFORM COMMISSION',
+    header,
+    supplier: party(invoice.supplier),
+    recipient: party(invoice.recipient),
+    summary: summary.filter(Boolean),
+    lines: invoice.lines.map((l) => ({
+      description: l.description,
+      sac: l.sac || '',
+      taxable: money(l.taxableValue),
+      amount: money(l.amount),
+    })),
+    totals,
+    footer: [
+      invoice.paymentMethod && `Payment: ${invoice.paymentMethod}`,
+      'Amounts are in INR and inclusive of GST.',
+      'This is a computer-generated invoice and needs no signature.',
+    ].filter(Boolean),
+  };
+}
+
+// ════════════════════════════════════════════════════════════════════
+// HTML
+// ════════════════════════════════════════════════════════════════════
+
+const esc = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export function renderInvoiceHtml(invoice) {
+  const d = describe(invoice);
+  const rows = (pairs) => pairs.map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(invoice.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; max-width: 760px; margin: 24px auto; }
+  h1 { font-size: 18px; margin: 0 0 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  .meta th { text-align: left; font-weight: normal; color: #666; width: 140px; padding: 2px 0; }
+  .parties { display: flex; gap: 24px; margin: 16px 0; }
+  .parties div { flex: 1; }
+  .parties h2 { font-size: 12px; color: #666; text-transform: uppercase; margin: 0 0 4px; }
+  .lines th, .lines td { border-bottom: 1px solid #ddd; padding: 6px 4px; }
+  .lines th { text-align: left; background: #f5f5f5; }
+  .num { text-align: right; }
+  .totals { width: 320px; margin: 12px 0 0 auto; }
+  .totals th { text-align: left; font-weight: normal; padding: 3px 4px; }
+  .totals td { text-align: right; padding: 3px 4px; }
+  .totals tr:last-child { font-weight: bold; border-top: 1px solid #222; }
+  footer { margin-top: 24px; color: #666; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>${esc(d.title)}</h1>
+<table class="meta">${rows(d.header)}</table>
+<div class="parties">
+  <div><h2>Supplier</h2>${d.supplier.map(esc).join('<br>')}</div>
+  <div><h2>Billed to</h2>${d.recipient.map(esc).join('<br>')}</div>
+</div>
+${d.summary.length ? `<p>${d.summary.map(esc).join('<br>')}</p>` : ''}
+<table class="lines">
+  <tr><th>Description</th><th>SAC</th><th class="num">Taxable value (₹)</th><th class="num">Amount (₹)</th></tr>
+  ${d.lines.map((l) => `<tr><td>${esc(l.description)}</td><td>${esc(l.sac)}</td><td class="num">${l.taxable}</td><td class="num">${l.amount}</td></tr>`).join('\n  ')}
+</table>
+<table class="totals">${d.totals.map(([k, v]) => `<tr><th>${esc(k)}</th><td>₹${v}</td></tr>`).join('')}</table>
+<footer>${d.footer.map(esc).join('<br>')}</footer>
+</body>
+</html>`;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// PDF
+// ════════════════════════════════════════════════════════════════════
+
+const PAGE_W = 595;   // A4, points
+const PAGE_H = 842;
+const MARGIN = 40;
+
+const latin1 = (s) => String(s ?? '')
+  .replace(/₹/g, 'Rs.')
+  .replace(/[→]/g, '->')
+  .replace(/[–—]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const pdfString = (s) => `(${latin1(s).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+
+function wrap(text, maxChars) {
+  const words = latin1(text).split(' ');
+  const out = [];
+  let line = '';
+  for (const word of words) {
+    if (line && (line.length + 1 + word.length) > maxChars) { out.push(line); line = word; }
+    else line = line ? `${line} ${word}` : word;
+  }
+  if (line) out.push(line);
+  return out;
+}
+
+// Collects drawing ops, breaking onto a new page when the cursor runs out.
+function createCanvas() {
+  const pages = [[]];
+  let y = PAGE_H - MARGIN;
+
+  const ops = () => pages[pages.length - 1];
+  const ensure = (height) => {
+    if (y - height < MARGIN) { pages.push([]); y = PAGE_H - MARGIN; }
+  };
+  // Courier is 0.6 em per glyph, which makes right alignment exact
+  const text = (x, str, { size = 10, font = 'F1', right = false } = {}) => {
+    const drawX = right ? x - latin1(str).length * size * 0.6 : x;
+    ops().push(`BT /${font} ${size} Tf ${drawX.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(str)} Tj ET`);
+  };
+  const rule = (width = 0.5) => {
+    ops().push(`${width} w ${MARGIN} ${(y + 4).toFixed(2)} m ${PAGE_W - MARGIN} ${(y + 4).toFixed(2)} l S`);
+  };
+
+  return {
+    pages,
+    text,
+    rule,
+    ensure,
+    down: (h) => { y -= h; },
+  };
+}
+
+function buildPdf(pages) {
+  const objects = [];   // index + 1 = object number
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fonts = {
+    F1: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+    F2: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+    F3: add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'),
+  };
+  const fontDict = Object.entries(fonts).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+  const pageIds = pages.map((ops) => {
+    const stream = ops.join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] ` +
+      `/Resources << /Font << ${fontDict} >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+/**
+ * Invoice → PDF bytes (A4).
+ */
+export function renderInvoicePdf(invoice) {
+  const d = describe(invoice);
+  const c = createCanvas();
+  const right = PAGE_W - MARGIN;
+  const colTaxable = right - 90;
+  const colSac = colTaxable - 150;
+
+  c.text(MARGIN, d.title, { size: 16, font: 'F2' });
+  c.down(26);
+
+  for (const [k, v] of d.header) {
+    c.text(MARGIN, k, { size: 10 });
+    c.text(MARGIN + 110, v, { size: 10, font: 'F2' });
+    c.down(14);
+  }
+  c.down(8);
+
+  // Supplier and recipient side by side
+  c.text(MARGIN, 'SUPPLIER', { size: 9, font: 'F2' });
+  c.text(PAGE_W / 2, 'BILLED TO', { size: 9, font: 'F2' });
+  c.down(13);
+  const left = d.supplier.flatMap((l) => wrap(l, 48));
+  const rightCol = d.recipient.flatMap((l) => wrap(l, 48));
+  for (let i = 0; i < Math.max(left.length, rightCol.length); i += 1) {
+    c.ensure(12);
+    if (left[i]) c.text(MARGIN, left[i], { size: 9 });
+    if (rightCol[i]) c.text(PAGE_W / 2, rightCol[i], { size: 9 });
+    c.down(12);
+  }
+  c.down(8);
+
+  for (const line of d.summary.flatMap((l) => wrap(l, 100))) {
+    c.ensure(12);
+    c.text(MARGIN, line, { size: 9 });
+    c.down(12);
+  }
+  c.down(10);
+
+  c.ensure(20);
+  c.text(MARGIN, 'Description', { size: 9, font: 'F2' });
+  c.text(colSac, 'SAC', { size: 9, font: 'F2' });
+  c.text(colTaxable, 'Taxable (Rs.)', { size: 9, font: 'F2', right: true });
+  c.text(right, 'Amount (Rs.)', { size: 9, font: 'F2', right: true });
+  c.down(6);
+  c.rule();
+  c.down(10);
+
+  for (const l of d.lines) {
+    const desc = wrap(l.description, 60);
+    c.ensure(12 * desc.length + 4);
+    c.text(colSac, l.sac, { size: 9 });
+    c.text(colTaxable, l.taxable, { size: 9, font: 'F3', right: true });
+    c.text(right, l.amount, { size: 9, font: 'F3', right: true });
+    for (const part of desc) {
+      c.text(MARGIN, part, { size: 9 });
+      c.down(12);
+    }
+    c.down(2);
+  }
+  c.rule();
+  c.down(12);
+
+  d.totals.forEach(([k, v], i) => {
+    const last = i === d.totals.length - 1;
+    c.ensure(14);
+    c.text(right - 220, k, { size: 10, font: last ? 'F2' : 'F1' });
+    c.text(right, `Rs. ${v}`, { size: 10, font: 'F3', right: true });
+    c.down(14);
+  });
+  c.down(16);
+
+  for (const line of d.footer) {
+    c.ensure(12);
+    c.text(MARGIN, line, { size: 8 });
+    c.down(11);
+  }
+
+  return buildPdf(c.pages);
+}
+
+export default { renderInvoiceHtml, renderInvoicePdf };
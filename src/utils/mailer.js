@@ -0,0 +1,45 @@
+// src/utils/mailer.js
+// SMTP mail through nodemailer. Configured from SMTP_HOST / SMTP_PORT /
+// SMTP_USER / SMTP_PASS (SMTP_SECURE=true for port 465); MAIL_FROM sets the
+// sender and defaults to SMTP_USER. The transport is built on first use.
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+export const isMailConfigured = () => !!process.env.SMTP_HOST;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host:   process.env.SMTP_HOST,
+      port:   Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth:   process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send one email. Throws (statusCode 503) when SMTP isn't configured.
+ * attachments: nodemailer format — [{ filename, content: Buffer, contentType }]
+ */
+export async function sendMail({ to, subject, html, text, attachments = [] }) {
+  if (!isMailConfigured()) {
+    throw Object.assign(new Error('Email is not configured on this server'), { statusCode: 503 });
+  }
+
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+  });
+}
+
+export default { sendMail, isMailConfigured };
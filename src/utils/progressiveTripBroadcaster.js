@@ -1,9 +1,31 @@
 import Trip from '../models/Trip.js';
 import User from '../models/User.js';
 import { broadcastToDrivers } from './tripBroadcaster.js';
-
-const PHASE_RADII = [2000, 3000, 5000];
-const SECOND_ATTEMPT_DELAY_MS = 30000;
+import { formatTripStops } from './tripStops.js';
+import {
+  DRIVER_SCORING_FIELDS,
+  rankDrivers,
+  scoreDriver,
+  logDispatchDecision,
+  recordOffers,
+} from '../services/dispatchScoringService.js';
+import DispatchSetting from '../models/DispatchSetting.js';
+import BroadcastSetting from '../models/BroadcastSetting.js';
+import {
+  acquireLock,
+  extendLock,
+  releaseLock,
+  publish,
+  subscribe,
+} from '../realtime/index.js';
+
+// One instance owns each trip's search loop; it renews the lock while searching
+const BROADCAST_LOCK_TTL_MS = 30000;
+const broadcastLockKey = (tripId) => `broadcast:${tripId}`;
+
+// Cross-instance signals: stop a search wherever it runs, offer searches to a driver
+const CHANNEL_STOP = 'broadcast:stop';
+const CHANNEL_DRIVER_ONLINE = 'broadcast:driver_online';
 
 // Map<tripId, controller>
 const activeControllers = new Map();
@@ -30,6 +52,15 @@ const buildPayloadFromTrip = (trip) => ({
     lng: Number(trip.drop?.coordinates?.[0] || 0),
     address: String(trip.drop?.address || 'Drop'),
   },
+  stops: formatTripStops(trip),
+  ...(trip.type === 'parcel' && {
+    parcelId: toStrId(trip.parcelId),
+    parcelDetails: {
+      weight: Number(trip.parcelDetails?.weight || 0),
+      receiverName: trip.parcelDetails?.receiverName || '',
+      notes: trip.parcelDetails?.notes || '',
+    },
+  }),
   isDestinationMatch: false,
 });
 
@@ -68,6 +99,7 @@ const fetchPhaseDrivers = async (controller, radius) => {
     isDriver: true,
     isOnline: true,
     isBusy: { $ne: true },
+    commissionBlocked: { $ne: true },   // Over the cash-commission debt limit
     vehicleType: trip.vehicleType,
     $or: [
       { socketId: { $exists: true, $ne: null } },
@@ -89,15 +121,16 @@ const fetchPhaseDrivers = async (controller, radius) => {
   }
 
   return User.find(query)
-    .select('_id name socketId fcmToken vehicleType location')
+    .select(`_id name socketId fcmToken vehicleType ${DRIVER_SCORING_FIELDS}`)
     .lean();
 };
 
-const fetchDriversForSecondAttempt = async (controller, phaseNumber) => {
+// Retry rounds re-offer to the drivers reached by the previous round of this phase
+const fetchDriversForRetry = async (controller, phaseNumber, attemptNumber) => {
   const driverIds = [];
 
   for (const [driverId, record] of controller.state.notifiedDrivers.entries()) {
-    if (record.phase === phaseNumber && record.attempt === 1) {
+    if (record.phase === phaseNumber && record.attempt === attemptNumber - 1) {
       driverIds.push(driverId);
     }
   }
@@ -109,6 +142,7 @@ const fetchDriversForSecondAttempt = async (controller, phaseNumber) => {
     isDriver: true,
     isOnline: true,
     isBusy: { $ne: true },
+    commissionBlocked: { $ne: true },
     $or: [
       { socketId: { $exists: true, $ne: null } },
       { fcmToken: { $exists: true, $ne: null } },
@@ -117,21 +151,29 @@ const fetchDriversForSecondAttempt = async (controller, phaseNumber) => {
       { $or: [{ currentTripId: null }, { currentTripId: { $exists: false } }] },
     ],
   })
-    .select('_id name socketId fcmToken vehicleType location')
+    .select(`_id name socketId fcmToken vehicleType ${DRIVER_SCORING_FIELDS}`)
     .lean();
 };
 
+// Offers go out in score-ordered batches: the best setting.batchSize drivers
+// have the trip to themselves for setting.batchWindowSec before the next
+// batch is offered. Each batch is logged as its own dispatch decision.
 const sendAttempt = async (controller, drivers, phaseNumber, attemptNumber) => {
   if (!drivers || drivers.length === 0) return 0;
 
+  const { ranked, city, setting } = await rankDrivers(controller.state.trip, drivers);
+
   const sendList = [];
+  // driverId → null (offered) | skip reason, for the dispatch log
+  const outcomes = new Map();
 
-  for (const driver of drivers) {
+  for (const { driver } of ranked) {
     const driverId = toStrId(driver._id);
     const record = controller.state.notifiedDrivers.get(driverId);
 
     if (!record && attemptNumber === 1) {
       sendList.push(driver);
+      outcomes.set(driverId, null);
       controller.state.notifiedDrivers.set(driverId, {
         phase: phaseNumber,
         attempt: 1,
@@ -142,33 +184,100 @@ const sendAttempt = async (controller, drivers, phaseNumber, attemptNumber) => {
     if (
       record &&
       record.phase === phaseNumber &&
-      record.attempt === 1 &&
-      attemptNumber === 2
+      attemptNumber > 1 &&
+      record.attempt === attemptNumber - 1
     ) {
       sendList.push(driver);
+      outcomes.set(driverId, null);
       controller.state.notifiedDrivers.set(driverId, {
         phase: phaseNumber,
-        attempt: 2,
+        attempt: attemptNumber,
       });
+      continue;
     }
+
+    outcomes.set(driverId, attemptNumber === 1 ? 'already_offered' : 'not_in_previous_attempt');
   }
 
-  if (sendList.length === 0) return 0;
+  const logBatch = (batch, batchOutcomes) => logDispatchDecision({
+    tripId: controller.tripId,
+    phase: phaseNumber,
+    attempt: attemptNumber,
+    batch,
+    radiusM: controller.state.currentRadius,
+    city,
+    setting,
+    ranked,
+    outcomes: batchOutcomes,
+  });
+
+  if (sendList.length === 0) {
+    await logBatch(null, outcomes);
+    return 0;
+  }
+
+  const batchSize = Math.max(1, Number(setting.batchSize) || 1);
+  const batches = [];
+  for (let i = 0; i < sendList.length; i += batchSize) {
+    batches.push(sendList.slice(i, i + batchSize));
+  }
 
   const payload = {
     ...buildPayloadFromTrip(controller.state.trip),
-    isRetry: attemptNumber === 2,
+    isRetry: attemptNumber > 1,
   };
 
-  await broadcastToDrivers(sendList, payload);
-  return sendList.length;
+  let sent = 0;
+  for (let b = 0; b < batches.length; b++) {
+    if (b > 0) {
+      const stillSearching = await waitWithChecks(controller, controller.tripId, setting.batchWindowSec * 1000);
+      if (!stillSearching) break;
+    }
+
+    const batchOutcomes = new Map(outcomes);
+    batches.forEach((other, i) => {
+      const reason = i === b ? null : i < b ? 'earlier_batch' : 'later_batch';
+      for (const d of other) batchOutcomes.set(toStrId(d._id), reason);
+    });
+    await logBatch(b + 1, batchOutcomes);
+
+    if (attemptNumber === 1) {
+      await recordOffers(batches[b].map((d) => d._id)).catch((err) =>
+        console.error('recordOffers error:', err.message)
+      );
+    }
+
+    await broadcastToDrivers(batches[b], payload);
+    sent += batches[b].length;
+  }
+  return sent;
+};
+
+// Renew the ownership lock; losing it (e.g. after a long GC pause) ends this loop
+const keepOwnership = async (controller) => {
+  if (Date.now() - controller.lockRenewedAt < BROADCAST_LOCK_TTL_MS / 3) return true;
+  try {
+    const renewed = await extendLock(broadcastLockKey(controller.tripId), controller.lockToken, BROADCAST_LOCK_TTL_MS);
+    if (!renewed) {
+      console.warn(`⚠️ Lost broadcast ownership for trip ${controller.tripId}`);
+      controller.state.active = false;
+      return false;
+    }
+    controller.lockRenewedAt = Date.now();
+  } catch (err) {
+    // Backend hiccup: keep going until the lock has actually expired
+    console.error('keepOwnership error:', err.message);
+  }
+  return true;
 };
 
 const waitWithChecks = async (controller, tripId, ms) => {
-  const endAt = Date.now() + ms;
+  // Never wait past the overall search timeout
+  const endAt = Math.min(Date.now() + ms, controller.state.searchExpiresAt);
 
   while (Date.now() < endAt) {
     if (!controller.state.active) return false;
+    if (!(await keepOwnership(controller))) return false;
 
     const runtime = await getTripRuntimeStatus(tripId);
     if (!runtime.active) {
@@ -180,13 +289,19 @@ const waitWithChecks = async (controller, tripId, ms) => {
     await sleep(Math.min(1000, Math.max(remaining, 0)));
   }
 
+  if (Date.now() >= controller.state.searchExpiresAt) {
+    controller.state.active = false;
+  }
   return controller.state.active;
 };
 
+// Rounds: phase 1 attempt 1..N, phase 2 attempt 1..N, … with the phase's
+// waitSec after each round's last batch, until accepted or searchTimeoutSec.
 const runProgressiveLoop = async (controller) => {
   const tripId = controller.tripId;
+  const { phases, attemptsPerPhase } = controller.state.schedule;
 
-  for (let phaseIndex = 0; phaseIndex < PHASE_RADII.length; phaseIndex++) {
+  for (let phaseIndex = 0; phaseIndex < phases.length; phaseIndex++) {
     if (!controller.state.active) break;
 
     const runtime = await getTripRuntimeStatus(tripId);
@@ -195,30 +310,46 @@ const runProgressiveLoop = async (controller) => {
       break;
     }
 
-    const currentRadius = PHASE_RADII[phaseIndex];
+    const { radiusM, waitSec } = phases[phaseIndex];
     const phaseNumber = phaseIndex + 1;
 
     controller.state.currentPhaseIndex = phaseIndex;
-    controller.state.currentRadius = currentRadius;
+    controller.state.currentRadius = radiusM;
 
-    const phaseDrivers = await fetchPhaseDrivers(controller, currentRadius);
+    for (let attempt = 1; attempt <= attemptsPerPhase; attempt++) {
+      const drivers = attempt === 1
+        ? await fetchPhaseDrivers(controller, radiusM)
+        : await fetchDriversForRetry(controller, phaseNumber, attempt);
 
-    await sendAttempt(controller, phaseDrivers, phaseNumber, 1);
+      await sendAttempt(controller, drivers, phaseNumber, attempt);
 
-    const shouldContinue = await waitWithChecks(
-      controller,
-      tripId,
-      SECOND_ATTEMPT_DELAY_MS
-    );
-
-    if (!shouldContinue) break;
+      const isLastRound = phaseIndex === phases.length - 1 && attempt === attemptsPerPhase;
+      if (isLastRound) break;
 
-    const secondAttemptDrivers = await fetchDriversForSecondAttempt(
-      controller,
-      phaseNumber
-    );
+      const shouldContinue = await waitWithChecks(controller, tripId, waitSec * 1000);
+      if (!shouldContinue) return;
+    }
+  }
+};
 
-    await sendAttempt(controller, secondAttemptDrivers, phaseNumber, 2);
+// Trip city when the booking carried one; otherwise the nearest driver's city
+const resolveTripCity = async (trip) => {
+  if (trip.city) return trip.city;
+  try {
+    const nearest = await User.findOne({
+      isDriver: true,
+      city: { $exists: true, $ne: null },
+      location: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: trip.pickup.coordinates },
+          $maxDistance: 20000,
+        },
+      },
+    }).select('city').lean();
+    return nearest?.city || 'all';
+  } catch (err) {
+    console.error('resolveTripCity error:', err.message);
+    return 'all';
   }
 };
 
@@ -233,7 +364,7 @@ export const startProgressiveBroadcast = async (tripInput) => {
   const trip = tripInput?._id
     ? tripInput
     : await Trip.findById(tripId)
-      .select('_id customerId pickup drop vehicleType type fare status assignedDriver cancelledAt cancelledBy')
+      .select('_id customerId pickup drop vehicleType type fare status city assignedDriver cancelledAt cancelledBy')
       .lean();
 
   if (!trip || !trip.pickup?.coordinates || !trip.drop?.coordinates) {
@@ -243,12 +374,36 @@ export const startProgressiveBroadcast = async (tripInput) => {
   const runtime = await getTripRuntimeStatus(tripId);
   if (!runtime.active) return;
 
+  // Another instance may already be searching for this trip
+  const lockToken = await acquireLock(broadcastLockKey(tripId), BROADCAST_LOCK_TTL_MS);
+  if (!lockToken) return;
+
+  // Read per search so admin edits apply to the next trip without a redeploy
+  const city = await resolveTripCity(trip);
+  const setting = await BroadcastSetting.getForVehicle(trip.vehicleType, city);
+  const schedule = {
+    phases: setting.phases,
+    attemptsPerPhase: setting.attemptsPerPhase,
+    searchTimeoutSec: setting.searchTimeoutSec,
+  };
+  const searchExpiresAt = Date.now() + schedule.searchTimeoutSec * 1000;
+
+  // The timeout sweep in socketHandler reads this
+  await Trip.updateOne(
+    { _id: tripId, status: 'requested' },
+    { $set: { searchExpiresAt: new Date(searchExpiresAt) } }
+  );
+
   const controller = {
     tripId,
+    lockToken,
+    lockRenewedAt: Date.now(),
     state: {
-      trip,
+      trip: { ...trip, city },
+      schedule,
+      searchExpiresAt,
       currentPhaseIndex: 0,
-      currentRadius: PHASE_RADII[0],
+      currentRadius: schedule.phases[0].radiusM,
       // Map<driverId, { phase, attempt }>
       notifiedDrivers: tripDriverNotifications.get(tripId) || new Map(),
       accepted: false,
@@ -270,10 +425,11 @@ export const startProgressiveBroadcast = async (tripInput) => {
       controller.state.active = false;
       activeControllers.delete(tripId);
       tripDriverNotifications.delete(tripId);
+      releaseLock(broadcastLockKey(tripId), lockToken);
     });
 };
 
-export const stopProgressiveBroadcast = (tripId) => {
+const stopLocalBroadcast = (tripId) => {
   const id = toStrId(tripId);
   const controller = activeControllers.get(id);
   if (!controller) {
@@ -286,15 +442,25 @@ export const stopProgressiveBroadcast = (tripId) => {
   tripDriverNotifications.delete(id);
 };
 
-export const notifyOnlineDriverForProgressiveBroadcast = async (driverId) => {
+// The search may be running on another instance — tell all of them
+export const stopProgressiveBroadcast = (tripId) => {
+  const id = toStrId(tripId);
+  stopLocalBroadcast(id);
+  publish(CHANNEL_STOP, { tripId: id }).catch((err) =>
+    console.error('stopProgressiveBroadcast publish error:', err.message)
+  );
+};
+
+// Offers this instance's running searches to a driver who just came online
+const offerLocalSearchesToDriver = async (driverId) => {
   const id = toStrId(driverId);
   if (!id) return;
 
   const driver = await User.findById(id)
-    .select('_id name socketId fcmToken vehicleType location isDriver isOnline isBusy currentTripId')
+    .select(`_id name socketId fcmToken vehicleType isDriver isOnline isBusy currentTripId commissionBlocked ${DRIVER_SCORING_FIELDS}`)
     .lean();
 
-  if (!driver?.isDriver || !driver.isOnline || driver.isBusy) return;
+  if (!driver?.isDriver || !driver.isOnline || driver.isBusy || driver.commissionBlocked) return;
   if (!driver.location?.coordinates || driver.location.coordinates.length !== 2) return;
 
   for (const controller of activeControllers.values()) {
@@ -323,12 +489,29 @@ export const notifyOnlineDriverForProgressiveBroadcast = async (driverId) => {
 
     if (distance > controller.state.currentRadius) continue;
 
+    // Late joiners skip the ranking, but the decision is still scored + logged
+    const setting = await DispatchSetting.getForCity(controller.state.trip.city || driver.city);
+    await logDispatchDecision({
+      tripId: controller.tripId,
+      source: 'late_joiner',
+      phase: controller.state.currentPhaseIndex + 1,
+      attempt: 1,
+      radiusM: controller.state.currentRadius,
+      city: setting.city,
+      setting,
+      ranked: [{ driver, ...scoreDriver(driver, controller.state.trip, setting) }],
+      outcomes: new Map([[driverIdStr, null]]),
+    });
+
     const payload = {
       ...buildPayloadFromTrip(controller.state.trip),
       isRetry: false,
     };
 
     await broadcastToDrivers([driver], payload);
+    await recordOffers([driver._id]).catch((err) =>
+      console.error('recordOffers error:', err.message)
+    );
 
     controller.state.notifiedDrivers.set(driverIdStr, {
       phase: controller.state.currentPhaseIndex + 1,
@@ -337,6 +520,19 @@ export const notifyOnlineDriverForProgressiveBroadcast = async (driverId) => {
   }
 };
 
+export const notifyOnlineDriverForProgressiveBroadcast = async (driverId) => {
+  const id = toStrId(driverId);
+  if (!id) return;
+  await publish(CHANNEL_DRIVER_ONLINE, { driverId: id });
+};
+
+subscribe(CHANNEL_STOP, ({ tripId }) => stopLocalBroadcast(tripId)).catch((err) =>
+  console.error(`subscribe ${CHANNEL_STOP} error:`, err.message)
+);
+subscribe(CHANNEL_DRIVER_ONLINE, ({ driverId }) => offerLocalSearchesToDriver(driverId)).catch((err) =>
+  console.error(`subscribe ${CHANNEL_DRIVER_ONLINE} error:`, err.message)
+);
+
 export default {
   startProgressiveBroadcast,
   stopProgressiveBroadcast,
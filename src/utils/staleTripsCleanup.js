@@ -2,6 +2,7 @@
 
 import User from '../models/User.js';
 import Trip from '../models/Trip.js';
+import { recordTripEvent } from '../services/tripEventService.js';
 
 // ✅ Increased to 3 minutes - gives more buffer for background apps
 const STALE_DRIVER_THRESHOLD_MS = 180000; // 3 minutes
@@ -91,6 +92,18 @@ export const startStaleTripCleanup = () => {
           }
         });
 
+        // Leave a trace on the trip the driver was still pointing at
+        if (driver.currentTripId) {
+          await recordTripEvent({
+            tripId: driver.currentTripId,
+            type: 'note',
+            name: 'stale_driver_released',
+            actor: { role: 'system', label: 'stale_trip_cleanup' },
+            source: 'cron',
+            metadata: { driverId: driver._id },
+          });
+        }
+
         console.log(`🔴 Driver ${driver.name || driver._id} marked offline (stale > 3 min)`);
       }
     } catch (error) {
@@ -0,0 +1,25 @@
+// src/utils/tripStops.js
+// Shared helpers for multi-stop (intermediate waypoint) short trips.
+// Stops are stored on Trip.stops in GeoJSON order ([lng, lat]) like pickup/drop;
+// everything sent to the apps uses { lat, lng } like the existing payloads.
+
+/**
+ * Stops in app-facing shape. Safe to call on trips without stops (returns []).
+ */
+export const formatTripStops = (trip) =>
+  (trip?.stops || []).map((stop, index) => ({
+    index,
+    lat: Number(stop.coordinates?.[1] || 0),
+    lng: Number(stop.coordinates?.[0] || 0),
+    address: String(stop.address || `Stop ${index + 1}`),
+    arrivedAt: stop.arrivedAt || null,
+    departedAt: stop.departedAt || null,
+  }));
+
+/**
+ * Fare-request stops ([{ lat, lng }]) → Google waypoint list, dropping junk.
+ */
+export const toRouteWaypoints = (stops) =>
+  (Array.isArray(stops) ? stops : [])
+    .map((s) => ({ lat: Number(s?.lat), lng: Number(s?.lng) }))
+    .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lng));
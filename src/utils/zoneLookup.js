@@ -0,0 +1,44 @@
+// zoneLookup.js
+// Which Zone a point falls in — shared by /api/zones/check and the surge engine.
+
+/** Ray-casting point-in-polygon */
+export function pointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].lng, yi = polygon[i].lat;
+    const xj = polygon[j].lng, yj = polygon[j].lat;
+    const intersect = ((yi > lat) !== (yj > lat)) &&
+      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Resolve a point against ALL zones (enabled + disabled):
+ *   • inside an exclusion cut-out of any zone → { blocked: 'exclusion_zone', zone }
+ *   • inside a disabled zone                  → { blocked: 'zone_disabled', zone }
+ *     (a disabled cluster must block, not fall back to its city)
+ *   • otherwise the best enabled match, cluster > city > area → { zone }
+ *   • no match                                → { zone: null }
+ */
+export function matchZone(zones, lat, lng) {
+  let matchedZone = null;   // best enabled zone found so far
+  let priority    = 0;      // cluster=2, city=1, area=0
+
+  for (const zone of zones) {
+    if (!pointInPolygon(lat, lng, zone.polygon)) continue;
+
+    const inExclusion = (zone.exclusionZones ?? []).some(ex =>
+      pointInPolygon(lat, lng, ex.polygon)
+    );
+    if (inExclusion) return { blocked: 'exclusion_zone', zone };
+
+    if (!zone.serviceEnabled) return { blocked: 'zone_disabled', zone };
+
+    const p = zone.type === 'cluster' ? 2 : zone.type === 'city' ? 1 : 0;
+    if (p > priority) { priority = p; matchedZone = zone; }
+  }
+
+  return { zone: matchedZone };
+}